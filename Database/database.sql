@@ -12,23 +12,36 @@ SET sql_mode = 'STRICT_ALL_TABLES';
 
 CREATE TABLE IF NOT EXISTS users (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-    device_id VARCHAR(255) NOT NULL UNIQUE,
-    username VARCHAR(100),
+    device_id VARCHAR(255) NOT NULL COMMENT 'Device the account was created on, see user_devices for all devices',
+    username VARCHAR(100) COMMENT 'Chosen at registration, unique, NULL for anonymous accounts',
+    display_name VARCHAR(50) DEFAULT NULL COMMENT 'Editable name shown on the profile',
+    bio VARCHAR(500) DEFAULT NULL,
+    avatar_upload_id INT UNSIGNED DEFAULT NULL COMMENT 'forum_uploads row of the current avatar (entity_type avatar)',
     phone_number VARCHAR(16),
-    password VARCHAR(64) COMMENT 'SHA-256(orignial pass)',
+    password VARCHAR(100) COMMENT 'Stored password hash, format given by password_version',
+    password_version TINYINT NOT NULL DEFAULT 1 COMMENT '1 = SHA-256(orignial pass), 2 = bcrypt(SHA-256(orignial pass)), 3 = bcrypt salt + SHA-256(HMAC(bcrypt(SHA-256(orignial pass)), "Client Key"))',
+    phone_verified_at DATETIME DEFAULT NULL COMMENT 'Set when phone ownership was proven by OTP',
+    totp_secret VARCHAR(64) DEFAULT NULL COMMENT 'Base32 TOTP secret, admin two-factor authentication',
+    totp_enabled_at DATETIME DEFAULT NULL COMMENT 'Set when TOTP enrollment was confirmed',
     status TINYINT DEFAULT 0 COMMENT '-1 = deleted, 0 = normal, 87 = admin',
+    merged_into_user_id INT UNSIGNED DEFAULT NULL COMMENT 'Registered account an anonymous account was merged into',
+    deletion_requested_at DATETIME DEFAULT NULL COMMENT 'Set when account deletion was requested',
+    deletion_scheduled_for DATETIME DEFAULT NULL COMMENT 'Account is anonymized at this time unless cancelled',
+    anonymized_at DATETIME DEFAULT NULL COMMENT 'Set when personal data was purged, authored content is kept',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT NULL,
     deleted_at TIMESTAMP NULL DEFAULT NULL,
     -- Performance indexes
-    INDEX idx_device (device_id)
+    UNIQUE KEY uniq_username (username),
+    INDEX idx_device (device_id),
+    INDEX idx_deletion_scheduled (deletion_scheduled_for)
 ) ENGINE=InnoDB;
 
 
 CREATE TABLE IF NOT EXISTS user_logs (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     user_id INT UNSIGNED NOT NULL,
-    action_type TINYINT UNSIGNED NOT NULL COMMENT '0 = login, 1 = view forum, 2 = open chat, 3 = logout',
+    action_type TINYINT UNSIGNED NOT NULL COMMENT '0 = login, 1 = view forum, 2 = open chat, 3 = logout, 4 = account (profile, export, deletion), 99 = admin',
     action VARCHAR(100) NOT NULL COMMENT 'e.g., login, view_forum, open_chat, logout',
     metadata TEXT COMMENT 'optional JSON data for context (e.g., device, tab name)',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -38,6 +51,58 @@ CREATE TABLE IF NOT EXISTS user_logs (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB;
 
+CREATE TABLE IF NOT EXISTS user_devices (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    device_id VARCHAR(255) NOT NULL,
+    device_name VARCHAR(100) DEFAULT NULL,
+    platform VARCHAR(20) DEFAULT NULL COMMENT 'ios, ipados, android, macos, web, other',
+    push_token VARCHAR(255) DEFAULT NULL COMMENT 'APNs/FCM token of the app installation',
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    UNIQUE KEY unique_user_device (user_id, device_id),
+    INDEX idx_device (device_id),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Attach the device each existing account was created on
+INSERT IGNORE INTO user_devices (user_id, device_id, first_seen_at, last_seen_at)
+SELECT id, device_id, created_at, created_at FROM users;
+
+CREATE TABLE IF NOT EXISTS user_data_exports (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    requested_by INT UNSIGNED NOT NULL COMMENT 'User itself or admin ID',
+    status ENUM('pending', 'processing', 'ready', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+    file_path VARCHAR(500) DEFAULT NULL COMMENT 'Archive path below ACCOUNT_EXPORT_DIR',
+    file_size INT UNSIGNED DEFAULT NULL,
+    error VARCHAR(255) DEFAULT NULL,
+    attempt_token CHAR(32) DEFAULT NULL COMMENT 'Build attempt allowed to publish the archive',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME DEFAULT NULL,
+    completed_at DATETIME DEFAULT NULL,
+    expires_at DATETIME DEFAULT NULL,
+    -- Performance indexes
+    INDEX idx_user_id (user_id),
+    INDEX idx_status (status),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the recovery code',
+    used_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    INDEX idx_user_code (user_id, code_hash),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
 -- ===================================================================
 -- FORUM SYSTEM TABLES
 -- ===================================================================
@@ -68,11 +133,19 @@ CREATE TABLE IF NOT EXISTS forum_topics (
     like_count INT UNSIGNED DEFAULT 0,
     view_count INT UNSIGNED DEFAULT 0,
     status TINYINT NOT NULL DEFAULT -1 COMMENT '-1 = awaiting review, 0 = published, 1 = deleted',
+    is_pinned TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Listed before all other topics, set by admins',
+    is_locked TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Only admins can reply, set by admins',
+    is_featured TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Highlighted by admins, filterable',
+    solution_reply_id INT UNSIGNED NULL COMMENT 'Accepted answer chosen by the author or an admin, NULL = unsolved',
+    solved_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     -- Performance indexes
     INDEX idx_user_id (user_id),
     INDEX idx_category_id (category_id),
+    INDEX idx_pinned (is_pinned),
+    INDEX idx_featured (is_featured),
+    INDEX idx_solution_reply_id (solution_reply_id),
     INDEX idx_status (status),
     INDEX idx_created_at (created_at),
     INDEX idx_updated_at (updated_at),
@@ -131,6 +204,58 @@ CREATE TABLE IF NOT EXISTS forum_drafts (
     FOREIGN KEY (category_id) REFERENCES forum_categories(id) ON DELETE SET NULL
 ) ENGINE=InnoDB;
 
+-- Forum revisions table: every version of a topic or reply before it was edited
+CREATE TABLE IF NOT EXISTS forum_revisions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    entity_type ENUM('topic', 'reply') NOT NULL,
+    entity_id INT UNSIGNED NOT NULL COMMENT 'forum_topics.id or forum_replies.id',
+    revision_number INT UNSIGNED NOT NULL COMMENT '1 = original post, counts up per edit',
+    title VARCHAR(255) NULL COMMENT 'Only for topic revisions',
+    content TEXT NOT NULL,
+    category_id INT UNSIGNED NULL COMMENT 'Only for topic revisions',
+    editor_id INT UNSIGNED NOT NULL COMMENT 'User whose edit replaced this version',
+    action ENUM('edit', 'rollback') NOT NULL DEFAULT 'edit' COMMENT 'How this version was replaced',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Time this version was replaced',
+    -- Performance indexes
+    UNIQUE KEY unique_revision (entity_type, entity_id, revision_number),
+    INDEX idx_editor_id (editor_id),
+    -- Foreign keys
+    FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES forum_categories(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Forum moderation policy table: every saved policy is a new row, the newest one is active
+CREATE TABLE IF NOT EXISTS forum_moderation_policies (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    config JSON NOT NULL COMMENT 'Thresholds, keywords and categories, see services/moderationService.js',
+    updated_by INT UNSIGNED NULL COMMENT 'Admin who saved this version',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Foreign keys
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Forum moderation decisions table: outcome and reasons of every policy evaluation
+CREATE TABLE IF NOT EXISTS forum_moderation_decisions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    entity_type ENUM('topic', 'reply') NOT NULL,
+    entity_id INT UNSIGNED NOT NULL COMMENT 'forum_topics.id or forum_replies.id',
+    user_id INT UNSIGNED NOT NULL COMMENT 'Author of the post',
+    trigger_event ENUM('create', 'edit') NOT NULL,
+    decision ENUM('publish', 'queue') NOT NULL,
+    reasons JSON NOT NULL COMMENT 'Reason codes behind the decision',
+    signals JSON NOT NULL COMMENT 'Policy inputs: approval history, account age, category, links, keyword hits',
+    policy_id INT UNSIGNED NULL COMMENT 'NULL when the built-in default policy was used',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    INDEX idx_entity (entity_type, entity_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_decision (decision),
+    INDEX idx_created_at (created_at),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (policy_id) REFERENCES forum_moderation_policies(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
 -- ===================================================================
 -- FORUM INTERACTION TABLES
 -- ===================================================================
@@ -167,6 +292,131 @@ CREATE TABLE IF NOT EXISTS forum_reply_likes (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB;
 
+-- Users following a topic, notified about new published replies
+CREATE TABLE IF NOT EXISTS forum_topic_subscriptions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    topic_id INT UNSIGNED NOT NULL,
+    user_id INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    INDEX idx_user_id (user_id),
+    -- One subscription per user and topic
+    UNIQUE KEY unique_topic_subscription (topic_id, user_id),
+    -- Foreign keys
+    FOREIGN KEY (topic_id) REFERENCES forum_topics(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Authors follow their own topics
+INSERT IGNORE INTO forum_topic_subscriptions (topic_id, user_id, created_at)
+SELECT id, user_id, created_at FROM forum_topics;
+
+-- Read position of each user per topic
+CREATE TABLE IF NOT EXISTS forum_topic_reads (
+    topic_id INT UNSIGNED NOT NULL,
+    user_id INT UNSIGNED NOT NULL,
+    last_read_reply_id INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Newest reply the user has seen, 0 = none',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (topic_id, user_id),
+    -- Performance indexes
+    INDEX idx_user_id (user_id),
+    -- Foreign keys
+    FOREIGN KEY (topic_id) REFERENCES forum_topics(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Named bookmark collections of a user
+CREATE TABLE IF NOT EXISTS forum_bookmark_collections (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Collection names are unique per user
+    UNIQUE KEY unique_user_collection (user_id, name),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Saved topics and replies
+CREATE TABLE IF NOT EXISTS forum_bookmarks (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    entity_type ENUM('topic', 'reply') NOT NULL,
+    entity_id INT UNSIGNED NOT NULL COMMENT 'forum_topics.id or forum_replies.id',
+    collection_id INT UNSIGNED NULL COMMENT 'NULL = not in a collection',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_collection_id (collection_id),
+    -- One bookmark per user and post
+    UNIQUE KEY unique_user_bookmark (user_id, entity_type, entity_id),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (collection_id) REFERENCES forum_bookmark_collections(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Free-form topic tags, names are stored lower case
+CREATE TABLE IF NOT EXISTS forum_tags (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(30) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_tag_name (name)
+) ENGINE=InnoDB;
+
+-- Tags of each topic
+CREATE TABLE IF NOT EXISTS forum_topic_tags (
+    topic_id INT UNSIGNED NOT NULL,
+    tag_id INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (topic_id, tag_id),
+    -- Performance indexes
+    INDEX idx_tag_id (tag_id),
+    -- Foreign keys
+    FOREIGN KEY (topic_id) REFERENCES forum_topics(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES forum_tags(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- @username mentions in forum posts and admin internal notes
+CREATE TABLE IF NOT EXISTS mentions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    source_type ENUM('topic', 'reply', 'message') NOT NULL,
+    source_id INT UNSIGNED NOT NULL COMMENT 'forum_topics.id, forum_replies.id or messages.id',
+    mentioned_user_id INT UNSIGNED NOT NULL,
+    author_id INT UNSIGNED NOT NULL COMMENT 'User who wrote the mention',
+    notified_at TIMESTAMP NULL COMMENT 'When the mentioned user was notified, NULL while the source is not visible yet',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    INDEX idx_mentioned_user (mentioned_user_id, created_at),
+    -- One mention per user and source
+    UNIQUE KEY unique_source_mention (source_type, source_id, mentioned_user_id),
+    -- Foreign keys
+    FOREIGN KEY (mentioned_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- In-app notification center
+CREATE TABLE IF NOT EXISTS notifications (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL COMMENT 'Recipient',
+    type ENUM('reply', 'like', 'mention', 'moderation', 'admin_message') NOT NULL,
+    actor_id INT UNSIGNED NULL COMMENT 'User who caused the notification',
+    entity_type ENUM('topic', 'reply', 'message') NOT NULL,
+    entity_id INT UNSIGNED NOT NULL COMMENT 'forum_topics.id, forum_replies.id or messages.id',
+    data JSON NOT NULL COMMENT 'Display data: topic_id, title, excerpt, moderation action and reason, conversation_id',
+    is_read BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Performance indexes
+    INDEX idx_user_unread (user_id, is_read),
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_like_actor (type, entity_type, entity_id, actor_id),
+    -- Foreign keys
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
 -- ===================================================================
 -- FORUM FILE UPLOAD TABLES
 -- ===================================================================
@@ -182,8 +432,8 @@ CREATE TABLE IF NOT EXISTS forum_uploads (
     mime_type VARCHAR(100) NOT NULL,
     file_path VARCHAR(500) NOT NULL,
     file_url VARCHAR(500) NOT NULL,
-    entity_type ENUM('topic', 'reply') NOT NULL,
-    entity_id INT UNSIGNED NULL COMMENT 'Topic or reply ID when associated',
+    entity_type ENUM('topic', 'reply', 'avatar') NOT NULL,
+    entity_id INT UNSIGNED NULL COMMENT 'Topic or reply ID when associated, user ID for avatars',
     status TINYINT UNSIGNED DEFAULT 0 COMMENT '0 = uploading, 1 = completed, 2 = failed, 3 = deleted',
     metadata JSON COMMENT 'File metadata (dimensions, virus scan, etc.)',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -3,7 +3,7 @@
  * @description Centralized configuration management with validation and security checks
  * @author Michael Lee
  * @created 2025-06-26
- * @modified 2025-07-01
+ * @modified 2025-10-19
  * 
  * This file provides centralized configuration management for the entire
  * application with environment variable validation, security checks, and
@@ -14,6 +14,16 @@
  * - 2025-06-27: Added Redis configuration for distributed metrics system
  * - 2025-06-27: Enhanced documentation with comprehensive environment variables
  * - 2025-07-01: Changed APP_SECRET to APP_SECRET
+ * - 2025-10-19: Added session token lifetimes
+ * - 2025-10-19: Added SMS transport and OTP configuration
+ * - 2025-10-19: Added password hashing and login challenge configuration
+ * - 2025-10-19: Added login lockout durations
+ * - 2025-10-19: Added admin TOTP configuration
+ * - 2025-10-19: Added legacy app signature switch
+ * - 2025-10-19: Added API client registry with per-client secrets, scopes and rate limits
+ * - 2025-10-19: Refused console and file SMS drivers in production
+ * - 2025-10-19: Documented account deletion and export variables
+ * - 2025-10-19: Added twilio SMS driver credentials and driver module path
  * 
  * Functions:
  * - Configuration object factory with validation
@@ -39,6 +49,37 @@
  * - REDIS_PASSWORD: Redis authentication password
  * - REDIS_DB: Redis database number (default: 0)
  * - REDIS_KEY_PREFIX: Redis key namespace prefix (default: ha:)
+ * - ACCESS_TOKEN_TTL: Access token lifetime in seconds (default: 3600)
+ * - REFRESH_TOKEN_TTL: Refresh token lifetime in seconds (default: 2592000)
+ * - SMS_DRIVER: SMS transport driver (default: console; must be set to a real transport
+ *   in production, where the console and file drivers are refused)
+ * - SMS_FILE_PATH: Output file of the file driver (default: logs/sms.log)
+ * - SMS_DRIVER_MODULE: Path of a provider driver module registered as SMS_DRIVER (optional)
+ * - SMS_COUNTRY_CODE: Country code added to local phone numbers by the twilio driver (default: 86)
+ * - TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_FROM_NUMBER: Credentials and sender of the twilio driver
+ * - OTP_LENGTH: Number of digits in a code (default: 6)
+ * - OTP_TTL: Code lifetime in seconds (default: 300)
+ * - OTP_MAX_ATTEMPTS: Wrong guesses before a code is destroyed (default: 5)
+ * - OTP_RESEND_INTERVAL: Seconds between codes to one phone number (default: 60)
+ * - OTP_VERIFICATION_TTL: Verification token lifetime in seconds (default: 600)
+ * - BCRYPT_ROUNDS: bcrypt cost factor for new stored passwords and login salts (default: 12)
+ * - LOGIN_CHALLENGE_TTL: Login challenge lifetime in seconds (default: 60)
+ * - RATE_LIMIT_AUTH_MAX: Failed logins per account before lockout (default: 5)
+ * - LOGIN_LOCKOUT_BASE: First lockout duration in seconds, doubled per lockout (default: 60)
+ * - LOGIN_LOCKOUT_MAX: Longest lockout duration in seconds (default: 3600)
+ * - APP_ALLOW_LEGACY_SIGNATURE: Accept timestamp-only app signatures without X-Nonce (default: true)
+ * - APP_DEFAULT_CLIENT_ID: Client assumed when X-Client-Id is missing (default: ios)
+ * - IOS_CLIENT_SECRET / IOS_CLIENT_SECRET_NEXT: iOS app keys (active defaults to APP_SECRET)
+ * - ANDROID_CLIENT_SECRET / ANDROID_CLIENT_SECRET_NEXT: Android app keys (client disabled without key)
+ * - ADMIN_CONSOLE_SECRET / ADMIN_CONSOLE_SECRET_NEXT: Admin console keys (client disabled without key)
+ * - IOS_RATE_LIMIT_MAX / ANDROID_RATE_LIMIT_MAX / ADMIN_CONSOLE_RATE_LIMIT_MAX: Per-client request limit
+ *   per rate limit window (default: RATE_LIMIT_MAX_REQUESTS)
+ * - TOTP_ISSUER: Issuer shown in authenticator apps (default: Home Assistant)
+ * - TOTP_WINDOW: Accepted clock drift in 30 second steps (default: 1)
+ * - TOTP_MAX_ATTEMPTS: Failed 2FA verifications per rate limit window (default: 5)
+ * - ACCOUNT_DELETION_GRACE_DAYS: Days between a deletion request and the purge (default: 30)
+ * - ACCOUNT_EXPORT_TTL_HOURS: Hours a personal data export can be downloaded (default: 72)
+ * - ACCOUNT_EXPORT_DIR: Directory of export archives, not served statically (default: exports)
  * - Rate limiting and logging configuration variables
  */
 
@@ -64,13 +105,88 @@ const config = {
 
   app: {
     appSecret: process.env.APP_SECRET,
-    timestampWindow: parseInt(process.env.API_TIMESTAMP_WINDOW, 10) || 300000 // 5 minutes
+    timestampWindow: parseInt(process.env.API_TIMESTAMP_WINDOW, 10) || 300000, // 5 minutes
+    // Timestamp-only signatures stay accepted until the iOS app signs full requests
+    allowLegacySignature: process.env.APP_ALLOW_LEGACY_SIGNATURE !== 'false',
+    defaultClientId: process.env.APP_DEFAULT_CLIENT_ID || 'ios'
+  },
+
+  // API client registry keyed by X-Client-Id. A client without secret is disabled.
+  // nextSecret is accepted next to secret so keys can be rotated without a flag day.
+  clients: {
+    ios: {
+      name: 'iOS App',
+      secret: process.env.IOS_CLIENT_SECRET || process.env.APP_SECRET,
+      nextSecret: process.env.IOS_CLIENT_SECRET_NEXT || null,
+      scopes: ['api', 'admin'],
+      rateLimitMax: parseInt(process.env.IOS_RATE_LIMIT_MAX, 10) || null
+    },
+    android: {
+      name: 'Android App',
+      secret: process.env.ANDROID_CLIENT_SECRET || null,
+      nextSecret: process.env.ANDROID_CLIENT_SECRET_NEXT || null,
+      scopes: ['api'],
+      rateLimitMax: parseInt(process.env.ANDROID_RATE_LIMIT_MAX, 10) || null
+    },
+    admin_console: {
+      name: 'Admin Console',
+      secret: process.env.ADMIN_CONSOLE_SECRET || null,
+      nextSecret: process.env.ADMIN_CONSOLE_SECRET_NEXT || null,
+      scopes: ['api', 'admin'],
+      rateLimitMax: parseInt(process.env.ADMIN_CONSOLE_RATE_LIMIT_MAX, 10) || null
+    }
+  },
+
+  session: {
+    accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 3600, // 1 hour
+    refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 2592000 // 30 days
+  },
+
+  sms: {
+    driver: process.env.SMS_DRIVER || 'console',
+    filePath: process.env.SMS_FILE_PATH || 'logs/sms.log',
+    driverModule: process.env.SMS_DRIVER_MODULE || null,
+    countryCode: process.env.SMS_COUNTRY_CODE || '86',
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID || null,
+      authToken: process.env.TWILIO_AUTH_TOKEN || null,
+      from: process.env.TWILIO_FROM_NUMBER || null
+    }
+  },
+
+  otp: {
+    length: parseInt(process.env.OTP_LENGTH, 10) || 6,
+    ttl: parseInt(process.env.OTP_TTL, 10) || 300, // 5 minutes
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+    resendInterval: parseInt(process.env.OTP_RESEND_INTERVAL, 10) || 60,
+    verificationTtl: parseInt(process.env.OTP_VERIFICATION_TTL, 10) || 600 // 10 minutes
+  },
+
+  password: {
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
+    challengeTtl: parseInt(process.env.LOGIN_CHALLENGE_TTL, 10) || 60
+  },
+
+  totp: {
+    issuer: process.env.TOTP_ISSUER || 'Home Assistant',
+    window: parseInt(process.env.TOTP_WINDOW, 10) || 1,
+    maxAttempts: parseInt(process.env.TOTP_MAX_ATTEMPTS, 10) || 5,
+    enrollmentTtl: 600, // Pending enrollment lifetime in seconds
+    recoveryCodeCount: 10
+  },
+
+  account: {
+    deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+    exportTtlHours: parseInt(process.env.ACCOUNT_EXPORT_TTL_HOURS, 10) || 72, // Archive download window
+    exportDir: process.env.ACCOUNT_EXPORT_DIR || 'exports' // Not served statically
   },
 
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000,
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
-    maxAuthAttempts: parseInt(process.env.RATE_LIMIT_AUTH_MAX, 10) || 5
+    maxAuthAttempts: parseInt(process.env.RATE_LIMIT_AUTH_MAX, 10) || 5, // Failed logins per account before lockout
+    lockoutBase: parseInt(process.env.LOGIN_LOCKOUT_BASE, 10) || 60, // First lockout in seconds, doubles each time
+    lockoutMax: parseInt(process.env.LOGIN_LOCKOUT_MAX, 10) || 3600 // Longest lockout in seconds
   },
 
   logging: {
@@ -124,4 +240,23 @@ if (config.app.appSecret.length < 32) {
   process.exit(1)
 }
 
+// Validate client keys with the same rules as APP_SECRET
+for (const [clientId, client] of Object.entries(config.clients)) {
+  for (const secret of [client.secret, client.nextSecret].filter(Boolean)) {
+    if (dangerousDefaults.includes(secret) || secret.length < 32) {
+      console.error(`Secret of API client "${clientId}" must be a random value of at least 32 characters`)
+      process.exit(1)
+    }
+  }
+}
+
+// Development SMS drivers write OTP codes and phone numbers in clear text
+const developmentSmsDrivers = ['console', 'file']
+
+if (config.server.env === 'production' &&
+    (!process.env.SMS_DRIVER || developmentSmsDrivers.includes(config.sms.driver))) {
+  console.error('SMS_DRIVER must be set to a real SMS transport in production, e.g. twilio (console and file are development only)')
+  process.exit(1)
+}
+
 module.exports = config
\ No newline at end of file
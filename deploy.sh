@@ -118,6 +118,13 @@ RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=100
 RATE_LIMIT_AUTH_MAX=5
 
+# SMS (registration and password reset codes; console and file are refused in production)
+SMS_DRIVER=twilio
+SMS_COUNTRY_CODE=86
+TWILIO_ACCOUNT_SID=your_twilio_account_sid
+TWILIO_AUTH_TOKEN=your_twilio_auth_token
+TWILIO_FROM_NUMBER=+10000000000
+
 # Logging
 LOG_LEVEL=info
 LOG_FORMAT=combined
@@ -3,7 +3,7 @@
  * @description Enhanced admin authentication middleware with session token support
  * @author Claude Code
  * @created 2025-07-23
- * @modified 2025-07-29
+ * @modified 2025-10-19
  * 
  * This middleware provides scalable admin authentication and authorization
  * with enhanced security features including session token validation and
@@ -17,6 +17,7 @@
  * - logAdminAction: Enhanced audit logging with IP tracking
  * - isAdmin: Helper function to check if user is admin
  * - checkAdminPermission: Flexible permission checker for specific operations
+ * - requireAdminMfa: Middleware to require a completed TOTP second factor on the session
  * 
  * Security Features:
  * - Enhanced admin status validation (user_status = 87)
@@ -24,16 +25,19 @@
  * - Comprehensive audit logging with IP addresses and endpoints
  * - Failed access attempt logging
  * - Integration with Redis session management
+ * - TOTP second factor required on every admin session
  * 
  * Dependencies:
  * - config/database.js: MySQL connection pool for audit logging
  * - config/redis.js: Redis client for session management
  * - middleware/userAuth.js: Base user authentication
+ * - services/totpService.js: Admin TOTP enrollment status
  */
 
 const pool = require('../config/database');
 const redisClient = require('../config/redis.js');
 const { authenticateUser } = require('./userAuth');
+const totpService = require('../services/totpService');
 
 /**
  * Check if user has admin status
@@ -106,12 +110,21 @@ const requireAdmin = (req, res, next) => {
 
 /**
  * Middleware to allow admin or resource owner access
+ *
+ * The owner is read from a request parameter, or resolved by a function for
+ * resources whose owner is stored with the resource (e.g. the author of a
+ * forum topic). A resolver returning null means the resource does not exist,
+ * the route handler then answers 404. Admins only override ownership after
+ * completing the TOTP second factor on their session; the override is logged
+ * and flagged as req.adminOverride for the route handler.
+ *
  * @function requireAdminOrOwner
- * @param {string} ownerIdParam - Parameter name containing owner ID (e.g., 'userId', 'id')
+ * @param {string|Function} ownerIdParam - Parameter name containing owner ID (e.g., 'userId', 'id'),
+ *   or async function (req) => owner user ID or null
  * @returns {Function} Express middleware function
  */
 const requireAdminOrOwner = (ownerIdParam = 'userId') => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // First check if user is authenticated
     if (!req.user || !req.user.id) {
       return res.status(401).json({
@@ -120,17 +133,32 @@ const requireAdminOrOwner = (ownerIdParam = 'userId') => {
       });
     }
 
-    const ownerId = parseInt(req.params[ownerIdParam] || req.body[ownerIdParam]);
+    let ownerId;
+    try {
+      ownerId = typeof ownerIdParam === 'function'
+        ? await ownerIdParam(req)
+        : parseInt(req.params[ownerIdParam] || req.body[ownerIdParam]);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (ownerId === null || ownerId === undefined) {
+      return next();
+    }
+
     const userId = req.user.id;
+    const adminVerified = isAdmin(req.user) && !!req.user.mfa_verified_at;
 
     // Allow if user is admin or owns the resource
-    if (isAdmin(req.user) || userId === ownerId) {
+    if (adminVerified || userId === ownerId) {
+      req.adminOverride = userId !== ownerId;
+
       // Log admin action if admin is accessing someone else's resource
-      if (isAdmin(req.user) && userId !== ownerId) {
+      if (req.adminOverride) {
         logAdminAction(userId, 'access_user_resource', {
           target_type: 'user',
           target_id: ownerId,
-          endpoint: req.path,
+          endpoint: req.originalUrl,
           method: req.method,
           ip_address: req.ip || 'unknown'
         }).catch(console.error);
@@ -246,11 +274,66 @@ const validateSessionToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Reject admin sessions that have not completed the TOTP second factor
+ * @async
+ * @function rejectWithoutMfa
+ * @param {Object} req - Express request object with authenticated admin req.user
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if a 403 response was sent
+ */
+const rejectWithoutMfa = async (req, res) => {
+  if (req.user.mfa_verified_at) {
+    return false;
+  }
+
+  const totpStatus = await totpService.getStatus(req.user.id);
+
+  await logAdminAction(req.user.id, '2fa_required', {
+    enrolled: totpStatus.enabled,
+    ip_address: req.ip || 'unknown',
+    endpoint: req.originalUrl,
+    method: req.method
+  });
+
+  res.status(403).json({
+    status: 'error',
+    message: totpStatus.enabled ? 'Two-factor verification required' : 'Two-factor enrollment required',
+    error_code: totpStatus.enabled ? 'MFA_REQUIRED' : 'MFA_ENROLLMENT_REQUIRED'
+  });
+  return true;
+};
+
+/**
+ * Middleware to require a completed TOTP second factor on the admin session
+ * @async
+ * @function requireAdminMfa
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void} Calls next() on success or sends 403 error response
+ */
+const requireAdminMfa = async (req, res, next) => {
+  try {
+    if (await rejectWithoutMfa(req, res)) {
+      return;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin 2FA check error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Admin authentication failed'
+    });
+  }
+};
+
 /**
  * Full admin authentication middleware with enhanced security
  * @async
  * @function authenticateAdmin
- * @param {Object} req - Express request object with user_id in body
+ * @param {Object} req - Express request object with Authorization: Bearer session token
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {void} Calls next() on success or sends error response
@@ -279,6 +362,11 @@ const authenticateAdmin = async (req, res, next) => {
       });
     }
 
+    // Second factor must be completed on this session
+    if (await rejectWithoutMfa(req, res)) {
+      return;
+    }
+
     // Validate session token if provided
     const providedToken = req.headers['x-session-token'];
     if (providedToken && req.user.session_token !== providedToken) {
@@ -327,6 +415,7 @@ module.exports = {
   requireAdminOrOwner,
   checkAdminPermission,
   enhanceAdminContext,
+  requireAdminMfa,
   logAdminAction,
   isAdmin
 };
\ No newline at end of file
@@ -3,7 +3,7 @@
  * @description App-level authentication middleware for iOS client validation
  * @author Michael Lee
  * @created 2025-06-30
- * @modified 2025-06-30
+ * @modified 2025-10-19
  * 
  * This middleware validates that requests come from the authorized iOS app using
  * timestamp-based signature validation with a shared secret key. It prevents
@@ -11,27 +11,128 @@
  * 
  * Modification Log:
  * - 2025-06-30: Initial implementation with timestamp + HMAC signature validation
+ * - 2025-10-19: Signature covers method, path, body digest and nonce; nonce replay cache in Redis;
+ *   timestamp-only scheme kept behind config.app.allowLegacySignature
+ * - 2025-10-19: Per-client secrets from config.clients (X-Client-Id) with active/next keys,
+ *   req.appAuth.client and requireClientScope
  * 
  * Functions:
  * - validateAppAuth(req, res, next): Validates iOS app requests with signature
+ * - buildSignaturePayload(req, timestamp, nonce): Canonical string signed by the client
+ * - hashBody(req): SHA-256 of the raw request body
+ * - claimNonce(clientId, nonce): Store nonce for the timestamp window, false if already seen
+ * - resolveClient(clientId): Look up an enabled client in config.clients
+ * - requireClientScope(scope): Middleware factory restricting routes to clients with a scope
  * 
  * Dependencies:
  * - crypto: Built-in Node.js crypto module for HMAC validation
- * - config: Application configuration with iOS secret
+ * - config: Application configuration with client registry
+ * - config/redis.js: Nonce replay cache
  * 
  * Security Features:
  * - Timestamp validation (±5 minute window)
- * - HMAC-SHA256 signature verification
- * - Prevents replay attacks with time-based validation
+ * - HMAC-SHA256 signature over method, path, body digest and nonce
+ * - Each nonce is accepted once within the timestamp window (replay protection)
  * - Blocks requests from unauthorized sources
+ * - Independent secrets per client, two keys accepted during rotation
  * 
  * Required Headers:
+ * - X-Client-Id: Client from config.clients (optional, defaults to config.app.defaultClientId)
  * - X-Timestamp: Unix timestamp in milliseconds
- * - X-Signature: HMAC-SHA256(secret + timestamp)
+ * - X-Nonce: Random client nonce, 16-64 characters [A-Za-z0-9_-]
+ * - X-Signature: HMAC-SHA256(secret, "timestamp\nnonce\nMETHOD\npath\nsha256(body)")
+ * 
+ * Legacy Headers (only while config.app.allowLegacySignature is true):
+ * - X-Timestamp, X-Signature: HMAC-SHA256(secret, timestamp), no X-Nonce
  */
 
 const crypto = require('crypto');
 const config = require('../config');
+const redisClient = require('../config/redis.js');
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const SIGNATURE_PATTERN = /^[a-f0-9]{64}$/i;
+
+/**
+ * SHA-256 of the raw request body
+ *
+ * Uses the bytes captured by the JSON/urlencoded parsers (req.rawBody, see server.js).
+ * Requests without a parsed body (GET, multipart uploads) hash the empty string.
+ * @function hashBody
+ * @param {Object} req - Express request object
+ * @returns {string} Hex digest
+ */
+const hashBody = (req) => {
+  return crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+};
+
+/**
+ * Canonical string signed by the client
+ * @function buildSignaturePayload
+ * @param {Object} req - Express request object
+ * @param {string} timestamp - X-Timestamp header
+ * @param {string} nonce - X-Nonce header
+ * @returns {string} "timestamp\nnonce\nMETHOD\npath?query\nsha256(body)"
+ */
+const buildSignaturePayload = (req, timestamp, nonce) => {
+  return [timestamp, nonce, req.method.toUpperCase(), req.originalUrl, hashBody(req)].join('\n');
+};
+
+/**
+ * Look up an enabled client in config.clients
+ * @function resolveClient
+ * @param {string} clientId - X-Client-Id header
+ * @returns {Object|null} { id, name, scopes, rateLimitMax, keys: [{ version, secret }] } or null
+ */
+const resolveClient = (clientId) => {
+  if (!Object.prototype.hasOwnProperty.call(config.clients, clientId)) {
+    return null;
+  }
+
+  const client = config.clients[clientId];
+  if (!client.secret) {
+    return null;
+  }
+
+  const keys = [{ version: 'active', secret: client.secret }];
+  if (client.nextSecret) {
+    keys.push({ version: 'next', secret: client.nextSecret });
+  }
+
+  return {
+    id: clientId,
+    name: client.name,
+    scopes: client.scopes,
+    rateLimitMax: client.rateLimitMax,
+    keys
+  };
+};
+
+/**
+ * Store nonce for the timestamp window
+ * @async
+ * @function claimNonce
+ * @param {string} clientId - Client the nonce belongs to
+ * @param {string} nonce - X-Nonce header
+ * @returns {Promise<boolean>} False if the nonce was already used
+ * @throws {Error} 'Nonce cache unavailable', Redis errors
+ * @sideEffects Writes ha:app_nonce:{client_id}:{nonce}
+ */
+const claimNonce = async (clientId, nonce) => {
+  if (!redisClient.isReady()) {
+    throw new Error('Nonce cache unavailable');
+  }
+
+  // A timestamp is accepted up to one window in the past and future
+  const ttlSeconds = Math.ceil((config.app.timestampWindow * 2) / 1000);
+  const stored = await redisClient.getClient().set(
+    redisClient.key(`app_nonce:${clientId}:${nonce}`),
+    '1',
+    { NX: true, EX: ttlSeconds }
+  );
+
+  return !!stored;
+};
 
 /**
  * Validates that HTTP requests originate from the authorized iOS application
@@ -46,14 +147,23 @@ const config = require('../config');
  * app.use('/api/auth/login', validateAppAuth, authRoutes)
  * 
  * // Client-side signature generation:
- * const timestamp = Date.now()
- * const payload = `${timestamp}`
+ * const timestamp = Date.now().toString()
+ * const nonce = crypto.randomBytes(16).toString('hex')
+ * const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex')
+ * const payload = [timestamp, nonce, 'POST', '/api/auth/login', bodyHash].join('\n')
  * const signature = crypto.createHmac('sha256', APP_SECRET).update(payload).digest('hex')
  */
-const validateAppAuth = (req, res, next) => {
+const validateAppAuth = async (req, res, next) => {
   try {
+    // Routers re-apply this middleware; the nonce must only be claimed once per request
+    if (req.appAuth && req.appAuth.verified) {
+      return next();
+    }
+
     const timestamp = req.headers['x-timestamp'];
     const clientSignature = req.headers['x-signature'];
+    const nonce = req.headers['x-nonce'];
+    const clientId = req.headers['x-client-id'] || config.app.defaultClientId;
 
     // Validate required headers
     if (!timestamp || !clientSignature) {
@@ -63,6 +173,21 @@ const validateAppAuth = (req, res, next) => {
       });
     }
 
+    if (!nonce && !config.app.allowLegacySignature) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required headers',
+        error_code: 'SIGNATURE_UPGRADE_REQUIRED'
+      });
+    }
+
+    if ((nonce && !NONCE_PATTERN.test(nonce)) || !SIGNATURE_PATTERN.test(clientSignature)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid signature'
+      });
+    }
+
     // Validate timestamp (±5 minutes)
     const now = Date.now();
     const requestTime = parseInt(timestamp);
@@ -76,39 +201,70 @@ const validateAppAuth = (req, res, next) => {
       });
     }
 
-    // Generate expected signature: HMAC-SHA256(secret, timestamp)
-    const appSecret = config.app.appSecret;
-    if (!appSecret) {
-      console.error('APP app secret not configured');
-      return res.status(500).json({
+    const client = resolveClient(clientId);
+    if (!client) {
+      return res.status(401).json({
         status: 'error',
-        message: 'Server configuration error'
+        message: 'Unknown client',
+        error_code: 'UNKNOWN_CLIENT'
       });
     }
 
-    const payload = `${timestamp}`;
-    const expectedSignature = crypto
-      .createHmac('sha256', appSecret)
-      .update(payload)
-      .digest('hex');
+    // Legacy scheme signs only the timestamp
+    const payload = nonce ? buildSignaturePayload(req, timestamp, nonce) : `${timestamp}`;
+    const signatureBuffer = Buffer.from(clientSignature, 'hex');
+
+    // Try the active key and, during rotation, the next key (constant-time comparison)
+    const matchedKey = client.keys.find(({ secret }) => {
+      const expectedSignature = crypto
+        .createHmac('sha256', secret)
+        .update(payload)
+        .digest();
+      return crypto.timingSafeEqual(signatureBuffer, expectedSignature);
+    });
 
-    // Compare signatures (constant-time comparison to prevent timing attacks)
-    if (!crypto.timingSafeEqual(Buffer.from(clientSignature, 'hex'), Buffer.from(expectedSignature, 'hex'))) {
+    if (!matchedKey) {
       return res.status(401).json({
         status: 'error',
         message: 'Invalid signature'
       });
     }
 
+    // Nonce is claimed only after the signature matched, so forged requests cannot burn nonces
+    if (nonce && !(await claimNonce(client.id, nonce))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Replayed request',
+        error_code: 'NONCE_REUSED'
+      });
+    }
+
     // Add app info to request for logging
     req.appAuth = {
       timestamp: requestTime,
+      nonce: nonce || null,
+      scheme: nonce ? 'signed_request' : 'legacy',
+      client: {
+        id: client.id,
+        name: client.name,
+        scopes: client.scopes,
+        rateLimitMax: client.rateLimitMax
+      },
+      keyVersion: matchedKey.version,
       verified: true
     };
 
     next();
   } catch (error) {
     console.error('App authentication error:', error);
+
+    if (error.message === 'Nonce cache unavailable') {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Service temporarily unavailable'
+      });
+    }
+
     return res.status(500).json({
       status: 'error',
       message: 'Authentication validation failed'
@@ -116,6 +272,29 @@ const validateAppAuth = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware factory restricting routes to clients with a scope
+ * @function requireClientScope
+ * @param {string} scope - Required scope ('api', 'admin')
+ * @returns {Function} Express middleware, must run after validateAppAuth
+ */
+const requireClientScope = (scope) => {
+  return (req, res, next) => {
+    const client = req.appAuth && req.appAuth.client;
+
+    if (!client || !client.scopes.includes(scope)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Client not allowed for this endpoint',
+        error_code: 'CLIENT_SCOPE_DENIED'
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
-  validateAppAuth
+  validateAppAuth,
+  requireClientScope
 };
\ No newline at end of file
@@ -3,7 +3,7 @@
  * @description Express middleware for automatic metrics collection on HTTP requests
  * @author Michael Lee
  * @created 2025-06-27
- * @modified 2025-06-27
+ * @modified 2025-10-19
  * 
  * This middleware automatically captures metrics for all HTTP requests including
  * request counts, response times, and error rates. It integrates with the Redis-based
@@ -13,6 +13,7 @@
  * - 2025-06-27: Initial implementation with request/response tracking
  * - 2025-06-27: Added localhost filtering and error handling
  * - 2025-06-27: Enhanced documentation and middleware pattern compliance
+ * - 2025-10-19: Count requests per API client
  * 
  * Functions:
  * - metricsMiddleware(req, res, next): Express middleware function for metrics collection
@@ -25,6 +26,7 @@
  * - Captures request start time and endpoint identification
  * - Records response time and status code upon completion
  * - Automatically tracks error rates for 4xx/5xx responses
+ * - Counts requests per API client once validateAppAuth identified it
  */
 
 const metricsService = require('../services/metrics.js')
@@ -58,6 +60,11 @@ const metricsMiddleware = (req, res, next) => {
   res.end = function (...args) {
     const statusCode = res.statusCode
 
+    // Client is known only after validateAppAuth ran further down the chain
+    if (req.appAuth && req.appAuth.client) {
+      metricsService.incrementClientRequests(req.appAuth.client.id).catch(console.error)
+    }
+
     // Track accepted vs total requests
     if (statusCode < 400) {
       // Request was accepted (not an error)
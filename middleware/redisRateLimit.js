@@ -3,7 +3,7 @@
  * @description Redis-backed distributed rate limiting middleware for PM2 cluster coordination
  * @author Michael Lee
  * @created 2025-06-27
- * @modified 2025-06-27
+ * @modified 2025-10-19
  * 
  * This module provides distributed rate limiting using Redis as the shared state store,
  * enabling consistent rate limiting across multiple PM2 instances. It offers both
@@ -13,6 +13,7 @@
  * - 2025-06-27: Initial implementation with fixed window rate limiting
  * - 2025-06-27: Added sliding window rate limiting for more precise control
  * - 2025-06-27: Enhanced documentation and error handling
+ * - 2025-10-19: Allow per-request limits (max as function) for per-client rate limits
  * 
  * Functions:
  * - redisRateLimit(options): Factory for fixed window rate limiting middleware
@@ -36,7 +37,7 @@ const redisClient = require('../config/redis.js')
  * Factory function for Redis-based fixed window rate limiting middleware
  * @param {Object} options - Configuration object for rate limiting behavior
  * @param {number} [options.windowMs=900000] - Time window in milliseconds (default: 15 minutes)
- * @param {number} [options.max=100] - Maximum requests allowed per window
+ * @param {number|Function} [options.max=100] - Maximum requests allowed per window, or function(req) returning it
  * @param {Function} [options.keyGenerator] - Function to generate unique rate limit key from request
  * @param {Object} [options.message] - Error response object when rate limit exceeded
  * @returns {Function} Express middleware function for rate limiting
@@ -66,6 +67,7 @@ const redisRateLimit = (options = {}) => {
     try {
       const client = redisClient.getClient()
       const key = redisClient.key(`rate_limit:${keyGenerator(req)}`)
+      const limit = typeof max === 'function' ? max(req) : max
       const now = Date.now()
       const windowStart = Math.floor(now / windowMs) * windowMs
 
@@ -88,11 +90,11 @@ const redisRateLimit = (options = {}) => {
       const currentCount = results[1] || 0
 
       // Check if limit exceeded
-      if (currentCount >= max) {
+      if (currentCount >= limit) {
         const retryAfter = Math.ceil((windowStart + windowMs - now) / 1000)
         
         res.set({
-          'X-RateLimit-Limit': max,
+          'X-RateLimit-Limit': limit,
           'X-RateLimit-Remaining': 0,
           'X-RateLimit-Reset': new Date(windowStart + windowMs).toISOString(),
           'Retry-After': retryAfter
@@ -103,8 +105,8 @@ const redisRateLimit = (options = {}) => {
 
       // Set rate limit headers
       res.set({
-        'X-RateLimit-Limit': max,
-        'X-RateLimit-Remaining': Math.max(0, max - currentCount - 1),
+        'X-RateLimit-Limit': limit,
+        'X-RateLimit-Remaining': Math.max(0, limit - currentCount - 1),
         'X-RateLimit-Reset': new Date(windowStart + windowMs).toISOString()
       })
 
@@ -121,7 +123,7 @@ const redisRateLimit = (options = {}) => {
  * Factory function for Redis-based sliding window rate limiting middleware
  * @param {Object} options - Configuration object for sliding window rate limiting
  * @param {number} [options.windowMs=900000] - Rolling time window in milliseconds (default: 15 minutes)
- * @param {number} [options.max=100] - Maximum requests allowed in sliding window
+ * @param {number|Function} [options.max=100] - Maximum requests allowed in sliding window, or function(req) returning it
  * @param {Function} [options.keyGenerator] - Function to generate unique rate limit key from request
  * @param {Object} [options.message] - Error response object when rate limit exceeded
  * @returns {Function} Express middleware function for precise rate limiting
@@ -150,6 +152,7 @@ const slidingWindowRateLimit = (options = {}) => {
     try {
       const client = redisClient.getClient()
       const key = redisClient.key(`sliding_limit:${keyGenerator(req)}`)
+      const limit = typeof max === 'function' ? max(req) : max
       const now = Date.now()
       const windowStart = now - windowMs
 
@@ -165,7 +168,7 @@ const slidingWindowRateLimit = (options = {}) => {
       const results = await multi.exec()
       const currentCount = results[1] || 0
 
-      if (currentCount >= max) {
+      if (currentCount >= limit) {
         // Get the oldest entry to calculate when the window will have space
         const oldest = await client.zRange(key, 0, 0, { REV: false, WITHSCORES: true })
         const retryAfter = oldest.length > 0 
@@ -173,7 +176,7 @@ const slidingWindowRateLimit = (options = {}) => {
           : Math.ceil(windowMs / 1000)
 
         res.set({
-          'X-RateLimit-Limit': max,
+          'X-RateLimit-Limit': limit,
           'X-RateLimit-Remaining': 0,
           'X-RateLimit-Reset': new Date(now + retryAfter * 1000).toISOString(),
           'Retry-After': retryAfter
@@ -189,8 +192,8 @@ const slidingWindowRateLimit = (options = {}) => {
         .exec()
 
       res.set({
-        'X-RateLimit-Limit': max,
-        'X-RateLimit-Remaining': Math.max(0, max - currentCount - 1),
+        'X-RateLimit-Limit': limit,
+        'X-RateLimit-Remaining': Math.max(0, limit - currentCount - 1),
         'X-RateLimit-Reset': new Date(now + windowMs).toISOString()
       })
 
@@ -3,29 +3,44 @@
  * @description Input validation middleware using Zod schemas
  * @author Michael Lee
  * @created 2025-06-26
- * @modified 2025-06-26
+ * @modified 2025-10-19
  * 
  * This file provides comprehensive input validation for all API endpoints
  * using Zod schema validation with detailed error reporting.
  * 
  * Dependencies:
  * - zod: Schema validation library
+ * - config/database.js: Username uniqueness lookup
  * 
  * Schemas:
  * - userLogin: UUID and device_id validation for user authentication
  * - userLog: Action type and details validation for activity logging
- * - forumTopic: Title, content, category validation for forum topics
+ * - username: Username rules (length, characters, reserved names)
+ * - userProfileUpdate: Display name and bio validation for profile updates
+ * - forumTopic: Title, content, category and tags validation for forum topics
  * - forumTopicUpdate: Optional fields for topic updates
  * - forumReply: Content validation for forum replies
  * - forumReplyUpdate: Content validation for reply updates
  * - forumLike: User ID validation for like/unlike actions
  * - forumSearch: Search query validation
  * - forumDraft: Draft validation for topics and replies
+ * - forumBookmarkCollection: Bookmark collection name
+ * - forumTagRename: New tag name for admin renames
+ * - forumTopicFlags: Pinned, locked and featured states set by admins
  * - chatMessage: Message content validation for chat
  * - adminLogin: Username and password validation for admin auth
+ * - moderationPolicyUpdate: Forum moderation policy thresholds, keywords and categories
+ *
+ * Middleware:
+ * - validate(schema, source): Parse request data against a schema
+ * - validateUsername(field): Username rules and uniqueness for a body field
  */
 
 const { z } = require('zod')
+const pool = require('../config/database')
+
+// Names that would impersonate staff or system messages
+const RESERVED_USERNAMES = ['admin', 'administrator', 'root', 'system', 'support', 'moderator', 'official', 'deleted', 'anonymous']
 
 // User validation schemas
 const userLoginSchema = z.object({
@@ -38,21 +53,55 @@ const userLogSchema = z.object({
   details: z.string().optional()
 })
 
+// Letters (any script), digits, underscore, dot and hyphen; unique case-insensitively
+const usernameSchema = z.string()
+  .trim()
+  .min(3, 'Username must be at least 3 characters')
+  .max(30, 'Username must be less than 30 characters')
+  .regex(/^[\p{L}\p{N}_.-]+$/u, 'Username can only contain letters, numbers, underscores, dots and hyphens')
+  .refine(value => !/^\d+$/.test(value), 'Username cannot be only numbers')
+  .refine(value => !RESERVED_USERNAMES.includes(value.toLowerCase()), 'Username is reserved')
+
+// Empty string or null clears the field
+const userProfileUpdateSchema = z.object({
+  display_name: z.string().trim().max(50, 'Display name must be less than 50 characters').nullable().optional(),
+  bio: z.string().trim().max(500, 'Bio must be less than 500 characters').nullable().optional()
+}).refine(data => data.display_name !== undefined || data.bio !== undefined, 'At least one field is required')
+
 // Forum validation schemas
+
+// Tags per topic
+const MAX_TOPIC_TAGS = 5
+
+// Stored lower case; letters (any script) and digits, inner dots, underscores, hyphens and plus signs ("home-assistant", "c++")
+const forumTagSchema = z.string()
+  .trim()
+  .toLowerCase()
+  .min(2, 'Tag must be at least 2 characters')
+  .max(30, 'Tag must be less than 30 characters')
+  .regex(/^[\p{L}\p{N}][\p{L}\p{N}_.+-]*$/u, 'Tags can only contain letters, numbers, dots, underscores, hyphens and plus signs')
+
+// Duplicates are dropped after normalization
+const forumTopicTagsSchema = z.array(forumTagSchema)
+  .max(MAX_TOPIC_TAGS, `Maximum ${MAX_TOPIC_TAGS} tags allowed`)
+  .transform(tags => [...new Set(tags)])
+
 const forumTopicSchema = z.object({
   user_id: z.number().int().positive('User ID must be a positive integer'),
   title: z.string().min(3, 'Title must be at least 3 characters').max(100, 'Title must be less than 100 characters'),
   content: z.string().min(10, 'Content must be at least 10 characters').max(2000, 'Content must be less than 2000 characters'),
   category: z.string().min(1, 'Category is required').max(100, 'Category name too long'),
-  images: z.array(z.string().url('Invalid image URL')).max(3, 'Maximum 3 images allowed').optional()
+  images: z.array(z.string().url('Invalid image URL')).max(3, 'Maximum 3 images allowed').optional(),
+  tags: forumTopicTagsSchema.optional()
 })
 
 const forumTopicUpdateSchema = z.object({
-  user_id: z.number().int().positive('User ID must be a positive integer'),
+  user_id: z.number().int().positive('User ID must be a positive integer').optional(),
   title: z.string().min(3, 'Title must be at least 3 characters').max(100, 'Title must be less than 100 characters').optional(),
   content: z.string().min(10, 'Content must be at least 10 characters').max(2000, 'Content must be less than 2000 characters').optional(),
   category: z.string().min(1, 'Category is required').max(100, 'Category name too long').optional(),
-  images: z.array(z.string().url('Invalid image URL')).max(3, 'Maximum 3 images allowed').optional()
+  images: z.array(z.string().url('Invalid image URL')).max(3, 'Maximum 3 images allowed').optional(),
+  tags: forumTopicTagsSchema.optional()
 })
 
 const forumReplySchema = z.object({
@@ -63,7 +112,7 @@ const forumReplySchema = z.object({
 })
 
 const forumReplyUpdateSchema = z.object({
-  user_id: z.number().int().positive('User ID must be a positive integer'),
+  user_id: z.number().int().positive('User ID must be a positive integer').optional(),
   content: z.string().min(1, 'Content is required').max(1000, 'Content must be less than 1000 characters'),
   images: z.array(z.string().url('Invalid image URL')).max(2, 'Maximum 2 images allowed').optional()
 })
@@ -89,12 +138,31 @@ const forumDraftSchema = z.object({
   topic_id: z.number().int().positive('Topic ID must be a positive integer').optional()
 })
 
+const forumBookmarkCollectionSchema = z.object({
+  name: z.string().trim().min(1, 'Collection name is required').max(50, 'Collection name must be less than 50 characters')
+})
+
+const forumTagRenameSchema = z.object({
+  name: forumTagSchema
+})
+
+// Partial update, flags that are not sent keep their current value
+const forumTopicFlagsSchema = z.object({
+  is_pinned: z.boolean().optional(),
+  is_locked: z.boolean().optional(),
+  is_featured: z.boolean().optional(),
+  reason: z.string().trim().max(500, 'Reason must be less than 500 characters').optional()
+}).strict().refine(data => ['is_pinned', 'is_locked', 'is_featured'].some(flag => data[flag] !== undefined), 'At least one flag is required')
+
 const forumTopicsQuerySchema = z.object({
   page: z.number().int().min(1, 'Page must be at least 1').optional(),
   limit: z.number().int().min(1, 'Limit must be at least 1').max(50, 'Limit cannot exceed 50').optional(),
   category: z.string().max(100, 'Category name too long').optional(),
   sort: z.enum(['newest', 'oldest', 'popular', 'trending']).optional(),
-  search: z.string().min(1, 'Search term cannot be empty').max(100, 'Search term too long').optional()
+  search: z.string().min(1, 'Search term cannot be empty').max(100, 'Search term too long').optional(),
+  tags: z.string().max(200, 'Tags filter too long').optional(),
+  featured: z.enum(['true', 'false']).optional(),
+  solved: z.enum(['true', 'false']).optional()
 })
 
 const forumRepliesQuerySchema = z.object({
@@ -132,6 +200,18 @@ const adminLoginSchema = z.object({
   password: z.string().min(1, 'Password is required')
 })
 
+// Partial update, keys that are not sent keep their current value
+const moderationPolicyUpdateSchema = z.object({
+  auto_publish_enabled: z.boolean().optional(),
+  trusted_min_approved: z.number().int().min(0, 'Must be at least 0').max(1000, 'Must be at most 1000').optional(),
+  trusted_max_rejection_rate: z.number().min(0, 'Must be between 0 and 1').max(1, 'Must be between 0 and 1').optional(),
+  trusted_min_account_age_days: z.number().int().min(0, 'Must be at least 0').max(3650, 'Must be at most 3650').optional(),
+  max_links: z.number().int().min(0, 'Must be at least 0').max(100, 'Must be at most 100').optional(),
+  blocked_keywords: z.array(z.string().trim().min(1, 'Keyword cannot be empty').max(100, 'Keyword too long')).max(500, 'Maximum 500 keywords allowed').optional(),
+  review_categories: z.array(z.string().min(1, 'Category is required').max(100, 'Category name too long')).max(100, 'Maximum 100 categories allowed').optional(),
+  edit_review: z.enum(['always', 'untrusted', 'never']).optional()
+}).strict().refine(data => Object.keys(data).length > 0, 'At least one field is required')
+
 /**
  * Transform query string parameters to appropriate types
  * @param {Object} query - Query parameters object
@@ -189,11 +269,63 @@ const validate = (schema, source = 'body') => {
   }
 }
 
+/**
+ * Username validation middleware factory
+ * Skips missing values, required fields are checked by the route.
+ * @param {string} field - Body field holding the username
+ * @returns {Function} Express middleware function
+ */
+const validateUsername = (field = 'username') => {
+  return async (req, res, next) => {
+    const value = req.body ? req.body[field] : undefined
+
+    if (value === undefined || value === null || value === '') {
+      return next()
+    }
+
+    const result = usernameSchema.safeParse(value)
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: result.error.errors.map(err => ({
+          field,
+          message: err.message
+        }))
+      })
+    }
+
+    try {
+      // The account itself may keep its current name
+      const [users] = await pool.execute(
+        'SELECT id FROM users WHERE username = ? AND id <> ?',
+        [result.data, req.user ? req.user.id : 0]
+      )
+
+      if (users.length > 0) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Username already taken',
+          error_code: 'USERNAME_TAKEN'
+        })
+      }
+
+      req.body[field] = result.data
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
 module.exports = {
   validate,
+  validateUsername,
   schemas: {
     userLogin: userLoginSchema,
     userLog: userLogSchema,
+    username: usernameSchema,
+    userProfileUpdate: userProfileUpdateSchema,
     forumTopic: forumTopicSchema,
     forumTopicUpdate: forumTopicUpdateSchema,
     forumReply: forumReplySchema,
@@ -201,12 +333,16 @@ module.exports = {
     forumLike: forumLikeSchema,
     forumSearch: forumSearchSchema,
     forumDraft: forumDraftSchema,
+    forumBookmarkCollection: forumBookmarkCollectionSchema,
+    forumTagRename: forumTagRenameSchema,
+    forumTopicFlags: forumTopicFlagsSchema,
     forumTopicsQuery: forumTopicsQuerySchema,
     forumRepliesQuery: forumRepliesQuerySchema,
     forumDraftsQuery: forumDraftsQuerySchema,
     forumDelete: forumDeleteSchema,
     forumUpload: forumUploadSchema,
     chatMessage: chatMessageSchema,
-    adminLogin: adminLoginSchema
+    adminLogin: adminLoginSchema,
+    moderationPolicyUpdate: moderationPolicyUpdateSchema
   }
 }
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * @file routes/account.js
+ * @description HTTP routes for personal data export and self-service account deletion
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This file lets a logged in user download everything stored about them and
+ * delete their own account. Deletion waits for a grace period during which it
+ * can be cancelled, then the account is anonymized by the account maintenance
+ * job. Business logic lives in services/accountService.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with export jobs and scheduled deletion
+ * - 2025-10-19: Deletion is confirmed with a challenge-bound login proof
+ *
+ * Functions:
+ * - POST /api/account/exports: Request a personal data export
+ * - GET /api/account/exports: List export jobs
+ * - GET /api/account/exports/:id/download: Download a ready export archive
+ * - GET /api/account/deletion: Scheduled deletion status
+ * - POST /api/account/deletion: Schedule account deletion (password confirmation)
+ * - DELETE /api/account/deletion: Cancel scheduled deletion
+ *
+ * Dependencies:
+ * - express: Web framework for HTTP routing
+ * - services/accountService: Export jobs and account deletion
+ * - services/authService: Password confirmation
+ * - middleware/userAuth: User authentication middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+const accountService = require('../services/accountService');
+const authService = require('../services/authService');
+const { authenticateUser } = require('../middleware/userAuth');
+
+router.use(authenticateUser);
+
+/**
+ * @description Request a personal data export
+ * @async
+ * @function requestExport
+ * @route POST /api/account/exports
+ *
+ * @param {Object} req.user - User object from auth middleware
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - export_id and status ("pending")
+ *
+ * @throws {409} If an export of the user is still running
+ * @throws {500} If server error occurs
+ */
+router.post('/exports', async (req, res) => {
+  try {
+    const result = await accountService.requestExport(req.user.id, req.user.id);
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        export_id: result.exportId,
+        status: result.status
+      }
+    });
+  } catch (error) {
+    console.error('Request export error:', error);
+
+    if (error.message === 'Export already in progress') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Export already in progress',
+        error_code: 'EXPORT_IN_PROGRESS'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description List export jobs of the authenticated user
+ * @async
+ * @function listExports
+ * @route GET /api/account/exports
+ *
+ * @param {Object} req.user - User object from auth middleware
+ *
+ * @returns {Object} Response object
+ * @returns {Array} Response.data.exports - Export jobs, newest first
+ *
+ * @throws {500} If server error occurs
+ */
+router.get('/exports', async (req, res) => {
+  try {
+    const exportJobs = await accountService.listExports(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        exports: exportJobs
+      }
+    });
+  } catch (error) {
+    console.error('List exports error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Download a ready export archive (.tar.gz)
+ * @async
+ * @function downloadExport
+ * @route GET /api/account/exports/:id/download
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Export ID from GET /api/account/exports
+ *
+ * @returns {File} application/gzip archive
+ *
+ * @throws {404} If the export does not exist for this user
+ * @throws {409} If the export is not ready yet
+ * @throws {410} If the archive expired
+ * @throws {500} If server error occurs
+ */
+router.get('/exports/:id/download', async (req, res) => {
+  try {
+    const download = await accountService.getExportDownload(parseInt(req.params.id) || 0, req.user.id);
+
+    res.download(download.filePath, download.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Export download error:', error);
+        res.status(500).json({
+          status: 'error',
+          message: 'Internal server error'
+        });
+      }
+    });
+  } catch (error) {
+    const responses = {
+      'Export not found': [404, 'EXPORT_NOT_FOUND'],
+      'Export not ready': [409, 'EXPORT_NOT_READY'],
+      'Export expired': [410, 'EXPORT_EXPIRED']
+    };
+
+    if (responses[error.message]) {
+      return res.status(responses[error.message][0]).json({
+        status: 'error',
+        message: error.message,
+        error_code: responses[error.message][1]
+      });
+    }
+
+    console.error('Export download error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Scheduled deletion status of the authenticated user
+ * @async
+ * @function deletionStatus
+ * @route GET /api/account/deletion
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - scheduled, requested_at, scheduled_for
+ *
+ * @throws {500} If server error occurs
+ */
+router.get('/deletion', async (req, res) => {
+  try {
+    const status = await accountService.getDeletionStatus(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        scheduled: status.scheduled,
+        requested_at: status.requestedAt,
+        scheduled_for: status.scheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Deletion status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Schedule deletion of the authenticated user's account
+ * @async
+ * @function scheduleDeletion
+ * @route POST /api/account/deletion
+ *
+ * @param {Object} req.body
+ * @param {string} [req.body.proof] - Login proof for the challenge (as for POST /api/auth/login), required for registered accounts
+ * @param {string} [req.body.challenge] - Challenge from POST /api/auth/login/challenge, required with proof
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - scheduled_for
+ *
+ * @throws {401} If the login challenge is invalid or expired
+ * @throws {403} If the password is wrong, or the account is an admin account
+ * @throws {429} If the account is locked after too many wrong passwords
+ * @throws {500} If server error occurs
+ *
+ * @sideEffects
+ * - Account is anonymized after the grace period unless cancelled
+ * - Logs deletion_scheduled activity
+ */
+router.post('/deletion', async (req, res) => {
+  try {
+    const { proof, challenge } = req.body;
+
+    const confirmed = await authService.confirmPassword(req.user.id, proof || null, challenge || null);
+    if (!confirmed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Forbidden'
+      });
+    }
+
+    const result = await accountService.scheduleDeletion(req.user.id, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        scheduled_for: result.scheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Schedule deletion error:', error);
+
+    if (error.message === 'Invalid login challenge') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired login challenge',
+        error_code: 'INVALID_LOGIN_CHALLENGE'
+      });
+    }
+
+    if (error.message === 'Account locked') {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many failed login attempts, please try again later',
+        error_code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    if (error.message === 'Admin account cannot be deleted') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Admin account cannot be deleted',
+        error_code: 'ADMIN_ACCOUNT'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Cancel scheduled deletion of the authenticated user's account
+ * @async
+ * @function cancelDeletion
+ * @route DELETE /api/account/deletion
+ *
+ * @returns {Object} Response object
+ * @returns {string} Response.message - Success message
+ *
+ * @throws {404} If no deletion is scheduled
+ * @throws {500} If server error occurs
+ */
+router.delete('/deletion', async (req, res) => {
+  try {
+    const cancelled = await accountService.cancelDeletion(req.user.id, req.user.id);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No deletion scheduled'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
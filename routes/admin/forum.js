@@ -6,12 +6,22 @@
  * 
  * This module provides admin endpoints for forum content moderation,
  * including review queue management, post approval/rejection,
- * bulk moderation actions, and forum analytics.
+ * bulk moderation actions, pinned/locked/featured topics, tag management,
+ * and forum analytics.
  * 
  * Routes:
  * - GET /admin/forum/review-queue - List posts awaiting review (status = -1)
  * - POST /admin/forum/moderate/:type/:id - Approve/reject individual posts
  * - POST /admin/forum/moderate/bulk - Bulk moderation actions
+ * - GET /admin/forum/moderation-policy - Active moderation policy
+ * - PUT /admin/forum/moderation-policy - Change the moderation policy
+ * - GET /admin/forum/moderation-decisions - Moderation decision log
+ * - POST /admin/forum/revisions/:revisionId/rollback - Restore an earlier revision of a post
+ * - PUT /admin/forum/topics/:id/flags - Pin, lock or feature a topic
+ * - GET /admin/forum/tags - All tags with usage
+ * - PUT /admin/forum/tags/:id - Rename a tag
+ * - POST /admin/forum/tags/:id/merge - Merge a tag into another tag
+ * - DELETE /admin/forum/tags/:id - Delete a tag from all topics
  * - GET /admin/forum/analytics - Forum statistics and analytics
  * - GET /admin/forum/users/:userId/posts - User's forum activity
  * 
@@ -22,6 +32,10 @@
  * 
  * Dependencies:
  * - forumService: Forum business logic
+ * - moderationService: Moderation policy and decision log
+ * - mentionService: Mention events for approved posts
+ * - notificationService: Moderation outcome and reply notifications
+ * - utils/markdown: Plain-text previews of Markdown content
  * - adminAuth: Admin authentication and authorization
  * - database: MySQL connection for direct queries
  */
@@ -32,6 +46,11 @@ const pool = require('../../config/database');
 const { authenticateAdmin, logAdminAction } = require('../../middleware/adminAuth');
 const { validateAppAuth } = require('../../middleware/appAuth');
 const forumService = require('../../services/forumService');
+const moderationService = require('../../services/moderationService');
+const mentionService = require('../../services/mentionService');
+const notificationService = require('../../services/notificationService');
+const { validate, schemas } = require('../../middleware/validation');
+const { excerpt } = require('../../utils/markdown');
 
 // Apply app-level authentication and admin authentication to all forum admin routes
 router.use(validateAppAuth, authenticateAdmin);
@@ -117,6 +136,10 @@ router.get('/review-queue', async (req, res) => {
     const imagesByTopic = topicIds.length > 0 ? await forumService.fetchImagesByEntity('topic', topicIds) : {};
     const imagesByReply = replyIds.length > 0 ? await forumService.fetchImagesByEntity('reply', replyIds) : {};
 
+    // Why each post is waiting: newest moderation decision
+    const decisionsByTopic = await moderationService.getLatestDecisions('topic', topicIds);
+    const decisionsByReply = await moderationService.getLatestDecisions('reply', replyIds);
+
     // Add images to posts
     const postsWithImages = posts.map(post => {
       let images = [];
@@ -126,9 +149,13 @@ router.get('/review-queue', async (req, res) => {
         images = imagesByReply[post.id].map(img => img.url);
       }
       
+      const decisions = post.type === 'topic' ? decisionsByTopic : decisionsByReply;
+
       return {
         ...post,
-        images
+        excerpt: excerpt(post.content),
+        images,
+        moderation: decisions[post.id] || null
       };
     });
 
@@ -270,19 +297,27 @@ router.post('/moderate', async (req, res) => {
         target_id: contentId,
         target_user_id: targetContent.user_id,
         reason: reason || null,
-        content_preview: targetContent.content_text ?
-          targetContent.content_text.substring(0, 100) + '...' : null,
+        content_preview: targetContent.content_text ? excerpt(targetContent.content_text, 100) : null,
         ip_address: req.ip,
         endpoint: req.path
       });
 
       // TODO: In a production system, you might want to:
-      // 1. Send notification to content author
-      // 2. Update user reputation based on approved/rejected content
-      // 3. Trigger content recommendation updates
+      // 1. Update user reputation based on approved/rejected content
+      // 2. Trigger content recommendation updates
 
       await connection.commit();
 
+      await notificationService.notifyModeration(post_type, contentId, action, reason, req.user.id);
+
+      // Mentions and replies in queued posts are delivered once the post is visible
+      if (action === 'approve') {
+        await mentionService.notifyMentions(post_type, contentId);
+        if (post_type === 'reply') {
+          await notificationService.notifyReplyPublished(contentId);
+        }
+      }
+
       res.json({
         status: 'success',
         data: {
@@ -315,6 +350,183 @@ router.post('/moderate', async (req, res) => {
   }
 });
 
+/**
+ * @description Get the active moderation policy
+ * @route GET /admin/forum/moderation-policy
+ * @returns {Object} Policy config, version ID and last editor
+ */
+router.get('/moderation-policy', async (req, res) => {
+  try {
+    const policy = await moderationService.getPolicy();
+
+    res.json({
+      status: 'success',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Change the moderation policy, saved as a new version
+ * @route PUT /admin/forum/moderation-policy
+ * @param {Object} req.body - Policy keys to change (see moderationPolicyUpdate schema)
+ * @returns {Object} New active policy
+ */
+router.put('/moderation-policy', validate(schemas.moderationPolicyUpdate), async (req, res) => {
+  try {
+    const previous = await moderationService.getPolicy();
+    const policy = await moderationService.updatePolicy(req.body, req.user.id);
+
+    await logAdminAction(req.user.id, 'moderation_policy_update', {
+      previous_policy_id: previous.id,
+      policy_id: policy.id,
+      changes: req.body,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Error updating moderation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Moderation decision log with reasons and policy inputs
+ * @route GET /admin/forum/moderation-decisions
+ * @param {Object} req.query
+ * @param {string} req.query.type - Filter by type: topic, reply
+ * @param {number} req.query.id - Filter by post ID (with type)
+ * @param {number} req.query.user_id - Filter by author
+ * @param {string} req.query.decision - Filter by decision: publish, queue
+ * @param {number} req.query.page - Page number (default: 1)
+ * @param {number} req.query.limit - Items per page (default: 20, max: 50)
+ * @returns {Object} Decisions, newest first, with pagination
+ */
+router.get('/moderation-decisions', async (req, res) => {
+  try {
+    const { type, id, user_id, decision, page, limit } = req.query;
+
+    if (type && !['topic', 'reply'].includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid type. Must be "topic" or "reply"'
+      });
+    }
+
+    if (decision && !['publish', 'queue'].includes(decision)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid decision. Must be "publish" or "queue"'
+      });
+    }
+
+    const result = await moderationService.getDecisions({
+      entity_type: type,
+      entity_id: id,
+      user_id,
+      decision,
+      page,
+      limit
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching moderation decisions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Roll a topic or reply back to an earlier revision
+ * @route POST /admin/forum/revisions/:revisionId/rollback
+ * @param {number} req.params.revisionId - Revision ID from GET /api/forum/{topics|replies}/:id/revisions
+ * @param {Object} req.body
+ * @param {string} req.body.reason - Reason for the rollback (optional)
+ * @returns {Object} Rollback result, the replaced version is kept as a new revision
+ */
+router.post('/revisions/:revisionId/rollback', async (req, res) => {
+  try {
+    const revisionId = parseInt(req.params.revisionId);
+    const { reason } = req.body;
+
+    if (!revisionId || revisionId <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid revision ID'
+      });
+    }
+
+    const result = await forumService.rollbackRevision(revisionId, req.user.id);
+
+    await logAdminAction(req.user.id, `rollback_${result.entity_type}`, {
+      target_type: result.entity_type,
+      target_id: result.entity_id,
+      target_user_id: result.author_id,
+      revision_id: revisionId,
+      restored_revision: result.restored_revision,
+      saved_revision: result.saved_revision,
+      reason: reason || null,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        post_id: result.entity_id,
+        post_type: result.entity_type,
+        restored_revision: result.restored_revision,
+        saved_revision: result.saved_revision,
+        rolled_back_by: {
+          id: req.user.id,
+          name: req.user.username,
+          role: 'admin'
+        },
+        rolled_back_at: new Date().toISOString(),
+        reason: reason || null
+      }
+    });
+
+  } catch (error) {
+    if (['Revision not found', 'Topic not found', 'Reply not found'].includes(error.message)) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Error rolling back revision:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @description Bulk moderation actions
  * @route POST /admin/forum/moderate/bulk
@@ -419,6 +631,16 @@ router.post('/moderate/bulk', async (req, res) => {
 
       await connection.commit();
 
+      for (const item of results.success) {
+        await notificationService.notifyModeration(item.type, item.id, action, reason, req.user.id);
+        if (action === 'approve') {
+          await mentionService.notifyMentions(item.type, item.id);
+          if (item.type === 'reply') {
+            await notificationService.notifyReplyPublished(item.id);
+          }
+        }
+      }
+
       res.json({
         status: 'success',
         data: {
@@ -449,6 +671,276 @@ router.post('/moderate/bulk', async (req, res) => {
   }
 });
 
+/**
+ * @description Pin, lock or feature a topic
+ * @route PUT /admin/forum/topics/:id/flags
+ * @param {number} req.params.id - Topic ID
+ * @param {Object} req.body - Flags to change (see forumTopicFlags schema)
+ * @param {boolean} req.body.is_pinned - List the topic before all other topics
+ * @param {boolean} req.body.is_locked - Only admins can reply
+ * @param {boolean} req.body.is_featured - Highlight the topic
+ * @param {string} req.body.reason - Reason, stored in the audit log (optional)
+ * @returns {Object} Topic flags after the change and the flags that changed
+ */
+router.put('/topics/:id/flags', validate(schemas.forumTopicFlags), async (req, res) => {
+  try {
+    const topicId = parseInt(req.params.id);
+    const { reason, ...flags } = req.body;
+
+    if (!topicId || topicId <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid topic ID'
+      });
+    }
+
+    const result = await forumService.setTopicFlags(topicId, flags);
+
+    // One audit entry per flag that actually changed, e.g. admin_topic_pin / admin_topic_unlock
+    const actions = {
+      is_pinned: ['pin', 'unpin'],
+      is_locked: ['lock', 'unlock'],
+      is_featured: ['feature', 'unfeature']
+    };
+    for (const change of result.changes) {
+      await logAdminAction(req.user.id, `topic_${actions[change.flag][change.value ? 0 : 1]}`, {
+        target_type: 'topic',
+        target_id: topicId,
+        target_user_id: result.author_id,
+        reason: reason || null,
+        ip_address: req.ip,
+        endpoint: req.path
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        topic_id: result.id,
+        title: result.title,
+        is_pinned: result.is_pinned,
+        is_locked: result.is_locked,
+        is_featured: result.is_featured,
+        changed: result.changes.map(change => change.flag),
+        updated_by: {
+          id: req.user.id,
+          name: req.user.username,
+          role: 'admin'
+        },
+        updated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Topic not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Error updating topic flags:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description All tags with usage, including tags without published topics
+ * @route GET /admin/forum/tags
+ * @param {Object} req.query
+ * @param {string} req.query.q - Tag name prefix
+ * @param {number} req.query.limit - Maximum tags (default: 50, max: 200)
+ * @returns {Object} Tags { id, name, topic_count }, most used first
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await forumService.getTags({
+      q: req.query.q,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      include_unused: true
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        tags
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Rename a tag, all tagged topics show the new name
+ * @route PUT /admin/forum/tags/:id
+ * @param {number} req.params.id - Tag ID
+ * @param {Object} req.body
+ * @param {string} req.body.name - New tag name
+ * @returns {Object} { id, name, previous_name }
+ */
+router.put('/tags/:id', validate(schemas.forumTagRename), async (req, res) => {
+  try {
+    const tagId = parseInt(req.params.id);
+
+    if (!tagId || tagId <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid tag ID'
+      });
+    }
+
+    const tag = await forumService.renameTag(tagId, req.body.name);
+
+    await logAdminAction(req.user.id, 'tag_rename', {
+      target_type: 'tag',
+      target_id: tagId,
+      previous_name: tag.previous_name,
+      name: tag.name,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        tag
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.message === 'Tag name already exists') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Tag name already exists, merge the tags instead'
+      });
+    }
+
+    console.error('Error renaming tag:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Merge a tag into another tag, its topics get the target tag and it is deleted
+ * @route POST /admin/forum/tags/:id/merge
+ * @param {number} req.params.id - Tag to merge
+ * @param {Object} req.body
+ * @param {number} req.body.target_tag_id - Tag to keep
+ * @returns {Object} { source, target, topics_moved }
+ */
+router.post('/tags/:id/merge', async (req, res) => {
+  try {
+    const tagId = parseInt(req.params.id);
+    const { target_tag_id } = req.body;
+
+    if (!tagId || tagId <= 0 || !Number.isInteger(target_tag_id) || target_tag_id <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid tag ID'
+      });
+    }
+
+    const result = await forumService.mergeTags(tagId, target_tag_id);
+
+    await logAdminAction(req.user.id, 'tag_merge', {
+      target_type: 'tag',
+      target_id: target_tag_id,
+      source_tag: result.source,
+      target_tag: result.target,
+      topics_moved: result.topics_moved,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.message === 'Cannot merge a tag into itself') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Error merging tags:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Delete a tag, it is removed from all topics
+ * @route DELETE /admin/forum/tags/:id
+ * @param {number} req.params.id - Tag ID
+ * @returns {Object} { id, name, topics_untagged }
+ */
+router.delete('/tags/:id', async (req, res) => {
+  try {
+    const tagId = parseInt(req.params.id);
+
+    if (!tagId || tagId <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid tag ID'
+      });
+    }
+
+    const result = await forumService.deleteTag(tagId);
+
+    await logAdminAction(req.user.id, 'tag_delete', {
+      target_type: 'tag',
+      target_id: tagId,
+      name: result.name,
+      topics_untagged: result.topics_untagged,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Error deleting tag:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @description Get forum analytics and statistics
  * @route GET /admin/forum/analytics
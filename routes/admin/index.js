@@ -3,11 +3,13 @@
  * @description Main admin routes router with role-based protection
  * @author Claude Code
  * @created 2025-07-23
+ * @modified 2025-10-19
  * 
  * This file serves as the main entry point for all admin routes,
  * providing centralized admin authentication and route organization.
  * 
  * Route Groups:
+ * - /admin/2fa - TOTP enrollment and verification (reachable before 2FA)
  * - /admin/users - User management routes
  * - /admin/content - Content moderation routes  
  * - /admin/metrics - Analytics and metrics routes
@@ -15,26 +17,33 @@
  * 
  * Security:
  * - All routes protected by requireAdmin middleware
+ * - Only API clients with the 'admin' scope are accepted
+ * - All routes except /admin/2fa require a completed TOTP second factor (requireAdminMfa)
  * - Admin action logging enabled
  * - Individual route-level permissions available
  */
 
 const express = require('express');
 const router = express.Router();
-const { requireAdmin, enhanceAdminContext } = require('../../middleware/adminAuth');
+const { requireAdmin, requireAdminMfa, enhanceAdminContext } = require('../../middleware/adminAuth');
 const { authenticateUser } = require('../../middleware/userAuth');
-const { validateAppAuth } = require('../../middleware/appAuth');
+const { validateAppAuth, requireClientScope } = require('../../middleware/appAuth');
 
 // Apply app-level authentication, user authentication and admin context enhancement to all admin routes
 router.use(validateAppAuth);
+router.use(requireClientScope('admin'));
 router.use(authenticateUser);
 router.use(enhanceAdminContext);
 router.use(requireAdmin);
 
+// Second factor enrollment and verification must be reachable before 2FA is completed
+router.use('/2fa', require('./twoFactor'));
+router.use(requireAdminMfa);
+
 // Admin route groups
 router.use('/forum', require('./forum'));
 router.use('/chat', require('./chat'));
-// router.use('/users', require('./users'));
+router.use('/users', require('./users'));
 // router.use('/content', require('./content'));
 // router.use('/metrics', require('./metrics'));
 // router.use('/system', require('./system'));
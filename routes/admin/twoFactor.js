@@ -0,0 +1,249 @@
+/**
+ * @file routes/admin/twoFactor.js
+ * @description Admin TOTP two-factor enrollment and verification routes
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This module lets admins enroll an authenticator app and complete the
+ * second factor for their current session. It is mounted before the 2FA
+ * requirement in routes/admin/index.js, every other /admin route is only
+ * reachable after POST /admin/2fa/verify (or enrollment confirmation)
+ * succeeded on the session.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with enrollment, confirmation and verification
+ *
+ * Routes:
+ * - GET /admin/2fa/status - Enrollment and session verification status
+ * - POST /admin/2fa/enroll - Start enrollment, returns otpauth URI and recovery codes
+ * - POST /admin/2fa/enroll/confirm - Confirm enrollment with a first code
+ * - POST /admin/2fa/verify - Complete second factor with TOTP or recovery code
+ *
+ * Security:
+ * - Protected by app, user and admin authentication of routes/admin/index.js
+ * - Every successful and failed 2FA event is written with logAdminAction
+ *
+ * Dependencies:
+ * - services/totpService: TOTP enrollment and verification
+ * - services/authService: Session second factor marker
+ * - middleware/adminAuth: Audit logging
+ */
+
+const express = require('express');
+const router = express.Router();
+const totpService = require('../../services/totpService');
+const authService = require('../../services/authService');
+const { logAdminAction } = require('../../middleware/adminAuth');
+
+/**
+ * Map TOTP service errors to HTTP responses
+ * @function sendTotpError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by totpService
+ * @returns {boolean} True if a response was sent
+ */
+const sendTotpError = (res, error) => {
+  const responses = {
+    'Invalid TOTP code': [400, 'Invalid verification code', 'MFA_INVALID_CODE'],
+    'Too many TOTP attempts': [429, 'Too many failed attempts, please try again later', 'MFA_ATTEMPTS_EXCEEDED'],
+    'No pending TOTP enrollment': [400, 'No pending enrollment, please start again', 'MFA_NO_PENDING_ENROLLMENT'],
+    'TOTP already enabled': [409, 'Two-factor authentication already enabled', 'MFA_ALREADY_ENABLED'],
+    'TOTP not enabled': [403, 'Two-factor enrollment required', 'MFA_ENROLLMENT_REQUIRED']
+  };
+
+  const response = responses[error.message];
+  if (!response) {
+    return false;
+  }
+
+  res.status(response[0]).json({
+    status: 'error',
+    message: response[1],
+    error_code: response[2]
+  });
+  return true;
+};
+
+/**
+ * @description Enrollment and session verification status
+ * @route GET /admin/2fa/status
+ * @returns {Object} enabled, session_verified and recovery_codes_remaining
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const status = await totpService.getStatus(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: status.enabled,
+        enabled_at: status.enabledAt,
+        session_verified: !!req.user.mfa_verified_at,
+        recovery_codes_remaining: status.recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Admin 2FA status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Start enrollment
+ * @route POST /admin/2fa/enroll
+ * @returns {Object} secret, otpauth_uri, recovery_codes and expires_in of the pending enrollment
+ */
+router.post('/enroll', async (req, res) => {
+  try {
+    const enrollment = await totpService.startEnrollment(req.user.id, req.user.username || `admin-${req.user.id}`);
+
+    await logAdminAction(req.user.id, '2fa_enroll_started', {
+      ip_address: req.ip,
+      endpoint: req.originalUrl
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        secret: enrollment.secret,
+        otpauth_uri: enrollment.otpauthUri,
+        recovery_codes: enrollment.recoveryCodes,
+        expires_in: enrollment.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Admin 2FA enroll error:', error);
+
+    if (sendTotpError(res, error)) return;
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Confirm enrollment with a first code
+ * @route POST /admin/2fa/enroll/confirm
+ * @param {Object} req.body
+ * @param {string} req.body.code - 6-digit code from the authenticator app
+ * @returns {Object} enabled and recovery_codes_remaining
+ */
+router.post('/enroll/confirm', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    let result;
+    try {
+      result = await totpService.confirmEnrollment(req.user.id, code);
+    } catch (error) {
+      await logAdminAction(req.user.id, '2fa_enroll_failed', {
+        reason: error.message,
+        ip_address: req.ip,
+        endpoint: req.originalUrl
+      });
+      throw error;
+    }
+
+    // Confirming proves possession of the factor, the current session counts as verified
+    await authService.markSessionMfaVerified(req.user.id, req.user.session_id);
+
+    await logAdminAction(req.user.id, '2fa_enroll_confirmed', {
+      session_id: req.user.session_id,
+      ip_address: req.ip,
+      endpoint: req.originalUrl
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: result.enabled,
+        recovery_codes_remaining: result.recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Admin 2FA confirm error:', error);
+
+    if (sendTotpError(res, error)) return;
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Complete second factor for the current session
+ * @route POST /admin/2fa/verify
+ * @param {Object} req.body
+ * @param {string} [req.body.code] - 6-digit code from the authenticator app
+ * @param {string} [req.body.recovery_code] - Single-use recovery code (when code is not given)
+ * @returns {Object} method and recovery_codes_remaining
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    if ((!code || typeof code !== 'string') && (!recovery_code || typeof recovery_code !== 'string')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    let result;
+    try {
+      result = await totpService.verify(req.user.id, code || null, recovery_code || null);
+    } catch (error) {
+      await logAdminAction(req.user.id, '2fa_verify_failed', {
+        method: code ? 'totp' : 'recovery_code',
+        reason: error.message,
+        ip_address: req.ip,
+        endpoint: req.originalUrl
+      });
+      throw error;
+    }
+
+    await authService.markSessionMfaVerified(req.user.id, req.user.session_id);
+
+    await logAdminAction(req.user.id, '2fa_verify_success', {
+      method: result.method,
+      session_id: req.user.session_id,
+      recovery_codes_remaining: result.recoveryCodesRemaining,
+      ip_address: req.ip,
+      endpoint: req.originalUrl
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        method: result.method,
+        recovery_codes_remaining: result.recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Admin 2FA verify error:', error);
+
+    if (sendTotpError(res, error)) return;
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
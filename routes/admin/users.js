@@ -0,0 +1,509 @@
+/**
+ * @file routes/admin/users.js
+ * @description Admin user management routes for session control
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This module provides admin endpoints for managing user accounts,
+ * starting with listing and revoking the active sessions of any user.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with session listing and revocation
+ * - 2025-10-19: Added login lockout release
+ * - 2025-10-19: Added personal data export and account deletion
+ *
+ * Routes:
+ * - GET /admin/users/:userId/sessions - List active sessions of a user
+ * - DELETE /admin/users/:userId/sessions - Revoke all sessions of a user
+ * - DELETE /admin/users/:userId/sessions/:sessionId - Revoke one session of a user
+ * - DELETE /admin/users/:userId/lockout - Release login lockout of a user
+ * - GET /admin/users/:userId/exports - List export jobs of a user
+ * - POST /admin/users/:userId/exports - Start a personal data export of a user
+ * - GET /admin/users/:userId/exports/:exportId/download - Download an export archive
+ * - POST /admin/users/:userId/deletion - Schedule deletion of a user, or purge immediately
+ * - DELETE /admin/users/:userId/deletion - Cancel scheduled deletion of a user
+ *
+ * Security:
+ * - All routes protected by authenticateAdmin middleware
+ * - Comprehensive audit logging for all admin actions
+ *
+ * Dependencies:
+ * - services/authService: Session management
+ * - services/loginAttemptService: Login lockout release
+ * - services/accountService: Data export and account deletion
+ * - middleware/adminAuth: Admin authentication and audit logging
+ * - config/database.js: User existence checks
+ */
+
+const express = require('express');
+const router = express.Router();
+const pool = require('../../config/database');
+const authService = require('../../services/authService');
+const loginAttemptService = require('../../services/loginAttemptService');
+const accountService = require('../../services/accountService');
+const { authenticateAdmin, logAdminAction } = require('../../middleware/adminAuth');
+const { validateAppAuth } = require('../../middleware/appAuth');
+
+// Apply app-level authentication and admin authentication to all user admin routes
+router.use(validateAppAuth, authenticateAdmin);
+
+/**
+ * Load target user or send 404
+ * @async
+ * @function findTargetUser
+ * @param {Object} req - Express request object with params.userId
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} User row or null when a response was sent
+ */
+const findTargetUser = async (req, res) => {
+  const userId = parseInt(req.params.userId);
+
+  if (!userId || isNaN(userId)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const [users] = await pool.execute(
+    'SELECT id, username, phone_number, status FROM users WHERE id = ?',
+    [userId]
+  );
+
+  if (users.length === 0) {
+    res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return users[0];
+};
+
+/**
+ * @description List active sessions of a user
+ * @route GET /admin/users/:userId/sessions
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @returns {Object} User info and active sessions
+ */
+router.get('/:userId/sessions', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const sessions = await authService.listSessions(user.id);
+
+    await logAdminAction(req.user.id, 'user_sessions_view', {
+      target_user_id: user.id,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          status: user.status
+        },
+        sessions
+      }
+    });
+  } catch (error) {
+    console.error('Admin list sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Revoke all sessions of a user
+ * @route DELETE /admin/users/:userId/sessions
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {Object} req.body
+ * @param {string} req.body.reason - Optional reason for audit log
+ * @returns {Object} Number of revoked sessions
+ */
+router.delete('/:userId/sessions', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await authService.revokeAllSessions(user.id);
+
+    await logAdminAction(req.user.id, 'user_sessions_revoke_all', {
+      target_user_id: user.id,
+      revoked,
+      reason: (req.body && req.body.reason) || null,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        user_id: user.id,
+        revoked
+      }
+    });
+  } catch (error) {
+    console.error('Admin revoke all sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Revoke one session of a user
+ * @route DELETE /admin/users/:userId/sessions/:sessionId
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {string} req.params.sessionId - Session ID to revoke
+ * @param {Object} req.body
+ * @param {string} req.body.reason - Optional reason for audit log
+ * @returns {Object} Success message
+ */
+router.delete('/:userId/sessions/:sessionId', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await authService.revokeSession(user.id, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await logAdminAction(req.user.id, 'user_session_revoke', {
+      target_user_id: user.id,
+      session_id: req.params.sessionId,
+      reason: (req.body && req.body.reason) || null,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Admin revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Release login lockout of a user
+ * @route DELETE /admin/users/:userId/lockout
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {Object} req.body
+ * @param {string} req.body.reason - Optional reason for audit log
+ * @returns {Object} Whether the account was locked or had failed attempts
+ */
+router.delete('/:userId/lockout', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.phone_number) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User has no phone login'
+      });
+    }
+
+    const lockRemaining = await loginAttemptService.getLockRemaining(user.phone_number);
+    const cleared = await loginAttemptService.reset(user.phone_number);
+
+    await logAdminAction(req.user.id, 'user_login_unlock', {
+      target_user_id: user.id,
+      was_locked: lockRemaining > 0,
+      reason: (req.body && req.body.reason) || null,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        user_id: user.id,
+        was_locked: lockRemaining > 0,
+        cleared
+      }
+    });
+  } catch (error) {
+    console.error('Admin unlock login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description List export jobs of a user
+ * @route GET /admin/users/:userId/exports
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @returns {Object} Export jobs, newest first
+ */
+router.get('/:userId/exports', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const exportJobs = await accountService.listExports(user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        exports: exportJobs
+      }
+    });
+  } catch (error) {
+    console.error('Admin list exports error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Start a personal data export of a user
+ * @route POST /admin/users/:userId/exports
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {Object} req.body
+ * @param {string} req.body.reason - Optional reason for audit log
+ * @returns {Object} export_id and status of the new job
+ */
+router.post('/:userId/exports', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const result = await accountService.requestExport(user.id, req.user.id);
+
+    await logAdminAction(req.user.id, 'user_data_export', {
+      target_user_id: user.id,
+      export_id: result.exportId,
+      reason: (req.body && req.body.reason) || null,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        export_id: result.exportId,
+        status: result.status
+      }
+    });
+  } catch (error) {
+    console.error('Admin request export error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (error.message === 'Export already in progress') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Export already in progress',
+        error_code: 'EXPORT_IN_PROGRESS'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Download an export archive of a user
+ * @route GET /admin/users/:userId/exports/:exportId/download
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {number} req.params.exportId - Export ID
+ * @returns {File} application/gzip archive
+ */
+router.get('/:userId/exports/:exportId/download', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const download = await accountService.getExportDownload(parseInt(req.params.exportId) || 0, user.id);
+
+    await logAdminAction(req.user.id, 'user_data_export_download', {
+      target_user_id: user.id,
+      export_id: parseInt(req.params.exportId),
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.download(download.filePath, download.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Admin export download error:', error);
+        res.status(500).json({
+          status: 'error',
+          message: 'Internal server error'
+        });
+      }
+    });
+  } catch (error) {
+    const responses = {
+      'Export not found': [404, 'EXPORT_NOT_FOUND'],
+      'Export not ready': [409, 'EXPORT_NOT_READY'],
+      'Export expired': [410, 'EXPORT_EXPIRED']
+    };
+
+    if (responses[error.message]) {
+      return res.status(responses[error.message][0]).json({
+        status: 'error',
+        message: error.message,
+        error_code: responses[error.message][1]
+      });
+    }
+
+    console.error('Admin export download error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Schedule deletion of a user, or anonymize the account immediately
+ * @route POST /admin/users/:userId/deletion
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {Object} req.body
+ * @param {boolean} req.body.immediate - Skip the grace period and purge now
+ * @param {string} req.body.reason - Reason for audit log (required)
+ * @returns {Object} scheduled_for and purged
+ */
+router.post('/:userId/deletion', async (req, res) => {
+  try {
+    const { immediate = false, reason } = req.body || {};
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reason is required'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const result = await accountService.scheduleDeletion(user.id, req.user.id, immediate === true);
+
+    await logAdminAction(req.user.id, immediate === true ? 'user_account_purge' : 'user_deletion_schedule', {
+      target_user_id: user.id,
+      scheduled_for: result.scheduledFor,
+      reason,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        user_id: user.id,
+        scheduled_for: result.scheduledFor,
+        purged: result.purged
+      }
+    });
+  } catch (error) {
+    console.error('Admin schedule deletion error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (error.message === 'Admin account cannot be deleted') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Admin account cannot be deleted',
+        error_code: 'ADMIN_ACCOUNT'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Cancel scheduled deletion of a user
+ * @route DELETE /admin/users/:userId/deletion
+ * @param {Object} req.params
+ * @param {number} req.params.userId - Target user ID
+ * @param {Object} req.body
+ * @param {string} req.body.reason - Optional reason for audit log
+ * @returns {Object} Success message
+ */
+router.delete('/:userId/deletion', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const cancelled = await accountService.cancelDeletion(user.id, req.user.id);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No deletion scheduled'
+      });
+    }
+
+    await logAdminAction(req.user.id, 'user_deletion_cancel', {
+      target_user_id: user.id,
+      reason: (req.body && req.body.reason) || null,
+      ip_address: req.ip,
+      endpoint: req.path
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Admin cancel deletion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
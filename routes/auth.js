@@ -3,7 +3,7 @@
  * @description HTTP routes for user authentication with service layer delegation
  * @author Michael Lee
  * @created 2025-06-17
- * @modified 2025-07-02
+ * @modified 2025-10-19
  * 
  * This file provides HTTP endpoint handlers for user authentication, delegating
  * business logic to the authentication service layer. Focuses on request/response
@@ -14,17 +14,42 @@
  * - 2025-07-01: Complete rewrite to use Redis sessions
  * - 2025-07-01: Added Redis session creation and management
  * - 2025-07-02: Refactored to use service layer architecture
+ * - 2025-10-19: Return bearer session token from anonymous login
+ * - 2025-10-19: Added refresh token rotation endpoint
+ * - 2025-10-19: Added per-device session listing, revocation and logout everywhere
+ * - 2025-10-19: Added OTP phone verification and password reset
+ * - 2025-10-19: Added login challenge for the bcrypt password handshake
+ * - 2025-10-19: Challenge logins send a proof bound to the challenge, challenge returns the bcrypt salt
+ * - 2025-10-19: Report per-account login lockout
+ * - 2025-10-19: Flag admin logins that need the TOTP second factor
+ * - 2025-10-19: Accept device details on login, added device listing and removal
+ * - 2025-10-19: Merge the anonymous account of the device on login
+ * - 2025-10-19: Validate username rules and uniqueness on registration
  * 
  * Functions:
  * - POST /api/auth/anonymous: Anonymous login endpoint handler
  * - POST /api/auth/register: User registration endpoint handler
+ * - POST /api/auth/login/challenge: Issue single-use login challenge
  * - POST /api/auth/login: User login endpoint handler
  * - POST /api/auth/logout: User logout endpoint handler
+ * - POST /api/auth/refresh: Access token refresh endpoint handler
+ * - GET /api/auth/sessions: List active sessions of the user
+ * - DELETE /api/auth/sessions/:id: Revoke one session of the user
+ * - POST /api/auth/logout-all: Revoke all sessions of the user
+ * - GET /api/auth/devices: List devices attached to the user
+ * - DELETE /api/auth/devices/:id: Remove a device and revoke its sessions
+ * - POST /api/auth/otp/send: Send verification code by SMS
+ * - POST /api/auth/otp/verify: Exchange verification code for verification token
+ * - POST /api/auth/password/reset: Reset password with verification token
  * 
  * Dependencies:
  * - express: Web framework for HTTP routing
  * - services/authService: Authentication business logic layer
+ * - services/otpService: One-time code verification
+ * - services/loginAttemptService: Login lockout status
+ * - services/deviceService: Devices attached to the user
  * - middleware/userAuth: User authentication middleware
+ * - middleware/validation: Username rules and uniqueness
  * 
  * Architecture:
  * - Thin controller pattern - minimal logic in routes
@@ -35,7 +60,28 @@
 const express = require('express');
 const router = express.Router();
 const authService = require('../services/authService');
+const otpService = require('../services/otpService');
+const loginAttemptService = require('../services/loginAttemptService');
+const deviceService = require('../services/deviceService');
 const { authenticateUser } = require('../middleware/userAuth');
+const { validateUsername } = require('../middleware/validation');
+
+// Phone numbers: optional leading +, 6-15 digits (fits users.phone_number VARCHAR(16))
+const PHONE_NUMBER_PATTERN = /^\+?[0-9]{6,15}$/;
+
+// Verification purposes accepted by /otp routes
+const OTP_PURPOSES = ['register', 'reset_password'];
+
+/**
+ * Optional device details sent with anonymous login, register and login
+ * @param {Object} body - Request body
+ * @returns {Object} device_name, platform and push_token (normalized by deviceService)
+ */
+const getDeviceInfo = (body) => ({
+  device_name: body.device_name,
+  platform: body.platform,
+  push_token: body.push_token
+});
 
 /**
  * @description Anonymous login endpoint
@@ -45,10 +91,13 @@ const { authenticateUser } = require('../middleware/userAuth');
  * 
  * @param {Object} req.body
  * @param {string} req.body.device_id - Device identifier
+ * @param {string} [req.body.device_name] - Device name shown in the device list
+ * @param {string} [req.body.platform] - ios, ipados, android, macos or web
+ * @param {string} [req.body.push_token] - Push notification token of the app installation
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
- * @returns {Object} Response.data - User data with session info
+ * @returns {Object} Response.data - User data with session token
  * 
  * @throws {400} If device_id is missing
  * @throws {500} If server error occurs
@@ -65,13 +114,16 @@ router.post('/anonymous', async (req, res) => {
     }
 
     const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
-    const result = await authService.anonymousLogin(device_id, clientIP);
+    const result = await authService.anonymousLogin(device_id, clientIP, getDeviceInfo(req.body));
 
     res.json({
       status: 'success',
       data: {
         user: {
-          id: result.userId
+          id: result.userId,
+          session_token: result.sessionToken,
+          refresh_token: result.refreshToken,
+          expires_in: result.expiresIn
         }
       }
     });
@@ -92,24 +144,29 @@ router.post('/anonymous', async (req, res) => {
  * 
  * @param {Object} req.body
  * @param {string} req.body.device_id - Device identifier
- * @param {string} req.body.account_name - Username
+ * @param {string} req.body.account_name - Username (3-30 letters, numbers, _ . -, unique)
  * @param {string} req.body.phone_number - Phone number
  * @param {string} req.body.password - SHA-256 hash of password
  * @param {string} req.body.user_id - Optional existing user ID for upgrade
+ * @param {string} req.body.verification_token - Token from POST /api/auth/otp/verify (purpose register)
+ * @param {string} [req.body.device_name] - Device name shown in the device list
+ * @param {string} [req.body.platform] - ios, ipados, android, macos or web
+ * @param {string} [req.body.push_token] - Push notification token of the app installation
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - User data
  * 
- * @throws {400} If required parameters are missing or invalid
+ * @throws {400} If required parameters are missing or invalid, or phone is not verified
+ * @throws {409} If the username is already taken
  * @throws {500} If server error occurs
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validateUsername('account_name'), async (req, res) => {
   try {
-    const { device_id, account_name, phone_number, password, user_id } = req.body;
+    const { device_id, account_name, phone_number, password, user_id, verification_token } = req.body;
 
     // Validate required parameters
-    if (!device_id || !account_name || !phone_number || !password) {
+    if (!device_id || !account_name || !phone_number || !password || !verification_token) {
       return res.status(400).json({
         status: 'error',
         message: 'parameter invalid'
@@ -130,7 +187,9 @@ router.post('/register', async (req, res) => {
       account_name,
       phone_number,
       password,
-      user_id ? parseInt(user_id) : null
+      user_id ? parseInt(user_id) : null,
+      verification_token,
+      getDeviceInfo(req.body)
     );
 
     res.json({
@@ -140,7 +199,9 @@ router.post('/register', async (req, res) => {
           id: result.userId,
           name: result.userName,
           status: result.userStatus,
-          session_token: result.sessionToken
+          session_token: result.sessionToken,
+          refresh_token: result.refreshToken,
+          expires_in: result.expiresIn
         }
       }
     });
@@ -161,6 +222,68 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (error.message === 'Phone number not verified') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Phone number not verified',
+        error_code: 'PHONE_NOT_VERIFIED'
+      });
+    }
+
+    if (error.message === 'Username already taken') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Username already taken',
+        error_code: 'USERNAME_TAKEN'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Issue single-use login challenge
+ * @async
+ * @function loginChallenge
+ * @route POST /api/auth/login/challenge
+ * 
+ * @param {Object} req.body
+ * @param {string} req.body.phone_number - Phone number that will log in
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - challenge, bcrypt salt for the login proof and expires_in in seconds
+ * 
+ * @throws {400} If phone_number is invalid
+ * @throws {500} If server error occurs
+ */
+router.post('/login/challenge', async (req, res) => {
+  try {
+    const { phone_number } = req.body;
+
+    if (!phone_number || !PHONE_NUMBER_PATTERN.test(phone_number)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    const result = await authService.createLoginChallenge(phone_number);
+
+    res.json({
+      status: 'success',
+      data: {
+        challenge: result.challenge,
+        salt: result.salt,
+        expires_in: result.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Login challenge error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -177,33 +300,46 @@ router.post('/register', async (req, res) => {
  * @param {Object} req.body
  * @param {string} req.body.user_id - User ID
  * @param {string} req.body.phone_number - Phone number
- * @param {string} req.body.password - SHA-256(storedHash + timestamp)
+ * @param {string} [req.body.proof] - Login proof for the challenge (challenge handshake)
+ * @param {string} [req.body.challenge] - Challenge from POST /api/auth/login/challenge
+ * @param {string} [req.body.password] - SHA-256(storedHash + timestamp) (legacy handshake, without challenge)
+ * @param {string} [req.body.device_id] - Device logging in (defaults to registered device)
+ * @param {string} [req.body.device_name] - Device name shown in the device list
+ * @param {string} [req.body.platform] - ios, ipados, android, macos or web
+ * @param {string} [req.body.push_token] - Push notification token of the app installation
+ * @param {string} [req.body.anonymous_session_token] - Access token of the anonymous session on this device,
+ *   its account history is merged into the logged in account
  * @param {Object} req.headers
- * @param {string} req.headers.x-timestamp - Timestamp used in password hash
+ * @param {string} req.headers.x-timestamp - Timestamp used in password hash (legacy handshake)
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - User data
  * 
  * @throws {400} If required parameters are missing
- * @throws {403} If authentication fails
+ * @throws {401} If the login challenge is invalid or expired
+ * @throws {403} If authentication fails, or a legacy login hits an upgraded account
+ * @throws {429} If the account is temporarily locked after too many failed logins
  * @throws {500} If server error occurs
  */
 router.post('/login', async (req, res) => {
   try {
-    const { user_id, phone_number, password } = req.body;
+    const { user_id, phone_number, password, proof, device_id, challenge, anonymous_session_token } = req.body;
     const timestamp = req.headers['x-timestamp'];
 
+    // Challenge logins send a proof, legacy logins the timestamped password
+    const credential = challenge ? proof : password;
+
     // Validate required parameters (user_id is now optional)
-    if (!phone_number || !password) {
+    if (!phone_number || !credential) {
       return res.status(400).json({
         status: 'error',
         message: 'parameter invalid'
       });
     }
 
-    // Validate password hash format
-    if (!/^[a-f0-9]{64}$/i.test(password)) {
+    // Validate proof or password hash format
+    if (!/^[a-f0-9]{64}$/i.test(credential)) {
       return res.status(400).json({
         status: 'error',
         message: 'parameter invalid'
@@ -213,12 +349,26 @@ router.post('/login', async (req, res) => {
     const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
     const result = await authService.userLogin(
       phone_number,
-      password,
+      credential,
       parseInt(timestamp),
       clientIP,
-      user_id ? parseInt(user_id) : null
+      user_id ? parseInt(user_id) : null,
+      device_id || null,
+      challenge || null,
+      getDeviceInfo(req.body)
     );
 
+    // Login already succeeded, a failed merge is reported but does not fail the request
+    let mergedFrom = null;
+    if (anonymous_session_token) {
+      try {
+        const merge = await authService.mergeAnonymousSession(anonymous_session_token, result.userId);
+        mergedFrom = merge.anonymousUserId;
+      } catch (mergeError) {
+        console.error('Anonymous account merge error:', mergeError);
+      }
+    }
+
     res.json({
       status: 'success',
       data: {
@@ -226,13 +376,44 @@ router.post('/login', async (req, res) => {
           id: result.userId,
           name: result.userName,
           status: result.userStatus,
-          session_token: result.sessionToken
+          session_token: result.sessionToken,
+          refresh_token: result.refreshToken,
+          expires_in: result.expiresIn,
+          mfa_required: result.userStatus === 87,
+          merged_from: mergedFrom
         }
       }
     });
   } catch (error) {
     console.error('Login error:', error);
 
+    if (error.message === 'Account locked') {
+      const retryAfter = await loginAttemptService.getLockRemaining(req.body.phone_number);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many failed login attempts, please try again later',
+        error_code: 'ACCOUNT_LOCKED',
+        retry_after: retryAfter
+      });
+    }
+
+    if (error.message === 'Invalid login challenge') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired login challenge',
+        error_code: 'INVALID_LOGIN_CHALLENGE'
+      });
+    }
+
+    if (error.message === 'Login challenge required') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Login challenge required',
+        error_code: 'LOGIN_CHALLENGE_REQUIRED'
+      });
+    }
+
     if (error.message === 'User not found' || error.message === 'Invalid password' || error.message === 'User ID mismatch') {
       return res.status(403).json({
         status: 'error',
@@ -253,8 +434,9 @@ router.post('/login', async (req, res) => {
  * @function logout
  * @route POST /api/auth/logout
  * 
+ * @param {Object} req.headers
+ * @param {string} req.headers.authorization - Bearer session token
  * @param {Object} req.body
- * @param {number} req.body.user_id - User ID (required for session deletion)
  * @param {string} req.body.device_id - Device ID (required for validation)
  * @param {Object} req.user - User object from auth middleware
  * @param {number} req.user.id - User ID
@@ -267,8 +449,8 @@ router.post('/login', async (req, res) => {
  * @throws {500} If server error occurs
  * 
  * @sideEffects
- * - Validates session status and device_id before deletion
- * - Deletes Redis session for the user
+ * - Validates device_id before deletion
+ * - Deletes the Redis session of the current device only
  * - Logs logout activity in database
  */
 router.post('/logout', authenticateUser, async (req, res) => {
@@ -283,7 +465,7 @@ router.post('/logout', authenticateUser, async (req, res) => {
       });
     }
 
-    const result = await authService.userLogout(userId, device_id);
+    const result = await authService.userLogout(userId, req.user.session_id, device_id);
 
     if (!result.sessionDeleted) {
       return res.status(400).json({
@@ -305,4 +487,496 @@ router.post('/logout', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * @description Access token refresh endpoint with refresh token rotation
+ * @async
+ * @function refresh
+ * @route POST /api/auth/refresh
+ * 
+ * @param {Object} req.body
+ * @param {string} req.body.refresh_token - Refresh token from login or previous refresh
+ * @param {string} req.body.device_id - Device the refresh token was issued to
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - New session_token, refresh_token and expires_in
+ * 
+ * @throws {400} If refresh_token or device_id is missing
+ * @throws {401} If refresh token is invalid, reused or bound to another device
+ * @throws {500} If server error occurs
+ * 
+ * @sideEffects
+ * - Rotates refresh token (old token becomes unusable)
+ * - Revokes the whole session when a rotated token is replayed
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token, device_id } = req.body;
+
+    if (!refresh_token || !device_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+    const result = await authService.refreshSession(refresh_token, device_id, clientIP);
+
+    res.json({
+      status: 'success',
+      data: {
+        user: {
+          id: result.userId,
+          session_token: result.sessionToken,
+          refresh_token: result.refreshToken,
+          expires_in: result.expiresIn
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+
+    if (error.message === 'Invalid refresh token') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid refresh token',
+        error_code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (error.message === 'Refresh token reuse detected') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token reuse detected',
+        error_code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (error.message === 'Device ID mismatch') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Device ID mismatch',
+        error_code: 'DEVICE_MISMATCH'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description List active sessions (devices) of the authenticated user
+ * @async
+ * @function listSessions
+ * @route GET /api/auth/sessions
+ * 
+ * @param {Object} req.user - User object from auth middleware
+ * @param {number} req.user.id - User ID
+ * @param {string} req.user.session_id - Session of the current request
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data.sessions - Sessions with device, IP, login_time, last_seen
+ * 
+ * @throws {500} If server error occurs
+ */
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await authService.listSessions(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.session_id === req.user.session_id
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Revoke one session of the authenticated user (remote logout)
+ * @async
+ * @function revokeSession
+ * @route DELETE /api/auth/sessions/:id
+ * 
+ * @param {Object} req.params
+ * @param {string} req.params.id - Session ID from GET /api/auth/sessions
+ * @param {Object} req.user - User object from auth middleware
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {string} Response.message - Success message
+ * 
+ * @throws {404} If session does not exist for this user
+ * @throws {500} If server error occurs
+ * 
+ * @sideEffects
+ * - Deletes the session record and its access/refresh tokens
+ * - Logs session revocation activity in database
+ */
+router.delete('/sessions/:id', authenticateUser, async (req, res) => {
+  try {
+    const revoked = await authService.revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await authService.logUserActivity(req.user.id, 3, 'session_revoked');
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Log out everywhere: revoke all sessions of the authenticated user
+ * @async
+ * @function logoutAll
+ * @route POST /api/auth/logout-all
+ * 
+ * @param {Object} req.user - User object from auth middleware
+ * @param {number} req.user.id - User ID
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data.revoked - Number of revoked sessions
+ * 
+ * @throws {500} If server error occurs
+ * 
+ * @sideEffects
+ * - Deletes every session of the user, including the current one
+ * - Logs logout activity in database
+ */
+router.post('/logout-all', authenticateUser, async (req, res) => {
+  try {
+    const revoked = await authService.revokeAllSessions(req.user.id);
+
+    await authService.logUserActivity(req.user.id, 3, 'logout_all');
+
+    res.json({
+      status: 'success',
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description List devices attached to the authenticated user
+ * @async
+ * @function listDevices
+ * @route GET /api/auth/devices
+ * 
+ * @param {Object} req.user - User object from auth middleware
+ * @param {number} req.user.id - User ID
+ * @param {string} req.user.device_id - Device of the current request
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data.devices - Devices with name, platform, first_seen_at, last_seen_at
+ * 
+ * @throws {500} If server error occurs
+ */
+router.get('/devices', authenticateUser, async (req, res) => {
+  try {
+    const devices = await deviceService.listDevices(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        devices: devices.map(device => ({
+          ...device,
+          current: device.device_id === req.user.device_id
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Remove a device from the authenticated user's account
+ * @async
+ * @function removeDevice
+ * @route DELETE /api/auth/devices/:id
+ * 
+ * @param {Object} req.params
+ * @param {string} req.params.id - Device ID from GET /api/auth/devices
+ * @param {Object} req.user - User object from auth middleware
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data.sessions_revoked - Number of revoked sessions of the device
+ * 
+ * @throws {400} If id is not a positive integer
+ * @throws {404} If the device is not attached to this user
+ * @throws {500} If server error occurs
+ * 
+ * @sideEffects
+ * - Deletes the device and revokes its sessions (including the current one
+ *   when the current device is removed)
+ * - Logs device removal activity in database
+ */
+router.delete('/devices/:id', authenticateUser, async (req, res) => {
+  try {
+    const deviceRowId = parseInt(req.params.id);
+
+    if (!deviceRowId || deviceRowId < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    const result = await authService.removeDevice(req.user.id, deviceRowId);
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions_revoked: result.sessionsRevoked
+      }
+    });
+  } catch (error) {
+    console.error('Remove device error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Send verification code by SMS
+ * @async
+ * @function sendOtp
+ * @route POST /api/auth/otp/send
+ * 
+ * @param {Object} req.body
+ * @param {string} req.body.phone_number - Phone number to verify
+ * @param {string} req.body.purpose - 'register' or 'reset_password'
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - expires_in and resend_after in seconds
+ * 
+ * @throws {400} If phone_number or purpose is invalid
+ * @throws {429} If a code was sent to this phone number too recently
+ * @throws {500} If server or SMS transport error occurs
+ * 
+ * @sideEffects
+ * - Sends SMS only when the purpose applies (unused phone for register,
+ *   registered phone for reset_password); the response is identical either way
+ */
+router.post('/otp/send', async (req, res) => {
+  try {
+    const { phone_number, purpose } = req.body;
+
+    if (!phone_number || !PHONE_NUMBER_PATTERN.test(phone_number) || !OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    const result = await authService.sendVerificationCode(phone_number, purpose);
+
+    res.json({
+      status: 'success',
+      data: {
+        expires_in: result.expiresIn,
+        resend_after: result.resendAfter
+      }
+    });
+  } catch (error) {
+    console.error('Send OTP error:', error);
+
+    if (error.message === 'OTP resend too soon') {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Please wait before requesting a new code',
+        error_code: 'OTP_RESEND_TOO_SOON'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Exchange verification code for a single-use verification token
+ * @async
+ * @function verifyOtp
+ * @route POST /api/auth/otp/verify
+ * 
+ * @param {Object} req.body
+ * @param {string} req.body.phone_number - Phone number the code was sent to
+ * @param {string} req.body.purpose - 'register' or 'reset_password'
+ * @param {string} req.body.code - Code from the SMS
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - verification_token and expires_in
+ * 
+ * @throws {400} If parameters are invalid, or code is wrong or expired
+ * @throws {429} If too many wrong codes were entered
+ * @throws {500} If server error occurs
+ */
+router.post('/otp/verify', async (req, res) => {
+  try {
+    const { phone_number, purpose, code } = req.body;
+
+    if (!phone_number || !PHONE_NUMBER_PATTERN.test(phone_number) || !OTP_PURPOSES.includes(purpose) || !code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    const result = await otpService.verifyCode(phone_number, purpose, String(code));
+
+    res.json({
+      status: 'success',
+      data: {
+        verification_token: result.verificationToken,
+        expires_in: result.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+
+    if (error.message === 'OTP expired') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Code expired, please request a new one',
+        error_code: 'OTP_EXPIRED'
+      });
+    }
+
+    if (error.message === 'Invalid OTP') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid code',
+        error_code: 'OTP_INVALID'
+      });
+    }
+
+    if (error.message === 'OTP attempts exceeded') {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many wrong codes, please request a new one',
+        error_code: 'OTP_ATTEMPTS_EXCEEDED'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Reset password with verification token
+ * @async
+ * @function resetPassword
+ * @route POST /api/auth/password/reset
+ * 
+ * @param {Object} req.body
+ * @param {string} req.body.phone_number - Registered phone number
+ * @param {string} req.body.verification_token - Token from POST /api/auth/otp/verify (purpose reset_password)
+ * @param {string} req.body.new_password - SHA-256 hash of the new password
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {string} Response.message - Success message
+ * 
+ * @throws {400} If parameters are invalid or verification token is invalid
+ * @throws {500} If server error occurs
+ * 
+ * @sideEffects
+ * - Updates stored password hash
+ * - Revokes all sessions of the user
+ */
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { phone_number, verification_token, new_password } = req.body;
+
+    if (!phone_number || !verification_token || !new_password || !/^[a-f0-9]{64}$/i.test(new_password)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'parameter invalid'
+      });
+    }
+
+    await authService.resetPassword(phone_number, verification_token, new_password);
+
+    res.json({
+      status: 'success',
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+
+    if (error.message === 'Phone number not verified' || error.message === 'User not found') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification token',
+        error_code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -3,7 +3,7 @@
  * @description Chat routes for real-time messaging functionality
  * @author Michael Lee
  * @created 2025-06-17
- * @modified 2025-06-17
+ * @modified 2025-10-19
  * 
  * This file handles all chat-related routes including message history
  * retrieval and message sending. It manages conversations between users
@@ -44,17 +44,9 @@ const { v4: uuidv4 } = require('uuid');
  * 
  * @throws {500} If server error occurs
  */
-router.get('/messages', async (req, res) => {
+router.get('/messages', authenticateUser, async (req, res) => {
   try {
-    // Get user_id from query parameters for GET request
-    const userId = parseInt(req.query.user_id);
-
-    if (!userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id query parameter is required'
-      });
-    }
+    const userId = req.user.id; // From auth middleware
 
     // Validate user exists and is active
     const [users] = await pool.execute(
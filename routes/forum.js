@@ -3,38 +3,71 @@
  * @description Forum routes for managing topics, replies, and interactions
  * @author Michael Lee
  * @created 2025-06-17
- * @modified 2025-07-10
+ * @modified 2025-10-19
  * 
  * This file handles all forum-related routes including topic management,
- * reply handling, like/unlike functionality, search, categories, and drafts.
+ * reply handling, like/unlike functionality, search, categories, drafts and
+ * bookmarks.
+ * Write routes run behind session authentication and act as req.user; a
+ * user_id in the request is only accepted when it matches the session.
+ * Public reading routes take per-user state (own under-review posts, unread
+ * counts, subscriptions, bookmarks) from an optional session only.
  * 
  * Modification Log:
  * - 2025-06-17: Initial implementation with question/reply system
  * - 2025-07-10: Complete rewrite to match API specification with topics/replies
+ * - 2025-10-19: Write routes require a user session, admins may edit and delete any post
+ * - 2025-10-19: Revision history of topics and replies
+ * - 2025-10-19: Topic subscriptions and read position
+ * - 2025-10-19: Bookmarks on topics and replies with named collections
+ * - 2025-10-19: Topic tags, tag filter, tag autocomplete and tag pages
+ * - 2025-10-19: Featured filter, locked topics only accept replies from admins
+ * - 2025-10-19: Accepted answers and solved filter
+ * - 2025-10-19: Reader state of public listings comes from an optional session instead of user_id
+ * - 2025-10-19: Topic and reply edits are validated with the update schemas
  * 
  * Routes:
  * - GET /api/forum/topics: List all topics with pagination
  * - GET /api/forum/topics/:id: Get topic details with replies
  * - POST /api/forum/topics: Create a new topic
- * - PUT /api/forum/topics/:id: Update topic (author only)
- * - DELETE /api/forum/topics/:id: Delete topic (author only)
+ * - PUT /api/forum/topics/:id: Update topic (author or admin)
+ * - DELETE /api/forum/topics/:id: Delete topic (author or admin)
+ * - GET /api/forum/topics/:id/revisions: Topic revision history with diffs (author or admin)
  * - GET /api/forum/topics/:id/replies: Get replies for a topic
  * - POST /api/forum/topics/:id/replies: Add reply to topic
- * - PUT /api/forum/replies/:id: Update reply (author only)
- * - DELETE /api/forum/replies/:id: Delete reply (author only)
+ * - PUT /api/forum/replies/:id: Update reply (author or admin)
+ * - DELETE /api/forum/replies/:id: Delete reply (author or admin)
+ * - GET /api/forum/replies/:id/revisions: Reply revision history with diffs (author or admin)
  * - POST /api/forum/topics/:id/like: Like/unlike topic
  * - POST /api/forum/replies/:id/like: Like/unlike reply
+ * - POST /api/forum/topics/:id/subscribe: Follow a topic
+ * - DELETE /api/forum/topics/:id/subscribe: Stop following a topic
+ * - POST /api/forum/topics/:id/read: Mark topic replies as read
+ * - POST /api/forum/topics/:id/solution: Mark accepted answer (author or admin)
+ * - DELETE /api/forum/topics/:id/solution: Remove accepted answer (author or admin)
  * - GET /api/forum/search: Search topics and replies
  * - GET /api/forum/categories: Get available categories
+ * - GET /api/forum/tags: Tag autocomplete and popular tags
+ * - GET /api/forum/tags/:name: Tag page with its topics
  * - GET /api/forum/drafts: Get user's saved drafts
  * - POST /api/forum/drafts: Save/update draft
  * - DELETE /api/forum/drafts/:id: Delete draft
+ * - GET /api/forum/bookmarks: Bookmarked topics or replies
+ * - GET /api/forum/bookmarks/collections: Bookmark collections
+ * - POST /api/forum/bookmarks/collections: Create bookmark collection
+ * - PUT /api/forum/bookmarks/collections/:id: Rename bookmark collection
+ * - DELETE /api/forum/bookmarks/collections/:id: Delete bookmark collection
+ * - POST /api/forum/topics/:id/bookmark: Bookmark topic
+ * - DELETE /api/forum/topics/:id/bookmark: Remove topic bookmark
+ * - POST /api/forum/replies/:id/bookmark: Bookmark reply
+ * - DELETE /api/forum/replies/:id/bookmark: Remove reply bookmark
  * 
  * Dependencies:
  * - express: Web framework
  * - forumService: Business logic layer
  * - appAuth: App-level authentication
  * - userAuth: User-level authentication
+ * - adminAuth: Admin or owner access to posts
  */
 
 const express = require('express');
@@ -43,9 +76,17 @@ const multer = require('multer');
 const forumService = require('../services/forumService');
 const uploadService = require('../services/uploadService');
 const { validateAppAuth } = require('../middleware/appAuth');
-const { authenticateUser } = require('../middleware/userAuth');
+const { authenticateUser, optionalAuthenticateUser } = require('../middleware/userAuth');
+const { requireAdminOrOwner, isAdmin } = require('../middleware/adminAuth');
 const { validate, schemas } = require('../middleware/validation');
 
+// Owners of the post in the route, admins may act on any post
+const requireTopicOwner = requireAdminOrOwner(req => forumService.getTopicOwnerId(parseInt(req.params.id)));
+const requireReplyOwner = requireAdminOrOwner(req => forumService.getReplyOwnerId(parseInt(req.params.id)));
+
+// Tag lists are validated and normalized by the forumTopic schema
+const parseTags = tags => schemas.forumTopic.shape.tags.safeParse(tags);
+
 /**
  * @description Get all forum topics with pagination and filtering
  * @async
@@ -58,26 +99,29 @@ const { validate, schemas } = require('../middleware/validation');
  * @param {string} req.query.category - Filter by category
  * @param {string} req.query.sort - Sort order: newest, oldest, popular, trending
  * @param {string} req.query.search - Search term
- * @param {number} req.query.user_id - Include user's under-review content and prioritize at top
+ * @param {string} req.query.tags - Comma-separated tags, topics must carry all of them
+ * @param {string} req.query.featured - "true" for featured topics only, "false" to exclude them
+ * @param {string} req.query.solved - "true" for topics with an accepted answer, "false" for unsolved topics
+ * @param {string} [req.headers.authorization] - Bearer token of a logged in reader: includes their under-review
+ *   content at the top, unread counts, subscription and bookmark flags
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - Topics with pagination info
  * 
- * @throws {401} If authentication fails
+ * @throws {400} If tags are invalid
+ * @throws {401} If app authentication fails or a sent session token is invalid
+ * @throws {403} If user_id does not match the session
  * @throws {500} If server error occurs
  */
-router.get('/topics', validateAppAuth, async (req, res) => {
+router.get('/topics', validateAppAuth, optionalAuthenticateUser, async (req, res) => {
   try {
-    // Validate user_id if provided
-    if (req.query.user_id) {
-      const userId = parseInt(req.query.user_id);
-      if (isNaN(userId) || userId <= 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'user_id must be a positive integer'
-        });
-      }
+    const tags = parseTags(req.query.tags ? String(req.query.tags).split(',').filter(tag => tag.trim()) : undefined);
+    if (!tags.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: tags.error.errors[0].message
+      });
     }
 
     const filters = {
@@ -86,7 +130,10 @@ router.get('/topics', validateAppAuth, async (req, res) => {
       category: req.query.category,
       sort: req.query.sort || 'newest',
       search: req.query.search,
-      user_id: req.query.user_id ? parseInt(req.query.user_id) : null
+      tags: tags.data,
+      featured: req.query.featured === 'true' ? true : (req.query.featured === 'false' ? false : undefined),
+      solved: req.query.solved === 'true' ? true : (req.query.solved === 'false' ? false : undefined),
+      user_id: req.user ? req.user.id : null
     };
 
     const result = await forumService.getTopics(filters);
@@ -110,12 +157,13 @@ router.get('/topics', validateAppAuth, async (req, res) => {
  * @function createTopic
  * @route POST /api/forum/topics
  * 
+ * @param {Object} req.user - Author from session
  * @param {Object} req.body
- * @param {number} req.body.user_id - Author user ID
  * @param {string} req.body.title - Topic title
  * @param {string} req.body.content - Topic content
  * @param {string} req.body.category - Topic category
  * @param {Array} req.body.images - Array of image URLs
+ * @param {Array<string>} req.body.tags - Tag names (up to 5)
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
@@ -124,14 +172,14 @@ router.get('/topics', validateAppAuth, async (req, res) => {
  * @throws {400} If required fields are missing
  * @throws {500} If server error occurs
  */
-router.post('/topics', validateAppAuth, async (req, res) => {
+router.post('/topics', validateAppAuth, authenticateUser, async (req, res) => {
   try {
-    const { user_id, title, content, category, images } = req.body;
+    const { title, content, category, images } = req.body;
 
-    if (!user_id || !title || !content || !category) {
+    if (!title || !content || !category) {
       return res.status(400).json({ 
         status: 'error', 
-        message: 'user_id, title, content, and category are required' 
+        message: 'title, content, and category are required' 
       });
     }
 
@@ -156,12 +204,21 @@ router.post('/topics', validateAppAuth, async (req, res) => {
       });
     }
 
+    const tags = parseTags(req.body.tags);
+    if (!tags.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: tags.error.errors[0].message
+      });
+    }
+
     const result = await forumService.createTopic({
-      user_id,
+      user_id: req.user.id,
       title,
       content,
       category,
-      images: images || []
+      images: images || [],
+      tags: tags.data || []
     });
 
     res.status(201).json({
@@ -190,33 +247,25 @@ router.post('/topics', validateAppAuth, async (req, res) => {
  * @param {Object} req.query
  * @param {number} req.query.reply_page - Reply page number
  * @param {number} req.query.reply_limit - Replies per page
- * @param {number} req.query.user_id - Include user's under-review replies and prioritize at top
+ * @param {string} [req.headers.authorization] - Bearer token of a logged in reader: includes their under-review
+ *   topic and replies, read state, subscription and bookmark flags
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - Topic details and replies
  * 
+ * @throws {401} If a sent session token is invalid
+ * @throws {403} If user_id does not match the session
  * @throws {404} If topic not found
  * @throws {500} If server error occurs
  */
-router.get('/topics/:id', validateAppAuth, async (req, res) => {
+router.get('/topics/:id', validateAppAuth, optionalAuthenticateUser, async (req, res) => {
   try {
-    // Validate user_id if provided
-    if (req.query.user_id) {
-      const userId = parseInt(req.query.user_id);
-      if (isNaN(userId) || userId <= 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'user_id must be a positive integer'
-        });
-      }
-    }
-
     const topicId = parseInt(req.params.id);
     const replyFilters = {
       reply_page: parseInt(req.query.reply_page) || 1,
       reply_limit: Math.min(parseInt(req.query.reply_limit) || 20, 50),
-      user_id: req.query.user_id ? parseInt(req.query.user_id) : null
+      user_id: req.user ? req.user.id : null
     };
 
     const result = await forumService.getTopicById(topicId, replyFilters);
@@ -242,7 +291,7 @@ router.get('/topics/:id', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Update topic (author only)
+ * @description Update topic (author or admin)
  * @async
  * @function updateTopic
  * @route PUT /api/forum/topics/:id
@@ -250,40 +299,35 @@ router.get('/topics/:id', validateAppAuth, async (req, res) => {
  * @param {Object} req.params
  * @param {string} req.params.id - Topic ID
  * @param {Object} req.body
- * @param {number} req.body.user_id - Author user ID
  * @param {string} req.body.title - New title
  * @param {string} req.body.content - New content
  * @param {string} req.body.category - New category
  * @param {Array} req.body.images - New image URLs
+ * @param {Array<string>} req.body.tags - New tag names (up to 5), replace all tags
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - Updated topic data
  * 
- * @throws {400} If user_id is missing
- * @throws {403} If user is not the author
+ * @throws {400} If a field fails validation
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
  * @throws {404} If topic not found
  * @throws {500} If server error occurs
  */
-router.put('/topics/:id', validateAppAuth, async (req, res) => {
+router.put('/topics/:id', validateAppAuth, authenticateUser, validate(schemas.forumTopicUpdate), requireTopicOwner, async (req, res) => {
   try {
     const topicId = parseInt(req.params.id);
-    const { user_id, title, content, category, images } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id is required'
-      });
-    }
+    const { title, content, category, images, tags } = req.body;
 
     const updates = {};
     if (title !== undefined) updates.title = title;
     if (content !== undefined) updates.content = content;
     if (category !== undefined) updates.category = category;
     if (images !== undefined) updates.images = images;
+    if (tags !== undefined) updates.tags = tags;
 
-    const result = await forumService.updateTopic(topicId, user_id, updates);
+    const result = await forumService.updateTopic(topicId, req.user.id, updates, req.adminOverride);
 
     res.json({
       status: 'success',
@@ -311,38 +355,28 @@ router.put('/topics/:id', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Delete topic (author only)
+ * @description Delete topic (author or admin)
  * @async
  * @function deleteTopic
  * @route DELETE /api/forum/topics/:id
  * 
  * @param {Object} req.params
  * @param {string} req.params.id - Topic ID
- * @param {Object} req.body
- * @param {number} req.body.user_id - Author user ID
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {string} Response.message - Success message
  * 
- * @throws {400} If user_id is missing
- * @throws {403} If user is not the author
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
  * @throws {404} If topic not found
  * @throws {500} If server error occurs
  */
-router.delete('/topics/:id', validateAppAuth, async (req, res) => {
+router.delete('/topics/:id', validateAppAuth, authenticateUser, requireTopicOwner, async (req, res) => {
   try {
     const topicId = parseInt(req.params.id);
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id is required'
-      });
-    }
 
-    await forumService.deleteTopic(topicId, user_id);
+    await forumService.deleteTopic(topicId, req.user.id, req.adminOverride);
 
     res.json({
       status: 'success',
@@ -369,6 +403,48 @@ router.delete('/topics/:id', validateAppAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description Revision history of a topic with line-level diffs (author or admin)
+ * @async
+ * @function getTopicRevisions
+ * @route GET /api/forum/topics/:id/revisions
+ * 
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - Author and revisions, oldest first, the last one is the current version
+ * 
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
+ * @throws {404} If topic not found
+ * @throws {500} If server error occurs
+ */
+router.get('/topics/:id/revisions', validateAppAuth, authenticateUser, requireTopicOwner, async (req, res) => {
+  try {
+    const history = await forumService.getRevisions('topic', parseInt(req.params.id));
+
+    if (!history) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Topic not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching topic revisions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @description Get replies for a topic
  * @async
@@ -381,33 +457,25 @@ router.delete('/topics/:id', validateAppAuth, async (req, res) => {
  * @param {number} req.query.page - Page number
  * @param {number} req.query.limit - Items per page
  * @param {string} req.query.sort - Sort order
- * @param {number} req.query.user_id - Include user's under-review replies and prioritize at top
+ * @param {string} [req.headers.authorization] - Bearer token of a logged in reader: includes their under-review
+ *   replies at the top and bookmark flags
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - Replies with pagination
  * 
+ * @throws {401} If a sent session token is invalid
+ * @throws {403} If user_id does not match the session
  * @throws {500} If server error occurs
  */
-router.get('/topics/:id/replies', validateAppAuth, async (req, res) => {
+router.get('/topics/:id/replies', validateAppAuth, optionalAuthenticateUser, async (req, res) => {
   try {
-    // Validate user_id if provided
-    if (req.query.user_id) {
-      const userId = parseInt(req.query.user_id);
-      if (isNaN(userId) || userId <= 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'user_id must be a positive integer'
-        });
-      }
-    }
-
     const topicId = parseInt(req.params.id);
     const filters = {
       page: parseInt(req.query.page) || 1,
       limit: Math.min(parseInt(req.query.limit) || 20, 50),
       sort: req.query.sort || 'newest',
-      user_id: req.query.user_id ? parseInt(req.query.user_id) : null
+      user_id: req.user ? req.user.id : null
     };
 
     const result = await forumService.getReplies(topicId, filters);
@@ -433,8 +501,8 @@ router.get('/topics/:id/replies', validateAppAuth, async (req, res) => {
  * 
  * @param {Object} req.params
  * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Author from session
  * @param {Object} req.body
- * @param {number} req.body.user_id - Author user ID
  * @param {string} req.body.content - Reply content
  * @param {number} req.body.parent_reply_id - Parent reply ID for nested replies (optional)
  * @param {Array} req.body.images - Array of image URLs
@@ -444,18 +512,19 @@ router.get('/topics/:id/replies', validateAppAuth, async (req, res) => {
  * @returns {Object} Response.data - Created reply data
  * 
  * @throws {400} If required fields are missing
+ * @throws {403} If the topic is locked (error_code TOPIC_LOCKED), admins may still reply
  * @throws {404} If topic not found
  * @throws {500} If server error occurs
  */
-router.post('/topics/:id/replies', validateAppAuth, async (req, res) => {
+router.post('/topics/:id/replies', validateAppAuth, authenticateUser, async (req, res) => {
   try {
     const topicId = parseInt(req.params.id);
-    const { user_id, content, parent_reply_id, images } = req.body;
+    const { content, parent_reply_id, images } = req.body;
 
-    if (!user_id || !content) {
+    if (!content) {
       return res.status(400).json({
         status: 'error',
-        message: 'user_id and content are required'
+        message: 'content is required'
       });
     }
 
@@ -475,11 +544,11 @@ router.post('/topics/:id/replies', validateAppAuth, async (req, res) => {
 
     const result = await forumService.createReply({
       topic_id: topicId,
-      user_id,
+      user_id: req.user.id,
       content,
       parent_reply_id,
       images: images || []
-    });
+    }, isAdmin(req.user));
 
     res.status(201).json({
       status: 'success',
@@ -494,6 +563,12 @@ router.post('/topics/:id/replies', validateAppAuth, async (req, res) => {
         status: 'error',
         message: 'Topic not found or closed'
       });
+    } else if (error.message === 'Topic is locked') {
+      res.status(403).json({
+        status: 'error',
+        message: 'This topic is locked and no longer accepts replies',
+        error_code: 'TOPIC_LOCKED'
+      });
     } else {
       res.status(500).json({
         status: 'error',
@@ -504,7 +579,7 @@ router.post('/topics/:id/replies', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Update reply (author only)
+ * @description Update reply (author or admin)
  * @async
  * @function updateReply
  * @route PUT /api/forum/replies/:id
@@ -512,7 +587,6 @@ router.post('/topics/:id/replies', validateAppAuth, async (req, res) => {
  * @param {Object} req.params
  * @param {string} req.params.id - Reply ID
  * @param {Object} req.body
- * @param {number} req.body.user_id - Author user ID
  * @param {string} req.body.content - New content
  * @param {Array} req.body.images - New image URLs
  * 
@@ -521,40 +595,20 @@ router.post('/topics/:id/replies', validateAppAuth, async (req, res) => {
  * @returns {Object} Response.data - Updated reply data
  * 
  * @throws {400} If required fields are missing
- * @throws {403} If user is not the author
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
  * @throws {404} If reply not found
  * @throws {500} If server error occurs
  */
-router.put('/replies/:id', validateAppAuth, async (req, res) => {
+router.put('/replies/:id', validateAppAuth, authenticateUser, validate(schemas.forumReplyUpdate), requireReplyOwner, async (req, res) => {
   try {
     const replyId = parseInt(req.params.id);
-    const { user_id, content, images } = req.body;
-
-    if (!user_id || !content) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id and content are required'
-      });
-    }
-
-    if (content.length < 1 || content.length > 1000) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Content must be between 1 and 1000 characters'
-      });
-    }
-
-    if (images && images.length > 2) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Maximum 2 images allowed'
-      });
-    }
+    const { content, images } = req.body;
 
-    const result = await forumService.updateReply(replyId, user_id, {
+    const result = await forumService.updateReply(replyId, req.user.id, {
       content,
       images
-    });
+    }, req.adminOverride);
 
     res.json({
       status: 'success',
@@ -584,38 +638,28 @@ router.put('/replies/:id', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Delete reply (author only)
+ * @description Delete reply (author or admin)
  * @async
  * @function deleteReply
  * @route DELETE /api/forum/replies/:id
  * 
  * @param {Object} req.params
  * @param {string} req.params.id - Reply ID
- * @param {Object} req.body
- * @param {number} req.body.user_id - Author user ID
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {string} Response.message - Success message
  * 
- * @throws {400} If user_id is missing
- * @throws {403} If user is not the author
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
  * @throws {404} If reply not found
  * @throws {500} If server error occurs
  */
-router.delete('/replies/:id', validateAppAuth, async (req, res) => {
+router.delete('/replies/:id', validateAppAuth, authenticateUser, requireReplyOwner, async (req, res) => {
   try {
     const replyId = parseInt(req.params.id);
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id is required'
-      });
-    }
 
-    await forumService.deleteReply(replyId, user_id);
+    await forumService.deleteReply(replyId, req.user.id, req.adminOverride);
 
     res.json({
       status: 'success',
@@ -643,43 +687,40 @@ router.delete('/replies/:id', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Toggle like status for topic
+ * @description Revision history of a reply with line-level diffs (author or admin)
  * @async
- * @function toggleTopicLike
- * @route POST /api/forum/topics/:id/like
+ * @function getReplyRevisions
+ * @route GET /api/forum/replies/:id/revisions
  * 
  * @param {Object} req.params
- * @param {string} req.params.id - Topic ID
- * @param {Object} req.body
- * @param {number} req.body.user_id - User ID
+ * @param {string} req.params.id - Reply ID
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
- * @returns {Object} Response.data - Like status and count
+ * @returns {Object} Response.data - Author and revisions, oldest first, the last one is the current version
  * 
- * @throws {400} If user_id is missing
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
+ * @throws {404} If reply not found
  * @throws {500} If server error occurs
  */
-router.post('/topics/:id/like', validateAppAuth, async (req, res) => {
+router.get('/replies/:id/revisions', validateAppAuth, authenticateUser, requireReplyOwner, async (req, res) => {
   try {
-    const topicId = parseInt(req.params.id);
-    const { user_id } = req.body;
+    const history = await forumService.getRevisions('reply', parseInt(req.params.id));
 
-    if (!user_id) {
-      return res.status(400).json({
+    if (!history) {
+      return res.status(404).json({
         status: 'error',
-        message: 'user_id is required'
+        message: 'Reply not found'
       });
     }
 
-    const result = await forumService.toggleTopicLike(topicId, user_id);
-
     res.json({
       status: 'success',
-      data: result
+      data: history
     });
   } catch (error) {
-    console.error('Error toggling topic like:', error);
+    console.error('Error fetching reply revisions:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -688,43 +729,34 @@ router.post('/topics/:id/like', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Toggle like status for reply
+ * @description Toggle like status for topic
  * @async
- * @function toggleReplyLike
- * @route POST /api/forum/replies/:id/like
+ * @function toggleTopicLike
+ * @route POST /api/forum/topics/:id/like
  * 
  * @param {Object} req.params
- * @param {string} req.params.id - Reply ID
- * @param {Object} req.body
- * @param {number} req.body.user_id - User ID
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Liking user from session
  * 
  * @returns {Object} Response object
  * @returns {string} Response.status - Success/error status
  * @returns {Object} Response.data - Like status and count
  * 
- * @throws {400} If user_id is missing
+ * @throws {401} If the session token is missing or invalid
  * @throws {500} If server error occurs
  */
-router.post('/replies/:id/like', validateAppAuth, async (req, res) => {
+router.post('/topics/:id/like', validateAppAuth, authenticateUser, async (req, res) => {
   try {
-    const replyId = parseInt(req.params.id);
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id is required'
-      });
-    }
+    const topicId = parseInt(req.params.id);
 
-    const result = await forumService.toggleReplyLike(replyId, user_id);
+    const result = await forumService.toggleTopicLike(topicId, req.user.id);
 
     res.json({
       status: 'success',
       data: result
     });
   } catch (error) {
-    console.error('Error toggling reply like:', error);
+    console.error('Error toggling topic like:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -733,51 +765,40 @@ router.post('/replies/:id/like', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Search topics and replies
+ * @description Follow a topic to be notified about new replies
  * @async
- * @function searchContent
- * @route GET /api/forum/search
- * 
- * @param {Object} req.query
- * @param {string} req.query.q - Search query
- * @param {string} req.query.type - Search type: topics, replies, all
- * @param {string} req.query.category - Filter by category
- * @param {number} req.query.page - Page number
- * @param {number} req.query.limit - Items per page
- * 
+ * @function subscribeTopic
+ * @route POST /api/forum/topics/:id/subscribe
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Subscribing user from session
+ *
  * @returns {Object} Response object
- * @returns {string} Response.status - Success/error status
- * @returns {Object} Response.data - Search results with pagination
- * 
- * @throws {400} If query is missing or too short
+ * @returns {Object} Response.data - { topic_id, is_subscribed }
+ *
+ * @throws {401} If the session token is missing or invalid
+ * @throws {404} If topic not found
  * @throws {500} If server error occurs
  */
-router.get('/search', validateAppAuth, async (req, res) => {
+router.post('/topics/:id/subscribe', validateAppAuth, authenticateUser, async (req, res) => {
   try {
-    const { q, type, category, page, limit } = req.query;
-
-    if (!q || q.length < 2) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Search query must be at least 2 characters'
-      });
-    }
-
-    const filters = {
-      type: type || 'all',
-      category,
-      page: parseInt(page) || 1,
-      limit: Math.min(parseInt(limit) || 20, 50)
-    };
+    const topicId = parseInt(req.params.id);
 
-    const result = await forumService.searchContent(q, filters);
+    const result = await forumService.subscribeTopic(topicId, req.user.id);
 
     res.json({
       status: 'success',
       data: result
     });
   } catch (error) {
-    console.error('Error searching content:', error);
+    console.error('Error subscribing to topic:', error);
+    if (error.message === 'Topic not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Topic not found'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -786,29 +807,33 @@ router.get('/search', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Get available categories
+ * @description Stop following a topic
  * @async
- * @function getCategories
- * @route GET /api/forum/categories
- * 
+ * @function unsubscribeTopic
+ * @route DELETE /api/forum/topics/:id/subscribe
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Subscribed user from session
+ *
  * @returns {Object} Response object
- * @returns {string} Response.status - Success/error status
- * @returns {Object} Response.data - Categories list
- * 
+ * @returns {Object} Response.data - { topic_id, is_subscribed }
+ *
+ * @throws {401} If the session token is missing or invalid
  * @throws {500} If server error occurs
  */
-router.get('/categories', validateAppAuth, async (req, res) => {
+router.delete('/topics/:id/subscribe', validateAppAuth, authenticateUser, async (req, res) => {
   try {
-    const categories = await forumService.getCategories();
+    const topicId = parseInt(req.params.id);
+
+    const result = await forumService.unsubscribeTopic(topicId, req.user.id);
 
     res.json({
       status: 'success',
-      data: {
-        categories
-      }
+      data: result
     });
   } catch (error) {
-    console.error('Error fetching categories:', error);
+    console.error('Error unsubscribing from topic:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -817,49 +842,52 @@ router.get('/categories', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Get user's saved drafts
+ * @description Mark topic replies as read up to a reply
  * @async
- * @function getDrafts
- * @route GET /api/forum/drafts
- * 
- * @param {Object} req.query
- * @param {number} req.query.user_id - User ID
- * @param {string} req.query.type - Filter by type: topic, reply
- * @param {number} req.query.page - Page number
- * @param {number} req.query.limit - Items per page
- * 
+ * @function markTopicRead
+ * @route POST /api/forum/topics/:id/read
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Reading user from session
+ * @param {Object} req.body
+ * @param {number} req.body.last_read_reply_id - Last reply shown to the user (optional, default: newest reply)
+ *
  * @returns {Object} Response object
- * @returns {string} Response.status - Success/error status
- * @returns {Object} Response.data - Drafts with pagination
- * 
- * @throws {400} If user_id is missing
+ * @returns {Object} Response.data - { topic_id, last_read_reply_id, unread_count, first_unread_reply_id }
+ *
+ * @throws {400} If last_read_reply_id is not a positive integer
+ * @throws {401} If the session token is missing or invalid
+ * @throws {404} If topic or reply not found
  * @throws {500} If server error occurs
  */
-router.get('/drafts', validateAppAuth, async (req, res) => {
+router.post('/topics/:id/read', validateAppAuth, authenticateUser, async (req, res) => {
   try {
-    const { user_id, type, page, limit } = req.query;
+    const topicId = parseInt(req.params.id);
+    const { last_read_reply_id } = req.body;
 
-    if (!user_id) {
+    if (last_read_reply_id !== undefined && last_read_reply_id !== null &&
+      (!Number.isInteger(last_read_reply_id) || last_read_reply_id <= 0)) {
       return res.status(400).json({
         status: 'error',
-        message: 'user_id is required'
+        message: 'last_read_reply_id must be a positive integer'
       });
     }
 
-    const filters = {
-      type,
-      page: parseInt(page) || 1,
-      limit: Math.min(parseInt(limit) || 50, 50)
-    };
-
-    const result = await forumService.getDrafts(parseInt(user_id), filters);
+    const result = await forumService.markTopicRead(topicId, req.user.id, last_read_reply_id || null);
 
     res.json({
       status: 'success',
       data: result
     });
   } catch (error) {
-    console.error('Error fetching drafts:', error);
+    console.error('Error marking topic read:', error);
+    if (error.message === 'Topic not found' || error.message === 'Reply not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -868,54 +896,57 @@ router.get('/drafts', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Save or update draft
+ * @description Mark a reply as the accepted solution (topic author or admin)
  * @async
- * @function saveDraft
- * @route POST /api/forum/drafts
- * 
+ * @function acceptAnswer
+ * @route POST /api/forum/topics/:id/solution
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Topic author or admin from session
  * @param {Object} req.body
- * @param {number} req.body.user_id - User ID
- * @param {string} req.body.type - Draft type: topic, reply
- * @param {string} req.body.title - Draft title (for topics)
- * @param {string} req.body.content - Draft content
- * @param {string} req.body.category - Draft category (for topics)
- * @param {number} req.body.topic_id - Topic ID (for replies)
- * 
+ * @param {number} req.body.reply_id - Published reply of this topic, replaces an earlier solution
+ *
  * @returns {Object} Response object
- * @returns {string} Response.status - Success/error status
- * @returns {Object} Response.data - Saved draft data
- * 
- * @throws {400} If required fields are missing
+ * @returns {Object} Response.data - { topic_id, solution_reply_id, previous_solution_reply_id, solved_at }
+ *
+ * @throws {400} If reply_id is not a positive integer
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
+ * @throws {404} If topic or reply not found
  * @throws {500} If server error occurs
  */
-router.post('/drafts', validateAppAuth, async (req, res) => {
+router.post('/topics/:id/solution', validateAppAuth, authenticateUser, requireTopicOwner, async (req, res) => {
   try {
-    const { user_id, type, title, content, category, topic_id } = req.body;
+    const topicId = parseInt(req.params.id);
+    const { reply_id } = req.body;
 
-    if (!user_id || !type) {
+    if (!Number.isInteger(reply_id) || reply_id <= 0) {
       return res.status(400).json({
         status: 'error',
-        message: 'user_id and type are required'
+        message: 'reply_id must be a positive integer'
       });
     }
 
-    const result = await forumService.saveDraft({
-      user_id,
-      type,
-      title,
-      content,
-      category,
-      topic_id
-    });
+    const result = await forumService.acceptAnswer(topicId, reply_id);
 
     res.json({
       status: 'success',
       data: {
-        draft: result
+        topic_id: result.topic_id,
+        solution_reply_id: result.solution_reply_id,
+        previous_solution_reply_id: result.previous_solution_reply_id,
+        solved_at: result.solved_at
       }
     });
   } catch (error) {
-    console.error('Error saving draft:', error);
+    console.error('Error accepting answer:', error);
+    if (error.message === 'Topic not found' || error.message === 'Reply not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -924,38 +955,375 @@ router.post('/drafts', validateAppAuth, async (req, res) => {
 });
 
 /**
- * @description Delete draft
+ * @description Remove the accepted solution (topic author or admin)
  * @async
- * @function deleteDraft
- * @route DELETE /api/forum/drafts/:id
- * 
+ * @function unacceptAnswer
+ * @route DELETE /api/forum/topics/:id/solution
+ *
  * @param {Object} req.params
- * @param {string} req.params.id - Draft ID
- * @param {Object} req.body
- * @param {number} req.body.user_id - User ID
- * 
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Topic author or admin from session
+ *
  * @returns {Object} Response object
- * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - { topic_id, solution_reply_id, previous_solution_reply_id }
+ *
+ * @throws {401} If the session token is missing or invalid
+ * @throws {403} If user is neither the author nor an admin
+ * @throws {404} If topic not found
+ * @throws {500} If server error occurs
+ */
+router.delete('/topics/:id/solution', validateAppAuth, authenticateUser, requireTopicOwner, async (req, res) => {
+  try {
+    const topicId = parseInt(req.params.id);
+
+    const result = await forumService.unacceptAnswer(topicId);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error removing accepted answer:', error);
+    if (error.message === 'Topic not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Toggle like status for reply
+ * @async
+ * @function toggleReplyLike
+ * @route POST /api/forum/replies/:id/like
+ * 
+ * @param {Object} req.params
+ * @param {string} req.params.id - Reply ID
+ * @param {Object} req.user - Liking user from session
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - Like status and count
+ * 
+ * @throws {401} If the session token is missing or invalid
+ * @throws {500} If server error occurs
+ */
+router.post('/replies/:id/like', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const replyId = parseInt(req.params.id);
+
+    const result = await forumService.toggleReplyLike(replyId, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error toggling reply like:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Search topics and replies
+ * @async
+ * @function searchContent
+ * @route GET /api/forum/search
+ * 
+ * @param {Object} req.query
+ * @param {string} req.query.q - Search query
+ * @param {string} req.query.type - Search type: topics, replies, all
+ * @param {string} req.query.category - Filter by category
+ * @param {number} req.query.page - Page number
+ * @param {number} req.query.limit - Items per page
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - Search results with pagination
+ * 
+ * @throws {400} If query is missing or too short
+ * @throws {500} If server error occurs
+ */
+router.get('/search', validateAppAuth, async (req, res) => {
+  try {
+    const { q, type, category, page, limit } = req.query;
+
+    if (!q || q.length < 2) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Search query must be at least 2 characters'
+      });
+    }
+
+    const filters = {
+      type: type || 'all',
+      category,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 50)
+    };
+
+    const result = await forumService.searchContent(q, filters);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Get available categories
+ * @async
+ * @function getCategories
+ * @route GET /api/forum/categories
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - Categories list
+ * 
+ * @throws {500} If server error occurs
+ */
+router.get('/categories', validateAppAuth, async (req, res) => {
+  try {
+    const categories = await forumService.getCategories();
+
+    res.json({
+      status: 'success',
+      data: {
+        categories
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Tag autocomplete, or the most used tags without a query
+ * @async
+ * @function getTags
+ * @route GET /api/forum/tags
+ *
+ * @param {Object} req.query
+ * @param {string} req.query.q - Tag name prefix
+ * @param {number} req.query.limit - Maximum tags (default: 10, max: 50)
+ *
+ * @returns {Object} Response object
+ * @returns {Array} Response.data.tags - { id, name, topic_count }, most used first
+ *
+ * @throws {500} If server error occurs
+ */
+router.get('/tags', validateAppAuth, async (req, res) => {
+  try {
+    const tags = await forumService.getTags({
+      q: req.query.q,
+      limit: Math.min(parseInt(req.query.limit) || 10, 50)
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        tags
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Tag page with its topics
+ * @async
+ * @function getTagTopics
+ * @route GET /api/forum/tags/:name
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.name - Tag name
+ * @param {Object} req.query - Same page, limit and sort parameters as GET /api/forum/topics
+ * @param {string} [req.headers.authorization] - Bearer token of a logged in reader, as for GET /api/forum/topics
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { tag, topics, pagination }
+ *
+ * @throws {401} If a sent session token is invalid
+ * @throws {403} If user_id does not match the session
+ * @throws {404} If tag not found
+ * @throws {500} If server error occurs
+ */
+router.get('/tags/:name', validateAppAuth, optionalAuthenticateUser, async (req, res) => {
+  try {
+    const result = await forumService.getTagTopics(req.params.name, {
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 50),
+      sort: req.query.sort || 'newest',
+      user_id: req.user ? req.user.id : null
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching tag topics:', error);
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Get user's saved drafts
+ * @async
+ * @function getDrafts
+ * @route GET /api/forum/drafts
+ * 
+ * @param {Object} req.user - Draft owner from session
+ * @param {Object} req.query
+ * @param {string} req.query.type - Filter by type: topic, reply
+ * @param {number} req.query.page - Page number
+ * @param {number} req.query.limit - Items per page
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - Drafts with pagination
+ * 
+ * @throws {401} If the session token is missing or invalid
+ * @throws {500} If server error occurs
+ */
+router.get('/drafts', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const { type, page, limit } = req.query;
+
+    const filters = {
+      type,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 50, 50)
+    };
+
+    const result = await forumService.getDrafts(req.user.id, filters);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching drafts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Save or update draft
+ * @async
+ * @function saveDraft
+ * @route POST /api/forum/drafts
+ * 
+ * @param {Object} req.user - Draft owner from session
+ * @param {Object} req.body
+ * @param {string} req.body.type - Draft type: topic, reply
+ * @param {string} req.body.title - Draft title (for topics)
+ * @param {string} req.body.content - Draft content
+ * @param {string} req.body.category - Draft category (for topics)
+ * @param {number} req.body.topic_id - Topic ID (for replies)
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
+ * @returns {Object} Response.data - Saved draft data
+ * 
+ * @throws {400} If required fields are missing
+ * @throws {500} If server error occurs
+ */
+router.post('/drafts', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const { type, title, content, category, topic_id } = req.body;
+
+    if (!type) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'type is required'
+      });
+    }
+
+    const result = await forumService.saveDraft({
+      user_id: req.user.id,
+      type,
+      title,
+      content,
+      category,
+      topic_id
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        draft: result
+      }
+    });
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Delete draft
+ * @async
+ * @function deleteDraft
+ * @route DELETE /api/forum/drafts/:id
+ * 
+ * @param {Object} req.params
+ * @param {string} req.params.id - Draft ID
+ * @param {Object} req.user - Draft owner from session
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.status - Success/error status
  * @returns {string} Response.message - Success message
  * 
- * @throws {400} If user_id is missing
- * @throws {403} If user is not the owner
+ * @throws {401} If the session token is missing or invalid
  * @throws {404} If draft not found
  * @throws {500} If server error occurs
  */
-router.delete('/drafts/:id', validateAppAuth, async (req, res) => {
+router.delete('/drafts/:id', validateAppAuth, authenticateUser, async (req, res) => {
   try {
     const draftId = parseInt(req.params.id);
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'user_id is required'
-      });
-    }
 
-    await forumService.deleteDraft(draftId, user_id);
+    await forumService.deleteDraft(draftId, req.user.id);
 
     res.json({
       status: 'success',
@@ -977,6 +1345,409 @@ router.delete('/drafts/:id', validateAppAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description Bookmarked topics or replies of the user, newest bookmark first
+ * @async
+ * @function getBookmarks
+ * @route GET /api/forum/bookmarks
+ *
+ * @param {Object} req.user - Bookmarking user from session
+ * @param {Object} req.query
+ * @param {string} req.query.type - Bookmark type: topic (default), reply
+ * @param {number} req.query.collection_id - Only bookmarks in this collection
+ * @param {number} req.query.page - Page number
+ * @param {number} req.query.limit - Items per page
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { topics, pagination } or { replies, pagination }
+ *
+ * @throws {400} If type is invalid
+ * @throws {401} If the session token is missing or invalid
+ * @throws {500} If server error occurs
+ */
+router.get('/bookmarks', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const { type = 'topic', collection_id, page, limit } = req.query;
+
+    if (!['topic', 'reply'].includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'type must be topic or reply'
+      });
+    }
+
+    const filters = {
+      type,
+      collection_id: parseInt(collection_id) || null,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 50)
+    };
+
+    const result = await forumService.getBookmarks(req.user.id, filters);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Bookmark collections of the user with bookmark counts
+ * @async
+ * @function getBookmarkCollections
+ * @route GET /api/forum/bookmarks/collections
+ *
+ * @param {Object} req.user - Collection owner from session
+ *
+ * @returns {Object} Response object
+ * @returns {Array} Response.data.collections - { id, name, bookmark_count, created_at, updated_at }
+ *
+ * @throws {401} If the session token is missing or invalid
+ * @throws {500} If server error occurs
+ */
+router.get('/bookmarks/collections', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const collections = await forumService.getBookmarkCollections(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        collections
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bookmark collections:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Create a bookmark collection
+ * @async
+ * @function createBookmarkCollection
+ * @route POST /api/forum/bookmarks/collections
+ *
+ * @param {Object} req.user - Collection owner from session
+ * @param {Object} req.body
+ * @param {string} req.body.name - Collection name, unique per user (1-50 characters)
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data.collection - Created collection
+ *
+ * @throws {400} If the name is invalid
+ * @throws {401} If the session token is missing or invalid
+ * @throws {409} If the user already has a collection with this name
+ * @throws {500} If server error occurs
+ */
+router.post('/bookmarks/collections', validateAppAuth, authenticateUser, validate(schemas.forumBookmarkCollection), async (req, res) => {
+  try {
+    const collection = await forumService.createBookmarkCollection(req.user.id, req.body.name);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        collection
+      }
+    });
+  } catch (error) {
+    console.error('Error creating bookmark collection:', error);
+    if (error.message === 'Collection name already exists') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Rename a bookmark collection
+ * @async
+ * @function renameBookmarkCollection
+ * @route PUT /api/forum/bookmarks/collections/:id
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Collection ID
+ * @param {Object} req.user - Collection owner from session
+ * @param {Object} req.body
+ * @param {string} req.body.name - New name, unique per user (1-50 characters)
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data.collection - { id, name }
+ *
+ * @throws {400} If the name is invalid
+ * @throws {401} If the session token is missing or invalid
+ * @throws {404} If the collection does not exist or belongs to another user
+ * @throws {409} If the user already has a collection with this name
+ * @throws {500} If server error occurs
+ */
+router.put('/bookmarks/collections/:id', validateAppAuth, authenticateUser, validate(schemas.forumBookmarkCollection), async (req, res) => {
+  try {
+    const collectionId = parseInt(req.params.id);
+
+    const collection = await forumService.renameBookmarkCollection(req.user.id, collectionId, req.body.name);
+
+    res.json({
+      status: 'success',
+      data: {
+        collection
+      }
+    });
+  } catch (error) {
+    console.error('Error renaming bookmark collection:', error);
+    if (error.message === 'Collection not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.message === 'Collection name already exists') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Delete a bookmark collection, its bookmarks are kept without a collection
+ * @async
+ * @function deleteBookmarkCollection
+ * @route DELETE /api/forum/bookmarks/collections/:id
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Collection ID
+ * @param {Object} req.user - Collection owner from session
+ *
+ * @returns {Object} Response object
+ * @returns {string} Response.message - Success message
+ *
+ * @throws {401} If the session token is missing or invalid
+ * @throws {404} If the collection does not exist or belongs to another user
+ * @throws {500} If server error occurs
+ */
+router.delete('/bookmarks/collections/:id', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const collectionId = parseInt(req.params.id);
+
+    await forumService.deleteBookmarkCollection(req.user.id, collectionId);
+
+    res.json({
+      status: 'success',
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bookmark collection:', error);
+    if (error.message === 'Collection not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Bookmark a topic, or move its bookmark to another collection
+ * @async
+ * @function bookmarkTopic
+ * @route POST /api/forum/topics/:id/bookmark
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Bookmarking user from session
+ * @param {Object} req.body
+ * @param {number} req.body.collection_id - Own collection (optional, default: no collection)
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { entity_type, entity_id, collection_id, is_bookmarked }
+ *
+ * @throws {400} If collection_id is not a positive integer
+ * @throws {401} If the session token is missing or invalid
+ * @throws {404} If topic or collection not found
+ * @throws {500} If server error occurs
+ */
+router.post('/topics/:id/bookmark', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const topicId = parseInt(req.params.id);
+    const { collection_id } = req.body;
+
+    if (collection_id !== undefined && collection_id !== null &&
+      (!Number.isInteger(collection_id) || collection_id <= 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'collection_id must be a positive integer'
+      });
+    }
+
+    const result = await forumService.addBookmark(req.user.id, 'topic', topicId, collection_id || null);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error bookmarking topic:', error);
+    if (error.message === 'Topic not found' || error.message === 'Collection not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Remove the bookmark of a topic
+ * @async
+ * @function unbookmarkTopic
+ * @route DELETE /api/forum/topics/:id/bookmark
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Topic ID
+ * @param {Object} req.user - Bookmarking user from session
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { entity_type, entity_id, is_bookmarked }
+ *
+ * @throws {401} If the session token is missing or invalid
+ * @throws {500} If server error occurs
+ */
+router.delete('/topics/:id/bookmark', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const topicId = parseInt(req.params.id);
+
+    const result = await forumService.removeBookmark(req.user.id, 'topic', topicId);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error removing topic bookmark:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Bookmark a reply, or move its bookmark to another collection
+ * @async
+ * @function bookmarkReply
+ * @route POST /api/forum/replies/:id/bookmark
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Reply ID
+ * @param {Object} req.user - Bookmarking user from session
+ * @param {Object} req.body
+ * @param {number} req.body.collection_id - Own collection (optional, default: no collection)
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { entity_type, entity_id, collection_id, is_bookmarked }
+ *
+ * @throws {400} If collection_id is not a positive integer
+ * @throws {401} If the session token is missing or invalid
+ * @throws {404} If reply or collection not found
+ * @throws {500} If server error occurs
+ */
+router.post('/replies/:id/bookmark', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const replyId = parseInt(req.params.id);
+    const { collection_id } = req.body;
+
+    if (collection_id !== undefined && collection_id !== null &&
+      (!Number.isInteger(collection_id) || collection_id <= 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'collection_id must be a positive integer'
+      });
+    }
+
+    const result = await forumService.addBookmark(req.user.id, 'reply', replyId, collection_id || null);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error bookmarking reply:', error);
+    if (error.message === 'Reply not found' || error.message === 'Collection not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Remove the bookmark of a reply
+ * @async
+ * @function unbookmarkReply
+ * @route DELETE /api/forum/replies/:id/bookmark
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Reply ID
+ * @param {Object} req.user - Bookmarking user from session
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { entity_type, entity_id, is_bookmarked }
+ *
+ * @throws {401} If the session token is missing or invalid
+ * @throws {500} If server error occurs
+ */
+router.delete('/replies/:id/bookmark', validateAppAuth, authenticateUser, async (req, res) => {
+  try {
+    const replyId = parseInt(req.params.id);
+
+    const result = await forumService.removeBookmark(req.user.id, 'reply', replyId);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error removing reply bookmark:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Configure multer for file uploads
 const upload = multer({
   dest: 'temp/', // Temporary directory for uploads
@@ -1008,8 +1779,8 @@ const upload = multer({
  * @route POST /api/forum/uploads
  * 
  * @param {Object} req.file - Uploaded file (from multer)
+ * @param {Object} req.user - Uploader from session
  * @param {Object} req.body
- * @param {number} req.body.user_id - User ID
  * @param {string} req.body.type - Upload type: topic, reply
  * @param {number} req.body.post_id - Associated post ID (optional)
  * 
@@ -1024,10 +1795,11 @@ const upload = multer({
  */
 router.post('/uploads', 
   validateAppAuth,
+  authenticateUser,
   upload.single('file'),
   (req, res, next) => {
-    // Transform string fields to numbers for validation
-    if (req.body.user_id) req.body.user_id = parseInt(req.body.user_id);
+    // Uploader is the session user; transform string fields to numbers for validation
+    req.body.user_id = req.user.id;
     if (req.body.post_id) req.body.post_id = parseInt(req.body.post_id);
     next();
   },
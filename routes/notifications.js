@@ -0,0 +1,181 @@
+/**
+ * @file routes/notifications.js
+ * @description HTTP routes for the in-app notification center
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This file exposes the notifications of the logged in user with unread
+ * counts and read markers. New notifications are also pushed live as
+ * 'notification' socket events. Business logic lives in
+ * services/notificationService.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation
+ *
+ * Functions:
+ * - GET /api/notifications: Paginated notifications with unread count
+ * - GET /api/notifications/unread-count: Unread count only
+ * - POST /api/notifications/read-all: Mark all notifications as read
+ * - POST /api/notifications/:id/read: Mark one notification as read
+ *
+ * Dependencies:
+ * - express: Web framework for HTTP routing
+ * - services/notificationService: Notification business logic
+ * - middleware/userAuth: User authentication middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../services/notificationService');
+const { authenticateUser } = require('../middleware/userAuth');
+
+/**
+ * @description Notifications of the authenticated user, newest first
+ * @async
+ * @function getNotifications
+ * @route GET /api/notifications
+ *
+ * @param {Object} req.query
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page (max 50)
+ * @param {string} [req.query.unread_only] - "true" for unread notifications only
+ *
+ * @returns {Object} Response object
+ * @returns {Array} Response.data.notifications - Notification objects
+ * @returns {number} Response.data.unread_count - Unread notifications in total
+ * @returns {Object} Response.data.pagination - Pagination metadata
+ *
+ * @throws {500} If server error occurs
+ */
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const result = await notificationService.getNotifications(req.user.id, {
+      page: req.query.page,
+      limit: req.query.limit,
+      unread_only: req.query.unread_only === 'true'
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Unread notification count for badges
+ * @async
+ * @function getUnreadCount
+ * @route GET /api/notifications/unread-count
+ *
+ * @returns {Object} Response object
+ * @returns {number} Response.data.unread_count - Unread notifications
+ *
+ * @throws {500} If server error occurs
+ */
+router.get('/unread-count', authenticateUser, async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        unread_count: unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Mark all notifications as read
+ * @async
+ * @function markAllRead
+ * @route POST /api/notifications/read-all
+ *
+ * @returns {Object} Response object
+ * @returns {number} Response.data.marked - Notifications that were unread
+ * @returns {number} Response.data.unread_count - Always 0
+ *
+ * @throws {500} If server error occurs
+ */
+router.post('/read-all', authenticateUser, async (req, res) => {
+  try {
+    const result = await notificationService.markAllRead(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Mark one notification as read
+ * @async
+ * @function markRead
+ * @route POST /api/notifications/:id/read
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - Notification ID
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data - { id, is_read, unread_count }
+ *
+ * @throws {400} If the notification ID is invalid
+ * @throws {404} If the notification does not exist or belongs to another user
+ * @throws {500} If server error occurs
+ */
+router.post('/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+
+    if (!notificationId || notificationId <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const result = await notificationService.markRead(req.user.id, notificationId);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.message === 'Notification not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,297 @@
+/**
+ * @file routes/users.js
+ * @description HTTP routes for user profiles and avatars
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This file exposes the profile of the logged in user (editable display name,
+ * bio and avatar) and the public profile of any user with forum stats.
+ * Business logic lives in services/userService.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with profile, avatar and public profile
+ *
+ * Functions:
+ * - GET /api/users/me: Own profile
+ * - PUT /api/users/me: Update display name and bio
+ * - POST /api/users/me/avatar: Upload avatar
+ * - DELETE /api/users/me/avatar: Remove avatar
+ * - GET /api/users/:id: Public profile with stats
+ *
+ * Dependencies:
+ * - express: Web framework for HTTP routing
+ * - multer: Avatar file upload handling
+ * - services/userService: Profile business logic
+ * - middleware/userAuth: User authentication middleware
+ * - middleware/validation: Profile field validation
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const userService = require('../services/userService');
+const { authenticateUser } = require('../middleware/userAuth');
+const { validate, schemas } = require('../middleware/validation');
+
+// Configure multer for avatar uploads
+const avatarUpload = multer({
+  dest: 'temp/', // Temporary directory for uploads
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1 // Single file per request
+  },
+  fileFilter: (req, file, cb) => {
+    // Basic MIME type check (detailed validation in service)
+    if (['image/jpeg', 'image/png', 'image/gif'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type'), false);
+    }
+  }
+});
+
+/**
+ * @description Own profile of the authenticated user
+ * @async
+ * @function getMyProfile
+ * @route GET /api/users/me
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data.user - Profile with phone_number, is_anonymous and stats
+ *
+ * @throws {404} If the user was deleted
+ * @throws {500} If server error occurs
+ */
+router.get('/me', authenticateUser, async (req, res) => {
+  try {
+    const profile = await userService.getProfile(req.user.id, true);
+
+    if (!profile) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        user: profile
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Update display name and bio
+ * @async
+ * @function updateMyProfile
+ * @route PUT /api/users/me
+ *
+ * @param {Object} req.body
+ * @param {string|null} [req.body.display_name] - Up to 50 characters, empty or null clears it
+ * @param {string|null} [req.body.bio] - Up to 500 characters, empty or null clears it
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data.user - Updated profile
+ *
+ * @throws {400} If validation fails
+ * @throws {404} If the user was deleted
+ * @throws {500} If server error occurs
+ */
+router.put('/me', authenticateUser, validate(schemas.userProfileUpdate), async (req, res) => {
+  try {
+    const profile = await userService.updateProfile(req.user.id, req.body);
+
+    res.json({
+      status: 'success',
+      data: {
+        user: profile
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Upload avatar, replaces the current one
+ * @async
+ * @function uploadAvatar
+ * @route POST /api/users/me/avatar
+ *
+ * @param {Object} req.file - Image in multipart field "file" (JPEG, PNG or GIF, max 5MB)
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data.avatar - URLs of the small (64px), medium (256px) and large (512px) square crops
+ *
+ * @throws {400} If no file was uploaded or the file is invalid
+ * @throws {413} If file too large
+ * @throws {415} If unsupported file type
+ * @throws {500} If server error occurs
+ */
+router.post('/me/avatar', authenticateUser, avatarUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No file uploaded'
+      });
+    }
+
+    const avatar = await userService.setAvatar(req.user.id, req.file);
+
+    res.json({
+      status: 'success',
+      data: {
+        avatar
+      }
+    });
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+
+    if (error.message.includes('File size exceeds')) {
+      return res.status(413).json({
+        status: 'error',
+        message: error.message,
+        error_code: 'FILE_TOO_LARGE'
+      });
+    }
+
+    if (error.message.includes('Unsupported file type')) {
+      return res.status(415).json({
+        status: 'error',
+        message: error.message,
+        error_code: 'UNSUPPORTED_FILE_TYPE'
+      });
+    }
+
+    if (error.message.includes('Invalid') || error.message.includes('Input file')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid image file',
+        error_code: 'INVALID_FILE'
+      });
+    }
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Remove avatar
+ * @async
+ * @function removeAvatar
+ * @route DELETE /api/users/me/avatar
+ *
+ * @returns {Object} Response object
+ * @returns {string} Response.message - Success message
+ *
+ * @throws {404} If the user has no avatar
+ * @throws {500} If server error occurs
+ */
+router.delete('/me/avatar', authenticateUser, async (req, res) => {
+  try {
+    const removed = await userService.removeAvatar(req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No avatar set'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Avatar removed'
+    });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @description Public profile of a user with forum stats
+ * @async
+ * @function getProfile
+ * @route GET /api/users/:id
+ *
+ * @param {Object} req.params
+ * @param {string} req.params.id - User ID
+ *
+ * @returns {Object} Response object
+ * @returns {Object} Response.data.user - Profile with stats (topic_count, reply_count, likes_received)
+ *
+ * @throws {400} If the user ID is invalid
+ * @throws {404} If the user does not exist or was deleted
+ * @throws {500} If server error occurs
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (!userId || userId <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user ID'
+      });
+    }
+
+    const profile = await userService.getProfile(userId);
+
+    if (!profile) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        user: profile
+      }
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
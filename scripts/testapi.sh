@@ -53,6 +53,16 @@ echo "curl -X GET \"http://47.94.108.189:10000/api/forum/topics?page=1&limit=20&
   -H \"X-Timestamp: $TIMESTAMP\" \
   -H \"X-Signature: $SIGNATURE\""
 
+# /api/forum/topics - GET signed in (own under-review topics, unread_count and first_unread_reply_id)
+# session_token from the /api/auth/login response
+SESSION_TOKEN=${SESSION_TOKEN:-"<session_token>"}
+echo ""
+echo "For /api/forum/topics (GET - List topics signed in, also with tags filter)"
+echo "curl -X GET \"http://47.94.108.189:10000/api/forum/topics?page=1&limit=20&sort=newest&tags=zigbee\" \
+  -H \"X-Timestamp: $TIMESTAMP\" \
+  -H \"X-Signature: $SIGNATURE\" \
+  -H \"Authorization: Bearer $SESSION_TOKEN\""
+
 # /api/forum/topics - POST (Create topic)
 echo ""
 echo "For /api/forum/topics (POST - Create topic)"
@@ -3,7 +3,7 @@
  * @description Main Express server with Redis-based distributed metrics and rate limiting
  * @author Michael Lee
  * @created 2025-06-17
- * @modified 2025-06-27
+ * @modified 2025-10-19
  * 
  * This file sets up the Express server with comprehensive middleware stack,
  * Redis-based distributed metrics collection, cluster-aware rate limiting,
@@ -15,6 +15,12 @@
  * - 2025-06-27: Implemented distributed rate limiting with Redis backend
  * - 2025-06-27: Enhanced /api/cli-stats endpoint with comprehensive metrics
  * - 2025-06-27: Added graceful fallbacks for Redis unavailability
+ * - 2025-10-19: Keep raw request body for app signature body digest
+ * - 2025-10-19: Per-client API rate limits and scope check, client ID in access log
+ * - 2025-10-19: Added account export/deletion routes and account maintenance schedule
+ * - 2025-10-19: Added user profile routes and avatar file serving
+ * - 2025-10-19: Added notification center routes
+ * - 2025-10-19: Refuse to start when the configured SMS driver is not registered or not configured
  * 
  * Functions:
  * - Express app configuration with security middleware
@@ -39,6 +45,8 @@
  * - /api/auth: User authentication and authorization
  * - /api/forum: Forum questions and replies
  * - /api/chat: Real-time messaging between users
+ * - /api/account: Personal data export and account deletion
+ * - /api/users: User profiles and avatars
  * - /api/logs: User activity logging and audit trails
  * 
  * System Routes (localhost only):
@@ -71,7 +79,7 @@ const redisClient = require('./config/redis')
 const metricsService = require('./services/metrics')
 const metricsMiddleware = require('./middleware/metrics')
 const { redisRateLimit, slidingWindowRateLimit } = require('./middleware/redisRateLimit')
-const { validateAppAuth } = require('./middleware/appAuth')
+const { validateAppAuth, requireClientScope } = require('./middleware/appAuth')
 
 // Initialize Redis connection
 redisClient.connect().catch(console.error)
@@ -89,10 +97,25 @@ const chatRoutes = require('./routes/chat')
 const logRoutes = require('./routes/logs')
 const healthRoutes = require('./routes/health')
 const adminRoutes = require('./routes/admin/index')
+const accountRoutes = require('./routes/account')
+const userRoutes = require('./routes/users')
+const notificationRoutes = require('./routes/notifications')
+
+// Account export jobs and scheduled deletions
+const accountService = require('./services/accountService')
 
 // Import Socket.io service
 const socketService = require('./services/socketService')
 
+// Registration and password reset need a working SMS driver
+const smsService = require('./services/smsService')
+try {
+  console.log(`📱 SMS driver: ${smsService.assertReady()}`)
+} catch (error) {
+  console.error(error.message)
+  process.exit(1)
+}
+
 const app = express();
 
 // Ensure logs directory exists
@@ -104,6 +127,7 @@ if (!fs.existsSync(logsDir)) {
 // Ensure upload directories exist
 const forumUploadDir = path.join(__dirname, 'uploads', 'forum');
 const chatUploadDir = path.join(__dirname, 'uploads', 'chat');
+const avatarUploadDir = path.join(__dirname, 'uploads', 'avatars');
 const tempDir = path.join(__dirname, 'temp');
 if (!fs.existsSync(forumUploadDir)) {
   fs.mkdirSync(forumUploadDir, { recursive: true });
@@ -111,6 +135,9 @@ if (!fs.existsSync(forumUploadDir)) {
 if (!fs.existsSync(chatUploadDir)) {
   fs.mkdirSync(chatUploadDir, { recursive: true });
 }
+if (!fs.existsSync(avatarUploadDir)) {
+  fs.mkdirSync(avatarUploadDir, { recursive: true });
+}
 if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir, { recursive: true });
 }
@@ -192,8 +219,12 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }))
 app.use(cors())
-app.use(express.json({ limit: '10mb' }))
-app.use(express.urlencoded({ extended: true, limit: '10mb' }))
+// Raw body bytes are kept for the body digest in the app request signature
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf
+}
+app.use(express.json({ limit: '10mb', verify: keepRawBody }))
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }))
 
 // Serve uploaded files statically
 app.use('/uploads/forum', express.static(path.join(__dirname, 'uploads', 'forum'), {
@@ -208,6 +239,13 @@ app.use('/uploads/chat', express.static(path.join(__dirname, 'uploads', 'chat'),
   etag: true,
   lastModified: true
 }))
+
+// Serve avatars statically, a new avatar always gets a new file name
+app.use('/uploads/avatars', express.static(path.join(__dirname, 'uploads', 'avatars'), {
+  maxAge: '7d',
+  etag: true,
+  lastModified: true
+}))
 // Custom Morgan format with local timezone and enhanced logging
 morgan.token('localdate', () => {
   return new Date().toLocaleString('en-GB', {
@@ -235,7 +273,12 @@ morgan.token('response-time-int', function (req, res) {
 })
 
 // Enhanced Morgan format with response time, forwarded IPs, and API-specific data
-const logFormat = ':remote-addr - :req[x-forwarded-for] [:localdate +0800] ":method :url HTTP/:http-version" :status :res[content-length] :response-time-int ms ":referrer" ":user-agent" ":req[content-type]"';
+// Custom token with the API client resolved by validateAppAuth
+morgan.token('client-id', function (req) {
+  return (req.appAuth && req.appAuth.client && req.appAuth.client.id) || '-'
+})
+
+const logFormat = ':remote-addr - :req[x-forwarded-for] [:localdate +0800] ":method :url HTTP/:http-version" :status :res[content-length] :response-time-int ms ":referrer" ":user-agent" ":req[content-type]" client=:client-id';
 
 // Apply Morgan logging with filtering - skip internal endpoints  
 app.use(morgan(logFormat, {
@@ -246,12 +289,24 @@ app.use(morgan(logFormat, {
 //   skip: (req) => isInternalRequest(req)
 // }))
 
+// Per-client limits come from the client registry (runs after validateAppAuth)
+const clientRateLimitMax = (req) => {
+  const client = req.appAuth && req.appAuth.client
+  return (client && client.rateLimitMax) || config.rateLimit.maxRequests
+}
+
+const clientRateLimitKey = (req) => {
+  const client = req.appAuth && req.appAuth.client
+  return `${client ? client.id : 'unknown'}:${req.ip || 'unknown'}`
+}
+
 // Rate limiting - Redis-backed with fallback to express-rate-limit
 const createApiLimiter = () => {
   if (global.redisRateLimit) {
     return global.redisRateLimit({
       windowMs: config.rateLimit.windowMs,
-      max: config.rateLimit.maxRequests,
+      max: clientRateLimitMax,
+      keyGenerator: clientRateLimitKey,
       message: {
         status: 'error',
         message: 'Too many requests, please try again later'
@@ -261,7 +316,8 @@ const createApiLimiter = () => {
   // Fallback to express-rate-limit
   return rateLimit({
     windowMs: config.rateLimit.windowMs,
-    max: config.rateLimit.maxRequests,
+    max: clientRateLimitMax,
+    keyGenerator: clientRateLimitKey,
     message: {
       status: 'error',
       message: 'Too many requests, please try again later'
@@ -297,7 +353,7 @@ const apiLimiter = createApiLimiter()
 const apiSlidingWindowLimiter = createApiSlidingWindowLimiter()
 
 // Apply app authentication and rate limiting to every API endpoints
-app.use('/api', validateAppAuth, apiLimiter)
+app.use('/api', validateAppAuth, requireClientScope('api'), apiLimiter)
 
 // Routes
 app.use('/health', localhostOnly, healthRoutes)
@@ -305,6 +361,9 @@ app.use('/api/auth', authRoutes)
 app.use('/api/forum', forumRoutes)
 app.use('/api/chat', chatRoutes)
 app.use('/api/logs', logRoutes)
+app.use('/api/account', accountRoutes)
+app.use('/api/users', userRoutes)
+app.use('/api/notifications', notificationRoutes)
 app.use('/admin', adminRoutes)
 
 // 404 handler
@@ -319,6 +378,9 @@ const server = app.listen(config.server.port, config.server.host, () => {
   console.log(`🔗 Health check: http://${config.server.host}:${config.server.port}/health`)
 })
 
+// Restart interrupted exports, expire archives, purge accounts after their grace period
+accountService.startScheduler()
+
 // Initialize Socket.io for real-time messaging (delay for Redis connection)
 setTimeout(() => {
   socketService.initializeSocket(server)
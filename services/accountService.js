@@ -0,0 +1,703 @@
+/**
+ * @file services/accountService.js
+ * @description Personal data export and account deletion with grace period
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service implements the self-service account lifecycle: export jobs
+ * that bundle everything stored about a user into a downloadable .tar.gz
+ * archive, and account deletion that waits config.account.deletionGraceDays
+ * before the account is anonymized. Users and admins use the same functions,
+ * the actor is recorded in user_logs on the target account.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with export jobs, scheduled deletion and purge
+ * - 2025-10-19: Export and purge profile fields and all avatar sizes
+ * - 2025-10-19: Export builds only finish with their own attempt token, losing archives are deleted
+ *
+ * Functions:
+ * - requestExport(userId, requestedBy): Create export job and start it in the background
+ * - processExport(exportId): Build the archive of a pending export job
+ * - collectExportData(userId): Gather all personal data of a user
+ * - listExports(userId): List export jobs of a user
+ * - getExportDownload(exportId, userId): Archive path of a ready export
+ * - scheduleDeletion(userId, requestedBy, immediate): Schedule account deletion after the grace period
+ * - cancelDeletion(userId, cancelledBy): Cancel a scheduled deletion
+ * - getDeletionStatus(userId): Scheduled deletion of a user
+ * - purgeAccount(userId, purgedBy): Anonymize account, purge sessions, files and exports
+ * - runMaintenance(): Restart stale exports, expire archives, purge due accounts
+ * - startScheduler(): Run maintenance every 10 minutes
+ *
+ * Archive layout:
+ * - export.json: profile, devices, topics, replies, drafts, likes, uploads,
+ *   conversations with messages and activity logs
+ * - files/forum-{upload_id}.{ext}, files/chat-{message_id}.{ext}: uploaded files
+ *
+ * Dependencies:
+ * - config/database.js: MySQL connection pool
+ * - config/redis.js: Maintenance lock across instances
+ * - config: Grace period, export lifetime and directory
+ * - services/authService.js: Session revocation
+ * - services/uploadService.js: Files of an upload record
+ * - node-cron: Maintenance schedule
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const pool = require('../config/database');
+const redisClient = require('../config/redis.js');
+const config = require('../config');
+const authService = require('./authService');
+const uploadService = require('./uploadService');
+
+// Only files below this directory are read into archives or deleted on purge
+const UPLOADS_ROOT = path.join(process.cwd(), 'uploads');
+
+// Pending exports older than this were interrupted by a restart
+const STALE_EXPORT_MINUTES = 10;
+
+/**
+ * Build a POSIX ustar header block
+ * @param {string} name - Entry name, at most 100 bytes
+ * @param {number} size - Entry size in bytes
+ * @param {number} mtime - Modification time in ms
+ * @returns {Buffer} 512-byte header
+ */
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(512, 0);
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write('        ', 148); // Checksum is computed with spaces in its own field
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(octal(checksum, 7) + ' ', 148);
+
+  return header;
+};
+
+/**
+ * Stream tar blocks of archive entries
+ * @param {Array<Object>} entries - { name, data } or { name, filePath }
+ * @yields {Buffer} Header, content and padding blocks
+ */
+async function* tarBlocks(entries) {
+  for (const entry of entries) {
+    let data = entry.data;
+
+    if (!data) {
+      try {
+        data = await fs.promises.readFile(entry.filePath);
+      } catch (error) {
+        console.warn(`Export skipped missing file ${entry.filePath}:`, error.message);
+        continue;
+      }
+    }
+
+    yield tarHeader(entry.name, data.length, Date.now());
+    yield data;
+
+    if (data.length % 512 !== 0) {
+      yield Buffer.alloc(512 - (data.length % 512), 0);
+    }
+  }
+
+  // End of archive: two empty blocks
+  yield Buffer.alloc(1024, 0);
+}
+
+/**
+ * Resolve stored upload path, rejecting paths outside the uploads directory
+ * @param {string} filePath - Path from forum_uploads or message metadata
+ * @returns {string|null} Absolute path or null if not an upload
+ */
+const resolveUploadPath = (filePath) => {
+  if (!filePath || typeof filePath !== 'string') {
+    return null;
+  }
+
+  const resolved = path.resolve(filePath);
+  return resolved.startsWith(UPLOADS_ROOT + path.sep) ? resolved : null;
+};
+
+class AccountService {
+  /**
+   * Create export job and start it in the background
+   * @async
+   * @function requestExport
+   * @param {number} userId - User whose data is exported
+   * @param {number} requestedBy - User or admin requesting the export
+   * @returns {Promise<Object>} { exportId, status }
+   * @throws {Error} 'User not found', 'Export already in progress', database errors
+   * @sideEffects Inserts user_data_exports row, logs export_requested activity
+   */
+  async requestExport(userId, requestedBy) {
+    const [users] = await pool.execute(
+      'SELECT id FROM users WHERE id = ? AND status >= 0',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const [running] = await pool.execute(
+      'SELECT id FROM user_data_exports WHERE user_id = ? AND status IN ("pending", "processing")',
+      [userId]
+    );
+
+    if (running.length > 0) {
+      throw new Error('Export already in progress');
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO user_data_exports (user_id, requested_by) VALUES (?, ?)',
+      [userId, requestedBy]
+    );
+
+    await pool.execute(
+      'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 4, "export_requested", ?)',
+      [userId, JSON.stringify({ export_id: result.insertId, requested_by: requestedBy })]
+    );
+
+    // Archive is built after the response; runMaintenance restarts it if the process dies
+    setImmediate(() => {
+      this.processExport(result.insertId).catch(error => {
+        console.error(`Export ${result.insertId} failed:`, error);
+      });
+    });
+
+    return {
+      exportId: result.insertId,
+      status: 'pending'
+    };
+  }
+
+  /**
+   * Build the archive of a pending export job
+   *
+   * Each claim gets a fresh attempt token. A build only publishes its archive
+   * while the job still carries that token, so a build that was reclaimed by
+   * runMaintenance or whose job was purged deletes its archive instead.
+   * @async
+   * @function processExport
+   * @param {number} exportId - user_data_exports row ID
+   * @returns {Promise<boolean>} True if this call built the archive of the job
+   * @throws {Error} Database errors while claiming the job (archive errors mark the job failed)
+   * @sideEffects Writes archive to config.account.exportDir, updates job status
+   */
+  async processExport(exportId) {
+    // Claim the job so two instances never build the same archive
+    const attemptToken = crypto.randomBytes(16).toString('hex');
+    const [claimed] = await pool.execute(
+      `UPDATE user_data_exports SET status = "processing", started_at = NOW(), attempt_token = ?
+       WHERE id = ? AND status = "pending"`,
+      [attemptToken, exportId]
+    );
+
+    if (claimed.affectedRows === 0) {
+      return false;
+    }
+
+    const [jobs] = await pool.execute('SELECT user_id FROM user_data_exports WHERE id = ?', [exportId]);
+    const userId = jobs[0].user_id;
+    const exportDir = path.resolve(config.account.exportDir);
+    const filePath = path.join(exportDir, `export-${userId}-${crypto.randomBytes(16).toString('hex')}.tar.gz`);
+
+    try {
+      await fs.promises.mkdir(exportDir, { recursive: true });
+
+      const data = await this.collectExportData(userId);
+      const entries = [{
+        name: 'export.json',
+        data: Buffer.from(JSON.stringify(data.document, null, 2))
+      }, ...data.files];
+
+      await pipeline(Readable.from(tarBlocks(entries)), zlib.createGzip(), fs.createWriteStream(filePath));
+
+      const { size } = await fs.promises.stat(filePath);
+
+      const [published] = await pool.execute(
+        `UPDATE user_data_exports
+         SET status = "ready", file_path = ?, file_size = ?, completed_at = NOW(),
+             expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+         WHERE id = ? AND status = "processing" AND attempt_token = ?`,
+        [filePath, size, config.account.exportTtlHours, exportId, attemptToken]
+      );
+
+      // Job was reclaimed or purged meanwhile, nothing references this archive
+      if (published.affectedRows === 0) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      await pool.execute(
+        `UPDATE user_data_exports SET status = "failed", error = ?, completed_at = NOW()
+         WHERE id = ? AND status = "processing" AND attempt_token = ?`,
+        [error.message.slice(0, 255), exportId, attemptToken]
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Gather all personal data of a user
+   * @async
+   * @function collectExportData
+   * @param {number} userId - User whose data is exported
+   * @returns {Promise<Object>} { document, files } - JSON document and archive file entries
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async collectExportData(userId) {
+    const query = async (sql) => (await pool.execute(sql, [userId]))[0];
+
+    const [profile] = await query(`
+      SELECT id, username, display_name, bio, phone_number, phone_verified_at, status, totp_enabled_at IS NOT NULL AS totp_enabled,
+             deletion_scheduled_for, created_at, updated_at
+      FROM users WHERE id = ?
+    `);
+
+    const uploads = await query(`
+      SELECT id, original_filename, file_size, mime_type, file_url, entity_type, entity_id, status, created_at, file_path
+      FROM forum_uploads WHERE user_id = ? AND status != 3
+    `);
+
+    // Internal admin notes are not personal data of the user
+    const messages = await query(`
+      SELECT m.id, m.conversation_id, m.sender_role, m.message_type, m.content, m.file_url, m.metadata, m.timestamp
+      FROM messages m
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE c.user_id = ? AND m.is_internal = FALSE AND m.message_type != 'internal_note'
+      ORDER BY m.timestamp
+    `);
+
+    const files = [];
+
+    for (const upload of uploads) {
+      const filePath = resolveUploadPath(upload.file_path);
+      if (filePath) {
+        files.push({ name: `files/forum-${upload.id}${path.extname(filePath)}`, filePath });
+      }
+      delete upload.file_path;
+    }
+
+    for (const message of messages) {
+      const filePath = message.sender_role === 'user' && message.metadata && resolveUploadPath(message.metadata.file_path);
+      if (filePath) {
+        files.push({ name: `files/chat-${message.id}${path.extname(filePath)}`, filePath });
+      }
+      if (message.metadata) {
+        delete message.metadata.file_path;
+      }
+    }
+
+    const document = {
+      exported_at: new Date().toISOString(),
+      profile: profile ? { ...profile, totp_enabled: !!profile.totp_enabled } : null,
+      devices: await query(`
+        SELECT device_id, device_name, platform, first_seen_at, last_seen_at FROM user_devices WHERE user_id = ?
+      `),
+      topics: await query(`
+        SELECT t.id, c.name AS category, t.title, t.content, t.status, t.like_count, t.reply_count, t.created_at, t.updated_at
+        FROM forum_topics t JOIN forum_categories c ON c.id = t.category_id
+        WHERE t.user_id = ? ORDER BY t.created_at
+      `),
+      replies: await query(`
+        SELECT id, topic_id, parent_reply_id, content, status, like_count, created_at, updated_at
+        FROM forum_replies WHERE user_id = ? ORDER BY created_at
+      `),
+      drafts: await query(`
+        SELECT type, topic_id, title, content, created_at, updated_at FROM forum_drafts WHERE user_id = ?
+      `),
+      topic_likes: await query('SELECT topic_id, created_at FROM forum_topic_likes WHERE user_id = ?'),
+      reply_likes: await query('SELECT reply_id, created_at FROM forum_reply_likes WHERE user_id = ?'),
+      uploads,
+      conversations: (await query(`
+        SELECT id, status, created_at, closed_at FROM conversations WHERE user_id = ?
+      `)).map(conversation => ({
+        ...conversation,
+        messages: messages.filter(message => message.conversation_id === conversation.id)
+      })),
+      activity_logs: await query(`
+        SELECT action_type, action, created_at FROM user_logs WHERE user_id = ? ORDER BY created_at
+      `)
+    };
+
+    return { document, files };
+  }
+
+  /**
+   * List export jobs of a user
+   * @async
+   * @function listExports
+   * @param {number} userId - User whose exports are listed
+   * @returns {Promise<Array>} Export jobs, newest first, without file paths
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async listExports(userId) {
+    const [exportJobs] = await pool.execute(
+      `SELECT id, status, file_size, requested_by, created_at, completed_at, expires_at
+       FROM user_data_exports WHERE user_id = ? ORDER BY id DESC LIMIT 20`,
+      [userId]
+    );
+
+    return exportJobs;
+  }
+
+  /**
+   * Archive path of a ready export
+   * @async
+   * @function getExportDownload
+   * @param {number} exportId - user_data_exports row ID
+   * @param {number} userId - Owner of the export
+   * @returns {Promise<Object>} { filePath, fileName }
+   * @throws {Error} 'Export not found', 'Export not ready', 'Export expired'
+   * @sideEffects None - read-only database operation
+   */
+  async getExportDownload(exportId, userId) {
+    const [exportJobs] = await pool.execute(
+      'SELECT id, status, file_path, expires_at FROM user_data_exports WHERE id = ? AND user_id = ?',
+      [exportId, userId]
+    );
+
+    if (exportJobs.length === 0) {
+      throw new Error('Export not found');
+    }
+
+    const job = exportJobs[0];
+
+    if (job.status === 'expired' || (job.expires_at && new Date(job.expires_at) <= new Date())) {
+      throw new Error('Export expired');
+    }
+
+    if (job.status !== 'ready') {
+      throw new Error('Export not ready');
+    }
+
+    return {
+      filePath: job.file_path,
+      fileName: `home-assistant-export-${userId}-${job.id}.tar.gz`
+    };
+  }
+
+  /**
+   * Schedule account deletion after the grace period
+   * @async
+   * @function scheduleDeletion
+   * @param {number} userId - Account to delete
+   * @param {number} requestedBy - User or admin requesting the deletion
+   * @param {boolean} immediate - Skip the grace period and purge now (admins only)
+   * @returns {Promise<Object>} { scheduledFor, purged }
+   * @throws {Error} 'User not found', 'Admin account cannot be deleted', database errors
+   * @sideEffects Sets users.deletion_requested_at/deletion_scheduled_for, logs deletion_scheduled,
+   *   purges the account when immediate
+   */
+  async scheduleDeletion(userId, requestedBy, immediate = false) {
+    const [users] = await pool.execute(
+      'SELECT id, status FROM users WHERE id = ? AND status >= 0',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    // Admin accounts are demoted first so the last admin cannot disappear by accident
+    if (users[0].status === 87) {
+      throw new Error('Admin account cannot be deleted');
+    }
+
+    const graceDays = immediate ? 0 : config.account.deletionGraceDays;
+
+    await pool.execute(
+      `UPDATE users
+       SET deletion_requested_at = NOW(), deletion_scheduled_for = DATE_ADD(NOW(), INTERVAL ? DAY), updated_at = NOW()
+       WHERE id = ?`,
+      [graceDays, userId]
+    );
+
+    await pool.execute(
+      'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 4, "deletion_scheduled", ?)',
+      [userId, JSON.stringify({ requested_by: requestedBy, grace_days: graceDays })]
+    );
+
+    if (immediate) {
+      await this.purgeAccount(userId, requestedBy);
+      return { scheduledFor: new Date(), purged: true };
+    }
+
+    const status = await this.getDeletionStatus(userId);
+    return { scheduledFor: status.scheduledFor, purged: false };
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   * @async
+   * @function cancelDeletion
+   * @param {number} userId - Account scheduled for deletion
+   * @param {number} cancelledBy - User or admin cancelling
+   * @returns {Promise<boolean>} True if a scheduled deletion was cancelled
+   * @throws {Error} Database errors
+   * @sideEffects Clears deletion columns, logs deletion_cancelled
+   */
+  async cancelDeletion(userId, cancelledBy) {
+    const [result] = await pool.execute(
+      `UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, updated_at = NOW()
+       WHERE id = ? AND status >= 0 AND deletion_scheduled_for IS NOT NULL`,
+      [userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await pool.execute(
+      'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 4, "deletion_cancelled", ?)',
+      [userId, JSON.stringify({ cancelled_by: cancelledBy })]
+    );
+
+    return true;
+  }
+
+  /**
+   * Scheduled deletion of a user
+   * @async
+   * @function getDeletionStatus
+   * @param {number} userId - Account to check
+   * @returns {Promise<Object>} { scheduled, requestedAt, scheduledFor }
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getDeletionStatus(userId) {
+    const [users] = await pool.execute(
+      'SELECT deletion_requested_at, deletion_scheduled_for FROM users WHERE id = ?',
+      [userId]
+    );
+
+    const user = users[0] || {};
+
+    return {
+      scheduled: !!user.deletion_scheduled_for,
+      requestedAt: user.deletion_requested_at || null,
+      scheduledFor: user.deletion_scheduled_for || null
+    };
+  }
+
+  /**
+   * Anonymize account, purge sessions, files and exports
+   *
+   * Topics, replies, likes and messages stay so threads and conversations
+   * keep making sense; the forum lists the posts under a placeholder author
+   * name. The account row loses everything identifying:
+   * username, phone number, password, 2FA secret and device identifier.
+   * Drafts, devices, recovery codes, uploaded files and export archives are
+   * removed.
+   * @async
+   * @function purgeAccount
+   * @param {number} userId - Account to purge
+   * @param {number|null} purgedBy - Admin purging now, null for the scheduled purge
+   * @returns {Promise<Object>} { filesDeleted }
+   * @throws {Error} 'User not found', database errors
+   * @sideEffects Anonymizes users row (status -1, anonymized_at), deletes rows and files, revokes sessions,
+   *   logs account_purged
+   */
+  async purgeAccount(userId, purgedBy = null) {
+    const connection = await pool.getConnection();
+    const filePaths = [];
+
+    try {
+      await connection.beginTransaction();
+
+      const [users] = await connection.execute(
+        'SELECT id FROM users WHERE id = ? AND status >= 0 FOR UPDATE',
+        [userId]
+      );
+
+      if (users.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const [uploads] = await connection.execute(
+        'SELECT file_path, metadata FROM forum_uploads WHERE user_id = ? AND status != 3',
+        [userId]
+      );
+      const [chatFiles] = await connection.execute(
+        'SELECT metadata FROM messages WHERE user_id = ? AND sender_role = "user" AND metadata IS NOT NULL',
+        [userId]
+      );
+      const [exportJobs] = await connection.execute(
+        'SELECT file_path FROM user_data_exports WHERE user_id = ? AND file_path IS NOT NULL',
+        [userId]
+      );
+
+      uploads.forEach(upload => {
+        uploadService.getStoredFilePaths(upload).forEach(filePath => filePaths.push(resolveUploadPath(filePath)));
+      });
+      chatFiles.forEach(message => filePaths.push(resolveUploadPath(message.metadata.file_path)));
+      exportJobs.forEach(job => filePaths.push(job.file_path));
+
+      await connection.execute('UPDATE forum_uploads SET status = 3 WHERE user_id = ?', [userId]);
+      await connection.execute(
+        'UPDATE messages SET file_url = NULL, metadata = NULL WHERE user_id = ? AND sender_role = "user" AND file_url IS NOT NULL',
+        [userId]
+      );
+      await connection.execute('DELETE FROM user_data_exports WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM forum_drafts WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM user_devices WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+      await connection.execute(
+        `UPDATE users
+         SET username = NULL, display_name = NULL, bio = NULL, avatar_upload_id = NULL,
+             phone_number = NULL, password = NULL, totp_secret = NULL, totp_enabled_at = NULL,
+             device_id = CONCAT('deleted-', id), status = -1, anonymized_at = NOW(), deleted_at = NOW(), updated_at = NOW()
+         WHERE id = ?`,
+        [userId]
+      );
+
+      await connection.execute(
+        'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 4, "account_purged", ?)',
+        [userId, JSON.stringify({ purged_by: purgedBy })]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (redisClient.isReady()) {
+      await authService.revokeAllSessions(userId);
+    }
+
+    let filesDeleted = 0;
+    for (const filePath of filePaths.filter(Boolean)) {
+      try {
+        await fs.promises.unlink(filePath);
+        filesDeleted++;
+      } catch (fsError) {
+        console.warn('Failed to delete purged file:', fsError.message);
+      }
+    }
+
+    return { filesDeleted };
+  }
+
+  /**
+   * Restart stale exports, expire archives and purge accounts whose grace period ended
+   * @async
+   * @function runMaintenance
+   * @returns {Promise<Object>} { exportsRestarted, exportsExpired, accountsPurged }
+   * @throws Does not throw - logs errors of single items and continues
+   * @sideEffects See processExport and purgeAccount, deletes expired archive files
+   */
+  async runMaintenance() {
+    const result = { exportsRestarted: 0, exportsExpired: 0, accountsPurged: 0 };
+
+    // Jobs interrupted by a restart go back to pending and are built again. A build
+    // that is only slow loses its attempt token and discards its archive when done.
+    const [stale] = await pool.execute(
+      `SELECT id, status FROM user_data_exports
+       WHERE (status = "pending" AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+          OR (status = "processing" AND started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))`,
+      [STALE_EXPORT_MINUTES, STALE_EXPORT_MINUTES]
+    );
+
+    for (const job of stale) {
+      try {
+        await pool.execute(
+          'UPDATE user_data_exports SET status = "pending", attempt_token = NULL WHERE id = ? AND status = ?',
+          [job.id, job.status]
+        );
+        if (await this.processExport(job.id)) {
+          result.exportsRestarted++;
+        }
+      } catch (error) {
+        console.error(`Export ${job.id} failed:`, error);
+      }
+    }
+
+    const [expired] = await pool.execute(
+      'SELECT id, file_path FROM user_data_exports WHERE status = "ready" AND expires_at <= NOW()'
+    );
+
+    for (const job of expired) {
+      await fs.promises.unlink(job.file_path).catch(() => {});
+      await pool.execute(
+        'UPDATE user_data_exports SET status = "expired", file_path = NULL WHERE id = ?',
+        [job.id]
+      );
+      result.exportsExpired++;
+    }
+
+    const [due] = await pool.execute(
+      'SELECT id FROM users WHERE status >= 0 AND deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW()'
+    );
+
+    for (const user of due) {
+      try {
+        await this.purgeAccount(user.id, null);
+        result.accountsPurged++;
+      } catch (error) {
+        console.error(`Account purge of user ${user.id} failed:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run maintenance every 10 minutes
+   * @function startScheduler
+   * @returns {Object} node-cron task
+   * @sideEffects Schedules runMaintenance; a Redis lock keeps it to one instance per run
+   */
+  startScheduler() {
+    return cron.schedule('*/10 * * * *', async () => {
+      try {
+        if (redisClient.isReady()) {
+          const locked = await redisClient.getClient().set(
+            redisClient.key('job_lock:account_maintenance'), process.pid.toString(), { NX: true, EX: 540 }
+          );
+          if (!locked) {
+            return;
+          }
+        }
+
+        const result = await this.runMaintenance();
+
+        if (result.exportsRestarted || result.exportsExpired || result.accountsPurged) {
+          console.log('🧹 Account maintenance:', result);
+        }
+      } catch (error) {
+        console.error('Account maintenance error:', error);
+      }
+    });
+  }
+}
+
+module.exports = new AccountService();
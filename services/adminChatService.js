@@ -3,7 +3,7 @@
  * @description Admin chat service layer for conversation management and messaging
  * @author Michael Lee
  * @created 2025-08-07
- * @modified 2025-08-07
+ * @modified 2025-10-19
  * 
  * This service provides business logic for admin chat management including conversation
  * assignment, status updates, priority management, messaging, and dashboard statistics
@@ -11,6 +11,8 @@
  * 
  * Modification Log:
  * - 2025-08-07: Initial implementation with comprehensive admin IM functionality
+ * - 2025-10-19: @username mentions of admins in internal notes
+ * - 2025-10-19: Conversation owner is notified about admin messages
  * 
  * Functions:
  * - getDashboardStats(adminId): Get dashboard statistics and overview
@@ -36,9 +38,13 @@
  * Dependencies:
  * - config/database.js: MySQL connection pool
  * - services/socketService.js: WebSocket events for real-time updates
+ * - services/mentionService.js: Admin mentions in internal notes
+ * - services/notificationService.js: 'admin_message' notifications
  */
 
 const pool = require('../config/database');
+const mentionService = require('./mentionService');
+const notificationService = require('./notificationService');
 
 /**
  * Get dashboard statistics and overview for admin chat management
@@ -430,6 +436,11 @@ async function getConversationDetails(conversationId) {
       ORDER BY m.timestamp ASC
     `, [conversationId]);
 
+    const mentionsByMessage = await mentionService.getMentionsBySource('message', messages.map(m => m.id));
+    for (const message of messages) {
+      message.mentions = mentionsByMessage[message.id] || [];
+    }
+
     // Get admin activity log for this conversation
     const [activityLog] = await pool.execute(`
       SELECT 
@@ -726,7 +737,7 @@ async function updateConversationStatus(conversationId, adminId, updates) {
 /**
  * Send a message as an admin to a specific conversation
  * @param {Object} messageData - Message data including conversation_id, admin_id, message, etc.
- * @returns {Object} Created message details
+ * @returns {Object} Created message details, mentions lists the admins mentioned in the internal note
  */
 async function sendAdminMessage(messageData) {
   const connection = await pool.getConnection();
@@ -774,6 +785,11 @@ async function sendAdminMessage(messageData) {
 
     const messageId = messageResult.insertId;
 
+    // Only admin-only text may mention, and only other admins
+    const internalText = [internal_note, message_type === 'internal_note' ? message : null]
+      .filter(Boolean).join('\n\n');
+    const mentions = await mentionService.recordMentions(connection, 'message', messageId, admin_id, internalText, true);
+
     // Update conversation last_message_at
     await connection.execute(`
       UPDATE conversations 
@@ -794,6 +810,13 @@ async function sendAdminMessage(messageData) {
 
     await connection.commit();
 
+    if (mentions.length > 0) {
+      await mentionService.notifyMentions('message', messageId);
+    }
+    if (message_type !== 'internal_note') {
+      await notificationService.notifyAdminMessage(messageId);
+    }
+
     return {
       id: messageId,
       conversation_id,
@@ -804,7 +827,8 @@ async function sendAdminMessage(messageData) {
       file_id,
       file_url,
       timestamp: new Date().toISOString(),
-      internal_note
+      internal_note,
+      mentions
     };
 
   } catch (error) {
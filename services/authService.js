@@ -3,7 +3,7 @@
  * @description Authentication service layer for anonymous user management and session handling
  * @author Michael Lee
  * @created 2025-07-02
- * @modified 2025-07-05
+ * @modified 2025-10-19
  * 
  * This service provides authentication business logic including anonymous user creation,
  * secure session management, and activity logging separated from HTTP concerns.
@@ -15,52 +15,145 @@
  * - 2025-07-03: Added comprehensive validation to deleteUserSession
  * - 2025-07-05: Added password hashing utilities and user registration/login
  * - 2025-07-05: Added updateSessionStatus for Redis status management
+ * - 2025-10-19: Replaced UUID session tokens with opaque Redis-backed bearer tokens
+ * - 2025-10-19: Added short-lived access tokens with rotating device-bound refresh tokens
+ * - 2025-10-19: Replaced single per-user session hash with per-device session records
+ * - 2025-10-19: Required OTP phone verification for registration, added password reset
+ * - 2025-10-19: Stored password hashes wrapped in bcrypt, challenge-based login with legacy rehash
+ * - 2025-10-19: Per-account failed login tracking with temporary lockout
+ * - 2025-10-19: Added second factor marker on sessions
+ * - 2025-10-19: Revoking a session disconnects its WebSocket clients
+ * - 2025-10-19: Devices attached to accounts through user_devices instead of users.device_id
+ * - 2025-10-19: Merge anonymous account history into a registered account
+ * - 2025-10-19: Password confirmation for sensitive account operations
+ * - 2025-10-19: Report taken usernames on registration
+ * - 2025-10-19: Challenge-bound login proof over a stored bcrypt verifier (password_version 3)
+ * - 2025-10-19: Refresh token rotation runs under WATCH, the losing concurrent refresh counts as reuse
+ * - 2025-10-19: Registration redeems the OTP verification token only when the account write succeeds
  * 
  * Functions:
- * - findUserByDeviceId(deviceId): Find user by device identifier
- * - createUserWithLog(deviceId): Create new user with activity log
+ * - findUserByDeviceId(deviceId): Find anonymous user attached to a device
+ * - createUserWithLog(deviceId, deviceInfo): Create new user with device and activity log
  * - logUserActivity(userId, actionType, action): Log user activity
  * - createAnonymousUserSession(userId, deviceId, clientIP): Create Redis session for anonymous users
- * - deleteUserSession(userId, deviceId): Delete Redis session with validation
- * - anonymousLogin(deviceId, clientIP): Handle anonymous login flow
- * - userLogout(userId, deviceId): Handle user logout flow with validation
+ * - deleteUserSession(userId, sessionId, deviceId): Delete one Redis session with validation
+ * - anonymousLogin(deviceId, clientIP, deviceInfo): Handle anonymous login flow
+ * - userLogout(userId, sessionId, deviceId): Handle user logout flow for the current session
  * - hashPassword(plainPassword): Hash plain password with SHA-256
- * - verifyPassword(storedHash, timestamp, receivedPassword): Verify timestamped password
+ * - verifyPassword(storedHash, timestamp, receivedPassword): Verify timestamped password (legacy handshake)
+ * - hashStoredPassword(passwordHash): Wrap client password hash in bcrypt and store its challenge verifier
+ * - deriveStoredVerifier(clientHash): Derive the stored verifier from bcrypt(SHA-256(original pass))
+ * - getLoginSalt(user, phoneNumber): bcrypt salt the client hashes its password with for a login proof
+ * - verifyLoginProof(user, phoneNumber, challenge, proof): Verify a login proof bound to a challenge
+ * - upgradePasswordHash(user): Replace a version 1 or 2 stored password with its version 3 verifier
+ * - createLoginChallenge(phoneNumber): Issue single-use login challenge with the salt for the login proof
+ * - consumeLoginChallenge(challenge, phoneNumber): Redeem login challenge once
+ * - confirmPassword(userId, proof, challenge): Re-check password of a logged in user
  * - isValidSHA256(hash): Validate SHA-256 hash format
- * - registerUser(deviceId, accountName, phoneNumber, hashedPassword, existingUserId): Register new user
- * - userLogin(phoneNumber, password, timestamp, clientIP): User login with timestamped password
- * - updateSessionStatus(userId, status): Update Redis session status
+ * - registerUser(deviceId, accountName, phoneNumber, hashedPassword, existingUserId, verificationToken, deviceInfo): Register new user
+ * - userLogin(phoneNumber, password, timestamp, clientIP, expectedUserId, deviceId, challenge, deviceInfo): User login with challenge or timestamped password
+ * - updateSessionStatus(userId, status): Update status of all Redis sessions of a user
  * - createUserSession(userId, deviceId, clientIP): Create Redis session for registered users
+ * - generateSessionToken(): Generate random opaque bearer token
+ * - resolveSessionToken(token): Resolve bearer token to active user session
+ * - issueSessionTokens(userId, sessionFields): Create a session record and issue its tokens
+ * - refreshSession(refreshToken, deviceId, clientIP): Rotate refresh token and issue new access token
+ * - markSessionMfaVerified(userId, sessionId): Record completed second factor on a session
+ * - revokeSession(userId, sessionId): Revoke one session and its tokens
+ * - revokeAllSessions(userId, exceptSessionId): Revoke every session of a user
+ * - listSessions(userId): List active sessions of a user
+ * - removeDevice(userId, id): Detach a device and revoke its sessions
+ * - mergeAnonymousAccount(anonymousUserId, targetUserId): Move anonymous account history to a registered account
+ * - mergeAnonymousSession(anonymousSessionToken, targetUserId): Merge the account of an anonymous session
+ * - sendVerificationCode(phoneNumber, purpose): Send OTP when the purpose applies to the phone number
+ * - resetPassword(phoneNumber, verificationToken, hashedPassword): Reset password after OTP verification
  * 
  * Security Features:
+ * - Opaque 256-bit bearer tokens indexed in Redis (ha:session:{token})
+ * - One session record per device, a new login replaces only the session of the same device
+ * - Short-lived access tokens, long-lived refresh tokens bound to device_id
+ * - Refresh token rotation with reuse detection (replay revokes the whole session)
  * - Anonymous user status tracking in Redis sessions
  * - Device ID validation for session operations
  * - Secure session deletion with multiple validation checks
  * - Activity logging for audit trails
+ * - Phone ownership proven by OTP before registration and password reset
+ * - Stored passwords are bcrypt based verifiers, legacy SHA-256 and bcrypt rows upgraded on login
+ * - Login proofs are bound to single-use challenges, captured logins cannot be replayed
+ * - Stored verifiers (bcrypt salt + StoredKey) cannot be used to log in after a database leak
+ * - Per-account lockout with exponential backoff after repeated failed logins
  * 
  * Dependencies:
  * - config/database.js: MySQL connection pool
  * - config/redis.js: Redis client for session management
+ * - redis: WatchError for aborted refresh rotations
+ * - config: Session token lifetimes
+ * - services/otpService.js: Phone verification codes
+ * - services/loginAttemptService.js: Failed login tracking and lockout
+ * - services/deviceService.js: Devices attached to accounts
  */
 
 const pool = require('../config/database');
 const redisClient = require('../config/redis.js');
+const { WatchError } = require('redis');
 const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcrypt');
+const config = require('../config');
+const otpService = require('./otpService');
+const loginAttemptService = require('./loginAttemptService');
+const deviceService = require('./deviceService');
+
+// Token lifetimes in seconds
+const ACCESS_TOKEN_TTL = config.session.accessTokenTtl;
+const REFRESH_TOKEN_TTL = config.session.refreshTokenTtl;
+
+// Session identifiers are 32 hex characters
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// users.password_version values
+const PASSWORD_VERSION_SHA256 = 1; // SHA-256(original pass)
+const PASSWORD_VERSION_BCRYPT = 2; // bcrypt(SHA-256(original pass))
+const PASSWORD_VERSION_VERIFIER = 3; // bcrypt salt + StoredKey of bcrypt(SHA-256(original pass)), see deriveStoredVerifier
+
+// "$2b$12$" plus 22 salt characters
+const BCRYPT_SALT_LENGTH = 29;
+const BCRYPT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Redis key of a single session record
+ * @param {number|string} userId - Session owner
+ * @param {string} sessionId - Session identifier
+ * @returns {string} Prefixed key ha:user:{user_id}:session:{session_id}
+ */
+const sessionKey = (userId, sessionId) => redisClient.key(`user:${userId}:session:${sessionId}`);
+
+/**
+ * Redis key of the set holding all session IDs of a user
+ * @param {number|string} userId - Session owner
+ * @returns {string} Prefixed key ha:user:{user_id}:sessions
+ */
+const sessionSetKey = (userId) => redisClient.key(`user:${userId}:sessions`);
 
 class AuthService {
   /**
-   * Find user by device identifier
+   * Find anonymous user attached to a device
+   *
+   * Registered accounts are never returned: a device that was used to log
+   * into an account must not hand that account out without its password.
    * @async
    * @function findUserByDeviceId
    * @param {string} deviceId - Device identifier to search for
-   * @returns {Promise<Object|null>} User object or null if not found
+   * @returns {Promise<Object|null>} Most recently used anonymous user of the device or null if not found
    * @throws {Error} Database connection or query errors
    * @sideEffects None - read-only database operation
    */
   async findUserByDeviceId(deviceId) {
     const [existingUsers] = await pool.execute(
-      'SELECT * FROM users WHERE device_id = ? AND status >= 0',
+      `SELECT u.* FROM user_devices d
+       JOIN users u ON u.id = d.user_id
+       WHERE d.device_id = ? AND u.status >= 0 AND u.phone_number IS NULL
+       ORDER BY d.last_seen_at DESC
+       LIMIT 1`,
       [deviceId]
     );
 
@@ -72,11 +165,12 @@ class AuthService {
    * @async
    * @function createUserWithLog
    * @param {string} deviceId - Device identifier for new user
+   * @param {Object} deviceInfo - Optional device_name, platform and push_token
    * @returns {Promise<number>} New user ID
    * @throws {Error} Database transaction or insertion errors
-   * @sideEffects Creates user record and logs activity in database
+   * @sideEffects Creates user record, attaches device and logs activity in database
    */
-  async createUserWithLog(deviceId) {
+  async createUserWithLog(deviceId, deviceInfo = {}) {
     const connection = await pool.getConnection();
 
     try {
@@ -89,6 +183,8 @@ class AuthService {
       );
       const userId = result.insertId;
 
+      await deviceService.attachDevice(userId, deviceId, deviceInfo, connection);
+
       // Log the login activity
       await connection.execute(
         'INSERT INTO user_logs (user_id, action_type, action) VALUES (?, 0, "anonymous_login")',
@@ -130,54 +226,32 @@ class AuthService {
    * @param {number} userId - User ID for session
    * @param {string} deviceId - Device identifier
    * @param {string} clientIP - Client IP address
-   * @returns {Promise<Object>} Session creation result with token
+   * @returns {Promise<Object>} Session creation result with access and refresh tokens
    * @throws Does not throw - logs errors and returns false
-   * @sideEffects Creates Redis hash with 7-day TTL
+   * @sideEffects Creates Redis session record, replaces previous session of the same device
    */
   async createAnonymousUserSession(userId, deviceId, clientIP) {
-    if (!redisClient.isReady()) {
-      console.warn('Redis not available for session creation');
-      return { success: false, sessionToken: null };
-    }
-
-    try {
-      const client = redisClient.getClient();
-      const userKey = redisClient.key(`user:${userId}`);
-      const now = Date.now().toString();
-      const sessionToken = uuidv4();
-
-      // Create enhanced session data
-      await client.hSet(userKey, {
-        device_id: deviceId,
-        login_time: now,
-        last_seen: now,
-        status: 'anonymous',
-        user_status: '0', // Default normal user
-        username: '', // Empty for anonymous
-        session_token: sessionToken,
-        ip_address: clientIP || 'unknown'
-      });
-
-      // Set TTL to 7 days
-      await client.expire(userKey, 604800);
-      return { success: true, sessionToken };
-    } catch (redisError) {
-      console.error('Redis session creation failed:', redisError);
-      return { success: false, sessionToken: null };
-    }
+    return this.issueSessionTokens(userId, {
+      device_id: deviceId,
+      status: 'anonymous',
+      user_status: '0', // Default normal user
+      username: '', // Empty for anonymous
+      ip_address: clientIP || 'unknown'
+    });
   }
 
   /**
-   * Delete Redis session for user
+   * Delete one Redis session of a user
    * @async
    * @function deleteUserSession
-   * @param {number} userId - User ID to delete session fo
-   * @param {string} deviceId - device ID to logoutr
+   * @param {number} userId - User ID owning the session
+   * @param {string} sessionId - Session to delete
+   * @param {string} deviceId - Device ID the session must belong to
    * @returns {Promise<boolean>} True if session deleted successfully
    * @throws Does not throw - logs errors and returns false
-   * @sideEffects Removes Redis session data
+   * @sideEffects Removes Redis session record, revokes its access and refresh tokens
    */
-  async deleteUserSession(userId, deviceId) {
+  async deleteUserSession(userId, sessionId, deviceId) {
     if (!redisClient.isReady()) {
       console.warn('Redis not available for session deletion');
       return false;
@@ -185,20 +259,13 @@ class AuthService {
 
     try {
       const client = redisClient.getClient();
-      const userKey = redisClient.key(`user:${userId}`);
 
-      // Get current session data to validate
-      const sessionData = await client.hGetAll(userKey);
+      // Get session data to validate
+      const sessionData = await client.hGetAll(sessionKey(userId, sessionId));
 
       // Check if session exists
       if (!sessionData.device_id) {
-        console.warn(`Session not found for user ${userId}`);
-        return false;
-      }
-
-      // Validate status is 'anonymous'
-      if (sessionData.status !== 'anonymous') {
-        console.warn(`Invalid session status for user ${userId}: ${sessionData.status}`);
+        console.warn(`Session ${sessionId} not found for user ${userId}`);
         return false;
       }
 
@@ -208,9 +275,8 @@ class AuthService {
         return false;
       }
 
-      // All validations passed, delete the session
-      await client.del(userKey);
-      return true;
+      // All validations passed, revoke the session and its tokens
+      return await this.revokeSession(userId, sessionId);
     } catch (redisError) {
       console.error('Redis session deletion failed:', redisError);
       return false;
@@ -223,14 +289,15 @@ class AuthService {
    * @function anonymousLogin
    * @param {string} deviceId - Device identifier from client
    * @param {string} clientIP - Client IP address for session
+   * @param {Object} deviceInfo - Optional device_name, platform and push_token
    * @returns {Promise<Object>} Login result with user data
    * @throws {Error} Database or business logic errors
-   * @sideEffects Creates user if needed, logs activity, creates Redis session
+   * @sideEffects Creates user if needed, refreshes attached device, logs activity, creates Redis session
    * @example
    * const result = await authService.anonymousLogin('iPhone_ABC123', '192.168.1.100')
    * // Returns: { userId: 123, isNewUser: true, sessionCreated: true }
    */
-  async anonymousLogin(deviceId, clientIP) {
+  async anonymousLogin(deviceId, clientIP, deviceInfo = {}) {
     // Check if user exists
     const existingUser = await this.findUserByDeviceId(deviceId);
 
@@ -239,10 +306,11 @@ class AuthService {
 
     if (!existingUser) {
       // Create new user with activity log
-      userId = await this.createUserWithLog(deviceId);
+      userId = await this.createUserWithLog(deviceId, deviceInfo);
       isNewUser = true;
     } else {
       userId = existingUser.id;
+      await deviceService.attachDevice(userId, deviceId, deviceInfo);
 
       // Log login activity for existing user
       await this.logUserActivity(userId, 0, 'anonymous_login');
@@ -255,7 +323,10 @@ class AuthService {
       userId,
       isNewUser,
       sessionCreated: sessionResult.success,
-      sessionToken: sessionResult.sessionToken
+      sessionId: sessionResult.sessionId,
+      sessionToken: sessionResult.sessionToken,
+      refreshToken: sessionResult.refreshToken,
+      expiresIn: sessionResult.expiresIn
     };
   }
 
@@ -264,17 +335,18 @@ class AuthService {
    * @async
    * @function userLogout
    * @param {number} userId - User ID to logout
+   * @param {string} sessionId - Session to end (other devices stay logged in)
    * @param {string} deviceId - device ID to logout
    * @returns {Promise<Object>} Logout result
    * @throws {Error} Database or business logic errors
    * @sideEffects Deletes Redis session, logs logout activity
    * @example
-   * const result = await authService.userLogout(123)
+   * const result = await authService.userLogout(123, 'a3f1...', 'iPhone_ABC123')
    * // Returns: { sessionDeleted: true, activityLogged: true }
    */
-  async userLogout(userId, deviceId) {
+  async userLogout(userId, sessionId, deviceId) {
     // Delete Redis session
-    const sessionDeleted = await this.deleteUserSession(userId, deviceId);
+    const sessionDeleted = await this.deleteUserSession(userId, sessionId, deviceId);
 
     // Log logout activity
     await this.logUserActivity(userId, 3, 'logout');
@@ -302,7 +374,10 @@ class AuthService {
   }
 
   /**
-   * Verify timestamped password for login authentication
+   * Verify timestamped password for login authentication (legacy handshake)
+   *
+   * Only works while the stored hash is the plain SHA-256 of the password,
+   * i.e. for rows with password_version = 1.
    * @function verifyPassword
    * @param {string} storedHash - SHA-256 hash stored in database
    * @param {number} timestamp - Timestamp used in client-side hashing
@@ -349,6 +424,274 @@ class AuthService {
     return sha256Regex.test(hash);
   }
 
+  /**
+   * Wrap client password hash in bcrypt and store its challenge verifier
+   * @async
+   * @function hashStoredPassword
+   * @param {string} passwordHash - SHA-256(original pass) from client
+   * @returns {Promise<string>} Version 3 stored password (bcrypt salt + StoredKey, 93 characters)
+   * @throws {Error} 'Invalid password hash format'
+   * @sideEffects None - pure function
+   */
+  async hashStoredPassword(passwordHash) {
+    if (!this.isValidSHA256(passwordHash)) {
+      throw new Error('Invalid password hash format');
+    }
+
+    const clientHash = await bcrypt.hash(passwordHash.toLowerCase(), config.password.bcryptRounds);
+    return this.deriveStoredVerifier(clientHash);
+  }
+
+  /**
+   * Derive the stored verifier from bcrypt(SHA-256(original pass))
+   *
+   * ClientKey = HMAC-SHA256(clientHash, "Client Key"), StoredKey = SHA-256(ClientKey).
+   * Only the bcrypt salt and StoredKey are kept, so the stored value cannot be
+   * used to log in and cracking it costs one bcrypt per guess.
+   * @function deriveStoredVerifier
+   * @param {string} clientHash - Full bcrypt hash (60 characters)
+   * @returns {string} bcrypt salt (29 characters) followed by StoredKey (64 hex characters)
+   * @sideEffects None - pure function
+   */
+  deriveStoredVerifier(clientHash) {
+    const clientKey = crypto.createHmac('sha256', clientHash).update('Client Key').digest();
+    const storedKey = crypto.createHash('sha256').update(clientKey).digest('hex');
+
+    return `${clientHash.slice(0, BCRYPT_SALT_LENGTH)}${storedKey}`;
+  }
+
+  /**
+   * bcrypt salt the client hashes its password with for a login proof
+   *
+   * Rows stored with bcrypt answer with their own salt. Unknown phone numbers
+   * and version 1 rows get a salt derived from APP_SECRET and the phone
+   * number, stable across requests, so the salt does not reveal accounts.
+   * @function getLoginSalt
+   * @param {Object|null} user - User row with password and password_version, null if unknown
+   * @param {string} phoneNumber - Phone number that logs in
+   * @returns {string} bcrypt salt with version and cost, e.g. $2b$12$... (29 characters)
+   * @sideEffects None - pure function
+   */
+  getLoginSalt(user, phoneNumber) {
+    if (user && user.password && user.password_version !== PASSWORD_VERSION_SHA256) {
+      return user.password.slice(0, BCRYPT_SALT_LENGTH);
+    }
+
+    const bytes = crypto.createHmac('sha256', config.app.appSecret).update(`login_salt:${phoneNumber}`).digest();
+
+    // 22 characters of bcrypt base64 encode 16 bytes, the last one carries only 2 bits
+    let salt = '';
+    for (let i = 0; i < 21; i++) {
+      salt += BCRYPT_ALPHABET[bytes[i] & 63];
+    }
+    salt += BCRYPT_ALPHABET[(bytes[21] & 3) << 4];
+
+    return `$2b$${String(config.password.bcryptRounds).padStart(2, '0')}$${salt}`;
+  }
+
+  /**
+   * Verify a login proof bound to a challenge
+   *
+   * The client computes clientHash = bcrypt(SHA-256(original pass), salt) with
+   * the salt from createLoginChallenge and sends
+   * proof = ClientKey XOR HMAC-SHA256(StoredKey, challenge).
+   * The server recovers ClientKey and compares SHA-256(ClientKey) with
+   * StoredKey. A captured proof is useless with any other challenge and the
+   * client hash itself never leaves the device. Version 1 and 2 rows derive
+   * StoredKey from the stored hash, so every account can answer.
+   * @async
+   * @function verifyLoginProof
+   * @param {Object} user - User row with password and password_version
+   * @param {string} phoneNumber - Phone number the salt was issued for
+   * @param {string} challenge - Challenge the proof was computed for (already consumed)
+   * @param {string} proof - 64 hex characters from client
+   * @returns {Promise<boolean>} True if proof matches
+   * @throws Does not throw - returns false for invalid input
+   * @sideEffects None - read-only comparison
+   */
+  async verifyLoginProof(user, phoneNumber, challenge, proof) {
+    if (!user.password || !this.isValidSHA256(proof)) {
+      return false;
+    }
+
+    let storedVerifier;
+
+    if (user.password_version === PASSWORD_VERSION_VERIFIER) {
+      storedVerifier = user.password;
+    } else if (user.password_version === PASSWORD_VERSION_BCRYPT) {
+      storedVerifier = this.deriveStoredVerifier(user.password);
+    } else {
+      if (!this.isValidSHA256(user.password)) {
+        return false;
+      }
+      const clientHash = await bcrypt.hash(user.password.toLowerCase(), this.getLoginSalt(null, phoneNumber));
+      storedVerifier = this.deriveStoredVerifier(clientHash);
+    }
+
+    const storedKey = Buffer.from(storedVerifier.slice(BCRYPT_SALT_LENGTH), 'hex');
+    if (storedKey.length !== 32) {
+      return false;
+    }
+
+    const signature = crypto.createHmac('sha256', storedKey).update(challenge).digest();
+    const clientKey = Buffer.from(proof, 'hex').map((byte, i) => byte ^ signature[i]);
+
+    return crypto.timingSafeEqual(
+      crypto.createHash('sha256').update(clientKey).digest(),
+      storedKey
+    );
+  }
+
+  /**
+   * Replace a version 1 or 2 stored password with its version 3 verifier
+   *
+   * Works without the client's password hash: version 2 rows already hold
+   * bcrypt(SHA-256(original pass)), version 1 rows hold SHA-256(original pass).
+   * @async
+   * @function upgradePasswordHash
+   * @param {Object} user - User row with id, password and password_version
+   * @returns {Promise<boolean>} True if the stored hash was replaced
+   * @throws Does not throw - logs errors and returns false, login must not fail on rehash
+   * @sideEffects Updates users.password and users.password_version
+   */
+  async upgradePasswordHash(user) {
+    if (user.password_version === PASSWORD_VERSION_VERIFIER || !user.password) {
+      return false;
+    }
+
+    try {
+      const storedHash = user.password_version === PASSWORD_VERSION_BCRYPT
+        ? this.deriveStoredVerifier(user.password)
+        : await this.hashStoredPassword(user.password);
+
+      // Guard on the old hash so a concurrent password reset is not overwritten
+      const [result] = await pool.execute(
+        'UPDATE users SET password = ?, password_version = ? WHERE id = ? AND password = ?',
+        [storedHash, PASSWORD_VERSION_VERIFIER, user.id, user.password]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Password rehash error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Issue single-use login challenge with the salt for the login proof
+   *
+   * A challenge and a salt are issued for any phone number so the endpoint
+   * cannot be used to probe registered accounts.
+   * @async
+   * @function createLoginChallenge
+   * @param {string} phoneNumber - Phone number that will log in
+   * @returns {Promise<Object>} { challenge, salt, expiresIn }
+   * @throws {Error} 'Session service unavailable', Redis or database errors
+   * @sideEffects Writes ha:login_challenge:{challenge}
+   */
+  async createLoginChallenge(phoneNumber) {
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    const [users] = await pool.execute(
+      'SELECT password, password_version FROM users WHERE phone_number = ? AND status >= 0',
+      [phoneNumber]
+    );
+
+    const challenge = crypto.randomBytes(32).toString('hex');
+
+    await redisClient.getClient().set(
+      redisClient.key(`login_challenge:${challenge}`),
+      phoneNumber,
+      { EX: config.password.challengeTtl }
+    );
+
+    return {
+      challenge,
+      salt: this.getLoginSalt(users[0] || null, phoneNumber),
+      expiresIn: config.password.challengeTtl
+    };
+  }
+  /**
+   * Redeem login challenge once
+   * @async
+   * @function consumeLoginChallenge
+   * @param {string} challenge - Challenge from createLoginChallenge
+   * @param {string} phoneNumber - Phone number the challenge must belong to
+   * @returns {Promise<boolean>} True if challenge was valid for this phone number
+   * @throws {Error} 'Session service unavailable', Redis errors
+   * @sideEffects Deletes the challenge
+   */
+  async consumeLoginChallenge(challenge, phoneNumber) {
+    if (!challenge || typeof challenge !== 'string' || !/^[a-f0-9]{64}$/.test(challenge)) {
+      return false;
+    }
+
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    const challengeKey = redisClient.key(`login_challenge:${challenge}`);
+    const [storedPhone] = await redisClient.getClient().multi()
+      .get(challengeKey)
+      .del(challengeKey)
+      .exec();
+
+    return storedPhone === phoneNumber;
+  }
+
+  /**
+   * Re-check the password of a logged in user before a sensitive operation
+   *
+   * Uses the challenge handshake of userLogin, failures count towards the
+   * same per-account lockout. Anonymous accounts have no password and pass.
+   * @async
+   * @function confirmPassword
+   * @param {number} userId - Logged in user
+   * @param {string|null} proof - Login proof for the challenge, see verifyLoginProof
+   * @param {string|null} challenge - Challenge from createLoginChallenge for the user's phone number
+   * @returns {Promise<boolean>} True if the password is correct or the account has none
+   * @throws {Error} 'Account locked', 'Invalid login challenge', 'User not found'
+   * @sideEffects Consumes login challenge, records failed attempts, upgrades stored password hash
+   */
+  async confirmPassword(userId, proof, challenge) {
+    const [users] = await pool.execute(
+      'SELECT id, phone_number, password, password_version FROM users WHERE id = ? AND status >= 0',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const user = users[0];
+
+    if (!user.phone_number || !user.password) {
+      return true;
+    }
+
+    if (await loginAttemptService.getLockRemaining(user.phone_number) > 0) {
+      throw new Error('Account locked');
+    }
+
+    if (!challenge || !(await this.consumeLoginChallenge(challenge, user.phone_number))) {
+      throw new Error('Invalid login challenge');
+    }
+
+    if (!(await this.verifyLoginProof(user, user.phone_number, challenge, proof))) {
+      const attempt = await loginAttemptService.recordFailure(user.phone_number);
+      if (attempt.locked) {
+        throw new Error('Account locked');
+      }
+      return false;
+    }
+
+    await loginAttemptService.reset(user.phone_number);
+    await this.upgradePasswordHash(user);
+    return true;
+  }
+
   /**
    * Register new user with username, phone, and hashed password
    * @async
@@ -356,13 +699,16 @@ class AuthService {
    * @param {string} deviceId - Device identifier
    * @param {string} accountName - Username for account
    * @param {string} phoneNumber - Phone number
-   * @param {string} hashedPassword - SHA-256 hash of password
+   * @param {string} hashedPassword - SHA-256 hash of password, stored as bcrypt verifier (version 3)
    * @param {number} existingUserId - Optional existing user ID for upgrade
+   * @param {string} verificationToken - Token from otpService.verifyCode for purpose 'register'
+   * @param {Object} deviceInfo - Optional device_name, platform and push_token
    * @returns {Promise<Object>} Registration result
-   * @throws {Error} Database or validation errors
-   * @sideEffects Creates/updates user record, logs activity
+   * @throws {Error} Database or validation errors, 'Phone number not verified', 'Username already taken'
+   * @sideEffects Creates/updates user record, attaches device, consumes verification token once the
+   *   account is written, logs activity
    */
-  async registerUser(deviceId, accountName, phoneNumber, hashedPassword, existingUserId = null) {
+  async registerUser(deviceId, accountName, phoneNumber, hashedPassword, existingUserId = null, verificationToken = null, deviceInfo = {}) {
     // Validate hashed password format
     if (!this.isValidSHA256(hashedPassword)) {
       throw new Error('Invalid password hash format');
@@ -378,6 +724,13 @@ class AuthService {
       throw new Error('Phone number already registered');
     }
 
+    // Phone ownership must be proven by OTP; the token is redeemed only with the account write below
+    const phoneVerified = await otpService.checkVerification(verificationToken, 'register', phoneNumber);
+    if (!phoneVerified) {
+      throw new Error('Phone number not verified');
+    }
+
+    const storedHash = await this.hashStoredPassword(hashedPassword);
     const connection = await pool.getConnection();
 
     try {
@@ -386,10 +739,14 @@ class AuthService {
       let userId;
 
       if (existingUserId) {
-        // Upgrade existing anonymous user
+        // Upgrade existing anonymous user, only from a device attached to it
         const [result] = await connection.execute(
-          'UPDATE users SET username = ?, phone_number = ?, password = ?, updated_at = NOW() WHERE id = ? AND device_id = ? AND status >= 0',
-          [accountName, phoneNumber, hashedPassword, existingUserId, deviceId]
+          `UPDATE users u
+           JOIN user_devices d ON d.user_id = u.id AND d.device_id = ?
+           SET u.username = ?, u.phone_number = ?, u.password = ?, u.password_version = ?,
+               u.phone_verified_at = NOW(), u.updated_at = NOW()
+           WHERE u.id = ? AND u.phone_number IS NULL AND u.status >= 0`,
+          [deviceId, accountName, phoneNumber, storedHash, PASSWORD_VERSION_VERIFIER, existingUserId]
         );
 
         if (result.affectedRows === 0) {
@@ -400,18 +757,26 @@ class AuthService {
       } else {
         // Create new user
         const [result] = await connection.execute(
-          'INSERT INTO users (device_id, username, phone_number, password) VALUES (?, ?, ?, ?)',
-          [deviceId, accountName, phoneNumber, hashedPassword]
+          'INSERT INTO users (device_id, username, phone_number, password, password_version, phone_verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
+          [deviceId, accountName, phoneNumber, storedHash, PASSWORD_VERSION_VERIFIER]
         );
         userId = result.insertId;
       }
 
+      await deviceService.attachDevice(userId, deviceId, deviceInfo, connection);
+
       // Log registration activity
       await connection.execute(
         'INSERT INTO user_logs (user_id, action_type, action) VALUES (?, 0, "user_registration")',
         [userId]
       );
 
+      // Redeemed last, so a failed registration leaves the token usable for a retry;
+      // a concurrent registration that redeemed it first rolls this one back
+      if (!(await otpService.consumeVerification(verificationToken, 'register', phoneNumber))) {
+        throw new Error('Phone number not verified');
+      }
+
       await connection.commit();
 
       // Get user data
@@ -435,11 +800,19 @@ class AuthService {
         userId,
         userName: userData[0].username,
         userStatus: userData[0].status,
+        sessionId: sessionResult.sessionId,
         sessionToken: sessionResult.sessionToken,
+        refreshToken: sessionResult.refreshToken,
+        expiresIn: sessionResult.expiresIn,
         isUpgrade: !!existingUserId
       };
     } catch (error) {
       await connection.rollback();
+
+      // users.username is unique, a concurrent registration took the name
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Username already taken');
+      }
       throw error;
     } finally {
       connection.release();
@@ -447,26 +820,48 @@ class AuthService {
   }
 
   /**
-   * User login with phone number and timestamped password
+   * User login with phone number and password
+   *
+   * Challenge handshake: client sends a proof bound to a challenge from
+   * createLoginChallenge (see verifyLoginProof), so a captured login cannot be
+   * replayed. Legacy handshake (no challenge): client sends
+   * SHA-256(storedHash + timestamp), only possible while the row is still
+   * version 1. Either way the row is upgraded to the version 3 verifier on success.
    * @async
    * @function userLogin
    * @param {string} phoneNumber - Phone number for login
-   * @param {string} password - SHA-256(storedHash + timestamp) from client
-   * @param {number} timestamp - Timestamp from request headers
+   * @param {string} password - Login proof with challenge, SHA-256(storedHash + timestamp) without
+   * @param {number} timestamp - Timestamp from request headers (legacy handshake)
    * @param {string} clientIP - Client IP address
    * @param {number|null} expectedUserId - Optional user ID for validation
+   * @param {string|null} deviceId - Device logging in; refresh token is bound to it (defaults to registered device)
+   * @param {string|null} challenge - Login challenge (challenge handshake)
+   * @param {Object} deviceInfo - Optional device_name, platform and push_token
    * @returns {Promise<Object>} Login result
-   * @throws {Error} Authentication or database errors
-   * @sideEffects Logs activity, creates Redis session
+   * @throws {Error} 'Account locked', 'Invalid login challenge', 'Login challenge required', authentication or database errors
+   * @sideEffects Consumes login challenge, records failed attempts, upgrades stored password hash,
+   *   attaches device, logs activity, creates Redis session
    */
-  async userLogin(phoneNumber, password, timestamp, clientIP, expectedUserId = null) {
+  async userLogin(phoneNumber, password, timestamp, clientIP, expectedUserId = null, deviceId = null, challenge = null, deviceInfo = {}) {
+    // Locked accounts are rejected before the password is looked at
+    if (await loginAttemptService.getLockRemaining(phoneNumber) > 0) {
+      throw new Error('Account locked');
+    }
+
+    // Challenge is consumed first so a failed attempt cannot be retried with it
+    if (challenge !== null && !(await this.consumeLoginChallenge(challenge, phoneNumber))) {
+      throw new Error('Invalid login challenge');
+    }
+
     // Find user by phone number
     const [users] = await pool.execute(
-      'SELECT id, device_id, password, username, status FROM users WHERE phone_number = ? AND status >= 0',
+      'SELECT id, device_id, password, password_version, username, status FROM users WHERE phone_number = ? AND status >= 0',
       [phoneNumber]
     );
 
     if (users.length === 0) {
+      // Unknown numbers count as failures too, so lockout does not reveal registered accounts
+      await loginAttemptService.recordFailure(phoneNumber);
       throw new Error('User not found');
     }
 
@@ -477,17 +872,34 @@ class AuthService {
       throw new Error('User ID mismatch');
     }
 
-    // Verify password using stored hash and timestamp
-    const isValidPassword = this.verifyPassword(user.password, timestamp, password);
+    let isValidPassword;
+
+    if (challenge !== null) {
+      isValidPassword = await this.verifyLoginProof(user, phoneNumber, challenge, password);
+    } else {
+      // bcrypt rows cannot answer the legacy timestamp handshake
+      if (user.password_version !== PASSWORD_VERSION_SHA256) {
+        throw new Error('Login challenge required');
+      }
+
+      isValidPassword = this.verifyPassword(user.password, timestamp, password);
+    }
 
     if (!isValidPassword) {
-      throw new Error('Invalid password');
+      const attempt = await loginAttemptService.recordFailure(phoneNumber);
+      throw new Error(attempt.locked ? 'Account locked' : 'Invalid password');
     }
 
+    await loginAttemptService.reset(phoneNumber);
+    await this.upgradePasswordHash(user);
+
+    const loginDeviceId = deviceId || user.device_id;
+    await deviceService.attachDevice(user.id, loginDeviceId, deviceInfo);
+
     // Create Redis session with user data
     const sessionResult = await this.createUserSession(
       user.id, 
-      user.device_id, 
+      loginDeviceId, 
       clientIP,
       user.username,
       user.status
@@ -500,20 +912,23 @@ class AuthService {
       userId: user.id,
       userName: user.username,
       userStatus: user.status,
+      sessionId: sessionResult.sessionId,
       sessionToken: sessionResult.sessionToken,
+      refreshToken: sessionResult.refreshToken,
+      expiresIn: sessionResult.expiresIn,
       sessionCreated: sessionResult.success
     };
   }
 
   /**
-   * Update Redis session status for user
+   * Update status of all Redis sessions of a user
    * @async
    * @function updateSessionStatus
    * @param {number} userId - User ID to update
    * @param {string} status - New status ('anonymous', 'login', 'blocked')
    * @returns {Promise<boolean>} True if status updated successfully
    * @throws Does not throw - logs errors and returns false
-   * @sideEffects Updates status field in Redis session
+   * @sideEffects Updates status field in every Redis session record of the user
    */
   async updateSessionStatus(userId, status) {
     if (!redisClient.isReady()) {
@@ -523,13 +938,16 @@ class AuthService {
 
     try {
       const client = redisClient.getClient();
-      const userKey = redisClient.key(`user:${userId}`);
+      const sessionIds = await client.sMembers(sessionSetKey(userId));
 
-      // Update status and last_seen
-      await client.hSet(userKey, {
-        status: status,
-        last_seen: Date.now().toString()
-      });
+      for (const sessionId of sessionIds) {
+        const key = sessionKey(userId, sessionId);
+
+        // Skip expired sessions instead of recreating them
+        if (await client.exists(key)) {
+          await client.hSet(key, 'status', status);
+        }
+      }
 
       return true;
     } catch (redisError) {
@@ -547,42 +965,685 @@ class AuthService {
    * @param {string} clientIP - Client IP address
    * @param {string} username - Username for session
    * @param {number} userStatus - User status (0=normal, 87=admin)
-   * @returns {Promise<Object>} Session creation result with token
+   * @returns {Promise<Object>} Session creation result with access and refresh tokens
    * @throws Does not throw - logs errors and returns false
-   * @sideEffects Creates Redis hash with 7-day TTL
+   * @sideEffects Creates Redis session record, replaces previous session of the same device
    */
   async createUserSession(userId, deviceId, clientIP, username = '', userStatus = 0) {
+    return this.issueSessionTokens(userId, {
+      device_id: deviceId,
+      status: 'login',
+      user_status: userStatus.toString(),
+      username: username || '',
+      ip_address: clientIP || 'unknown'
+    });
+  }
+
+  /**
+   * Generate opaque bearer token for a new session
+   * @function generateSessionToken
+   * @returns {string} 64 hex characters (256 bits of randomness)
+   * @sideEffects None - pure function
+   */
+  generateSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Resolve access token to the active user session
+   * @async
+   * @function resolveSessionToken
+   * @param {string} token - Access token issued by issueSessionTokens/refreshSession
+   * @returns {Promise<Object|null>} { userId, sessionId, session } or null if token is unknown, expired or replaced
+   * @throws {Error} Redis errors (caller decides how to report them)
+   * @sideEffects Updates last_seen, removes stale token index
+   */
+  async resolveSessionToken(token) {
+    if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      return null;
+    }
+
+    const client = redisClient.getClient();
+    const tokenKey = redisClient.key(`session:${token}`);
+    const owner = await client.get(tokenKey);
+
+    if (!owner) {
+      return null;
+    }
+
+    // Token index value is "{user_id}:{session_id}"
+    const [userId, sessionId] = owner.split(':');
+    const key = sessionKey(userId, sessionId);
+    const session = await client.hGetAll(key);
+
+    // Token must still belong to the session's current access token
+    if (!session.device_id || session.session_token !== token) {
+      await client.del(tokenKey);
+      return null;
+    }
+
+    // Access tokens are short-lived: only last_seen moves, TTLs are renewed by refreshSession
+    const now = Date.now().toString();
+    await client.hSet(key, 'last_seen', now);
+
+    session.last_seen = now;
+    return { userId: parseInt(userId), sessionId, session };
+  }
+
+  /**
+   * Create a session record and issue its access/refresh tokens
+   * @async
+   * @function issueSessionTokens
+   * @param {number} userId - User ID for session
+   * @param {Object} sessionFields - Session fields (device_id, status, user_status, username, ip_address)
+   * @returns {Promise<Object>} { success, sessionId, sessionToken, refreshToken, expiresIn }
+   * @throws Does not throw - logs errors and returns success false
+   * @sideEffects Creates ha:user:{id}:session:{sid}, ha:session and ha:refresh keys,
+   *   revokes the previous session of the same device
+   */
+  async issueSessionTokens(userId, sessionFields) {
     if (!redisClient.isReady()) {
       console.warn('Redis not available for session creation');
-      return { success: false, sessionToken: null };
+      return { success: false, sessionId: null, sessionToken: null, refreshToken: null, expiresIn: 0 };
     }
 
     try {
       const client = redisClient.getClient();
-      const userKey = redisClient.key(`user:${userId}`);
       const now = Date.now().toString();
-      const sessionToken = uuidv4();
-
-      // Create enhanced session data
-      await client.hSet(userKey, {
-        device_id: deviceId,
-        login_time: now,
-        last_seen: now,
-        status: 'login',
-        user_status: userStatus.toString(),
-        username: username,
-        session_token: sessionToken,
-        ip_address: clientIP || 'unknown'
-      });
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      const sessionToken = this.generateSessionToken();
+      const refreshToken = this.generateSessionToken();
+      const refreshKey = redisClient.key(`refresh:${refreshToken}`);
+      const key = sessionKey(userId, sessionId);
+
+      // A new login replaces the previous session of the same device only
+      const existingSessions = await this.listSessions(userId);
+      for (const existing of existingSessions) {
+        if (existing.device_id === sessionFields.device_id) {
+          await this.revokeSession(userId, existing.session_id);
+        }
+      }
 
-      // Set TTL to 7 days
-      await client.expire(userKey, 604800);
-      return { success: true, sessionToken };
+      await client.multi()
+        .hSet(key, {
+          ...sessionFields,
+          login_time: now,
+          last_seen: now,
+          session_token: sessionToken,
+          refresh_token: refreshToken
+        })
+        .expire(key, REFRESH_TOKEN_TTL)
+        .sAdd(sessionSetKey(userId), sessionId)
+        .expire(sessionSetKey(userId), REFRESH_TOKEN_TTL)
+        .set(redisClient.key(`session:${sessionToken}`), `${userId}:${sessionId}`, { EX: ACCESS_TOKEN_TTL })
+        .hSet(refreshKey, {
+          user_id: userId.toString(),
+          session_id: sessionId,
+          device_id: sessionFields.device_id,
+          status: 'active',
+          created_at: now
+        })
+        .expire(refreshKey, REFRESH_TOKEN_TTL)
+        .exec();
+
+      return { success: true, sessionId, sessionToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
     } catch (redisError) {
       console.error('Redis session creation failed:', redisError);
-      return { success: false, sessionToken: null };
+      return { success: false, sessionId: null, sessionToken: null, refreshToken: null, expiresIn: 0 };
     }
   }
+
+  /**
+   * Rotate refresh token and issue a new access token
+   * @async
+   * @function refreshSession
+   * @param {string} refreshToken - Refresh token from the previous login or refresh
+   * @param {string} deviceId - Device identifier the token was issued to
+   * @param {string} clientIP - Client IP address
+   * @returns {Promise<Object>} { userId, sessionId, sessionToken, refreshToken, expiresIn }
+   * @throws {Error} 'Session service unavailable', 'Invalid refresh token',
+   *   'Refresh token reuse detected', 'Device ID mismatch'
+   * @sideEffects Marks old refresh token as rotated, replaces access token, renews TTLs,
+   *   revokes the whole session on reuse (including a lost concurrent rotation) or device mismatch
+   */
+  async refreshSession(refreshToken, deviceId, clientIP) {
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    if (!refreshToken || typeof refreshToken !== 'string' || !/^[a-f0-9]{64}$/.test(refreshToken)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const client = redisClient.getClient();
+    const refreshKey = redisClient.key(`refresh:${refreshToken}`);
+    const record = await client.hGetAll(refreshKey);
+
+    if (!record.session_id) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const userId = parseInt(record.user_id);
+    const key = sessionKey(userId, record.session_id);
+    const session = await client.hGetAll(key);
+
+    // A rotated token presented again means it was copied: revoke the whole session
+    if (record.status !== 'active') {
+      await this.revokeSession(userId, record.session_id);
+      await this.logUserActivity(userId, 0, 'refresh_token_reuse');
+      throw new Error('Refresh token reuse detected');
+    }
+
+    // Session already revoked (logout, newer login on the device, earlier reuse)
+    if (!session.refresh_token || session.refresh_token !== refreshToken) {
+      await client.del(refreshKey);
+      throw new Error('Invalid refresh token');
+    }
+
+    if (record.device_id !== deviceId) {
+      await this.revokeSession(userId, record.session_id);
+      await this.logUserActivity(userId, 0, 'refresh_device_mismatch');
+      throw new Error('Device ID mismatch');
+    }
+
+    const now = Date.now().toString();
+    const newSessionToken = this.generateSessionToken();
+    const newRefreshToken = this.generateSessionToken();
+    const newRefreshKey = redisClient.key(`refresh:${newRefreshToken}`);
+
+    // WATCH makes the active check and the rotation one step: of two refreshes
+    // racing with the same token, the loser sees it rotated or its EXEC aborted
+    const rotated = await client.executeIsolated(async isolatedClient => {
+      await isolatedClient.watch(refreshKey);
+      if (await isolatedClient.hGet(refreshKey, 'status') !== 'active') {
+        await isolatedClient.unwatch();
+        return false;
+      }
+
+      try {
+        await isolatedClient.multi()
+          // Keep the rotated record until it expires so a replay can be detected
+          .hSet(refreshKey, { status: 'rotated', rotated_at: now })
+          .del(redisClient.key(`session:${session.session_token}`))
+          .set(redisClient.key(`session:${newSessionToken}`), `${userId}:${record.session_id}`, { EX: ACCESS_TOKEN_TTL })
+          .hSet(newRefreshKey, {
+            user_id: userId.toString(),
+            session_id: record.session_id,
+            device_id: deviceId,
+            status: 'active',
+            created_at: now
+          })
+          .expire(newRefreshKey, REFRESH_TOKEN_TTL)
+          .hSet(key, {
+            session_token: newSessionToken,
+            refresh_token: newRefreshToken,
+            last_seen: now,
+            ip_address: clientIP || 'unknown'
+          })
+          .expire(key, REFRESH_TOKEN_TTL)
+          .expire(sessionSetKey(userId), REFRESH_TOKEN_TTL)
+          .exec();
+        return true;
+      } catch (error) {
+        if (error instanceof WatchError) {
+          return false;
+        }
+        throw error;
+      }
+    });
+
+    if (!rotated) {
+      await this.revokeSession(userId, record.session_id);
+      await this.logUserActivity(userId, 0, 'refresh_token_reuse');
+      throw new Error('Refresh token reuse detected');
+    }
+
+    await deviceService.touchDevice(userId, deviceId);
+
+    return {
+      userId,
+      sessionId: record.session_id,
+      sessionToken: newSessionToken,
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  /**
+   * Record completed second factor on a session
+   * @async
+   * @function markSessionMfaVerified
+   * @param {number} userId - Session owner
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} True if the session exists and was marked
+   * @throws {Error} Redis errors
+   * @sideEffects Sets mfa_verified_at on the session record, kept across token refreshes
+   */
+  async markSessionMfaVerified(userId, sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+      return false;
+    }
+
+    const client = redisClient.getClient();
+    const key = sessionKey(userId, sessionId);
+
+    if (!(await client.exists(key))) {
+      return false;
+    }
+
+    await client.hSet(key, 'mfa_verified_at', Date.now().toString());
+    return true;
+  }
+
+  /**
+   * Revoke one session and its tokens
+   * @async
+   * @function revokeSession
+   * @param {number} userId - Session owner
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} True if the session existed and was revoked
+   * @throws {Error} Redis errors
+   * @sideEffects Deletes session record, current access token and refresh token,
+   *   removes session ID from the user's session set, disconnects its sockets
+   */
+  async revokeSession(userId, sessionId) {
+    if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+      return false;
+    }
+
+    const client = redisClient.getClient();
+    const key = sessionKey(userId, sessionId);
+    const session = await client.hGetAll(key);
+
+    const multi = client.multi()
+      .del(key)
+      .sRem(sessionSetKey(userId), sessionId);
+
+    if (session.session_token) {
+      multi.del(redisClient.key(`session:${session.session_token}`));
+    }
+    if (session.refresh_token) {
+      multi.del(redisClient.key(`refresh:${session.refresh_token}`));
+    }
+
+    await multi.exec();
+
+    // socketService requires this module, so it is reached through the global instance
+    if (global.socketService) {
+      global.socketService.disconnectSession(sessionId);
+    }
+
+    return !!session.device_id;
+  }
+
+  /**
+   * Revoke every session of a user ("log out everywhere")
+   * @async
+   * @function revokeAllSessions
+   * @param {number} userId - Session owner
+   * @param {string|null} exceptSessionId - Optional session to keep
+   * @returns {Promise<number>} Number of revoked sessions
+   * @throws {Error} Redis errors
+   * @sideEffects Deletes session records and their tokens
+   */
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const client = redisClient.getClient();
+    const sessionIds = await client.sMembers(sessionSetKey(userId));
+    let revoked = 0;
+
+    for (const sessionId of sessionIds) {
+      if (sessionId === exceptSessionId) {
+        continue;
+      }
+
+      if (await this.revokeSession(userId, sessionId)) {
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  /**
+   * List active sessions of a user
+   * @async
+   * @function listSessions
+   * @param {number} userId - Session owner
+   * @returns {Promise<Array>} Sessions sorted by last_seen (newest first), without tokens
+   * @throws {Error} Redis errors
+   * @sideEffects Removes expired session IDs from the user's session set
+   */
+  async listSessions(userId) {
+    const client = redisClient.getClient();
+    const sessionIds = await client.sMembers(sessionSetKey(userId));
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await client.hGetAll(sessionKey(userId, sessionId));
+
+      // Session record expired: drop it from the index
+      if (!session.device_id) {
+        await client.sRem(sessionSetKey(userId), sessionId);
+        continue;
+      }
+
+      sessions.push({
+        session_id: sessionId,
+        device_id: session.device_id,
+        status: session.status,
+        ip_address: session.ip_address,
+        login_time: parseInt(session.login_time),
+        last_seen: parseInt(session.last_seen)
+      });
+    }
+
+    return sessions.sort((a, b) => b.last_seen - a.last_seen);
+  }
+
+  /**
+   * Detach a device from an account and revoke its sessions
+   * @async
+   * @function removeDevice
+   * @param {number} userId - Account owner
+   * @param {number} id - user_devices row ID
+   * @returns {Promise<Object|null>} { deviceId, sessionsRevoked } or null if the device is not attached
+   * @throws {Error} Database or Redis errors
+   * @sideEffects Deletes user_devices row, revokes sessions of the device, logs activity
+   */
+  async removeDevice(userId, id) {
+    const device = await deviceService.removeDevice(userId, id);
+
+    if (!device) {
+      return null;
+    }
+
+    let sessionsRevoked = 0;
+
+    if (redisClient.isReady()) {
+      const sessions = await this.listSessions(userId);
+      for (const session of sessions) {
+        if (session.device_id === device.device_id && await this.revokeSession(userId, session.session_id)) {
+          sessionsRevoked++;
+        }
+      }
+    }
+
+    await this.logUserActivity(userId, 3, 'device_removed');
+
+    return {
+      deviceId: device.device_id,
+      sessionsRevoked
+    };
+  }
+
+  /**
+   * Move the history of an anonymous account to a registered account
+   *
+   * Runs in one transaction: authored topics and replies, drafts, likes,
+   * uploads, support conversation, devices and activity logs change owner,
+   * then the anonymous row is retired (status -1, merged_into_user_id).
+   * Rows that would break a unique key are de-duplicated first: a like the
+   * target already has is dropped (the like_count triggers keep counters
+   * right) and of two reply drafts for one topic the newer one is kept.
+   * updated_at is kept as is, moving rows is not an edit.
+   * @async
+   * @function mergeAnonymousAccount
+   * @param {number} anonymousUserId - Anonymous account to retire
+   * @param {number} targetUserId - Registered account receiving the history
+   * @returns {Promise<Object>} Number of moved rows per kind
+   * @throws {Error} 'Account not mergeable' if the source is not an active anonymous account
+   *   or the target is not an active registered account, database errors
+   * @sideEffects Reassigns rows of both accounts, retires the anonymous user, revokes its sessions,
+   *   logs account_merged activity on the target
+   */
+  async mergeAnonymousAccount(anonymousUserId, targetUserId) {
+    if (!anonymousUserId || !targetUserId || anonymousUserId === targetUserId) {
+      throw new Error('Account not mergeable');
+    }
+
+    const connection = await pool.getConnection();
+    let merged;
+
+    try {
+      await connection.beginTransaction();
+
+      // Lock both rows in id order so concurrent merges cannot deadlock
+      const [users] = await connection.execute(
+        'SELECT id, phone_number, status FROM users WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+        [anonymousUserId, targetUserId]
+      );
+
+      const source = users.find(user => user.id === anonymousUserId);
+      const target = users.find(user => user.id === targetUserId);
+
+      if (!source || !target || source.status !== 0 || source.phone_number !== null ||
+        target.status < 0 || target.phone_number === null) {
+        throw new Error('Account not mergeable');
+      }
+
+      const move = async (sql, params = [targetUserId, anonymousUserId]) => {
+        const [result] = await connection.execute(sql, params);
+        return result.affectedRows;
+      };
+
+      // Likes the target already has: deleting fires the like_count decrement triggers
+      await move(`
+        DELETE s FROM forum_topic_likes s
+        JOIN forum_topic_likes t ON t.topic_id = s.topic_id AND t.user_id = ?
+        WHERE s.user_id = ?
+      `);
+      await move(`
+        DELETE s FROM forum_reply_likes s
+        JOIN forum_reply_likes t ON t.reply_id = s.reply_id AND t.user_id = ?
+        WHERE s.user_id = ?
+      `);
+
+      // Two reply drafts for the same topic: keep the newer one
+      await move(`
+        DELETE s FROM forum_drafts s
+        JOIN forum_drafts t ON t.user_id = ? AND t.type = s.type AND t.topic_id = s.topic_id
+        WHERE s.user_id = ? AND s.updated_at <= t.updated_at
+      `);
+      await move(`
+        DELETE t FROM forum_drafts t
+        JOIN forum_drafts s ON s.user_id = ? AND s.type = t.type AND s.topic_id = t.topic_id
+        WHERE t.user_id = ? AND t.updated_at < s.updated_at
+      `, [anonymousUserId, targetUserId]);
+
+      merged = {
+        topics: await move('UPDATE forum_topics SET user_id = ?, updated_at = updated_at WHERE user_id = ?'),
+        replies: await move('UPDATE forum_replies SET user_id = ?, updated_at = updated_at WHERE user_id = ?'),
+        drafts: await move('UPDATE forum_drafts SET user_id = ?, updated_at = updated_at WHERE user_id = ?'),
+        topicLikes: await move('UPDATE forum_topic_likes SET user_id = ? WHERE user_id = ?'),
+        replyLikes: await move('UPDATE forum_reply_likes SET user_id = ? WHERE user_id = ?'),
+        uploads: await move('UPDATE forum_uploads SET user_id = ?, updated_at = updated_at WHERE user_id = ?'),
+        conversations: 0,
+        messages: await move('UPDATE messages SET user_id = ? WHERE user_id = ?'),
+        logs: await move('UPDATE user_logs SET user_id = ? WHERE user_id = ?')
+      };
+
+      // Chat expects one conversation per user: fold into the target's conversation if it has one
+      const [targetConversations] = await connection.execute(
+        'SELECT id FROM conversations WHERE user_id = ? ORDER BY id LIMIT 1',
+        [targetUserId]
+      );
+
+      if (targetConversations.length === 0) {
+        merged.conversations = await move('UPDATE conversations SET user_id = ?, updated_at = updated_at WHERE user_id = ?');
+      } else {
+        const targetConversationId = targetConversations[0].id;
+        const [sourceConversations] = await connection.execute(
+          'SELECT id FROM conversations WHERE user_id = ?',
+          [anonymousUserId]
+        );
+
+        for (const conversation of sourceConversations) {
+          await connection.execute(
+            'UPDATE messages SET conversation_id = ? WHERE conversation_id = ?',
+            [targetConversationId, conversation.id]
+          );
+          // Keep the admin audit trail and assignments of the folded conversation
+          await connection.execute(
+            'UPDATE admin_activity_log SET conversation_id = ? WHERE conversation_id = ?',
+            [targetConversationId, conversation.id]
+          );
+          await connection.execute(
+            'UPDATE IGNORE conversation_participants SET conversation_id = ? WHERE conversation_id = ?',
+            [targetConversationId, conversation.id]
+          );
+          await connection.execute('DELETE FROM conversations WHERE id = ?', [conversation.id]);
+          merged.conversations++;
+        }
+
+        if (sourceConversations.length > 0) {
+          await connection.execute(
+            `UPDATE conversations
+             SET last_message_at = (SELECT MAX(timestamp) FROM messages WHERE conversation_id = ?)
+             WHERE id = ?`,
+            [targetConversationId, targetConversationId]
+          );
+        }
+      }
+
+      // Devices of the anonymous account now belong to the target (the target's own row wins)
+      await move('UPDATE IGNORE user_devices SET user_id = ? WHERE user_id = ?');
+      await connection.execute('DELETE FROM user_devices WHERE user_id = ?', [anonymousUserId]);
+
+      // Profile fields the target never set are taken from the anonymous account
+      await connection.execute(
+        `UPDATE users t JOIN users s ON s.id = ?
+         SET t.display_name = COALESCE(t.display_name, s.display_name),
+             t.bio = COALESCE(t.bio, s.bio),
+             t.avatar_upload_id = COALESCE(t.avatar_upload_id, s.avatar_upload_id)
+         WHERE t.id = ?`,
+        [anonymousUserId, targetUserId]
+      );
+
+      await connection.execute(
+        'UPDATE users SET status = -1, merged_into_user_id = ?, avatar_upload_id = NULL, deleted_at = NOW(), updated_at = NOW() WHERE id = ?',
+        [targetUserId, anonymousUserId]
+      );
+
+      await connection.execute(
+        'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 0, "account_merged", ?)',
+        [targetUserId, JSON.stringify({ from_user_id: anonymousUserId, ...merged })]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (redisClient.isReady()) {
+      await this.revokeAllSessions(anonymousUserId);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge the account of an anonymous session into a registered account
+   * @async
+   * @function mergeAnonymousSession
+   * @param {string} anonymousSessionToken - Access token of the anonymous session, proves ownership
+   * @param {number} targetUserId - Registered account receiving the history
+   * @returns {Promise<Object>} { anonymousUserId, merged } with moved row counts
+   * @throws {Error} 'Invalid anonymous session', 'Account not mergeable', database errors
+   * @sideEffects See mergeAnonymousAccount
+   */
+  async mergeAnonymousSession(anonymousSessionToken, targetUserId) {
+    const resolved = redisClient.isReady() ? await this.resolveSessionToken(anonymousSessionToken) : null;
+
+    if (!resolved || resolved.session.status !== 'anonymous') {
+      throw new Error('Invalid anonymous session');
+    }
+
+    const merged = await this.mergeAnonymousAccount(resolved.userId, targetUserId);
+
+    return {
+      anonymousUserId: resolved.userId,
+      merged
+    };
+  }
+
+  /**
+   * Send OTP when the purpose applies to the phone number
+   * @async
+   * @function sendVerificationCode
+   * @param {string} phoneNumber - Phone number to verify
+   * @param {string} purpose - 'register' (phone must be unused) or 'reset_password' (phone must be registered)
+   * @returns {Promise<Object>} { expiresIn, resendAfter } - same shape whether or not a code was sent
+   * @throws {Error} otpService errors ('Invalid purpose', 'OTP resend too soon', SMS errors)
+   * @sideEffects Sends SMS through otpService when applicable
+   */
+  async sendVerificationCode(phoneNumber, purpose) {
+    const [users] = await pool.execute(
+      'SELECT id FROM users WHERE phone_number = ? AND status >= 0',
+      [phoneNumber]
+    );
+
+    const registered = users.length > 0;
+    const applies = (purpose === 'register' && !registered) || (purpose === 'reset_password' && registered);
+
+    // Respond identically either way so the endpoint cannot be used to probe phone numbers
+    if (!applies && (purpose === 'register' || purpose === 'reset_password')) {
+      return {
+        expiresIn: config.otp.ttl,
+        resendAfter: config.otp.resendInterval
+      };
+    }
+
+    return otpService.sendCode(phoneNumber, purpose);
+  }
+
+  /**
+   * Reset password after OTP verification
+   * @async
+   * @function resetPassword
+   * @param {string} phoneNumber - Registered phone number
+   * @param {string} verificationToken - Token from otpService.verifyCode for purpose 'reset_password'
+   * @param {string} hashedPassword - SHA-256 hash of the new password (same format as registration), stored as bcrypt verifier
+   * @returns {Promise<Object>} { userId, sessionsRevoked }
+   * @throws {Error} 'Invalid password hash format', 'Phone number not verified', 'User not found'
+   * @sideEffects Updates password, consumes verification token, revokes all sessions, logs activity
+   */
+  async resetPassword(phoneNumber, verificationToken, hashedPassword) {
+    if (!this.isValidSHA256(hashedPassword)) {
+      throw new Error('Invalid password hash format');
+    }
+
+    const phoneVerified = await otpService.consumeVerification(verificationToken, 'reset_password', phoneNumber);
+    if (!phoneVerified) {
+      throw new Error('Phone number not verified');
+    }
+
+    const [users] = await pool.execute(
+      'SELECT id FROM users WHERE phone_number = ? AND status >= 0',
+      [phoneNumber]
+    );
+
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const userId = users[0].id;
+    const storedHash = await this.hashStoredPassword(hashedPassword);
+
+    await pool.execute(
+      'UPDATE users SET password = ?, password_version = ?, phone_verified_at = NOW(), updated_at = NOW() WHERE id = ?',
+      [storedHash, PASSWORD_VERSION_VERIFIER, userId]
+    );
+
+    // Sessions opened with the old password must not survive the reset
+    const sessionsRevoked = redisClient.isReady() ? await this.revokeAllSessions(userId) : 0;
+
+    await this.logUserActivity(userId, 0, 'password_reset');
+
+    return { userId, sessionsRevoked };
+  }
 }
 
 module.exports = new AuthService();
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * @file services/deviceService.js
+ * @description Devices attached to user accounts
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service keeps the user_devices table: every device an account was
+ * used on, with its name, platform, push token and first/last seen times.
+ * One device can be attached to several accounts (a shared iPad) and one
+ * account to several devices. Anonymous and registered logins attach the
+ * device they come from instead of rewriting users.device_id.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with attach, list and remove
+ *
+ * Functions:
+ * - normalizeDeviceInfo(deviceInfo): Validate optional device name, platform and push token
+ * - attachDevice(userId, deviceId, deviceInfo, connection): Attach device to account or refresh it
+ * - touchDevice(userId, deviceId): Update last seen time of an attached device
+ * - listDevices(userId): List devices of an account
+ * - removeDevice(userId, id): Detach one device from an account
+ *
+ * Dependencies:
+ * - config/database.js: MySQL connection pool
+ */
+
+const pool = require('../config/database');
+
+// Platforms reported by the apps; anything else is stored as 'other'
+const PLATFORMS = ['ios', 'ipados', 'android', 'macos', 'web'];
+
+class DeviceService {
+  /**
+   * Validate optional device name, platform and push token
+   * @function normalizeDeviceInfo
+   * @param {Object} deviceInfo - Raw values from the request body
+   * @param {string} [deviceInfo.device_name] - Human readable name, e.g. "Living room iPad"
+   * @param {string} [deviceInfo.platform] - ios, ipados, android, macos or web
+   * @param {string} [deviceInfo.push_token] - APNs/FCM token of the app installation
+   * @returns {Object} { deviceName, platform, pushToken }, unset values are null
+   */
+  normalizeDeviceInfo(deviceInfo = {}) {
+    const text = (value, maxLength) =>
+      typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+
+    const platform = text(deviceInfo.platform, 20);
+
+    return {
+      deviceName: text(deviceInfo.device_name, 100),
+      platform: platform ? (PLATFORMS.includes(platform.toLowerCase()) ? platform.toLowerCase() : 'other') : null,
+      pushToken: text(deviceInfo.push_token, 255)
+    };
+  }
+
+  /**
+   * Attach device to account, or refresh its details and last seen time
+   * @async
+   * @function attachDevice
+   * @param {number} userId - Account the device is used with
+   * @param {string} deviceId - Device identifier from the app
+   * @param {Object} deviceInfo - Optional device_name, platform and push_token
+   * @param {Object} connection - Connection of a running transaction (defaults to the pool)
+   * @returns {Promise<void>}
+   * @throws {Error} Database errors
+   * @sideEffects Upserts user_devices row; a push token moves away from other accounts on the same device
+   */
+  async attachDevice(userId, deviceId, deviceInfo = {}, connection = pool) {
+    const { deviceName, platform, pushToken } = this.normalizeDeviceInfo(deviceInfo);
+
+    await connection.execute(
+      `INSERT INTO user_devices (user_id, device_id, device_name, platform, push_token)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         device_name = COALESCE(VALUES(device_name), device_name),
+         platform = COALESCE(VALUES(platform), platform),
+         push_token = COALESCE(VALUES(push_token), push_token),
+         last_seen_at = NOW()`,
+      [userId, deviceId, deviceName, platform, pushToken]
+    );
+
+    // Notifications of the previous account must not reach whoever uses the device now
+    if (pushToken) {
+      await connection.execute(
+        'UPDATE user_devices SET push_token = NULL WHERE device_id = ? AND user_id <> ? AND push_token = ?',
+        [deviceId, userId, pushToken]
+      );
+    }
+  }
+
+  /**
+   * Update last seen time of an attached device
+   * @async
+   * @function touchDevice
+   * @param {number} userId - Account the device is attached to
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<boolean>} True if the device is attached to the account
+   * @throws {Error} Database errors
+   * @sideEffects Updates user_devices.last_seen_at
+   */
+  async touchDevice(userId, deviceId) {
+    const [result] = await pool.execute(
+      'UPDATE user_devices SET last_seen_at = NOW() WHERE user_id = ? AND device_id = ?',
+      [userId, deviceId]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * List devices of an account
+   * @async
+   * @function listDevices
+   * @param {number} userId - Account owner
+   * @returns {Promise<Array>} Devices sorted by last_seen_at (newest first), push token only as has_push_token
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async listDevices(userId) {
+    const [devices] = await pool.execute(
+      `SELECT id, device_id, device_name, platform, push_token IS NOT NULL AS has_push_token,
+              first_seen_at, last_seen_at
+       FROM user_devices
+       WHERE user_id = ?
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+
+    return devices.map(device => ({
+      ...device,
+      has_push_token: !!device.has_push_token
+    }));
+  }
+
+  /**
+   * Detach one device from an account
+   * @async
+   * @function removeDevice
+   * @param {number} userId - Account owner
+   * @param {number} id - user_devices row ID from listDevices
+   * @returns {Promise<Object|null>} Removed device (id, device_id) or null if not attached to the account
+   * @throws {Error} Database errors
+   * @sideEffects Deletes user_devices row
+   */
+  async removeDevice(userId, id) {
+    const [devices] = await pool.execute(
+      'SELECT id, device_id FROM user_devices WHERE id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (devices.length === 0) {
+      return null;
+    }
+
+    await pool.execute(
+      'DELETE FROM user_devices WHERE id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    return devices[0];
+  }
+}
+
+module.exports = new DeviceService();
@@ -3,7 +3,7 @@
  * @description Forum service layer for topic, reply, and interaction management
  * @author Michael Lee
  * @created 2025-07-10
- * @modified 2025-07-11
+ * @modified 2025-10-19
  * 
  * This service provides forum business logic including topic management, reply handling,
  * like/unlike functionality, search capabilities, and draft management separated from HTTP concerns.
@@ -12,19 +12,60 @@
  * - 2025-07-10: Initial implementation with complete forum functionality
  * - 2025-07-11: Added image retrieval integration with upload service
  * - 2025-07-11: Implemented hierarchical reply sorting and removed parent_reply field
+ * - 2025-10-19: Acting user comes from the session, admins may edit and delete any post
+ * - 2025-10-19: Revision history for edited topics and replies with admin rollback
+ * - 2025-10-19: Moderation policy decides the status of new and edited posts
+ * - 2025-10-19: Content is sanitized Markdown, responses carry rendered HTML and plain-text excerpts
+ * - 2025-10-19: @username mentions in new topics and replies
+ * - 2025-10-19: Notifications for published replies and likes
+ * - 2025-10-19: Topic subscriptions and per-topic unread tracking
+ * - 2025-10-19: Bookmarks on topics and replies with named collections
+ * - 2025-10-19: Free-form topic tags with tag filtering, autocomplete and admin tag management
+ * - 2025-10-19: Pinned, locked and featured topics; pinned topics are listed first, locked topics take no new replies
+ * - 2025-10-19: Accepted answers, surfaced on top of the topic and filterable as solved/unsolved
+ * - 2025-10-19: Posts of purged accounts stay visible with a placeholder author name
+ * - 2025-10-19: Topic count query binds only the WHERE parameters
+ * - 2025-10-19: Edits re-record mentions and notify names new to the post
  * 
  * Functions:
  * - getTopics(filters): Get paginated topics with filtering and sorting
  * - getTopicById(topicId, replyFilters): Get topic details with replies
- * - createTopic(topicData): Create new topic with admin review status
- * - updateTopic(topicId, userId, updates): Update topic (author only)
- * - deleteTopic(topicId, userId): Delete topic (author only) 
+ * - createTopic(topicData): Create new topic, published or queued by the moderation policy
+ * - getTopicOwnerId(topicId): Author of an editable topic
+ * - updateTopic(topicId, userId, updates, isAdmin): Update topic (author or admin)
+ * - deleteTopic(topicId, userId, isAdmin): Delete topic (author or admin)
+ * - setTopicFlags(topicId, flags): Pin, lock or feature a topic (admin)
+ * - acceptAnswer(topicId, replyId): Mark a reply as the accepted solution (author or admin)
+ * - unacceptAnswer(topicId): Remove the accepted solution (author or admin)
  * - getReplies(topicId, filters): Get paginated replies for topic
- * - createReply(replyData): Create new reply with admin review status
- * - updateReply(replyId, userId, updates): Update reply (author only)
- * - deleteReply(replyId, userId): Delete reply (author only)
+ * - createReply(replyData, isAdmin): Create new reply, published or queued by the moderation policy
+ * - getReplyOwnerId(replyId): Author of an editable reply
+ * - updateReply(replyId, userId, updates, isAdmin): Update reply (author or admin)
+ * - deleteReply(replyId, userId, isAdmin): Delete reply (author or admin)
+ * - recordRevision(connection, entityType, entityId, editorId, action): Store version before it is replaced
+ * - getRevisions(entityType, entityId): Revision history with line-level diffs
+ * - rollbackRevision(revisionId, adminId): Restore an earlier revision (admin)
  * - toggleTopicLike(topicId, userId): Toggle like status for topic
  * - toggleReplyLike(replyId, userId): Toggle like status for reply
+ * - subscribeTopic(topicId, userId): Follow a topic
+ * - unsubscribeTopic(topicId, userId): Stop following a topic
+ * - markTopicRead(topicId, userId, replyId): Move the user's read position forward
+ * - getTopicUserState(userId, topicIds): Batch fetch unread counts, subscription and bookmark flags
+ * - addBookmark(userId, entityType, entityId, collectionId): Bookmark a post or move it to another collection
+ * - removeBookmark(userId, entityType, entityId): Remove a bookmark
+ * - getBookmarks(userId, filters): Paginated bookmarked topics or replies
+ * - getBookmarkedIds(userId, entityType, entityIds): Which posts the user bookmarked
+ * - getBookmarkCollections(userId): Collections with bookmark counts
+ * - createBookmarkCollection(userId, name): Create a named collection
+ * - renameBookmarkCollection(userId, collectionId, name): Rename a collection
+ * - deleteBookmarkCollection(userId, collectionId): Delete a collection, its bookmarks are kept
+ * - setTopicTags(connection, topicId, tags): Replace the tags of a topic
+ * - getTagsByTopic(topicIds): Batch fetch tag names
+ * - getTags(filters): Tags by usage, for autocomplete and tag lists
+ * - getTagTopics(name, filters): Tag page with its paginated topics
+ * - renameTag(tagId, name): Rename a tag (admin)
+ * - mergeTags(sourceTagId, targetTagId): Move all topics of a tag to another tag (admin)
+ * - deleteTag(tagId): Delete a tag from all topics (admin)
  * - searchContent(query, filters): Search topics and replies
  * - getCategories(): Get all available categories
  * - getDrafts(userId, filters): Get user's saved drafts
@@ -35,21 +76,35 @@
  * - buildTopicQuery(filters): Build SQL query for topic filtering
  * - buildReplyQuery(filters): Build SQL query for reply filtering
  * - buildSearchQuery(query, filters): Build SQL query for search
- * - formatTopicResponse(topic): Format topic object for response
- * - formatReplyResponse(reply): Format reply object for response
+ * - formatTopicResponse(topic, images, mentions, userState, tags): Format topic object with rendered content for response
+ * - formatReplyResponse(reply, images, mentions, userState): Format reply object with rendered content for response
  * - buildPagination(page, limit, totalItems): Build pagination metadata
  * 
  * Security Features:
- * - Author-only editing and deletion validation
- * - Admin review system for new content (status = -1)
+ * - Author-only editing and deletion validation, admin override decided by requireAdminOrOwner
+ * - Moderation policy queues new and edited content for admin review (status = -1)
  * - Parameterized queries to prevent SQL injection
  * - Input validation for all parameters
  * 
  * Dependencies:
  * - config/database.js: MySQL connection pool
+ * - utils/diff.js: Line-level diff between revisions
+ * - utils/markdown.js: Markdown sanitization, HTML and plain-text rendering
+ * - services/moderationService.js: Publish or review decision for new and edited posts
+ * - services/mentionService.js: Stores @mentions and notifies mentioned users
+ * - services/notificationService.js: Reply and like notifications
  */
 
 const pool = require('../config/database');
+const moderationService = require('./moderationService');
+const mentionService = require('./mentionService');
+const notificationService = require('./notificationService');
+const { diffLines } = require('../utils/diff');
+const { sanitizeMarkdown, renderHtml, excerpt } = require('../utils/markdown');
+
+// Purged accounts (status -1, anonymized_at set) keep their posts visible under a placeholder name
+const AUTHOR_VISIBLE_SQL = '(u.status >= 0 OR u.anonymized_at IS NOT NULL)';
+const AUTHOR_NAME_SQL = "IF(u.anonymized_at IS NULL, u.username, 'Deleted user')";
 
 class ForumService {
   /**
@@ -179,21 +234,26 @@ class ForumService {
    * @param {string} filters.category - Filter by category name
    * @param {string} filters.sort - Sort order: newest, oldest, popular, trending
    * @param {string} filters.search - Search term for title/content
-   * @param {number} filters.user_id - Include user's under-review content and prioritize at top
+   * @param {Array<string>} filters.tags - Only topics carrying all of these tags
+   * @param {boolean} filters.featured - Only featured (true) or not featured (false) topics
+   * @param {boolean} filters.solved - Only topics with (true) or without (false) an accepted answer
+   * @param {number} filters.user_id - Session user (never a request parameter): includes their under-review
+   *   content at the top and fills their unread and subscription state
    * @returns {Promise<Object>} Topics with pagination info
    * @throws {Error} Database query errors
    * @sideEffects None - read-only database operation
    */
   async getTopics(filters = {}) {
-    const { page = 1, limit = 20, category, sort = 'newest', search, user_id } = filters;
+    const { page = 1, limit = 20, category, sort = 'newest', search, tags, featured, solved, user_id } = filters;
     const offset = (page - 1) * limit;
 
-    const { query, params } = this.buildTopicQuery({ category, sort, search, user_id, limit, offset });
+    const { query, params, whereParams } = this.buildTopicQuery({
+      category, sort, search, tags, featured, solved, user_id, limit, offset
+    });
 
-    // Get total count for pagination
+    // Get total count for pagination, ORDER BY and LIMIT binds do not apply
     const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM').replace(/ORDER BY[\s\S]*?LIMIT[\s\S]*$/, '');
-    const countParams = params.slice(0, -2); // Remove limit and offset params
-    const [countResult] = await pool.execute(countQuery, countParams);
+    const [countResult] = await pool.execute(countQuery, whereParams);
     const totalItems = countResult[0].total;
 
     // Get topics
@@ -202,9 +262,15 @@ class ForumService {
     // Fetch images for all topics
     const topicIds = topics.map(topic => topic.id);
     const imagesByTopic = await this.fetchImagesByEntity('topic', topicIds);
+    const mentionsByTopic = await mentionService.getMentionsBySource('topic', topicIds);
+    const tagsByTopic = await this.getTagsByTopic(topicIds);
+    const stateByTopic = user_id ? await this.getTopicUserState(user_id, topicIds) : {};
 
     // Format topics and build pagination
-    const formattedTopics = topics.map(topic => this.formatTopicResponse(topic, imagesByTopic[topic.id] || []));
+    const formattedTopics = topics.map(topic => this.formatTopicResponse(
+      topic, imagesByTopic[topic.id] || [], mentionsByTopic[topic.id] || [], stateByTopic[topic.id] || null,
+      tagsByTopic[topic.id] || []
+    ));
     const pagination = this.buildPagination(page, limit, totalItems);
 
     return {
@@ -219,8 +285,9 @@ class ForumService {
    * @function getTopicById
    * @param {number} topicId - Topic ID
    * @param {Object} replyFilters - Reply filters (pagination removed for hierarchical sorting)
-   * @param {number} replyFilters.user_id - Include user's under-review replies and prioritize at top
-   * @returns {Promise<Object>} Topic with hierarchically sorted replies
+   * @param {number} replyFilters.user_id - Session user (never a request parameter): includes their under-review
+   *   topic and replies at the top and fills their read state and bookmark flags
+   * @returns {Promise<Object>} Topic with the accepted answer (solution) and hierarchically sorted replies
    * @throws {Error} Database query errors or topic not found
    * @sideEffects None - read-only database operation
    */
@@ -229,10 +296,10 @@ class ForumService {
 
     // Get topic details - include user's own under-review topics if user_id provided
     let topicQuery = `
-      SELECT t.*, c.name as category, u.username as author_name, u.id as author_id, u.status as author_status
+      SELECT t.*, c.name as category, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status
       FROM forum_topics t
       JOIN forum_categories c ON t.category_id = c.id
-      JOIN users u ON t.user_id = u.id AND u.status >= 0
+      JOIN users u ON t.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
       WHERE t.id = ?
     `;
     let topicParams = [topicId];
@@ -267,9 +334,11 @@ class ForumService {
 
     // Get all replies for hierarchical sorting
     const [replies] = await pool.execute(`
-      SELECT r.*, u.username as author_name, u.id as author_id, u.status as author_status
+      SELECT r.*, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status,
+             (r.id = t.solution_reply_id) as is_solution
       FROM forum_replies r
-      JOIN users u ON r.user_id = u.id AND u.status >= 0
+      JOIN forum_topics t ON r.topic_id = t.id
+      JOIN users u ON r.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
       ${whereClause}
       ORDER BY r.created_at ASC
     `, queryParams);
@@ -278,19 +347,34 @@ class ForumService {
     const topicImages = await this.fetchImagesByEntity('topic', [topicId]);
     const replyIds = replies.map(reply => reply.id);
     const imagesByReply = await this.fetchImagesByEntity('reply', replyIds);
+    const topicMentions = await mentionService.getMentionsBySource('topic', [topicId]);
+    const mentionsByReply = await mentionService.getMentionsBySource('reply', replyIds);
+    const bookmarkedReplies = user_id ? await this.getBookmarkedIds(user_id, 'reply', replyIds) : null;
 
     // Format and sort replies hierarchically
-    const formattedReplies = replies.map(reply => this.formatReplyResponse(reply, imagesByReply[reply.id] || []));
+    const formattedReplies = replies.map(reply => this.formatReplyResponse(
+      reply, imagesByReply[reply.id] || [], mentionsByReply[reply.id] || [],
+      bookmarkedReplies ? { is_bookmarked: bookmarkedReplies.has(reply.id) } : null
+    ));
     const hierarchicalReplies = this.sortRepliesHierarchically(formattedReplies);
 
+    // The accepted answer is also returned on its own so clients can show it above the thread
+    const solution = formattedReplies.find(reply => reply.is_solution && reply.status === 0) || null;
+
     // Use hierarchical ordering (user prioritization would break parent-child relationships)
     const finalReplies = hierarchicalReplies;
 
     // Format topic response
-    const topic = this.formatTopicResponse(topics[0], topicImages[topicId] || []);
+    const topicState = user_id ? await this.getTopicUserState(user_id, [topicId]) : {};
+    const topicTags = await this.getTagsByTopic([topicId]);
+    const topic = this.formatTopicResponse(
+      topics[0], topicImages[topicId] || [], topicMentions[topicId] || [], topicState[topicId] || null,
+      topicTags[topicId] || []
+    );
 
     return {
       topic,
+      solution,
       replies: finalReplies,
       total_replies: replies.length
     };
@@ -306,12 +390,15 @@ class ForumService {
    * @param {string} topicData.content - Topic content
    * @param {string} topicData.category - Category name
    * @param {Array} topicData.images - Array of image URLs
-   * @returns {Promise<Object>} Created topic info
+   * @param {Array<string>} topicData.tags - Normalized tag names (forumTopic schema)
+   * @returns {Promise<Object>} Created topic info { id, status, tags, mentions, created_at }
    * @throws {Error} Database transaction errors
-   * @sideEffects Creates topic record with status -1 (awaiting review)
+   * @sideEffects Creates topic record with status 0 or -1 (awaiting review), records the moderation decision and mentions, subscribes the author,
+   *   creates tags that do not exist yet
    */
   async createTopic(topicData) {
-    const { user_id, title, content, category, images = [] } = topicData;
+    const { user_id, title, category, images = [], tags = [] } = topicData;
+    const content = sanitizeMarkdown(topicData.content);
 
     // Get category ID
     const [categories] = await pool.execute(`
@@ -328,13 +415,25 @@ class ForumService {
     try {
       await connection.beginTransaction();
 
-      // Create topic with status -1 (awaiting review)
+      // Moderation policy decides between publishing and review (-1)
+      const moderation = await moderationService.moderatePost(connection, {
+        userId: user_id, categoryId, title, content, triggerEvent: 'create', currentStatus: null
+      });
+
       const [result] = await connection.execute(`
         INSERT INTO forum_topics (user_id, category_id, title, content, status)
-        VALUES (?, ?, ?, ?, -1)
-      `, [user_id, categoryId, title, content]);
+        VALUES (?, ?, ?, ?, ?)
+      `, [user_id, categoryId, title, content, moderation.status]);
 
       const topicId = result.insertId;
+      await moderationService.recordDecision(connection, 'topic', topicId, user_id, 'create', moderation);
+
+      // Authors follow their own topics
+      await connection.execute(`
+        INSERT IGNORE INTO forum_topic_subscriptions (topic_id, user_id) VALUES (?, ?)
+      `, [topicId, user_id]);
+      const mentions = await mentionService.recordMentions(connection, 'topic', topicId, user_id, content);
+      await this.setTopicTags(connection, topicId, tags);
 
       // Handle image uploads if provided
       if (images.length > 0) {
@@ -351,8 +450,16 @@ class ForumService {
 
       await connection.commit();
 
+      // Queued posts notify their mentions when an admin approves them
+      if (moderation.status === 0) {
+        await mentionService.notifyMentions('topic', topicId);
+      }
+
       return {
         id: topicId,
+        status: moderation.status,
+        tags,
+        mentions,
         created_at: new Date().toISOString()
       };
     } catch (error) {
@@ -364,7 +471,24 @@ class ForumService {
   }
 
   /**
-   * Update topic (author only)
+   * Author of an editable topic
+   * @async
+   * @function getTopicOwnerId
+   * @param {number} topicId - Topic ID
+   * @returns {Promise<number|null>} Author user ID or null if the topic does not exist or is deleted
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getTopicOwnerId(topicId) {
+    const [topics] = await pool.execute(`
+      SELECT user_id FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
+    `, [topicId || 0]);
+
+    return topics.length > 0 ? topics[0].user_id : null;
+  }
+
+  /**
+   * Update topic (author or admin)
    * @async
    * @function updateTopic
    * @param {number} topicId - Topic ID to update
@@ -374,26 +498,33 @@ class ForumService {
    * @param {string} updates.content - New content
    * @param {string} updates.category - New category
    * @param {Array} updates.images - New image URLs
+   * @param {Array<string>} updates.tags - New normalized tag names, replace all tags
+   * @param {boolean} isAdmin - Admin editing another user's topic
    * @returns {Promise<Object>} Updated topic data
    * @throws {Error} Authorization or database errors
-   * @sideEffects Updates topic record and associated images
+   * @sideEffects Updates topic record and associated images, records the previous version as a revision,
+   *   the moderation decision and the mentions of new content, notifies newly mentioned users when published
    */
-  async updateTopic(topicId, userId, updates) {
-    const { title, content, category, images } = updates;
+  async updateTopic(topicId, userId, updates, isAdmin = false) {
+    const { title, category, images, tags } = updates;
+    const content = updates.content !== undefined ? sanitizeMarkdown(updates.content) : undefined;
 
     // Verify ownership - allow editing of user's own topics regardless of status
     const [topics] = await pool.execute(`
-      SELECT user_id FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
+      SELECT user_id, title, content, category_id, status FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
     `, [topicId]);
 
     if (topics.length === 0) {
       throw new Error('Topic not found');
     }
 
-    if (topics[0].user_id !== userId) {
+    if (!isAdmin && topics[0].user_id !== userId) {
       throw new Error('Unauthorized: You can only edit your own topics');
     }
 
+    // Images are always uploads of the author
+    const authorId = topics[0].user_id;
+
     const connection = await pool.getConnection();
 
     try {
@@ -402,6 +533,7 @@ class ForumService {
       // Build update query dynamically
       const updateFields = [];
       const updateParams = [];
+      let categoryId = topics[0].category_id;
 
       if (title !== undefined) {
         updateFields.push('title = ?');
@@ -423,31 +555,53 @@ class ForumService {
           throw new Error('Invalid category');
         }
 
+        categoryId = categories[0].id;
         updateFields.push('category_id = ?');
-        updateParams.push(categories[0].id);
+        updateParams.push(categoryId);
       }
 
       // Check if any content fields are being updated before modifying updateFields array
       const hasContentUpdates = updateFields.length > 0;
 
+      // Moderation policy decides whether the edited topic goes back to review (-1)
+      let moderation = null;
+      if (hasContentUpdates || images !== undefined) {
+        moderation = await moderationService.moderatePost(connection, {
+          userId: authorId,
+          categoryId,
+          title: title !== undefined ? title : topics[0].title,
+          content: content !== undefined ? content : topics[0].content,
+          triggerEvent: 'edit',
+          currentStatus: topics[0].status
+        });
+        await moderationService.recordDecision(connection, 'topic', topicId, authorId, 'edit', moderation);
+      }
+
       if (hasContentUpdates) {
-        updateFields.push('status = -1'); // Reset to under review for re-moderation
+        // Keep the version being replaced in the revision history
+        await this.recordRevision(connection, 'topic', topicId, userId);
+
+        updateFields.push('status = ?');
         updateFields.push('updated_at = CURRENT_TIMESTAMP');
-        updateParams.push(topicId);
+        updateParams.push(moderation.status, topicId);
 
         await connection.execute(`
           UPDATE forum_topics SET ${updateFields.join(', ')} WHERE id = ?
         `, updateParams);
+
+        if (content !== undefined) {
+          await mentionService.recordMentions(connection, 'topic', topicId, authorId, content);
+        }
       }
 
-      // Handle image updates if provided - also reset status to -1 for re-moderation
+      // Handle image updates if provided - status also follows the moderation decision
       if (images !== undefined) {
-        // Reset status to under review if only images are being updated (no content/title/category changes)
+        // Apply the decision if only images are being updated (no content/title/category changes)
         if (!hasContentUpdates) {
           await connection.execute(`
-            UPDATE forum_topics SET status = -1, updated_at = CURRENT_TIMESTAMP 
+            UPDATE forum_topics SET status = ?, updated_at = CURRENT_TIMESTAMP 
             WHERE id = ?
-          `, [topicId]);
+          `, [moderation.status, topicId]);
         }
 
         // Clear existing images by marking as deleted
@@ -465,12 +619,22 @@ class ForumService {
             UPDATE forum_uploads 
             SET entity_type = 'topic', entity_id = ?, status = 1
             WHERE file_url = ? AND user_id = ?
-          `, [topicId, dbImageUrl, userId]);
+          `, [topicId, dbImageUrl, authorId]);
         }
       }
 
+      // Tags are labels only and do not go through moderation
+      if (tags !== undefined) {
+        await this.setTopicTags(connection, topicId, tags);
+      }
+
       await connection.commit();
 
+      // Names added by the edit are notified once the topic is visible
+      if (content !== undefined && moderation.status === 0) {
+        await mentionService.notifyMentions('topic', topicId);
+      }
+
       // Return updated topic
       return await this.getTopicById(topicId);
     } catch (error) {
@@ -482,16 +646,17 @@ class ForumService {
   }
 
   /**
-   * Delete topic (author only)
+   * Delete topic (author or admin)
    * @async
    * @function deleteTopic
    * @param {number} topicId - Topic ID to delete
    * @param {number} userId - User ID requesting deletion
+   * @param {boolean} isAdmin - Admin deleting another user's topic
    * @returns {Promise<boolean>} True if deletion successful
    * @throws {Error} Authorization or database errors
    * @sideEffects Sets topic status to 1 (deleted)
    */
-  async deleteTopic(topicId, userId) {
+  async deleteTopic(topicId, userId, isAdmin = false) {
     // Verify ownership - allow deletion of user's own topics regardless of status
     const [topics] = await pool.execute(`
       SELECT user_id FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
@@ -501,7 +666,7 @@ class ForumService {
       throw new Error('Topic not found');
     }
 
-    if (topics[0].user_id !== userId) {
+    if (!isAdmin && topics[0].user_id !== userId) {
       throw new Error('Unauthorized: You can only delete your own topics');
     }
 
@@ -514,6 +679,130 @@ class ForumService {
     return true;
   }
 
+  /**
+   * Pin, lock or feature a topic (admin)
+   * @async
+   * @function setTopicFlags
+   * @param {number} topicId - Topic ID
+   * @param {Object} flags - Flags to change, omitted flags keep their value
+   * @param {boolean} flags.is_pinned - List the topic before all other topics
+   * @param {boolean} flags.is_locked - Reject new replies from non-admins
+   * @param {boolean} flags.is_featured - Highlight the topic
+   * @returns {Promise<Object>} { id, title, author_id, is_pinned, is_locked, is_featured, changes }
+   *   where changes lists the flags whose value changed as { flag, value }
+   * @throws {Error} 'Topic not found' or database errors
+   * @sideEffects Updates topic flags, updated_at is kept so flags do not bump the topic
+   */
+  async setTopicFlags(topicId, flags) {
+    const [topics] = await pool.execute(`
+      SELECT id, title, user_id, is_pinned, is_locked, is_featured
+      FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
+    `, [topicId]);
+
+    if (topics.length === 0) {
+      throw new Error('Topic not found');
+    }
+
+    const topic = topics[0];
+    const changes = [];
+    for (const flag of ['is_pinned', 'is_locked', 'is_featured']) {
+      if (flags[flag] !== undefined && flags[flag] !== Boolean(topic[flag])) {
+        changes.push({ flag, value: flags[flag] });
+      }
+    }
+
+    if (changes.length > 0) {
+      await pool.execute(`
+        UPDATE forum_topics SET ${changes.map(change => `${change.flag} = ?`).join(', ')}, updated_at = updated_at
+        WHERE id = ?
+      `, [...changes.map(change => (change.value ? 1 : 0)), topicId]);
+    }
+
+    const state = {};
+    for (const flag of ['is_pinned', 'is_locked', 'is_featured']) {
+      state[flag] = flags[flag] !== undefined ? flags[flag] : Boolean(topic[flag]);
+    }
+
+    return {
+      id: topicId,
+      title: topic.title,
+      author_id: topic.user_id,
+      ...state,
+      changes
+    };
+  }
+
+  /**
+   * Mark a reply as the accepted solution, replacing an earlier one (author or admin)
+   * @async
+   * @function acceptAnswer
+   * @param {number} topicId - Topic ID
+   * @param {number} replyId - Published reply of this topic
+   * @returns {Promise<Object>} { topic_id, solution_reply_id, previous_solution_reply_id, reply_author_id, solved_at }
+   * @throws {Error} 'Topic not found', 'Reply not found' or database errors
+   * @sideEffects Sets solution_reply_id and solved_at, updated_at is kept so marking does not bump the topic
+   */
+  async acceptAnswer(topicId, replyId) {
+    const [topics] = await pool.execute(`
+      SELECT id, solution_reply_id FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
+    `, [topicId]);
+
+    if (topics.length === 0) {
+      throw new Error('Topic not found');
+    }
+
+    const [replies] = await pool.execute(`
+      SELECT id, user_id FROM forum_replies WHERE id = ? AND topic_id = ? AND status = 0
+    `, [replyId, topicId]);
+
+    if (replies.length === 0) {
+      throw new Error('Reply not found');
+    }
+
+    await pool.execute(`
+      UPDATE forum_topics SET solution_reply_id = ?, solved_at = CURRENT_TIMESTAMP, updated_at = updated_at
+      WHERE id = ?
+    `, [replyId, topicId]);
+
+    return {
+      topic_id: topicId,
+      solution_reply_id: replyId,
+      previous_solution_reply_id: topics[0].solution_reply_id,
+      reply_author_id: replies[0].user_id,
+      solved_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Remove the accepted solution (author or admin)
+   * @async
+   * @function unacceptAnswer
+   * @param {number} topicId - Topic ID
+   * @returns {Promise<Object>} { topic_id, solution_reply_id, previous_solution_reply_id }
+   * @throws {Error} 'Topic not found' or database errors
+   * @sideEffects Clears solution_reply_id and solved_at
+   */
+  async unacceptAnswer(topicId) {
+    const [topics] = await pool.execute(`
+      SELECT id, solution_reply_id FROM forum_topics WHERE id = ? AND status IN (-1, 0, 2)
+    `, [topicId]);
+
+    if (topics.length === 0) {
+      throw new Error('Topic not found');
+    }
+
+    await pool.execute(`
+      UPDATE forum_topics SET solution_reply_id = NULL, solved_at = NULL, updated_at = updated_at
+      WHERE id = ?
+    `, [topicId]);
+
+    return {
+      topic_id: topicId,
+      solution_reply_id: null,
+      previous_solution_reply_id: topics[0].solution_reply_id
+    };
+  }
+
   /**
    * Get paginated replies for a topic
    * @async
@@ -523,7 +812,8 @@ class ForumService {
    * @param {number} filters.page - Page number
    * @param {number} filters.limit - Items per page
    * @param {string} filters.sort - Sort order: newest, oldest, popular
-   * @param {number} filters.user_id - Include user's under-review replies and prioritize at top
+   * @param {number} filters.user_id - Session user (never a request parameter): includes their under-review
+   *   replies at the top and fills their bookmark flags
    * @returns {Promise<Object>} Replies with pagination
    * @throws {Error} Database query errors
    * @sideEffects None - read-only database operation
@@ -569,9 +859,11 @@ class ForumService {
 
     // Get replies with simplified query
     const [replies] = await pool.execute(`
-      SELECT r.*, u.username as author_name, u.id as author_id, u.status as author_status
+      SELECT r.*, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status,
+             (r.id = t.solution_reply_id) as is_solution
       FROM forum_replies r
-      JOIN users u ON r.user_id = u.id AND u.status >= 0
+      JOIN forum_topics t ON r.topic_id = t.id
+      JOIN users u ON r.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
       ${whereClause}
       ${sortClause}
       LIMIT ? OFFSET ?
@@ -589,8 +881,13 @@ class ForumService {
     // Fetch images for all replies
     const replyIds = replies.map(reply => reply.id);
     const imagesByReply = await this.fetchImagesByEntity('reply', replyIds);
+    const mentionsByReply = await mentionService.getMentionsBySource('reply', replyIds);
+    const bookmarkedReplies = user_id ? await this.getBookmarkedIds(user_id, 'reply', replyIds) : null;
 
-    const formattedReplies = replies.map(reply => this.formatReplyResponse(reply, imagesByReply[reply.id] || []));
+    const formattedReplies = replies.map(reply => this.formatReplyResponse(
+      reply, imagesByReply[reply.id] || [], mentionsByReply[reply.id] || [],
+      bookmarkedReplies ? { is_bookmarked: bookmarkedReplies.has(reply.id) } : null
+    ));
     const pagination = this.buildPagination(page, limit, totalItems);
 
     return {
@@ -609,22 +906,29 @@ class ForumService {
    * @param {string} replyData.content - Reply content
    * @param {number|null} replyData.parent_reply_id - Parent reply ID for nested replies
    * @param {Array} replyData.images - Array of image URLs
-   * @returns {Promise<Object>} Created reply info
-   * @throws {Error} Database transaction errors
-   * @sideEffects Creates reply record with status -1 (awaiting review)
+   * @param {boolean} isAdmin - Admins may reply to locked topics
+   * @returns {Promise<Object>} Created reply info { id, status, mentions, created_at }
+   * @throws {Error} 'Topic is locked' for non-admins, or database transaction errors
+   * @sideEffects Creates reply record with status 0 or -1 (awaiting review), records the moderation decision and mentions
    */
-  async createReply(replyData) {
-    const { topic_id, user_id, content, parent_reply_id = null, images = [] } = replyData;
+  async createReply(replyData, isAdmin = false) {
+    const { topic_id, user_id, parent_reply_id = null, images = [] } = replyData;
+    const content = sanitizeMarkdown(replyData.content);
 
     // Verify topic exists and is not deleted
     const [topics] = await pool.execute(`
-      SELECT id FROM forum_topics WHERE id = ? AND status = 0
+      SELECT id, category_id, is_locked FROM forum_topics WHERE id = ? AND status = 0
     `, [topic_id]);
 
     if (topics.length === 0) {
       throw new Error('Topic not found or closed');
     }
 
+    // Admins may still post in locked topics, e.g. to explain the lock
+    if (topics[0].is_locked && !isAdmin) {
+      throw new Error('Topic is locked');
+    }
+
     // If parent_reply_id is provided, verify parent reply exists and belongs to same topic
     if (parent_reply_id) {
       const [parentReplies] = await pool.execute(`
@@ -646,13 +950,20 @@ class ForumService {
     try {
       await connection.beginTransaction();
 
-      // Create reply with status -1 (awaiting review)
+      // Moderation policy decides between publishing and review (-1)
+      const moderation = await moderationService.moderatePost(connection, {
+        userId: user_id, categoryId: topics[0].category_id, title: null, content,
+        triggerEvent: 'create', currentStatus: null
+      });
+
       const [result] = await connection.execute(`
         INSERT INTO forum_replies (topic_id, user_id, parent_reply_id, content, status)
-        VALUES (?, ?, ?, ?, -1)
-      `, [topic_id, user_id, parent_reply_id, content]);
+        VALUES (?, ?, ?, ?, ?)
+      `, [topic_id, user_id, parent_reply_id, content, moderation.status]);
 
       const replyId = result.insertId;
+      await moderationService.recordDecision(connection, 'reply', replyId, user_id, 'create', moderation);
+      const mentions = await mentionService.recordMentions(connection, 'reply', replyId, user_id, content);
 
       // Handle image uploads if provided
       if (images.length > 0) {
@@ -669,8 +980,16 @@ class ForumService {
 
       await connection.commit();
 
+      // Queued posts notify their mentions when an admin approves them
+      if (moderation.status === 0) {
+        await mentionService.notifyMentions('reply', replyId);
+        await notificationService.notifyReplyPublished(replyId);
+      }
+
       return {
         id: replyId,
+        status: moderation.status,
+        mentions,
         created_at: new Date().toISOString()
       };
     } catch (error) {
@@ -682,7 +1001,24 @@ class ForumService {
   }
 
   /**
-   * Update reply (author only)
+   * Author of an editable reply
+   * @async
+   * @function getReplyOwnerId
+   * @param {number} replyId - Reply ID
+   * @returns {Promise<number|null>} Author user ID or null if the reply does not exist or is deleted
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getReplyOwnerId(replyId) {
+    const [replies] = await pool.execute(`
+      SELECT user_id FROM forum_replies WHERE id = ? AND status IN (-1, 0, 2)
+    `, [replyId || 0]);
+
+    return replies.length > 0 ? replies[0].user_id : null;
+  }
+
+  /**
+   * Update reply (author or admin)
    * @async
    * @function updateReply
    * @param {number} replyId - Reply ID to update
@@ -690,47 +1026,75 @@ class ForumService {
    * @param {Object} updates - Fields to update
    * @param {string} updates.content - New content
    * @param {Array} updates.images - New image URLs
+   * @param {boolean} isAdmin - Admin editing another user's reply
    * @returns {Promise<Object>} Updated reply data
    * @throws {Error} Authorization or database errors
-   * @sideEffects Updates reply record and associated images
+   * @sideEffects Updates reply record and associated images, records the previous version as a revision,
+   *   the moderation decision and the mentions of new content, notifies newly mentioned users when published
    */
-  async updateReply(replyId, userId, updates) {
-    const { content, images } = updates;
+  async updateReply(replyId, userId, updates, isAdmin = false) {
+    const { images } = updates;
+    const content = updates.content !== undefined ? sanitizeMarkdown(updates.content) : undefined;
 
     // Verify ownership - allow editing of user's own replies regardless of status
     const [replies] = await pool.execute(`
-      SELECT user_id FROM forum_replies WHERE id = ? AND status IN (-1, 0, 2)
+      SELECT r.user_id, r.content, r.status, t.category_id
+      FROM forum_replies r
+      JOIN forum_topics t ON r.topic_id = t.id
+      WHERE r.id = ? AND r.status IN (-1, 0, 2)
     `, [replyId]);
 
     if (replies.length === 0) {
       throw new Error('Reply not found');
     }
 
-    if (replies[0].user_id !== userId) {
+    if (!isAdmin && replies[0].user_id !== userId) {
       throw new Error('Unauthorized: You can only edit your own replies');
     }
 
+    // Images are always uploads of the author
+    const authorId = replies[0].user_id;
+
     const connection = await pool.getConnection();
 
     try {
       await connection.beginTransaction();
 
-      // Update content if provided - reset status to -1 for re-moderation
+      // Moderation policy decides whether the edited reply goes back to review (-1)
+      let moderation = null;
+      if (content !== undefined || images !== undefined) {
+        moderation = await moderationService.moderatePost(connection, {
+          userId: authorId,
+          categoryId: replies[0].category_id,
+          title: null,
+          content: content !== undefined ? content : replies[0].content,
+          triggerEvent: 'edit',
+          currentStatus: replies[0].status
+        });
+        await moderationService.recordDecision(connection, 'reply', replyId, authorId, 'edit', moderation);
+      }
+
+      // Update content if provided
       if (content !== undefined) {
+        // Keep the version being replaced in the revision history
+        await this.recordRevision(connection, 'reply', replyId, userId);
+
         await connection.execute(`
-          UPDATE forum_replies SET content = ?, status = -1, updated_at = CURRENT_TIMESTAMP 
+          UPDATE forum_replies SET content = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
           WHERE id = ?
-        `, [content, replyId]);
+        `, [content, moderation.status, replyId]);
+
+        await mentionService.recordMentions(connection, 'reply', replyId, authorId, content);
       }
 
-      // Handle image updates if provided - also reset status to -1 for re-moderation
+      // Handle image updates if provided - status also follows the moderation decision
       if (images !== undefined) {
-        // Reset status to under review if only images are being updated
+        // Apply the decision if only images are being updated
         if (content === undefined) {
           await connection.execute(`
-            UPDATE forum_replies SET status = -1, updated_at = CURRENT_TIMESTAMP 
+            UPDATE forum_replies SET status = ?, updated_at = CURRENT_TIMESTAMP 
             WHERE id = ?
-          `, [replyId]);
+          `, [moderation.status, replyId]);
         }
 
         // Clear existing images by marking as deleted
@@ -748,21 +1112,28 @@ class ForumService {
             UPDATE forum_uploads 
             SET entity_type = 'reply', entity_id = ?, status = 1
             WHERE file_url = ? AND user_id = ?
-          `, [replyId, dbImageUrl, userId]);
+          `, [replyId, dbImageUrl, authorId]);
         }
       }
 
       await connection.commit();
 
+      // Names added by the edit are notified once the reply is visible
+      if (content !== undefined && moderation.status === 0) {
+        await mentionService.notifyMentions('reply', replyId);
+      }
+
       // Return updated reply
       const [updatedReply] = await connection.execute(`
-        SELECT r.*, u.username as author_name, u.id as author_id, u.status as author_status
+        SELECT r.*, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status
         FROM forum_replies r
-        JOIN users u ON r.user_id = u.id AND u.status >= 0
+        JOIN users u ON r.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
         WHERE r.id = ?
       `, [replyId]);
 
-      return this.formatReplyResponse(updatedReply[0]);
+      const mentionsByReply = await mentionService.getMentionsBySource('reply', [replyId]);
+
+      return this.formatReplyResponse(updatedReply[0], [], mentionsByReply[replyId] || []);
     } catch (error) {
       await connection.rollback();
       throw error;
@@ -772,16 +1143,17 @@ class ForumService {
   }
 
   /**
-   * Delete reply (author only)
+   * Delete reply (author or admin)
    * @async
    * @function deleteReply
    * @param {number} replyId - Reply ID to delete
    * @param {number} userId - User ID requesting deletion
+   * @param {boolean} isAdmin - Admin deleting another user's reply
    * @returns {Promise<boolean>} True if deletion successful
    * @throws {Error} Authorization or database errors
-   * @sideEffects Sets reply status to 1 (deleted)
+   * @sideEffects Sets reply status to 1 (deleted), unmarks it as accepted answer
    */
-  async deleteReply(replyId, userId) {
+  async deleteReply(replyId, userId, isAdmin = false) {
     // Verify ownership - allow deletion of user's own replies regardless of status
     const [replies] = await pool.execute(`
       SELECT user_id FROM forum_replies WHERE id = ? AND status IN (-1, 0, 2)
@@ -791,7 +1163,7 @@ class ForumService {
       throw new Error('Reply not found');
     }
 
-    if (replies[0].user_id !== userId) {
+    if (!isAdmin && replies[0].user_id !== userId) {
       throw new Error('Unauthorized: You can only delete your own replies');
     }
 
@@ -801,9 +1173,210 @@ class ForumService {
       WHERE id = ?
     `, [replyId]);
 
+    // A deleted reply can no longer be the accepted answer
+    await pool.execute(`
+      UPDATE forum_topics SET solution_reply_id = NULL, solved_at = NULL, updated_at = updated_at
+      WHERE solution_reply_id = ?
+    `, [replyId]);
+
     return true;
   }
 
+  /**
+   * Store the current version of a topic or reply before it is replaced
+   * @async
+   * @function recordRevision
+   * @param {Object} connection - Connection with an open transaction
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Topic or reply ID
+   * @param {number} editorId - User whose edit replaces the current version
+   * @param {string} action - 'edit' or 'rollback'
+   * @returns {Promise<number>} Revision number of the stored version
+   * @throws {Error} 'Topic not found' / 'Reply not found', database errors
+   * @sideEffects Locks the post row until the transaction ends, inserts forum_revisions record
+   */
+  async recordRevision(connection, entityType, entityId, editorId, action = 'edit') {
+    const [posts] = entityType === 'topic'
+      ? await connection.execute(`
+          SELECT title, content, category_id FROM forum_topics
+          WHERE id = ? AND status IN (-1, 0, 2) FOR UPDATE
+        `, [entityId])
+      : await connection.execute(`
+          SELECT NULL AS title, content, NULL AS category_id FROM forum_replies
+          WHERE id = ? AND status IN (-1, 0, 2) FOR UPDATE
+        `, [entityId]);
+
+    if (posts.length === 0) {
+      throw new Error(entityType === 'topic' ? 'Topic not found' : 'Reply not found');
+    }
+
+    // The row lock above serializes concurrent edits of the same post
+    const [[{ next_number }]] = await connection.execute(`
+      SELECT COALESCE(MAX(revision_number), 0) + 1 AS next_number
+      FROM forum_revisions WHERE entity_type = ? AND entity_id = ?
+    `, [entityType, entityId]);
+
+    await connection.execute(`
+      INSERT INTO forum_revisions
+        (entity_type, entity_id, revision_number, title, content, category_id, editor_id, action)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [entityType, entityId, next_number, posts[0].title, posts[0].content, posts[0].category_id, editorId, action]);
+
+    return next_number;
+  }
+
+  /**
+   * Revision history of a topic or reply with line-level diffs
+   * @async
+   * @function getRevisions
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Topic or reply ID
+   * @returns {Promise<Object|null>} { entity_type, entity_id, author, revisions } oldest version first,
+   *   the last entry is the current version; null if the post does not exist or is deleted
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getRevisions(entityType, entityId) {
+    const [posts] = entityType === 'topic'
+      ? await pool.execute(`
+          SELECT t.user_id, t.title, t.content, c.name AS category, t.created_at, ${AUTHOR_NAME_SQL} AS author_name
+          FROM forum_topics t
+          JOIN users u ON t.user_id = u.id
+          LEFT JOIN forum_categories c ON t.category_id = c.id
+          WHERE t.id = ? AND t.status IN (-1, 0, 2)
+        `, [entityId])
+      : await pool.execute(`
+          SELECT r.user_id, r.content, r.created_at, ${AUTHOR_NAME_SQL} AS author_name
+          FROM forum_replies r
+          JOIN users u ON r.user_id = u.id
+          WHERE r.id = ? AND r.status IN (-1, 0, 2)
+        `, [entityId]);
+
+    if (posts.length === 0) {
+      return null;
+    }
+
+    const post = posts[0];
+    const [revisions] = await pool.execute(`
+      SELECT rv.id, rv.revision_number, rv.title, rv.content, c.name AS category,
+             rv.editor_id, u.username AS editor_name, rv.action, rv.created_at
+      FROM forum_revisions rv
+      JOIN users u ON rv.editor_id = u.id
+      LEFT JOIN forum_categories c ON rv.category_id = c.id
+      WHERE rv.entity_type = ? AND rv.entity_id = ?
+      ORDER BY rv.revision_number ASC
+    `, [entityType, entityId]);
+
+    // Every stored revision is a replaced version, the post row holds the current one
+    const versions = [...revisions, { id: null, title: post.title, content: post.content, category: post.category }];
+
+    return {
+      entity_type: entityType,
+      entity_id: entityId,
+      author: {
+        id: post.user_id,
+        name: post.author_name
+      },
+      revisions: versions.map((version, index) => {
+        // The edit that produced this version is recorded on the revision before it
+        const producedBy = index > 0 ? revisions[index - 1] : null;
+        const previous = index > 0 ? versions[index - 1] : null;
+
+        const entry = {
+          revision_id: version.id,
+          version: index + 1,
+          is_current: version.id === null,
+          action: producedBy ? producedBy.action : 'create',
+          edited_by: producedBy
+            ? { id: producedBy.editor_id, name: producedBy.editor_name }
+            : { id: post.user_id, name: post.author_name },
+          edited_at: producedBy ? producedBy.created_at : post.created_at,
+          content: version.content,
+          diff: null
+        };
+
+        if (entityType === 'topic') {
+          entry.title = version.title;
+          entry.category = version.category;
+        }
+
+        if (previous) {
+          entry.diff = { content: diffLines(previous.content, version.content) };
+          if (entityType === 'topic') {
+            entry.diff.title = diffLines(previous.title, version.title);
+          }
+        }
+
+        return entry;
+      })
+    };
+  }
+
+  /**
+   * Restore a topic or reply to an earlier revision (admin)
+   * @async
+   * @function rollbackRevision
+   * @param {number} revisionId - forum_revisions ID to restore
+   * @param {number} adminId - Admin performing the rollback
+   * @returns {Promise<Object>} { entity_type, entity_id, author_id, restored_revision, saved_revision }
+   * @throws {Error} 'Revision not found', 'Topic not found' / 'Reply not found', database errors
+   * @sideEffects Records the current version as a rollback revision, overwrites title/content/category,
+   *   keeps the moderation status and images
+   */
+  async rollbackRevision(revisionId, adminId) {
+    const [revisions] = await pool.execute(`
+      SELECT entity_type, entity_id, revision_number, title, content, category_id
+      FROM forum_revisions WHERE id = ?
+    `, [revisionId]);
+
+    if (revisions.length === 0) {
+      throw new Error('Revision not found');
+    }
+
+    const revision = revisions[0];
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const savedRevision = await this.recordRevision(
+        connection, revision.entity_type, revision.entity_id, adminId, 'rollback'
+      );
+
+      if (revision.entity_type === 'topic') {
+        // Keep the current category if the revision's category was removed
+        await connection.execute(`
+          UPDATE forum_topics
+          SET title = ?, content = ?, category_id = COALESCE(?, category_id), updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [revision.title, revision.content, revision.category_id, revision.entity_id]);
+      } else {
+        await connection.execute(`
+          UPDATE forum_replies SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [revision.content, revision.entity_id]);
+      }
+
+      const [authors] = await connection.execute(`
+        SELECT user_id FROM ${revision.entity_type === 'topic' ? 'forum_topics' : 'forum_replies'} WHERE id = ?
+      `, [revision.entity_id]);
+
+      await connection.commit();
+
+      return {
+        entity_type: revision.entity_type,
+        entity_id: revision.entity_id,
+        author_id: authors[0].user_id,
+        restored_revision: revision.revision_number,
+        saved_revision: savedRevision
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Toggle like status for topic
    * @async
@@ -812,7 +1385,7 @@ class ForumService {
    * @param {number} userId - User ID
    * @returns {Promise<Object>} New like status and count
    * @throws {Error} Database transaction errors
-   * @sideEffects Adds/removes like record, triggers update like_count
+   * @sideEffects Adds/removes like record, triggers update like_count, notifies the author of a new like
    */
   async toggleTopicLike(topicId, userId) {
     const connection = await pool.getConnection();
@@ -848,6 +1421,10 @@ class ForumService {
 
       await connection.commit();
 
+      if (isLiked) {
+        await notificationService.notifyLike('topic', topicId, userId);
+      }
+
       return {
         is_liked: isLiked,
         like_count: topicData[0].like_count
@@ -868,7 +1445,7 @@ class ForumService {
    * @param {number} userId - User ID
    * @returns {Promise<Object>} New like status and count
    * @throws {Error} Database transaction errors
-   * @sideEffects Adds/removes like record, triggers update like_count
+   * @sideEffects Adds/removes like record, triggers update like_count, notifies the author of a new like
    */
   async toggleReplyLike(replyId, userId) {
     const connection = await pool.getConnection();
@@ -904,6 +1481,10 @@ class ForumService {
 
       await connection.commit();
 
+      if (isLiked) {
+        await notificationService.notifyLike('reply', replyId, userId);
+      }
+
       return {
         is_liked: isLiked,
         like_count: replyData[0].like_count
@@ -916,6 +1497,709 @@ class ForumService {
     }
   }
 
+  /**
+   * Follow a topic
+   * @async
+   * @function subscribeTopic
+   * @param {number} topicId - Topic ID
+   * @param {number} userId - Subscribing user
+   * @returns {Promise<Object>} { topic_id, is_subscribed }
+   * @throws {Error} 'Topic not found' or database errors
+   * @sideEffects Inserts subscription record (idempotent)
+   */
+  async subscribeTopic(topicId, userId) {
+    // Published topics, and the author's own topics while in review
+    const [topics] = await pool.execute(`
+      SELECT id FROM forum_topics WHERE id = ? AND (status = 0 OR (status IN (-1, 2) AND user_id = ?))
+    `, [topicId, userId]);
+
+    if (topics.length === 0) {
+      throw new Error('Topic not found');
+    }
+
+    await pool.execute(`
+      INSERT IGNORE INTO forum_topic_subscriptions (topic_id, user_id) VALUES (?, ?)
+    `, [topicId, userId]);
+
+    return { topic_id: topicId, is_subscribed: true };
+  }
+
+  /**
+   * Stop following a topic
+   * @async
+   * @function unsubscribeTopic
+   * @param {number} topicId - Topic ID
+   * @param {number} userId - Subscribed user
+   * @returns {Promise<Object>} { topic_id, is_subscribed }
+   * @throws {Error} Database errors
+   * @sideEffects Deletes subscription record if present
+   */
+  async unsubscribeTopic(topicId, userId) {
+    await pool.execute(`
+      DELETE FROM forum_topic_subscriptions WHERE topic_id = ? AND user_id = ?
+    `, [topicId, userId]);
+
+    return { topic_id: topicId, is_subscribed: false };
+  }
+
+  /**
+   * Move the user's read position forward
+   * @async
+   * @function markTopicRead
+   * @param {number} topicId - Topic ID
+   * @param {number} userId - Reading user
+   * @param {number|null} replyId - Last reply the user has seen, null for the newest published reply
+   * @returns {Promise<Object>} { topic_id, last_read_reply_id, unread_count, first_unread_reply_id }
+   * @throws {Error} 'Topic not found', 'Reply not found' or database errors
+   * @sideEffects Upserts forum_topic_reads, never moves the position backwards
+   */
+  async markTopicRead(topicId, userId, replyId = null) {
+    const [topics] = await pool.execute(`
+      SELECT id FROM forum_topics WHERE id = ? AND (status = 0 OR (status IN (-1, 2) AND user_id = ?))
+    `, [topicId, userId]);
+
+    if (topics.length === 0) {
+      throw new Error('Topic not found');
+    }
+
+    let lastReadReplyId;
+    if (replyId) {
+      const [replies] = await pool.execute(`
+        SELECT id FROM forum_replies WHERE id = ? AND topic_id = ? AND status = 0
+      `, [replyId, topicId]);
+
+      if (replies.length === 0) {
+        throw new Error('Reply not found');
+      }
+      lastReadReplyId = replyId;
+    } else {
+      const [[newest]] = await pool.execute(`
+        SELECT COALESCE(MAX(id), 0) AS id FROM forum_replies WHERE topic_id = ? AND status = 0
+      `, [topicId]);
+      lastReadReplyId = newest.id;
+    }
+
+    await pool.execute(`
+      INSERT INTO forum_topic_reads (topic_id, user_id, last_read_reply_id) VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE last_read_reply_id = GREATEST(last_read_reply_id, VALUES(last_read_reply_id))
+    `, [topicId, userId, lastReadReplyId]);
+
+    const state = await this.getTopicUserState(userId, [topicId]);
+
+    return {
+      topic_id: topicId,
+      last_read_reply_id: state[topicId].last_read_reply_id,
+      unread_count: state[topicId].unread_count,
+      first_unread_reply_id: state[topicId].first_unread_reply_id
+    };
+  }
+
+  /**
+   * Batch fetch unread counts, subscription and bookmark flags
+   * @async
+   * @function getTopicUserState
+   * @param {number} userId - Session user; bookmarks and read positions are private, never pass a request user_id
+   * @param {Array<number>} topicIds - Topic IDs
+   * @returns {Promise<Object>} Object with topicId as key and { is_subscribed, is_bookmarked, last_read_reply_id, unread_count, first_unread_reply_id } as value
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getTopicUserState(userId, topicIds) {
+    if (!topicIds || topicIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = topicIds.map(() => '?').join(',');
+
+    const [subscriptions] = await pool.execute(`
+      SELECT topic_id FROM forum_topic_subscriptions WHERE user_id = ? AND topic_id IN (${placeholders})
+    `, [userId, ...topicIds]);
+
+    const [reads] = await pool.execute(`
+      SELECT topic_id, last_read_reply_id FROM forum_topic_reads WHERE user_id = ? AND topic_id IN (${placeholders})
+    `, [userId, ...topicIds]);
+
+    // Replies after the read position, the user's own replies count as read
+    const [unread] = await pool.execute(`
+      SELECT r.topic_id, COUNT(*) AS unread_count, MIN(r.id) AS first_unread_reply_id
+      FROM forum_replies r
+      LEFT JOIN forum_topic_reads tr ON tr.topic_id = r.topic_id AND tr.user_id = ?
+      WHERE r.topic_id IN (${placeholders}) AND r.status = 0 AND r.user_id <> ?
+        AND r.id > COALESCE(tr.last_read_reply_id, 0)
+      GROUP BY r.topic_id
+    `, [userId, ...topicIds, userId]);
+
+    const bookmarked = await this.getBookmarkedIds(userId, 'topic', topicIds);
+
+    const stateByTopic = {};
+    for (const topicId of topicIds) {
+      stateByTopic[topicId] = {
+        is_subscribed: false,
+        is_bookmarked: bookmarked.has(topicId),
+        last_read_reply_id: 0,
+        unread_count: 0,
+        first_unread_reply_id: null
+      };
+    }
+    for (const row of subscriptions) {
+      stateByTopic[row.topic_id].is_subscribed = true;
+    }
+    for (const row of reads) {
+      stateByTopic[row.topic_id].last_read_reply_id = row.last_read_reply_id;
+    }
+    for (const row of unread) {
+      stateByTopic[row.topic_id].unread_count = Number(row.unread_count);
+      stateByTopic[row.topic_id].first_unread_reply_id = row.first_unread_reply_id;
+    }
+
+    return stateByTopic;
+  }
+
+  /**
+   * Bookmark a post or move it to another collection
+   * @async
+   * @function addBookmark
+   * @param {number} userId - Bookmarking user
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Post ID
+   * @param {number|null} collectionId - Own collection, null for no collection
+   * @returns {Promise<Object>} { entity_type, entity_id, collection_id, is_bookmarked }
+   * @throws {Error} 'Topic not found', 'Reply not found', 'Collection not found' or database errors
+   * @sideEffects Inserts bookmark record or updates its collection
+   */
+  async addBookmark(userId, entityType, entityId, collectionId = null) {
+    const [posts] = entityType === 'topic'
+      ? await pool.execute(`
+          SELECT id FROM forum_topics WHERE id = ? AND status = 0
+        `, [entityId])
+      : await pool.execute(`
+          SELECT r.id FROM forum_replies r
+          JOIN forum_topics t ON r.topic_id = t.id AND t.status = 0
+          WHERE r.id = ? AND r.status = 0
+        `, [entityId]);
+
+    if (posts.length === 0) {
+      throw new Error(entityType === 'topic' ? 'Topic not found' : 'Reply not found');
+    }
+
+    if (collectionId) {
+      const [collections] = await pool.execute(`
+        SELECT id FROM forum_bookmark_collections WHERE id = ? AND user_id = ?
+      `, [collectionId, userId]);
+
+      if (collections.length === 0) {
+        throw new Error('Collection not found');
+      }
+    }
+
+    await pool.execute(`
+      INSERT INTO forum_bookmarks (user_id, entity_type, entity_id, collection_id) VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE collection_id = VALUES(collection_id)
+    `, [userId, entityType, entityId, collectionId]);
+
+    return { entity_type: entityType, entity_id: entityId, collection_id: collectionId, is_bookmarked: true };
+  }
+
+  /**
+   * Remove a bookmark
+   * @async
+   * @function removeBookmark
+   * @param {number} userId - Bookmarking user
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Post ID
+   * @returns {Promise<Object>} { entity_type, entity_id, is_bookmarked }
+   * @throws {Error} Database errors
+   * @sideEffects Deletes bookmark record if present
+   */
+  async removeBookmark(userId, entityType, entityId) {
+    await pool.execute(`
+      DELETE FROM forum_bookmarks WHERE user_id = ? AND entity_type = ? AND entity_id = ?
+    `, [userId, entityType, entityId]);
+
+    return { entity_type: entityType, entity_id: entityId, is_bookmarked: false };
+  }
+
+  /**
+   * Paginated bookmarked topics or replies, newest bookmark first
+   * @async
+   * @function getBookmarks
+   * @param {number} userId - Bookmarking user
+   * @param {Object} filters - Query filters
+   * @param {string} filters.type - 'topic' (default) or 'reply'
+   * @param {number} filters.collection_id - Only bookmarks in this collection
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Items per page
+   * @returns {Promise<Object>} { topics, pagination } or { replies, pagination }, each item with bookmark { collection_id, created_at }
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getBookmarks(userId, filters = {}) {
+    const { type = 'topic', collection_id, page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+
+    // Bookmarks of posts that were deleted or hidden since are skipped
+    let from;
+    if (type === 'topic') {
+      from = `
+        FROM forum_bookmarks b
+        JOIN forum_topics t ON b.entity_id = t.id AND t.status = 0
+        JOIN forum_categories c ON t.category_id = c.id
+        JOIN users u ON t.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
+        WHERE b.user_id = ? AND b.entity_type = 'topic'
+      `;
+    } else {
+      from = `
+        FROM forum_bookmarks b
+        JOIN forum_replies r ON b.entity_id = r.id AND r.status = 0
+        JOIN forum_topics t ON r.topic_id = t.id AND t.status = 0
+        JOIN users u ON r.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
+        WHERE b.user_id = ? AND b.entity_type = 'reply'
+      `;
+    }
+
+    const params = [userId];
+    if (collection_id) {
+      from += ' AND b.collection_id = ?';
+      params.push(collection_id);
+    }
+
+    const [countResult] = await pool.execute(`SELECT COUNT(*) as total ${from}`, params);
+    const totalItems = countResult[0].total;
+    const pagination = this.buildPagination(page, limit, totalItems);
+    const bookmarkFields = 'b.collection_id as bookmark_collection_id, b.created_at as bookmarked_at';
+
+    if (type === 'topic') {
+      const [topics] = await pool.execute(`
+        SELECT t.*, c.name as category, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status,
+               ${bookmarkFields}
+        ${from}
+        ORDER BY b.created_at DESC, b.id DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+
+      const topicIds = topics.map(topic => topic.id);
+      const imagesByTopic = await this.fetchImagesByEntity('topic', topicIds);
+      const mentionsByTopic = await mentionService.getMentionsBySource('topic', topicIds);
+      const tagsByTopic = await this.getTagsByTopic(topicIds);
+      const stateByTopic = await this.getTopicUserState(userId, topicIds);
+
+      return {
+        topics: topics.map(topic => ({
+          ...this.formatTopicResponse(
+            topic, imagesByTopic[topic.id] || [], mentionsByTopic[topic.id] || [], stateByTopic[topic.id],
+            tagsByTopic[topic.id] || []
+          ),
+          bookmark: { collection_id: topic.bookmark_collection_id, created_at: topic.bookmarked_at }
+        })),
+        pagination
+      };
+    }
+
+    const [replies] = await pool.execute(`
+      SELECT r.*, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status,
+             t.title as topic_title, ${bookmarkFields}
+      ${from}
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const replyIds = replies.map(reply => reply.id);
+    const imagesByReply = await this.fetchImagesByEntity('reply', replyIds);
+    const mentionsByReply = await mentionService.getMentionsBySource('reply', replyIds);
+
+    return {
+      replies: replies.map(reply => ({
+        ...this.formatReplyResponse(
+          reply, imagesByReply[reply.id] || [], mentionsByReply[reply.id] || [], { is_bookmarked: true }
+        ),
+        topic: { id: reply.topic_id, title: reply.topic_title },
+        bookmark: { collection_id: reply.bookmark_collection_id, created_at: reply.bookmarked_at }
+      })),
+      pagination
+    };
+  }
+
+  /**
+   * Which posts the user bookmarked
+   * @async
+   * @function getBookmarkedIds
+   * @param {number} userId - Session user; bookmarks are private, never pass a request user_id
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {Array<number>} entityIds - Post IDs
+   * @returns {Promise<Set<number>>} Bookmarked post IDs
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getBookmarkedIds(userId, entityType, entityIds) {
+    if (!entityIds || entityIds.length === 0) {
+      return new Set();
+    }
+
+    const placeholders = entityIds.map(() => '?').join(',');
+    const [rows] = await pool.execute(`
+      SELECT entity_id FROM forum_bookmarks
+      WHERE user_id = ? AND entity_type = ? AND entity_id IN (${placeholders})
+    `, [userId, entityType, ...entityIds]);
+
+    return new Set(rows.map(row => row.entity_id));
+  }
+
+  /**
+   * Collections with bookmark counts
+   * @async
+   * @function getBookmarkCollections
+   * @param {number} userId - Collection owner
+   * @returns {Promise<Array>} Collections { id, name, bookmark_count, created_at, updated_at } sorted by name
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getBookmarkCollections(userId) {
+    const [collections] = await pool.execute(`
+      SELECT c.id, c.name, COUNT(b.id) as bookmark_count, c.created_at, c.updated_at
+      FROM forum_bookmark_collections c
+      LEFT JOIN forum_bookmarks b ON b.collection_id = c.id
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.name ASC
+    `, [userId]);
+
+    return collections.map(collection => ({
+      ...collection,
+      bookmark_count: Number(collection.bookmark_count)
+    }));
+  }
+
+  /**
+   * Create a named collection
+   * @async
+   * @function createBookmarkCollection
+   * @param {number} userId - Collection owner
+   * @param {string} name - Collection name, unique per user
+   * @returns {Promise<Object>} { id, name, bookmark_count, created_at }
+   * @throws {Error} 'Collection name already exists' or database errors
+   * @sideEffects Inserts collection record
+   */
+  async createBookmarkCollection(userId, name) {
+    try {
+      const [result] = await pool.execute(`
+        INSERT INTO forum_bookmark_collections (user_id, name) VALUES (?, ?)
+      `, [userId, name]);
+
+      return { id: result.insertId, name, bookmark_count: 0, created_at: new Date().toISOString() };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Collection name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a collection
+   * @async
+   * @function renameBookmarkCollection
+   * @param {number} userId - Collection owner
+   * @param {number} collectionId - Collection ID
+   * @param {string} name - New name, unique per user
+   * @returns {Promise<Object>} { id, name }
+   * @throws {Error} 'Collection not found', 'Collection name already exists' or database errors
+   * @sideEffects Updates collection name
+   */
+  async renameBookmarkCollection(userId, collectionId, name) {
+    try {
+      const [result] = await pool.execute(`
+        UPDATE forum_bookmark_collections SET name = ? WHERE id = ? AND user_id = ?
+      `, [name, collectionId, userId]);
+
+      if (result.affectedRows === 0) {
+        throw new Error('Collection not found');
+      }
+
+      return { id: collectionId, name };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Collection name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a collection, its bookmarks are kept without a collection
+   * @async
+   * @function deleteBookmarkCollection
+   * @param {number} userId - Collection owner
+   * @param {number} collectionId - Collection ID
+   * @returns {Promise<boolean>} True if deletion successful
+   * @throws {Error} 'Collection not found' or database errors
+   * @sideEffects Deletes collection record, bookmarks lose their collection_id
+   */
+  async deleteBookmarkCollection(userId, collectionId) {
+    const [result] = await pool.execute(`
+      DELETE FROM forum_bookmark_collections WHERE id = ? AND user_id = ?
+    `, [collectionId, userId]);
+
+    if (result.affectedRows === 0) {
+      throw new Error('Collection not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace the tags of a topic
+   * @async
+   * @function setTopicTags
+   * @param {Object} connection - Database connection inside the saving transaction
+   * @param {number} topicId - Topic ID
+   * @param {Array<string>} tags - Normalized tag names (forumTopic schema)
+   * @returns {Promise<Array<string>>} The topic's tag names
+   * @throws {Error} Database errors
+   * @sideEffects Creates tags that do not exist yet, replaces forum_topic_tags rows of the topic
+   */
+  async setTopicTags(connection, topicId, tags) {
+    await connection.execute(`
+      DELETE FROM forum_topic_tags WHERE topic_id = ?
+    `, [topicId]);
+
+    for (const name of tags) {
+      await connection.execute(`
+        INSERT IGNORE INTO forum_tags (name) VALUES (?)
+      `, [name]);
+      await connection.execute(`
+        INSERT IGNORE INTO forum_topic_tags (topic_id, tag_id)
+        SELECT ?, id FROM forum_tags WHERE name = ?
+      `, [topicId, name]);
+    }
+
+    return tags;
+  }
+
+  /**
+   * Batch fetch tag names
+   * @async
+   * @function getTagsByTopic
+   * @param {Array<number>} topicIds - Topic IDs
+   * @returns {Promise<Object>} Object with topicId as key and tag names sorted by name as value
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getTagsByTopic(topicIds) {
+    if (!topicIds || topicIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = topicIds.map(() => '?').join(',');
+    const [rows] = await pool.execute(`
+      SELECT tt.topic_id, g.name
+      FROM forum_topic_tags tt
+      JOIN forum_tags g ON tt.tag_id = g.id
+      WHERE tt.topic_id IN (${placeholders})
+      ORDER BY g.name ASC
+    `, topicIds);
+
+    const tagsByTopic = {};
+    for (const row of rows) {
+      if (!tagsByTopic[row.topic_id]) {
+        tagsByTopic[row.topic_id] = [];
+      }
+      tagsByTopic[row.topic_id].push(row.name);
+    }
+
+    return tagsByTopic;
+  }
+
+  /**
+   * Tags by usage, for autocomplete and tag lists
+   * @async
+   * @function getTags
+   * @param {Object} filters - Query filters
+   * @param {string} filters.q - Name prefix (autocomplete)
+   * @param {number} filters.limit - Maximum tags (default: 10)
+   * @param {boolean} filters.include_unused - Also list tags without published topics (admin)
+   * @returns {Promise<Array>} Tags { id, name, topic_count }, most used first
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getTags(filters = {}) {
+    const { q, limit = 10, include_unused = false } = filters;
+
+    let query = `
+      SELECT g.id, g.name, COUNT(t.id) as topic_count
+      FROM forum_tags g
+      LEFT JOIN forum_topic_tags tt ON tt.tag_id = g.id
+      LEFT JOIN forum_topics t ON tt.topic_id = t.id AND t.status = 0
+    `;
+    const params = [];
+
+    if (q) {
+      // Tag names may contain underscores, which are LIKE wildcards
+      query += ' WHERE g.name LIKE ?';
+      params.push(`${q.trim().toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    query += ' GROUP BY g.id';
+    if (!include_unused) {
+      query += ' HAVING topic_count > 0';
+    }
+    query += ' ORDER BY topic_count DESC, g.name ASC LIMIT ?';
+    params.push(limit);
+
+    const [tags] = await pool.execute(query, params);
+
+    return tags.map(tag => ({
+      ...tag,
+      topic_count: Number(tag.topic_count)
+    }));
+  }
+
+  /**
+   * Tag page with its paginated topics
+   * @async
+   * @function getTagTopics
+   * @param {string} name - Tag name
+   * @param {Object} filters - Same filters as getTopics, tags is replaced by this tag
+   * @returns {Promise<Object>} { tag: { id, name, topic_count }, topics, pagination }
+   * @throws {Error} 'Tag not found' or database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getTagTopics(name, filters = {}) {
+    const [tags] = await pool.execute(`
+      SELECT g.id, g.name, COUNT(t.id) as topic_count
+      FROM forum_tags g
+      LEFT JOIN forum_topic_tags tt ON tt.tag_id = g.id
+      LEFT JOIN forum_topics t ON tt.topic_id = t.id AND t.status = 0
+      WHERE g.name = ?
+      GROUP BY g.id
+    `, [name.trim().toLowerCase()]);
+
+    if (tags.length === 0) {
+      throw new Error('Tag not found');
+    }
+
+    const tag = { ...tags[0], topic_count: Number(tags[0].topic_count) };
+    const result = await this.getTopics({ ...filters, tags: [tag.name] });
+
+    return {
+      tag,
+      ...result
+    };
+  }
+
+  /**
+   * Rename a tag (admin)
+   * @async
+   * @function renameTag
+   * @param {number} tagId - Tag ID
+   * @param {string} name - New normalized name (forumTagRename schema)
+   * @returns {Promise<Object>} { id, name, previous_name }
+   * @throws {Error} 'Tag not found', 'Tag name already exists' or database errors
+   * @sideEffects Updates tag name, all tagged topics show the new name
+   */
+  async renameTag(tagId, name) {
+    const [tags] = await pool.execute(`
+      SELECT id, name FROM forum_tags WHERE id = ?
+    `, [tagId]);
+
+    if (tags.length === 0) {
+      throw new Error('Tag not found');
+    }
+
+    try {
+      await pool.execute(`
+        UPDATE forum_tags SET name = ? WHERE id = ?
+      `, [name, tagId]);
+    } catch (error) {
+      // Existing names have to be merged instead
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Tag name already exists');
+      }
+      throw error;
+    }
+
+    return { id: tagId, name, previous_name: tags[0].name };
+  }
+
+  /**
+   * Move all topics of a tag to another tag and delete it (admin)
+   * @async
+   * @function mergeTags
+   * @param {number} sourceTagId - Tag to merge, deleted afterwards
+   * @param {number} targetTagId - Tag to keep
+   * @returns {Promise<Object>} { source: { id, name }, target: { id, name }, topics_moved }
+   * @throws {Error} 'Cannot merge a tag into itself', 'Tag not found' or database errors
+   * @sideEffects Tags the source's topics with the target tag, deletes the source tag
+   */
+  async mergeTags(sourceTagId, targetTagId) {
+    if (sourceTagId === targetTagId) {
+      throw new Error('Cannot merge a tag into itself');
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [tags] = await connection.execute(`
+        SELECT id, name FROM forum_tags WHERE id IN (?, ?) FOR UPDATE
+      `, [sourceTagId, targetTagId]);
+
+      const source = tags.find(tag => tag.id === sourceTagId);
+      const target = tags.find(tag => tag.id === targetTagId);
+      if (!source || !target) {
+        throw new Error('Tag not found');
+      }
+
+      // Topics that already carry both tags keep a single one
+      const [result] = await connection.execute(`
+        INSERT IGNORE INTO forum_topic_tags (topic_id, tag_id)
+        SELECT topic_id, ? FROM forum_topic_tags WHERE tag_id = ?
+      `, [targetTagId, sourceTagId]);
+
+      await connection.execute(`
+        DELETE FROM forum_tags WHERE id = ?
+      `, [sourceTagId]);
+
+      await connection.commit();
+
+      return { source, target, topics_moved: result.affectedRows };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a tag from all topics (admin)
+   * @async
+   * @function deleteTag
+   * @param {number} tagId - Tag ID
+   * @returns {Promise<Object>} { id, name, topics_untagged }
+   * @throws {Error} 'Tag not found' or database errors
+   * @sideEffects Deletes the tag and its forum_topic_tags rows
+   */
+  async deleteTag(tagId) {
+    const [tags] = await pool.execute(`
+      SELECT g.id, g.name, COUNT(tt.topic_id) as topic_count
+      FROM forum_tags g
+      LEFT JOIN forum_topic_tags tt ON tt.tag_id = g.id
+      WHERE g.id = ?
+      GROUP BY g.id
+    `, [tagId]);
+
+    if (tags.length === 0) {
+      throw new Error('Tag not found');
+    }
+
+    await pool.execute(`
+      DELETE FROM forum_tags WHERE id = ?
+    `, [tagId]);
+
+    return { id: tagId, name: tags[0].name, topics_untagged: Number(tags[0].topic_count) };
+  }
+
   /**
    * Search topics and replies by keyword
    * @async
@@ -941,12 +2225,12 @@ class ForumService {
     if (type === 'topics' || type === 'all') {
       searchQuery += `
         SELECT t.id, 'topic' as type, t.title, t.content, c.name as category,
-               u.username as author_name, u.id as author_id, NULL as topic_id,
+               ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, NULL as topic_id,
                t.like_count, t.reply_count, t.created_at, t.updated_at,
                1.0 as relevance_score
         FROM forum_topics t
         JOIN forum_categories c ON t.category_id = c.id
-        JOIN users u ON t.user_id = u.id AND u.status >= 0
+        JOIN users u ON t.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
         WHERE t.status = 0 AND (t.title LIKE ? OR t.content LIKE ?)
       `;
 
@@ -963,13 +2247,13 @@ class ForumService {
 
       searchQuery += `
         SELECT r.id, 'reply' as type, NULL as title, r.content, c.name as category,
-               u.username as author_name, u.id as author_id, r.topic_id,
+               ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, r.topic_id,
                r.like_count, NULL as reply_count, r.created_at, r.updated_at,
                1.0 as relevance_score
         FROM forum_replies r
         JOIN forum_topics t ON r.topic_id = t.id
         JOIN forum_categories c ON t.category_id = c.id
-        JOIN users u ON r.user_id = u.id AND u.status >= 0
+        JOIN users u ON r.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
         WHERE r.status = 0 AND r.content LIKE ?
       `;
 
@@ -997,6 +2281,7 @@ class ForumService {
       type: result.type,
       title: result.title,
       content: result.content,
+      excerpt: excerpt(result.content),
       category: result.category,
       author: {
         id: result.author_id,
@@ -1111,7 +2396,8 @@ class ForumService {
    * @sideEffects Creates or updates draft record
    */
   async saveDraft(draftData) {
-    const { user_id, type, title, content, category, topic_id } = draftData;
+    const { user_id, type, title, category, topic_id } = draftData;
+    const content = draftData.content !== undefined ? sanitizeMarkdown(draftData.content) : draftData.content;
 
     const connection = await pool.getConnection();
 
@@ -1187,16 +2473,16 @@ class ForumService {
    * Build SQL query for topic filtering
    * @function buildTopicQuery
    * @param {Object} filters - Filter parameters
-   * @returns {Object} Query string and parameters
+   * @returns {Object} { query, params, whereParams } - whereParams only binds the WHERE clause (for counting)
    * @sideEffects None - pure function
    */
   buildTopicQuery(filters) {
-    const { category, sort, search, user_id, limit, offset } = filters;
+    const { category, sort, search, tags, featured, solved, user_id, limit, offset } = filters;
     let query = `
-      SELECT t.*, c.name as category, u.username as author_name, u.id as author_id, u.status as author_status
+      SELECT t.*, c.name as category, ${AUTHOR_NAME_SQL} as author_name, u.id as author_id, u.status as author_status
       FROM forum_topics t
       JOIN forum_categories c ON t.category_id = c.id
-      JOIN users u ON t.user_id = u.id AND u.status >= 0
+      JOIN users u ON t.user_id = u.id AND ${AUTHOR_VISIBLE_SQL}
     `;
 
     const params = [];
@@ -1221,44 +2507,70 @@ class ForumService {
       params.push(`%${search}%`, `%${search}%`);
     }
 
-    // Add sorting with user prioritization
+    // Topics carrying every requested tag
+    if (tags && tags.length > 0) {
+      const placeholders = tags.map(() => '?').join(',');
+      query += `
+        AND t.id IN (
+          SELECT tt.topic_id FROM forum_topic_tags tt
+          JOIN forum_tags g ON tt.tag_id = g.id
+          WHERE g.name IN (${placeholders})
+          GROUP BY tt.topic_id
+          HAVING COUNT(*) = ?
+        )
+      `;
+      params.push(...tags, tags.length);
+    }
+
+    if (featured !== undefined && featured !== null) {
+      query += ' AND t.is_featured = ?';
+      params.push(featured ? 1 : 0);
+    }
+
+    if (solved !== undefined && solved !== null) {
+      query += solved ? ' AND t.solution_reply_id IS NOT NULL' : ' AND t.solution_reply_id IS NULL';
+    }
+
+    const whereParams = [...params];
+
+    // Pinned topics come first, then user prioritization and the requested sorting
     if (user_id) {
       // Prioritize user's content at top, then apply normal sorting
       switch (sort) {
         case 'oldest':
-          query += ' ORDER BY (t.user_id = ?) DESC, t.created_at ASC';
+          query += ' ORDER BY t.is_pinned DESC, (t.user_id = ?) DESC, t.created_at ASC';
           break;
         case 'popular':
-          query += ' ORDER BY (t.user_id = ?) DESC, t.like_count DESC, t.created_at DESC';
+          query += ' ORDER BY t.is_pinned DESC, (t.user_id = ?) DESC, t.like_count DESC, t.created_at DESC';
           break;
         case 'trending':
-          query += ' ORDER BY (t.user_id = ?) DESC, t.view_count DESC, t.created_at DESC';
+          query += ' ORDER BY t.is_pinned DESC, (t.user_id = ?) DESC, t.view_count DESC, t.created_at DESC';
           break;
         default: // newest
-          query += ' ORDER BY (t.user_id = ?) DESC, t.created_at DESC';
+          query += ' ORDER BY t.is_pinned DESC, (t.user_id = ?) DESC, t.created_at DESC';
       }
       params.push(user_id);
     } else {
       // Normal sorting without user prioritization
       switch (sort) {
         case 'oldest':
-          query += ' ORDER BY t.created_at ASC';
+          query += ' ORDER BY t.is_pinned DESC, t.created_at ASC';
           break;
         case 'popular':
-          query += ' ORDER BY t.like_count DESC, t.created_at DESC';
+          query += ' ORDER BY t.is_pinned DESC, t.like_count DESC, t.created_at DESC';
           break;
         case 'trending':
-          query += ' ORDER BY t.view_count DESC, t.created_at DESC';
+          query += ' ORDER BY t.is_pinned DESC, t.view_count DESC, t.created_at DESC';
           break;
         default: // newest
-          query += ' ORDER BY t.created_at DESC';
+          query += ' ORDER BY t.is_pinned DESC, t.created_at DESC';
       }
     }
 
     query += ' LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
-    return { query, params };
+    return { query, params, whereParams };
   }
 
   /**
@@ -1266,15 +2578,21 @@ class ForumService {
    * @function formatTopicResponse
    * @param {Object} topic - Raw topic data from database
    * @param {Array} images - Array of image objects for this topic
-   * @returns {Object} Formatted topic object
+   * @param {Array} mentions - Mentioned users { id, username }
+   * @param {Object|null} userState - { unread_count, first_unread_reply_id, is_subscribed, is_bookmarked } of the requesting user
+   * @param {Array<string>} tags - Tag names
+   * @returns {Object} Formatted topic object, content is the Markdown source with content_html and excerpt renderings
    * @sideEffects None - pure function
    */
-  formatTopicResponse(topic, images = []) {
+  formatTopicResponse(topic, images = [], mentions = [], userState = null, tags = []) {
     return {
       id: topic.id,
       title: topic.title,
       content: topic.content,
+      content_html: renderHtml(topic.content),
+      excerpt: excerpt(topic.content),
       category: topic.category,
+      tags,
       author: {
         id: topic.author_id,
         name: topic.author_name,
@@ -1283,7 +2601,18 @@ class ForumService {
       reply_count: topic.reply_count,
       like_count: topic.like_count,
       status: topic.status,
+      is_pinned: Boolean(topic.is_pinned),
+      is_locked: Boolean(topic.is_locked),
+      is_featured: Boolean(topic.is_featured),
+      is_solved: topic.solution_reply_id !== null && topic.solution_reply_id !== undefined,
+      solution_reply_id: topic.solution_reply_id || null,
+      solved_at: topic.solved_at || null,
       images: images.map(img => img.url), // Return only URLs for compatibility
+      mentions,
+      is_subscribed: userState ? userState.is_subscribed : false,
+      is_bookmarked: userState ? userState.is_bookmarked : false,
+      unread_count: userState ? userState.unread_count : null,
+      first_unread_reply_id: userState ? userState.first_unread_reply_id : null,
       created_at: topic.created_at,
       updated_at: topic.updated_at
     };
@@ -1294,13 +2623,17 @@ class ForumService {
    * @function formatReplyResponse
    * @param {Object} reply - Raw reply data from database
    * @param {Array} images - Array of image objects for this reply
-   * @returns {Object} Formatted reply object
+   * @param {Array} mentions - Mentioned users { id, username }
+   * @param {Object|null} userState - { is_bookmarked } of the requesting user
+   * @returns {Object} Formatted reply object, content is the Markdown source with content_html and excerpt renderings
    * @sideEffects None - pure function
    */
-  formatReplyResponse(reply, images = []) {
+  formatReplyResponse(reply, images = [], mentions = [], userState = null) {
     return {
       id: reply.id,
       content: reply.content,
+      content_html: renderHtml(reply.content),
+      excerpt: excerpt(reply.content),
       author: {
         id: reply.author_id,
         name: reply.author_name,
@@ -1309,8 +2642,11 @@ class ForumService {
       parent_reply_id: reply.parent_reply_id,
       like_count: reply.like_count,
       is_liked: false, // TODO: Implement user-specific like status
+      is_bookmarked: userState ? userState.is_bookmarked : false,
+      is_solution: Boolean(reply.is_solution),
       status: reply.status,
       images: images.map(img => img.url), // Return only URLs for compatibility
+      mentions,
       created_at: reply.created_at,
       updated_at: reply.updated_at
     };
@@ -0,0 +1,155 @@
+/**
+ * @file services/loginAttemptService.js
+ * @description Per-account failed login tracking with exponential lockout
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service counts failed password logins per phone number in Redis and
+ * locks the account temporarily once config.rateLimit.maxAuthAttempts
+ * failures happen within config.rateLimit.windowMs. Every further lockout
+ * doubles the lock duration up to config.rateLimit.lockoutMax, so an attacker
+ * rotating IP addresses still cannot guess passwords of one account quickly.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with exponential lockout and admin unlock
+ *
+ * Functions:
+ * - getLockRemaining(phoneNumber): Seconds until the account is unlocked
+ * - recordFailure(phoneNumber): Count a failed login, lock account when limit is hit
+ * - reset(phoneNumber): Clear failures and lockouts (successful login, admin unlock)
+ * - getLockoutDuration(lockouts): Lock duration for the n-th lockout
+ *
+ * Security Features:
+ * - Tracking is keyed by phone number, not IP address
+ * - Unknown phone numbers are tracked the same way to avoid account probing
+ * - Lockout counter survives the lock so repeated lockouts back off exponentially
+ *
+ * Dependencies:
+ * - config/redis.js: Attempt storage
+ * - config: Attempt limit, window and lockout durations
+ */
+
+const redisClient = require('../config/redis.js');
+const config = require('../config');
+
+/**
+ * Redis key of the attempt record of a phone number
+ * @param {string} phoneNumber - Phone number used to log in
+ * @returns {string} Prefixed key ha:login_attempts:{phone_number}
+ */
+const attemptKey = (phoneNumber) => redisClient.key(`login_attempts:${phoneNumber}`);
+
+class LoginAttemptService {
+  /**
+   * Lock duration for the n-th lockout
+   * @function getLockoutDuration
+   * @param {number} lockouts - Number of lockouts including the current one
+   * @returns {number} Lock duration in seconds
+   */
+  getLockoutDuration(lockouts) {
+    const duration = config.rateLimit.lockoutBase * Math.pow(2, Math.max(lockouts - 1, 0));
+    return Math.min(duration, config.rateLimit.lockoutMax);
+  }
+
+  /**
+   * Seconds until the account is unlocked
+   * @async
+   * @function getLockRemaining
+   * @param {string} phoneNumber - Phone number used to log in
+   * @returns {Promise<number>} Remaining lock time in seconds, 0 when not locked
+   * @throws Does not throw - returns 0 when Redis is unavailable
+   * @sideEffects None - read-only Redis operation
+   */
+  async getLockRemaining(phoneNumber) {
+    if (!redisClient.isReady()) {
+      return 0;
+    }
+
+    try {
+      const lockedUntil = parseInt(await redisClient.getClient().hGet(attemptKey(phoneNumber), 'locked_until'));
+
+      if (!lockedUntil || lockedUntil <= Date.now()) {
+        return 0;
+      }
+
+      return Math.ceil((lockedUntil - Date.now()) / 1000);
+    } catch (error) {
+      console.error('Error reading login lockout:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Count a failed login, lock the account when the limit is hit
+   * @async
+   * @function recordFailure
+   * @param {string} phoneNumber - Phone number used to log in
+   * @returns {Promise<Object>} { failures, locked, retryAfter }
+   * @throws Does not throw - logs errors, login errors must not turn into 500
+   * @sideEffects Updates ha:login_attempts:{phone_number}
+   */
+  async recordFailure(phoneNumber) {
+    if (!redisClient.isReady()) {
+      return { failures: 0, locked: false, retryAfter: 0 };
+    }
+
+    try {
+      const client = redisClient.getClient();
+      const key = attemptKey(phoneNumber);
+      const windowSeconds = Math.ceil(config.rateLimit.windowMs / 1000);
+
+      const failures = await client.hIncrBy(key, 'failures', 1);
+
+      if (failures < config.rateLimit.maxAuthAttempts) {
+        // Lockout history must outlive the failure window of the current round
+        const ttl = await client.ttl(key);
+        if (ttl < windowSeconds) {
+          await client.expire(key, windowSeconds);
+        }
+        return { failures, locked: false, retryAfter: 0 };
+      }
+
+      const lockouts = await client.hIncrBy(key, 'lockouts', 1);
+      const duration = this.getLockoutDuration(lockouts);
+
+      await client.multi()
+        .hSet(key, {
+          failures: '0',
+          locked_until: (Date.now() + duration * 1000).toString()
+        })
+        .expire(key, duration + config.rateLimit.lockoutMax)
+        .exec();
+
+      console.warn(`🔒 Login locked for ${duration}s after ${failures} failed attempts (lockout #${lockouts})`);
+      return { failures, locked: true, retryAfter: duration };
+    } catch (error) {
+      console.error('Error recording login failure:', error);
+      return { failures: 0, locked: false, retryAfter: 0 };
+    }
+  }
+
+  /**
+   * Clear failures and lockouts
+   * @async
+   * @function reset
+   * @param {string} phoneNumber - Phone number used to log in
+   * @returns {Promise<boolean>} True if a record existed
+   * @throws Does not throw - logs errors and returns false
+   * @sideEffects Deletes ha:login_attempts:{phone_number}
+   */
+  async reset(phoneNumber) {
+    if (!redisClient.isReady()) {
+      return false;
+    }
+
+    try {
+      return (await redisClient.getClient().del(attemptKey(phoneNumber))) > 0;
+    } catch (error) {
+      console.error('Error resetting login attempts:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new LoginAttemptService();
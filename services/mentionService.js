@@ -0,0 +1,305 @@
+/**
+ * @file services/mentionService.js
+ * @description @username mentions in forum posts and admin internal notes
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service finds @username mentions in new topics, replies and admin
+ * internal notes, resolves them to user IDs and stores them in the mentions
+ * table. Mentioned users receive a 'mention' socket event once the content is
+ * visible to them: forum posts when they are published (directly or after
+ * review), internal notes right away. Each mention is delivered once; edits
+ * re-record the mentions and only names new to the post are notified. Code blocks and inline code are not
+ * searched. Mentions of deleted, merged or anonymized accounts, of accounts
+ * in any status other than normal or admin, and self-mentions are ignored.
+ * Internal notes can only mention admins.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation
+ * - 2025-10-19: Mentions are also stored in the notification center
+ * - 2025-10-19: Mentions are notified once, edited posts re-record their mentions
+ *
+ * Functions:
+ * - extractUsernames(source): Mentioned usernames in order of appearance (pure)
+ * - resolveMentions(connection, source, authorId, adminsOnly): Mentionable users for the mentioned names
+ * - recordMentions(connection, sourceType, sourceId, authorId, source, adminsOnly): Store mentions of new or edited content
+ * - getMentionsBySource(sourceType, sourceIds): Batch fetch mentioned users
+ * - notifyMentions(sourceType, sourceId): Emit 'mention' events and notifications to users not notified yet
+ * - getSourceContext(sourceType, sourceId): Where a mention was written, for the event payload
+ *
+ * Dependencies:
+ * - config/database.js: MySQL connection pool
+ * - utils/markdown.js: Prose text without code
+ * - services/socketService.js: Real-time delivery, reached through global.socketService
+ * - services/notificationService.js: 'mention' notifications
+ */
+
+const pool = require('../config/database');
+const notificationService = require('./notificationService');
+const { renderProse, excerpt } = require('../utils/markdown');
+
+// Further mentions in the same post are ignored
+const MAX_MENTIONS_PER_SOURCE = 10;
+
+// Same characters as usernameSchema; not preceded by a name character so e-mail addresses do not match
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_.@-])@([\p{L}\p{N}_.-]{3,30})/gu;
+
+class MentionService {
+  /**
+   * Mentioned usernames in order of appearance
+   * @function extractUsernames
+   * @param {string|null} source - Markdown source or plain text
+   * @returns {Array<Array<string>>} Candidate names per mention, longest first ("@bob." gives ['bob.', 'bob'])
+   * @sideEffects None - pure function
+   */
+  extractUsernames(source) {
+    const mentions = [];
+    const seen = new Set();
+
+    for (const match of renderProse(source).matchAll(MENTION_PATTERN)) {
+      const name = match[1];
+      const key = name.toLowerCase();
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      // Sentence punctuation after a name ("thanks @bob.") is not part of it
+      const trimmed = name.replace(/[.-]+$/, '');
+      mentions.push(trimmed !== name && trimmed.length >= 3 ? [name, trimmed] : [name]);
+
+      if (mentions.length >= MAX_MENTIONS_PER_SOURCE) {
+        break;
+      }
+    }
+
+    return mentions;
+  }
+
+  /**
+   * Mentionable users for the mentioned names
+   * @async
+   * @function resolveMentions
+   * @param {Object} connection - Database connection or pool
+   * @param {string|null} source - Text containing the mentions
+   * @param {number} authorId - Writer, never mentioned
+   * @param {boolean} adminsOnly - Only resolve admins (internal notes)
+   * @returns {Promise<Array<Object>>} Users { id, username } in order of appearance
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async resolveMentions(connection, source, authorId, adminsOnly = false) {
+    const mentions = this.extractUsernames(source);
+    if (mentions.length === 0) {
+      return [];
+    }
+
+    const names = mentions.flat();
+    const placeholders = names.map(() => '?').join(',');
+    const [users] = await connection.execute(`
+      SELECT id, username FROM users
+      WHERE username IN (${placeholders}) AND id <> ?
+        AND ${adminsOnly ? 'status = 87' : 'status IN (0, 87)'}
+        AND merged_into_user_id IS NULL AND anonymized_at IS NULL
+    `, [...names, authorId]);
+
+    // Usernames are unique case-insensitively
+    const usersByName = new Map(users.map(user => [user.username.toLowerCase(), user]));
+    const resolved = [];
+
+    for (const candidates of mentions) {
+      const user = candidates.map(name => usersByName.get(name.toLowerCase())).find(Boolean);
+      if (user && !resolved.some(existing => existing.id === user.id)) {
+        resolved.push({ id: user.id, username: user.username });
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Store mentions of new or edited content
+   * @async
+   * @function recordMentions
+   * @param {Object} connection - Database connection inside the creating or editing transaction
+   * @param {string} sourceType - 'topic', 'reply' or 'message'
+   * @param {number} sourceId - Created row ID
+   * @param {number} authorId - Writer of the content
+   * @param {string|null} source - Text containing the mentions
+   * @param {boolean} adminsOnly - Only resolve admins (internal notes)
+   * @returns {Promise<Array<Object>>} Mentioned users { id, username }
+   * @throws {Error} Database errors
+   * @sideEffects Inserts mentions rows, deletes rows of names no longer mentioned; kept rows keep notified_at
+   */
+  async recordMentions(connection, sourceType, sourceId, authorId, source, adminsOnly = false) {
+    const users = await this.resolveMentions(connection, source, authorId, adminsOnly);
+
+    // An edit may drop names, those mentions no longer belong to the post
+    const keptIds = users.map(user => user.id);
+    await connection.execute(`
+      DELETE FROM mentions
+      WHERE source_type = ? AND source_id = ?
+        ${keptIds.length > 0 ? `AND mentioned_user_id NOT IN (${keptIds.map(() => '?').join(',')})` : ''}
+    `, [sourceType, sourceId, ...keptIds]);
+
+    for (const user of users) {
+      await connection.execute(`
+        INSERT IGNORE INTO mentions (source_type, source_id, mentioned_user_id, author_id)
+        VALUES (?, ?, ?, ?)
+      `, [sourceType, sourceId, user.id, authorId]);
+    }
+
+    return users;
+  }
+
+  /**
+   * Batch fetch mentioned users
+   * @async
+   * @function getMentionsBySource
+   * @param {string} sourceType - 'topic', 'reply' or 'message'
+   * @param {Array<number>} sourceIds - Source IDs
+   * @returns {Promise<Object>} Object with sourceId as key and users array { id, username } as value
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getMentionsBySource(sourceType, sourceIds) {
+    if (!sourceIds || sourceIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = sourceIds.map(() => '?').join(',');
+    const [rows] = await pool.execute(`
+      SELECT m.source_id, u.id, u.username
+      FROM mentions m
+      JOIN users u ON m.mentioned_user_id = u.id AND u.status >= 0
+      WHERE m.source_type = ? AND m.source_id IN (${placeholders})
+      ORDER BY m.id ASC
+    `, [sourceType, ...sourceIds]);
+
+    const mentionsBySource = {};
+    for (const row of rows) {
+      if (!mentionsBySource[row.source_id]) {
+        mentionsBySource[row.source_id] = [];
+      }
+      mentionsBySource[row.source_id].push({ id: row.id, username: row.username });
+    }
+
+    return mentionsBySource;
+  }
+
+  /**
+   * Emit 'mention' events to the mentioned users and add 'mention' notifications, once per mention
+   * @async
+   * @function notifyMentions
+   * @param {string} sourceType - 'topic', 'reply' or 'message'
+   * @param {number} sourceId - Source ID
+   * @returns {Promise<number>} Number of users notified, 0 when delivery failed
+   * @sideEffects Sets notified_at, emits socket events to connected users, inserts notifications;
+   *   errors are logged, never thrown, the content is already saved
+   */
+  async notifyMentions(sourceType, sourceId) {
+    try {
+      // Accounts deleted or blocked since the mention was written are skipped,
+      // users told on an earlier publication of the post are not told again
+      const [recipients] = await pool.execute(`
+        SELECT m.id AS mention_id, u.id FROM mentions m
+        JOIN users u ON m.mentioned_user_id = u.id
+        WHERE m.source_type = ? AND m.source_id = ? AND m.notified_at IS NULL
+          AND u.status IN (0, 87) AND u.merged_into_user_id IS NULL AND u.anonymized_at IS NULL
+      `, [sourceType, sourceId]);
+
+      if (recipients.length === 0) {
+        return 0;
+      }
+
+      const context = await this.getSourceContext(sourceType, sourceId);
+      if (!context) {
+        return 0;
+      }
+
+      const { text, author_id, author_name, ...location } = context;
+      const event = {
+        source_type: sourceType,
+        source_id: sourceId,
+        ...location,
+        excerpt: excerpt(text, 100),
+        author: { id: author_id, name: author_name }
+      };
+
+      let notified = 0;
+      for (const recipient of recipients) {
+        // Claim the mention so concurrent approvals deliver it only once
+        const [claim] = await pool.execute(`
+          UPDATE mentions SET notified_at = CURRENT_TIMESTAMP WHERE id = ? AND notified_at IS NULL
+        `, [recipient.mention_id]);
+        if (claim.affectedRows === 0) {
+          continue;
+        }
+
+        notified++;
+        if (global.socketService) {
+          global.socketService.emitToUser(recipient.id, 'mention', event);
+        }
+        await notificationService.createNotification({
+          userId: recipient.id,
+          type: 'mention',
+          actorId: author_id,
+          entityType: sourceType,
+          entityId: sourceId,
+          data: { ...location, excerpt: event.excerpt }
+        });
+      }
+
+      return notified;
+    } catch (error) {
+      console.error('Error notifying mentions:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Where a mention was written, for the event payload
+   * @async
+   * @function getSourceContext
+   * @param {string} sourceType - 'topic', 'reply' or 'message'
+   * @param {number} sourceId - Source ID
+   * @returns {Promise<Object|null>} Topic ID and title or conversation ID, text, author and time
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getSourceContext(sourceType, sourceId) {
+    let rows;
+
+    if (sourceType === 'topic') {
+      [rows] = await pool.execute(`
+        SELECT t.id as topic_id, t.title, t.content as text, t.created_at,
+          u.id as author_id, u.username as author_name
+        FROM forum_topics t
+        JOIN users u ON t.user_id = u.id
+        WHERE t.id = ?
+      `, [sourceId]);
+    } else if (sourceType === 'reply') {
+      [rows] = await pool.execute(`
+        SELECT r.topic_id, t.title, r.content as text, r.created_at,
+          u.id as author_id, u.username as author_name
+        FROM forum_replies r
+        JOIN forum_topics t ON r.topic_id = t.id
+        JOIN users u ON r.user_id = u.id
+        WHERE r.id = ?
+      `, [sourceId]);
+    } else {
+      [rows] = await pool.execute(`
+        SELECT m.conversation_id, COALESCE(m.internal_note, m.content) as text, m.timestamp as created_at,
+          u.id as author_id, u.username as author_name
+        FROM messages m
+        JOIN users u ON m.admin_id = u.id
+        WHERE m.id = ?
+      `, [sourceId]);
+    }
+
+    return rows[0] || null;
+  }
+}
+
+module.exports = new MentionService();
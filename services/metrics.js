@@ -3,7 +3,7 @@
  * @description Redis-based metrics collection and aggregation service for PM2 cluster coordination
  * @author Michael Lee
  * @created 2025-06-27
- * @modified 2025-06-27
+ * @modified 2025-10-19
  * 
  * This service provides comprehensive metrics collection and aggregation across
  * multiple PM2 instances using Redis as the central data store. It tracks request
@@ -13,10 +13,12 @@
  * - 2025-06-27: Initial implementation with Redis-based metrics aggregation
  * - 2025-06-27: Added response time statistics and time-series storage
  * - 2025-06-27: Enhanced documentation and error handling
+ * - 2025-10-19: Added per-client request counters
  * 
  * Functions:
  * - incrementRequests(endpoint, increment): Increment request counters
  * - incrementErrors(endpoint, statusCode): Track error occurrences
+ * - incrementClientRequests(clientId): Increment request counter of an API client
  * - incrementConnections(): Increment active HTTP connection count
  * - decrementConnections(): Decrement active HTTP connection count
  * - updateMaxConnections(current): Update max connections if higher
@@ -38,6 +40,7 @@
  * - ha:requests:speed_per_second - Current request processing speed
  * - ha:requests:max_speed_per_second - Maximum processing speed achieved
  * - ha:requests:endpoint:{method path} - Per-endpoint counters
+ * - ha:requests:client:{client_id} - Per-API-client counters
  * - ha:errors:total - Global error counter
  */
 
@@ -77,6 +80,23 @@ class MetricsService {
   }
 
 
+  /**
+   * Increment request counter of an API client
+   * @param {string} clientId - Client ID resolved by validateAppAuth
+   * @returns {Promise<void>} Promise resolving when the counter is updated
+   * @sideEffects Updates Redis counter ha:requests:client:{client_id}
+   * @throws Does not throw - logs errors and continues gracefully
+   */
+  async incrementClientRequests(clientId) {
+    if (!redisClient.isReady()) return
+
+    try {
+      await redisClient.getClient().incr(redisClient.key(`requests:client:${clientId}`))
+    } catch (error) {
+      console.error('Error incrementing client request metrics:', error)
+    }
+  }
+
   /**
    * Increment error counter for monitoring failure rates
    * @param {string} endpoint - API endpoint identifier (e.g., 'GET /api/users')
@@ -145,6 +165,14 @@ class MetricsService {
         }
       }
 
+      // Get per-client request counters
+      const clientKeys = await client.keys(redisClient.key('requests:client:*'))
+      const clients = {}
+
+      for (const key of clientKeys) {
+        clients[key.replace(redisClient.key('requests:client:'), '')] = parseInt(await client.get(key)) || 0
+      }
+
       // Get connection and speed metrics (including WebSocket)
       const [currentConnections, maxConnections, acceptedRequests, currentSpeed, maxSpeed, wsConnections, wsMaxConnections, wsMessages] = await Promise.all([
         client.get(redisClient.key('connections:http:current')),
@@ -182,6 +210,7 @@ class MetricsService {
           maxSinceStartup: parseFloat(maxSpeed) || 0
         },
         endpoints,
+        clients,
         timestamp: new Date().toISOString()
       }
     } catch (error) {
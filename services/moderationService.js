@@ -0,0 +1,400 @@
+/**
+ * @file services/moderationService.js
+ * @description Forum moderation policy deciding whether posts are published or queued for review
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service evaluates every new or edited topic and reply against the
+ * moderation policy. Posts of trusted authors without red flags are published
+ * directly, everything else goes to /admin/forum/review-queue (status -1).
+ * Edits are re-queued according to the policy's edit_review mode. Each
+ * evaluation is stored in forum_moderation_decisions with its reasons and
+ * inputs. Admins change the policy at runtime; every saved version is a new
+ * forum_moderation_policies row and the newest row is active.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with trusted-author auto-approval and edit re-review
+ *
+ * Functions:
+ * - getPolicy(): Active policy merged over the defaults
+ * - updatePolicy(changes, adminId): Save a new policy version
+ * - collectSignals(connection, post): Policy inputs for a post
+ * - evaluate(policy, signals, triggerEvent, currentStatus): Decision and reasons (pure)
+ * - moderatePost(connection, post): Collect signals and evaluate
+ * - recordDecision(connection, entityType, entityId, userId, triggerEvent, moderation): Store decision
+ * - getDecisions(filters): Paginated decision log
+ * - getLatestDecisions(entityType, entityIds): Newest decision per post
+ *
+ * Reason codes:
+ * - admin_author: Author is an admin, always published
+ * - auto_publish_disabled: Policy sends every post to review
+ * - keyword_hit: Title or content contains a blocked keyword
+ * - too_many_links: More links than max_links
+ * - review_category: Category is listed in review_categories
+ * - few_approved_posts: Fewer published posts than trusted_min_approved
+ * - high_rejection_rate: Rejected share above trusted_max_rejection_rate
+ * - new_account: Account younger than trusted_min_account_age_days
+ * - trusted_author: Published because the author is trusted
+ * - edit_review_always: Policy re-queues every edit
+ * - edit_review_never: Edit kept the published status
+ * - not_published: Edited post was not published before, stays in review
+ *
+ * Dependencies:
+ * - config/database.js: MySQL connection pool
+ */
+
+const pool = require('../config/database');
+
+// Used until an admin saves a policy, and for keys missing in a saved policy
+const DEFAULT_POLICY = {
+  auto_publish_enabled: true,
+  trusted_min_approved: 5,
+  trusted_max_rejection_rate: 0.2,
+  trusted_min_account_age_days: 7,
+  max_links: 2,
+  blocked_keywords: [],
+  review_categories: [],
+  edit_review: 'untrusted' // always, untrusted or never
+};
+
+// http(s) URLs and bare www. hosts
+const LINK_PATTERN = /(?:https?:\/\/|www\.)[^\s]+/gi;
+
+class ModerationService {
+  /**
+   * Active policy merged over the defaults
+   * @async
+   * @function getPolicy
+   * @returns {Promise<Object>} { id, config, updated_by, updated_at }, id is null for the built-in default
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getPolicy() {
+    const [policies] = await pool.execute(`
+      SELECT id, config, updated_by, created_at FROM forum_moderation_policies
+      ORDER BY id DESC LIMIT 1
+    `);
+
+    if (policies.length === 0) {
+      return { id: null, config: { ...DEFAULT_POLICY }, updated_by: null, updated_at: null };
+    }
+
+    const saved = typeof policies[0].config === 'string'
+      ? JSON.parse(policies[0].config)
+      : policies[0].config;
+
+    return {
+      id: policies[0].id,
+      config: { ...DEFAULT_POLICY, ...saved },
+      updated_by: policies[0].updated_by,
+      updated_at: policies[0].created_at
+    };
+  }
+
+  /**
+   * Save a new policy version
+   * @async
+   * @function updatePolicy
+   * @param {Object} changes - Validated policy keys to change, other keys keep their current value
+   * @param {number} adminId - Admin saving the policy
+   * @returns {Promise<Object>} New active policy, same shape as getPolicy
+   * @throws {Error} Database errors
+   * @sideEffects Inserts forum_moderation_policies record
+   */
+  async updatePolicy(changes, adminId) {
+    const current = await this.getPolicy();
+    const config = { ...current.config, ...changes };
+
+    // Keywords match case-insensitively, store them once in lower case
+    config.blocked_keywords = [...new Set(config.blocked_keywords.map(keyword => keyword.trim().toLowerCase()))]
+      .filter(Boolean);
+
+    await pool.execute(
+      'INSERT INTO forum_moderation_policies (config, updated_by) VALUES (?, ?)',
+      [JSON.stringify(config), adminId]
+    );
+
+    return this.getPolicy();
+  }
+
+  /**
+   * Policy inputs for a post
+   * @async
+   * @function collectSignals
+   * @param {Object} connection - Database connection or pool
+   * @param {Object} post
+   * @param {number} post.userId - Author
+   * @param {number} post.categoryId - Category of the topic (the parent topic for replies)
+   * @param {string|null} post.title - Topic title, null for replies
+   * @param {string} post.content - Post content
+   * @param {Array<string>} blockedKeywords - Keywords of the active policy
+   * @returns {Promise<Object>} { is_admin, approved_count, rejected_count, account_age_days, category,
+   *   link_count, keyword_hits }
+   * @throws {Error} 'User not found', database errors
+   * @sideEffects None - read-only database operation
+   */
+  async collectSignals(connection, post, blockedKeywords = []) {
+    const [users] = await connection.execute(`
+      SELECT status, TIMESTAMPDIFF(DAY, created_at, NOW()) AS account_age_days
+      FROM users WHERE id = ? AND status >= 0
+    `, [post.userId]);
+
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    // Approval history counts published (0) and rejected (2) topics and replies
+    const [[history]] = await connection.execute(`
+      SELECT
+        (SELECT COUNT(*) FROM forum_topics WHERE user_id = ? AND status = 0) +
+        (SELECT COUNT(*) FROM forum_replies WHERE user_id = ? AND status = 0) AS approved_count,
+        (SELECT COUNT(*) FROM forum_topics WHERE user_id = ? AND status = 2) +
+        (SELECT COUNT(*) FROM forum_replies WHERE user_id = ? AND status = 2) AS rejected_count
+    `, [post.userId, post.userId, post.userId, post.userId]);
+
+    const [categories] = await connection.execute(`
+      SELECT name FROM forum_categories WHERE id = ?
+    `, [post.categoryId || 0]);
+
+    const text = `${post.title || ''}\n${post.content || ''}`;
+    const lowerText = text.toLowerCase();
+
+    return {
+      is_admin: users[0].status === 87,
+      approved_count: Number(history.approved_count),
+      rejected_count: Number(history.rejected_count),
+      account_age_days: Number(users[0].account_age_days),
+      category: categories.length > 0 ? categories[0].name : null,
+      link_count: (text.match(LINK_PATTERN) || []).length,
+      keyword_hits: blockedKeywords.filter(keyword => lowerText.includes(keyword))
+    };
+  }
+
+  /**
+   * Decision and reasons for a post
+   * @function evaluate
+   * @param {Object} policy - Policy config
+   * @param {Object} signals - Result of collectSignals
+   * @param {string} triggerEvent - 'create' or 'edit'
+   * @param {number|null} currentStatus - Status before the edit, null for new posts
+   * @returns {Object} { decision: 'publish'|'queue', status: 0|-1, reasons }
+   * @sideEffects None - pure function
+   */
+  evaluate(policy, signals, triggerEvent, currentStatus = null) {
+    const queue = reasons => ({ decision: 'queue', status: -1, reasons });
+    const publish = reasons => ({ decision: 'publish', status: 0, reasons });
+
+    if (signals.is_admin) {
+      return publish(['admin_author']);
+    }
+
+    // Edits of posts in review or rejected go (back) to review
+    if (triggerEvent === 'edit' && currentStatus !== 0) {
+      return queue(['not_published']);
+    }
+
+    if (!policy.auto_publish_enabled) {
+      return queue(['auto_publish_disabled']);
+    }
+
+    // Red flags queue the post regardless of the author
+    const flags = [];
+    if (signals.keyword_hits.length > 0) {
+      flags.push('keyword_hit');
+    }
+    if (signals.link_count > policy.max_links) {
+      flags.push('too_many_links');
+    }
+    if (signals.category && policy.review_categories.includes(signals.category)) {
+      flags.push('review_category');
+    }
+    if (flags.length > 0) {
+      return queue(flags);
+    }
+
+    if (triggerEvent === 'edit') {
+      if (policy.edit_review === 'always') {
+        return queue(['edit_review_always']);
+      }
+      if (policy.edit_review === 'never') {
+        return publish(['edit_review_never']);
+      }
+    }
+
+    const untrusted = [];
+    const decided = signals.approved_count + signals.rejected_count;
+    if (signals.approved_count < policy.trusted_min_approved) {
+      untrusted.push('few_approved_posts');
+    }
+    if (decided > 0 && signals.rejected_count / decided > policy.trusted_max_rejection_rate) {
+      untrusted.push('high_rejection_rate');
+    }
+    if (signals.account_age_days < policy.trusted_min_account_age_days) {
+      untrusted.push('new_account');
+    }
+
+    return untrusted.length > 0 ? queue(untrusted) : publish(['trusted_author']);
+  }
+
+  /**
+   * Collect signals and evaluate a post against the active policy
+   * @async
+   * @function moderatePost
+   * @param {Object} connection - Database connection or pool
+   * @param {Object} post - userId, categoryId, title, content (see collectSignals)
+   * @param {string} post.triggerEvent - 'create' or 'edit'
+   * @param {number|null} post.currentStatus - Status before the edit, null for new posts
+   * @returns {Promise<Object>} { decision, status, reasons, signals, policy_id }
+   * @throws {Error} 'User not found', database errors
+   * @sideEffects None - read-only database operation
+   */
+  async moderatePost(connection, post) {
+    const policy = await this.getPolicy();
+    const signals = await this.collectSignals(connection, post, policy.config.blocked_keywords);
+    const result = this.evaluate(policy.config, signals, post.triggerEvent, post.currentStatus);
+
+    return {
+      ...result,
+      signals,
+      policy_id: policy.id
+    };
+  }
+
+  /**
+   * Store a moderation decision
+   * @async
+   * @function recordDecision
+   * @param {Object} connection - Database connection or pool
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Topic or reply ID
+   * @param {number} userId - Author
+   * @param {string} triggerEvent - 'create' or 'edit'
+   * @param {Object} moderation - Result of moderatePost
+   * @returns {Promise<void>}
+   * @throws {Error} Database errors
+   * @sideEffects Inserts forum_moderation_decisions record
+   */
+  async recordDecision(connection, entityType, entityId, userId, triggerEvent, moderation) {
+    await connection.execute(`
+      INSERT INTO forum_moderation_decisions
+        (entity_type, entity_id, user_id, trigger_event, decision, reasons, signals, policy_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entityType, entityId, userId, triggerEvent, moderation.decision,
+      JSON.stringify(moderation.reasons), JSON.stringify(moderation.signals), moderation.policy_id
+    ]);
+  }
+
+  /**
+   * Paginated decision log, newest first
+   * @async
+   * @function getDecisions
+   * @param {Object} filters
+   * @param {string} filters.entity_type - 'topic' or 'reply'
+   * @param {number} filters.entity_id - Post ID (with entity_type)
+   * @param {number} filters.user_id - Author
+   * @param {string} filters.decision - 'publish' or 'queue'
+   * @param {number} filters.page - Page number (default: 1)
+   * @param {number} filters.limit - Items per page (default: 20, max: 50)
+   * @returns {Promise<Object>} { decisions, pagination }
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getDecisions(filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 50);
+    const conditions = [];
+    const params = [];
+
+    if (filters.entity_type) {
+      conditions.push('d.entity_type = ?');
+      params.push(filters.entity_type);
+    }
+    if (filters.entity_id) {
+      conditions.push('d.entity_id = ?');
+      params.push(parseInt(filters.entity_id));
+    }
+    if (filters.user_id) {
+      conditions.push('d.user_id = ?');
+      params.push(parseInt(filters.user_id));
+    }
+    if (filters.decision) {
+      conditions.push('d.decision = ?');
+      params.push(filters.decision);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [decisions] = await pool.execute(`
+      SELECT d.id, d.entity_type, d.entity_id, d.user_id, u.username AS author_name,
+             d.trigger_event, d.decision, d.reasons, d.signals, d.policy_id, d.created_at
+      FROM forum_moderation_decisions d
+      JOIN users u ON d.user_id = u.id
+      ${where}
+      ORDER BY d.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+
+    const [[{ total }]] = await pool.execute(`
+      SELECT COUNT(*) AS total FROM forum_moderation_decisions d ${where}
+    `, params);
+
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      decisions: decisions.map(decision => ({
+        ...decision,
+        reasons: parse(decision.reasons),
+        signals: parse(decision.signals)
+      })),
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: Number(total),
+        items_per_page: limit
+      }
+    };
+  }
+
+  /**
+   * Newest decision per post
+   * @async
+   * @function getLatestDecisions
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {Array<number>} entityIds - Post IDs
+   * @returns {Promise<Object>} Object with entityId as key and { decision, trigger_event, reasons, created_at } as value
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getLatestDecisions(entityType, entityIds) {
+    if (!entityIds || entityIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = entityIds.map(() => '?').join(',');
+    const [decisions] = await pool.execute(`
+      SELECT d.entity_id, d.decision, d.trigger_event, d.reasons, d.created_at
+      FROM forum_moderation_decisions d
+      JOIN (
+        SELECT MAX(id) AS id FROM forum_moderation_decisions
+        WHERE entity_type = ? AND entity_id IN (${placeholders})
+        GROUP BY entity_id
+      ) latest ON latest.id = d.id
+    `, [entityType, ...entityIds]);
+
+    const byEntity = {};
+    for (const decision of decisions) {
+      byEntity[decision.entity_id] = {
+        decision: decision.decision,
+        trigger_event: decision.trigger_event,
+        reasons: typeof decision.reasons === 'string' ? JSON.parse(decision.reasons) : decision.reasons,
+        created_at: decision.created_at
+      };
+    }
+
+    return byEntity;
+  }
+}
+
+module.exports = new ModerationService();
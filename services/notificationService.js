@@ -0,0 +1,442 @@
+/**
+ * @file services/notificationService.js
+ * @description In-app notification center with live delivery over WebSocket
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service records notifications for forum and chat events and pushes
+ * each new one to the recipient as a 'notification' socket event together
+ * with the new unread count. Recording is best effort: the triggering action
+ * is already committed, so failures are logged and never thrown. Nobody is
+ * notified about their own actions, and deleted, merged or anonymized
+ * accounts do not receive notifications.
+ *
+ * Notification types:
+ * - reply: New published reply in a subscribed topic or to the user's reply
+ * - like: First like of a user on the user's topic or reply
+ * - mention: User was mentioned with @username
+ * - moderation: Admin approved or rejected the user's post
+ * - admin_message: Admin wrote in the user's support conversation
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation
+ * - 2025-10-19: Published replies fan out to topic subscribers instead of the topic author only
+ * - 2025-10-19: Replies fan out on their first publication only, re-approved edits stay quiet
+ *
+ * Functions:
+ * - createNotification(notification): Store and push one notification
+ * - notifyReplyPublished(replyId): Notify parent reply author and topic subscribers
+ * - notifyLike(entityType, entityId, actorId): Notify author about a like
+ * - notifyModeration(entityType, entityId, action, reason, adminId): Notify author about a moderation outcome
+ * - notifyAdminMessage(messageId): Notify conversation owner about an admin message
+ * - getNotifications(userId, filters): Paginated notifications with unread count
+ * - getUnreadCount(userId): Number of unread notifications
+ * - markRead(userId, notificationId): Mark one notification as read
+ * - markAllRead(userId): Mark every notification as read
+ * - formatNotification(row): Format notification row for response
+ *
+ * Dependencies:
+ * - config/database.js: MySQL connection pool
+ * - utils/markdown.js: Plain-text excerpts of forum content
+ * - services/socketService.js: Live delivery, reached through global.socketService
+ */
+
+const pool = require('../config/database');
+const { excerpt } = require('../utils/markdown');
+
+// Length of content previews stored with a notification
+const EXCERPT_LENGTH = 100;
+
+class NotificationService {
+  /**
+   * Store and push one notification
+   * @async
+   * @function createNotification
+   * @param {Object} notification - Notification data
+   * @param {number} notification.userId - Recipient
+   * @param {string} notification.type - reply, like, mention, moderation or admin_message
+   * @param {number|null} notification.actorId - User who caused it, null for the system
+   * @param {string} notification.entityType - 'topic', 'reply' or 'message'
+   * @param {number} notification.entityId - Entity ID
+   * @param {Object} notification.data - Display data (topic_id, title, excerpt, ...)
+   * @returns {Promise<Object|null>} Formatted notification, null when skipped or failed
+   * @sideEffects Inserts a notifications row, emits 'notification' to the recipient
+   */
+  async createNotification({ userId, type, actorId = null, entityType, entityId, data = {} }) {
+    if (!userId || userId === actorId) {
+      return null;
+    }
+
+    try {
+      const [result] = await pool.execute(`
+        INSERT INTO notifications (user_id, type, actor_id, entity_type, entity_id, data)
+        SELECT id, ?, ?, ?, ?, ? FROM users
+        WHERE id = ? AND status >= 0 AND merged_into_user_id IS NULL AND anonymized_at IS NULL
+      `, [type, actorId, entityType, entityId, JSON.stringify(data), userId]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const [rows] = await pool.execute(`
+        SELECT n.*, a.username AS actor_name
+        FROM notifications n
+        LEFT JOIN users a ON n.actor_id = a.id
+        WHERE n.id = ?
+      `, [result.insertId]);
+
+      const notification = this.formatNotification(rows[0]);
+
+      if (global.socketService) {
+        const unreadCount = await this.getUnreadCount(userId);
+        global.socketService.emitToUser(userId, 'notification', { notification, unread_count: unreadCount });
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Error creating notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Notify parent reply author and topic subscribers about a published reply, once per reply
+   * @async
+   * @function notifyReplyPublished
+   * @param {number} replyId - Published reply
+   * @returns {Promise<void>}
+   * @sideEffects Creates one 'reply' notification per recipient unless the reply was announced before
+   */
+  async notifyReplyPublished(replyId) {
+    try {
+      // An edited reply goes back to review, approving it again does not announce it twice
+      const [existing] = await pool.execute(`
+        SELECT id FROM notifications
+        WHERE type = 'reply' AND entity_type = 'reply' AND entity_id = ?
+        LIMIT 1
+      `, [replyId]);
+
+      if (existing.length > 0) {
+        return;
+      }
+
+      const [replies] = await pool.execute(`
+        SELECT r.id, r.user_id, r.content, r.topic_id, t.title, p.user_id AS parent_author_id
+        FROM forum_replies r
+        JOIN forum_topics t ON r.topic_id = t.id
+        LEFT JOIN forum_replies p ON r.parent_reply_id = p.id AND p.status = 0
+        WHERE r.id = ? AND r.status = 0
+      `, [replyId]);
+
+      if (replies.length === 0) {
+        return;
+      }
+
+      const reply = replies[0];
+      const [subscribers] = await pool.execute(`
+        SELECT user_id FROM forum_topic_subscriptions WHERE topic_id = ?
+      `, [reply.topic_id]);
+
+      const data = {
+        topic_id: reply.topic_id,
+        title: reply.title,
+        excerpt: excerpt(reply.content, EXCERPT_LENGTH)
+      };
+
+      // The parent reply author hears about the answer to their reply even without a subscription
+      const recipients = new Set([reply.parent_author_id, ...subscribers.map(row => row.user_id)].filter(Boolean));
+      for (const userId of recipients) {
+        await this.createNotification({
+          userId,
+          type: 'reply',
+          actorId: reply.user_id,
+          entityType: 'reply',
+          entityId: reply.id,
+          data: { ...data, in_reply_to: userId === reply.parent_author_id ? 'reply' : 'topic' }
+        });
+      }
+    } catch (error) {
+      console.error('Error notifying reply:', error);
+    }
+  }
+
+  /**
+   * Notify author about a like, once per user and post
+   * @async
+   * @function notifyLike
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Liked post
+   * @param {number} actorId - User who liked it
+   * @returns {Promise<void>}
+   * @sideEffects Creates a 'like' notification unless the user liked this post before
+   */
+  async notifyLike(entityType, entityId, actorId) {
+    try {
+      // Unlike and like again does not notify twice
+      const [existing] = await pool.execute(`
+        SELECT id FROM notifications
+        WHERE type = 'like' AND entity_type = ? AND entity_id = ? AND actor_id = ?
+        LIMIT 1
+      `, [entityType, entityId, actorId]);
+
+      if (existing.length > 0) {
+        return;
+      }
+
+      const [posts] = entityType === 'topic'
+        ? await pool.execute(`
+            SELECT user_id, id AS topic_id, title, content FROM forum_topics WHERE id = ? AND status = 0
+          `, [entityId])
+        : await pool.execute(`
+            SELECT r.user_id, r.topic_id, t.title, r.content
+            FROM forum_replies r JOIN forum_topics t ON r.topic_id = t.id
+            WHERE r.id = ? AND r.status = 0
+          `, [entityId]);
+
+      if (posts.length === 0) {
+        return;
+      }
+
+      await this.createNotification({
+        userId: posts[0].user_id,
+        type: 'like',
+        actorId,
+        entityType,
+        entityId,
+        data: {
+          topic_id: posts[0].topic_id,
+          title: posts[0].title,
+          excerpt: excerpt(posts[0].content, EXCERPT_LENGTH)
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying like:', error);
+    }
+  }
+
+  /**
+   * Notify author about a moderation outcome
+   * @async
+   * @function notifyModeration
+   * @param {string} entityType - 'topic' or 'reply'
+   * @param {number} entityId - Moderated post
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string|null} reason - Reason given by the admin
+   * @param {number} adminId - Moderating admin
+   * @returns {Promise<void>}
+   * @sideEffects Creates a 'moderation' notification
+   */
+  async notifyModeration(entityType, entityId, action, reason, adminId) {
+    try {
+      const [posts] = entityType === 'topic'
+        ? await pool.execute(`
+            SELECT user_id, id AS topic_id, title, content FROM forum_topics WHERE id = ?
+          `, [entityId])
+        : await pool.execute(`
+            SELECT r.user_id, r.topic_id, t.title, r.content
+            FROM forum_replies r JOIN forum_topics t ON r.topic_id = t.id
+            WHERE r.id = ?
+          `, [entityId]);
+
+      if (posts.length === 0) {
+        return;
+      }
+
+      await this.createNotification({
+        userId: posts[0].user_id,
+        type: 'moderation',
+        actorId: adminId,
+        entityType,
+        entityId,
+        data: {
+          action,
+          reason: reason || null,
+          topic_id: posts[0].topic_id,
+          title: posts[0].title,
+          excerpt: excerpt(posts[0].content, EXCERPT_LENGTH)
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying moderation:', error);
+    }
+  }
+
+  /**
+   * Notify conversation owner about an admin message
+   * @async
+   * @function notifyAdminMessage
+   * @param {number} messageId - Admin message, internal notes are ignored
+   * @returns {Promise<void>}
+   * @sideEffects Creates an 'admin_message' notification
+   */
+  async notifyAdminMessage(messageId) {
+    try {
+      const [messages] = await pool.execute(`
+        SELECT m.id, m.conversation_id, m.admin_id, m.message_type, m.content, c.user_id
+        FROM messages m
+        JOIN conversations c ON m.conversation_id = c.id
+        WHERE m.id = ? AND m.sender_role = 'admin' AND m.message_type <> 'internal_note'
+      `, [messageId]);
+
+      if (messages.length === 0) {
+        return;
+      }
+
+      const message = messages[0];
+      await this.createNotification({
+        userId: message.user_id,
+        type: 'admin_message',
+        actorId: message.admin_id,
+        entityType: 'message',
+        entityId: message.id,
+        data: {
+          conversation_id: message.conversation_id,
+          message_type: message.message_type,
+          excerpt: message.message_type === 'text' ? excerpt(message.content, EXCERPT_LENGTH) : null
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying admin message:', error);
+    }
+  }
+
+  /**
+   * Paginated notifications, newest first
+   * @async
+   * @function getNotifications
+   * @param {number} userId - Recipient
+   * @param {Object} filters - Query filters
+   * @param {number} filters.page - Page number (default: 1)
+   * @param {number} filters.limit - Items per page (default: 20, max: 50)
+   * @param {boolean} filters.unread_only - Only unread notifications
+   * @returns {Promise<Object>} { notifications, unread_count, pagination }
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getNotifications(userId, filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 50);
+    const where = filters.unread_only ? 'WHERE n.user_id = ? AND n.is_read = FALSE' : 'WHERE n.user_id = ?';
+
+    const [rows] = await pool.execute(`
+      SELECT n.*, a.username AS actor_name
+      FROM notifications n
+      LEFT JOIN users a ON n.actor_id = a.id
+      ${where}
+      ORDER BY n.id DESC
+      LIMIT ? OFFSET ?
+    `, [userId, limit, (page - 1) * limit]);
+
+    const [[{ total }]] = await pool.execute(`
+      SELECT COUNT(*) AS total FROM notifications n ${where}
+    `, [userId]);
+
+    const unreadCount = await this.getUnreadCount(userId);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      notifications: rows.map(row => this.formatNotification(row)),
+      unread_count: unreadCount,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: Number(total),
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    };
+  }
+
+  /**
+   * Number of unread notifications
+   * @async
+   * @function getUnreadCount
+   * @param {number} userId - Recipient
+   * @returns {Promise<number>} Unread count
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getUnreadCount(userId) {
+    const [[{ unread }]] = await pool.execute(`
+      SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND is_read = FALSE
+    `, [userId]);
+
+    return Number(unread);
+  }
+
+  /**
+   * Mark one notification as read
+   * @async
+   * @function markRead
+   * @param {number} userId - Recipient, other users' notifications are not found
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<Object>} { id, is_read, unread_count }
+   * @throws {Error} 'Notification not found' or database errors
+   * @sideEffects Sets is_read and read_at
+   */
+  async markRead(userId, notificationId) {
+    const [notifications] = await pool.execute(`
+      SELECT id FROM notifications WHERE id = ? AND user_id = ?
+    `, [notificationId, userId]);
+
+    if (notifications.length === 0) {
+      throw new Error('Notification not found');
+    }
+
+    await pool.execute(`
+      UPDATE notifications SET is_read = TRUE, read_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND is_read = FALSE
+    `, [notificationId]);
+
+    return {
+      id: notificationId,
+      is_read: true,
+      unread_count: await this.getUnreadCount(userId)
+    };
+  }
+
+  /**
+   * Mark every notification as read
+   * @async
+   * @function markAllRead
+   * @param {number} userId - Recipient
+   * @returns {Promise<Object>} { marked, unread_count }
+   * @throws {Error} Database errors
+   * @sideEffects Sets is_read and read_at on all unread notifications of the user
+   */
+  async markAllRead(userId) {
+    const [result] = await pool.execute(`
+      UPDATE notifications SET is_read = TRUE, read_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND is_read = FALSE
+    `, [userId]);
+
+    return {
+      marked: result.affectedRows,
+      unread_count: 0
+    };
+  }
+
+  /**
+   * Format notification row for response
+   * @function formatNotification
+   * @param {Object} row - Notification row joined with actor_name
+   * @returns {Object} { id, type, actor, entity_type, entity_id, data, is_read, read_at, created_at }
+   * @sideEffects None - pure function
+   */
+  formatNotification(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data,
+      is_read: Boolean(row.is_read),
+      read_at: row.read_at,
+      created_at: row.created_at
+    };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,233 @@
+/**
+ * @file services/otpService.js
+ * @description One-time password service for phone verification and password reset
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service generates numeric one-time codes, stores their hashes in Redis
+ * with TTL and attempt counters, delivers them through the SMS transport and
+ * exchanges a correct code for a short-lived verification token that other
+ * flows (registration, password reset) consume exactly once.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with register and reset_password purposes
+ * - 2025-10-19: Verification tokens can be checked without redeeming them
+ *
+ * Functions:
+ * - sendCode(phoneNumber, purpose): Generate, store and deliver a code
+ * - verifyCode(phoneNumber, purpose, code): Check code and issue verification token
+ * - checkVerification(token, purpose, phoneNumber): Check verification token without redeeming it
+ * - consumeVerification(token, purpose, phoneNumber): Redeem verification token once
+ * - hashCode(code): Hash code for storage
+ *
+ * Security Features:
+ * - Only SHA-256 hashes of codes are stored
+ * - Codes expire after config.otp.ttl seconds
+ * - Code is destroyed after config.otp.maxAttempts wrong guesses
+ * - Resend cooldown per phone number and purpose
+ * - Verification tokens are single-use and bound to phone number and purpose
+ *
+ * Dependencies:
+ * - config/redis.js: Code and token storage
+ * - config: OTP lifetimes and limits
+ * - services/smsService.js: Code delivery
+ */
+
+const crypto = require('crypto');
+const redisClient = require('../config/redis.js');
+const config = require('../config');
+const smsService = require('./smsService');
+
+// Supported verification purposes and their message templates
+const PURPOSES = {
+  register: 'Your Home Assistant verification code is {code}. It expires in {minutes} minutes.',
+  reset_password: 'Your Home Assistant password reset code is {code}. It expires in {minutes} minutes. Ignore this message if you did not request it.'
+};
+
+class OtpService {
+  /**
+   * Hash code for storage
+   * @function hashCode
+   * @param {string} code - Plain numeric code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  /**
+   * Generate, store and deliver a one-time code
+   * @async
+   * @function sendCode
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} purpose - 'register' or 'reset_password'
+   * @returns {Promise<Object>} { expiresIn, resendAfter }
+   * @throws {Error} 'Invalid purpose', 'Session service unavailable', 'OTP resend too soon', SMS errors
+   * @sideEffects Writes ha:otp:{purpose}:{phone} and cooldown keys, sends SMS
+   */
+  async sendCode(phoneNumber, purpose) {
+    if (!PURPOSES[purpose]) {
+      throw new Error('Invalid purpose');
+    }
+
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    const client = redisClient.getClient();
+    const codeKey = redisClient.key(`otp:${purpose}:${phoneNumber}`);
+    const cooldownKey = redisClient.key(`otp:${purpose}:${phoneNumber}:cooldown`);
+
+    // Cooldown is set atomically so concurrent requests cannot both send
+    const allowed = await client.set(cooldownKey, '1', { NX: true, EX: config.otp.resendInterval });
+    if (!allowed) {
+      throw new Error('OTP resend too soon');
+    }
+
+    const code = crypto.randomInt(0, 10 ** config.otp.length).toString().padStart(config.otp.length, '0');
+
+    await client.multi()
+      .del(codeKey)
+      .hSet(codeKey, {
+        code_hash: this.hashCode(code),
+        attempts: '0',
+        created_at: Date.now().toString()
+      })
+      .expire(codeKey, config.otp.ttl)
+      .exec();
+
+    const message = PURPOSES[purpose]
+      .replace('{code}', code)
+      .replace('{minutes}', Math.ceil(config.otp.ttl / 60));
+
+    try {
+      await smsService.send(phoneNumber, message);
+    } catch (error) {
+      // Allow an immediate retry when delivery failed
+      await client.del([codeKey, cooldownKey]);
+      throw error;
+    }
+
+    return {
+      expiresIn: config.otp.ttl,
+      resendAfter: config.otp.resendInterval
+    };
+  }
+
+  /**
+   * Check code and issue a single-use verification token
+   * @async
+   * @function verifyCode
+   * @param {string} phoneNumber - Phone number the code was sent to
+   * @param {string} purpose - 'register' or 'reset_password'
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<Object>} { verificationToken, expiresIn }
+   * @throws {Error} 'Invalid purpose', 'Session service unavailable', 'OTP expired',
+   *   'OTP attempts exceeded', 'Invalid OTP'
+   * @sideEffects Increments attempt counter, deletes code on success or when attempts run out,
+   *   writes ha:otp_verified:{token}
+   */
+  async verifyCode(phoneNumber, purpose, code) {
+    if (!PURPOSES[purpose]) {
+      throw new Error('Invalid purpose');
+    }
+
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    const client = redisClient.getClient();
+    const codeKey = redisClient.key(`otp:${purpose}:${phoneNumber}`);
+    const record = await client.hGetAll(codeKey);
+
+    if (!record.code_hash) {
+      throw new Error('OTP expired');
+    }
+
+    // Count the attempt before comparing so parallel guesses are limited too
+    const attempts = await client.hIncrBy(codeKey, 'attempts', 1);
+    if (attempts > config.otp.maxAttempts) {
+      await client.del(codeKey);
+      throw new Error('OTP attempts exceeded');
+    }
+
+    const isValid = typeof code === 'string' && code.length === config.otp.length && crypto.timingSafeEqual(
+      Buffer.from(this.hashCode(code), 'hex'),
+      Buffer.from(record.code_hash, 'hex')
+    );
+
+    if (!isValid) {
+      if (attempts >= config.otp.maxAttempts) {
+        await client.del(codeKey);
+      }
+      throw new Error('Invalid OTP');
+    }
+
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+
+    await client.multi()
+      .del(codeKey)
+      .hSet(redisClient.key(`otp_verified:${verificationToken}`), {
+        phone_number: phoneNumber,
+        purpose
+      })
+      .expire(redisClient.key(`otp_verified:${verificationToken}`), config.otp.verificationTtl)
+      .exec();
+
+    return {
+      verificationToken,
+      expiresIn: config.otp.verificationTtl
+    };
+  }
+
+  /**
+   * Check a verification token without redeeming it
+   * @async
+   * @function checkVerification
+   * @param {string} token - Verification token from verifyCode
+   * @param {string} purpose - Purpose the token must have been issued for
+   * @param {string} phoneNumber - Phone number the token must belong to
+   * @returns {Promise<boolean>} True if token is currently valid for this phone number and purpose
+   * @throws {Error} Redis errors
+   * @sideEffects None - read-only Redis operation
+   */
+  async checkVerification(token, purpose, phoneNumber) {
+    if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      return false;
+    }
+
+    const record = await redisClient.getClient().hGetAll(redisClient.key(`otp_verified:${token}`));
+
+    return record.phone_number === phoneNumber && record.purpose === purpose;
+  }
+
+  /**
+   * Redeem a verification token exactly once
+   * @async
+   * @function consumeVerification
+   * @param {string} token - Verification token from verifyCode
+   * @param {string} purpose - Purpose the token must have been issued for
+   * @param {string} phoneNumber - Phone number the token must belong to
+   * @returns {Promise<boolean>} True if token was valid for this phone number and purpose
+   * @throws {Error} Redis errors
+   * @sideEffects Deletes the verification token
+   */
+  async consumeVerification(token, purpose, phoneNumber) {
+    if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      return false;
+    }
+
+    const client = redisClient.getClient();
+    const tokenKey = redisClient.key(`otp_verified:${token}`);
+
+    const [record] = await client.multi()
+      .hGetAll(tokenKey)
+      .del(tokenKey)
+      .exec();
+
+    return !!record && record.phone_number === phoneNumber && record.purpose === purpose;
+  }
+}
+
+module.exports = new OtpService();
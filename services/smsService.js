@@ -0,0 +1,202 @@
+/**
+ * @file services/smsService.js
+ * @description Pluggable SMS transport for verification codes and notifications
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service delivers text messages through a configurable driver so the
+ * business logic (OTP, notifications) never depends on a specific SMS provider.
+ * Local development uses the console or file driver; production uses the
+ * twilio driver or a provider driver loaded from SMS_DRIVER_MODULE, selected
+ * with SMS_DRIVER. The configuration refuses to start with the development
+ * drivers in production, and server.js checks the driver with assertReady().
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with console and file drivers
+ * - 2025-10-19: Added twilio driver, driver modules from SMS_DRIVER_MODULE and startup check
+ *
+ * Functions:
+ * - registerDriver(name, driver): Register an SMS transport driver
+ * - getDriver(): Resolve the configured driver
+ * - assertReady(): Fail startup when the configured driver cannot send
+ * - send(phoneNumber, message): Deliver a text message
+ * - maskPhoneNumber(phoneNumber): Mask phone number for logs
+ *
+ * Driver Interface:
+ * - send(phoneNumber, message): Promise<{ messageId: string }>
+ *
+ * Built-in Drivers:
+ * - console: Prints messages to stdout (default, development only)
+ * - file: Appends JSON lines to config.sms.filePath (development/testing)
+ * - twilio: Twilio Programmable Messaging REST API (production)
+ *
+ * Dependencies:
+ * - config: SMS driver selection, file path and provider credentials
+ * - axios: Provider HTTP requests
+ * - fs: File driver output
+ * - crypto: Message ID generation
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Console driver - prints the message instead of sending it
+ */
+const consoleDriver = {
+  async send(phoneNumber, message) {
+    const messageId = crypto.randomUUID();
+    console.log(`📱 [SMS:console] to ${phoneNumber} (${messageId}): ${message}`);
+    return { messageId };
+  }
+};
+
+/**
+ * File driver - appends one JSON line per message
+ */
+const fileDriver = {
+  async send(phoneNumber, message) {
+    const messageId = crypto.randomUUID();
+    const filePath = path.resolve(process.cwd(), config.sms.filePath);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify({
+      message_id: messageId,
+      to: phoneNumber,
+      message,
+      sent_at: new Date().toISOString()
+    }) + '\n');
+
+    return { messageId };
+  }
+};
+
+/**
+ * Twilio driver - sends through the Programmable Messaging REST API
+ */
+const twilioDriver = {
+  isConfigured() {
+    const { accountSid, authToken, from } = config.sms.twilio;
+    return !!(accountSid && authToken && from);
+  },
+
+  async send(phoneNumber, message) {
+    const { accountSid, authToken, from } = config.sms.twilio;
+
+    // Twilio expects E.164, local numbers get the default country code
+    const to = phoneNumber.startsWith('+') ? phoneNumber : `+${config.sms.countryCode}${phoneNumber}`;
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: from, Body: message }).toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }
+    );
+
+    return { messageId: response.data.sid };
+  }
+};
+
+class SmsService {
+  constructor() {
+    this.drivers = new Map([
+      ['console', consoleDriver],
+      ['file', fileDriver],
+      ['twilio', twilioDriver]
+    ]);
+
+    // Provider drivers outside this repository register under the SMS_DRIVER name
+    if (config.sms.driverModule) {
+      this.registerDriver(config.sms.driver, require(path.resolve(process.cwd(), config.sms.driverModule)));
+    }
+  }
+
+  /**
+   * Register an SMS transport driver
+   * @function registerDriver
+   * @param {string} name - Driver name referenced by SMS_DRIVER
+   * @param {Object} driver - Object implementing send(phoneNumber, message)
+   * @throws {Error} If driver does not implement send()
+   * @sideEffects Adds or replaces driver in registry
+   */
+  registerDriver(name, driver) {
+    if (!driver || typeof driver.send !== 'function') {
+      throw new Error(`SMS driver "${name}" must implement send(phoneNumber, message)`);
+    }
+
+    this.drivers.set(name, driver);
+  }
+
+  /**
+   * Resolve the configured driver
+   * @function getDriver
+   * @returns {Object} SMS driver
+   * @throws {Error} If configured driver is not registered
+   */
+  getDriver() {
+    const driver = this.drivers.get(config.sms.driver);
+
+    if (!driver) {
+      throw new Error(`SMS driver "${config.sms.driver}" is not registered`);
+    }
+
+    return driver;
+  }
+
+  /**
+   * Fail startup when the configured driver cannot send
+   * @function assertReady
+   * @returns {string} Name of the configured driver
+   * @throws {Error} If the driver is not registered or its provider credentials are missing
+   */
+  assertReady() {
+    const driver = this.getDriver();
+
+    if (typeof driver.isConfigured === 'function' && !driver.isConfigured()) {
+      throw new Error(`SMS driver "${config.sms.driver}" is missing its provider configuration`);
+    }
+
+    return config.sms.driver;
+  }
+
+  /**
+   * Deliver a text message
+   * @async
+   * @function send
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} { messageId, driver }
+   * @throws {Error} Driver or transport errors
+   * @sideEffects Sends SMS through configured driver
+   */
+  async send(phoneNumber, message) {
+    const driver = this.getDriver();
+    const result = await driver.send(phoneNumber, message);
+
+    console.log(`📱 SMS sent to ${this.maskPhoneNumber(phoneNumber)} via ${config.sms.driver}`);
+    return { messageId: result.messageId, driver: config.sms.driver };
+  }
+
+  /**
+   * Mask phone number for logs
+   * @function maskPhoneNumber
+   * @param {string} phoneNumber - Phone number
+   * @returns {string} Phone number with middle digits hidden
+   */
+  maskPhoneNumber(phoneNumber) {
+    if (!phoneNumber || phoneNumber.length < 7) {
+      return '****';
+    }
+
+    return `${phoneNumber.slice(0, 3)}****${phoneNumber.slice(-4)}`;
+  }
+}
+
+module.exports = new SmsService();
@@ -3,11 +3,16 @@
  * @description Socket.io service for real-time messaging functionality
  * @author Michael Lee
  * @created 2025-07-14
- * @modified 2025-07-14
+ * @modified 2025-10-19
  * 
  * This service handles WebSocket connections for real-time messaging between
  * users and admins. It provides room-based messaging, typing indicators,
  * and connection management.
+ *
+ * Modification Log:
+ * - 2025-10-19: Authenticated handshakes with bearer session tokens
+ * - 2025-10-19: Admin flag from users.status, sockets disconnected when their session is revoked
+ * - 2025-10-19: Admin messages add a notification for the conversation owner
  * 
  * Functions:
  * - initializeSocket(server): Initialize Socket.io with HTTP server
@@ -19,16 +24,20 @@
  * - handleDisconnect(socket): Handle client disconnection
  * - emitToConversation(conversationId, event, data): Emit to conversation room
  * - emitToUser(userId, event, data): Emit to specific user
+ * - disconnectSession(sessionId): Disconnect all sockets opened with a session
  * 
  * Dependencies:
  * - socket.io: WebSocket library
  * - config/database.js: Database connection
- * - middleware/userAuth.js: Authentication utilities
+ * - services/authService.js: Session token resolution
+ * - services/notificationService.js: 'admin_message' notifications
  */
 
 const { Server } = require('socket.io');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const pool = require('../config/database');
+const authService = require('./authService');
+const notificationService = require('./notificationService');
 
 class SocketService {
   constructor() {
@@ -101,8 +110,6 @@ class SocketService {
   async authenticateSocket(socket, next) {
     try {
       console.log('🔍 WebSocket authentication attempt from:', socket.handshake.address);
-      console.log('🔍 Auth data:', socket.handshake.auth);
-      console.log('🔍 Query params:', socket.handshake.query);
 
       // Try auth first, then query params as fallback
       const token = socket.handshake.auth.token || socket.handshake.query.token;
@@ -112,20 +119,21 @@ class SocketService {
         return next(new Error('Authentication token required'));
       }
 
-      // Verify JWT token (assuming you have JWT auth)
-      // For now, we'll use a simple user_id from token
-      const userId = parseInt(token);
+      // Resolve the same bearer session token used for HTTP requests
+      const resolved = await authService.resolveSessionToken(token);
 
-      if (!userId || isNaN(userId)) {
-        console.log('❌ Authentication failed: Invalid token format:', token);
+      if (!resolved) {
+        console.log('❌ Authentication failed: Invalid or expired session token');
         return next(new Error('Invalid authentication token'));
       }
 
+      const userId = resolved.userId;
+
       console.log('🔍 Checking user ID:', userId);
 
       // Verify user exists in database
       const [users] = await pool.execute(
-        'SELECT id, username, device_id FROM users WHERE id = ? AND status >= 0',
+        'SELECT id, username, device_id, status FROM users WHERE id = ? AND status >= 0',
         [userId]
       );
 
@@ -138,7 +146,11 @@ class SocketService {
 
       // Attach user info to socket
       socket.userId = userId;
+      socket.sessionId = resolved.sessionId;
       socket.userInfo = users[0];
+
+      // Admin rooms need the same completed second factor as the admin HTTP API
+      socket.isAdmin = users[0].status === 87 && !!resolved.session.mfa_verified_at;
       next();
     } catch (error) {
       console.error('❌ Socket authentication error:', error);
@@ -153,7 +165,7 @@ class SocketService {
   handleConnection(socket) {
     const userId = socket.userId;
     const userInfo = socket.userInfo;
-    const isAdmin = userInfo.status === 87;
+    const isAdmin = socket.isAdmin;
 
     console.log(`🔗 User ${userId} (${userInfo.username}) connected via WebSocket${isAdmin ? ' [ADMIN]' : ''}`);
 
@@ -161,6 +173,9 @@ class SocketService {
     this.connectedUsers.set(userId, socket.id);
     this.socketUsers.set(socket.id, { userId, isAdmin });
 
+    // Session room lets disconnectSession reach this socket from any worker
+    socket.join(`session_${socket.sessionId}`);
+
     // Update WebSocket metrics
     if (global.metricsService) {
       console.log('📊 Incrementing WebSocket connection metrics...');
@@ -370,10 +385,15 @@ class SocketService {
    * @param {Object} socket - Socket.io socket object
    */
   handleDisconnect(socket) {
-    const userId = this.socketUsers.get(socket.id);
+    const socketUser = this.socketUsers.get(socket.id);
 
-    if (userId) {
-      this.connectedUsers.delete(userId);
+    if (socketUser) {
+      const userId = socketUser.userId;
+
+      // Keep the entry when the user already reconnected with a newer socket
+      if (this.connectedUsers.get(userId) === socket.id) {
+        this.connectedUsers.delete(userId);
+      }
       this.socketUsers.delete(socket.id);
       console.log(`🔌 User ${userId} disconnected from WebSocket`);
 
@@ -414,6 +434,18 @@ class SocketService {
     }
   }
 
+  /**
+   * Disconnect all sockets opened with a session
+   * @param {string} sessionId - Revoked or logged out session
+   */
+  disconnectSession(sessionId) {
+    if (this.io && sessionId) {
+      // Goes through the Redis adapter, sockets on other workers are closed too
+      this.io.in(`session_${sessionId}`).disconnectSockets(true);
+      console.log(`🔌 Disconnected WebSocket clients of session ${sessionId}`);
+    }
+  }
+
   /**
    * Join admin rooms for dashboard and notifications
    * @param {Object} socket - Socket.io socket object
@@ -536,6 +568,7 @@ class SocketService {
 
       // Emit to conversation room
       this.emitToConversation(conversationId, 'new_message', messageData);
+      await notificationService.notifyAdminMessage(result.insertId);
 
       console.log(`💬 Admin message sent by admin in conversation ${conversationId}`);
       return messageData;
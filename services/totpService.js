@@ -0,0 +1,457 @@
+/**
+ * @file services/totpService.js
+ * @description TOTP two-factor authentication with recovery codes for admin accounts
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service implements RFC 6238 time-based one-time passwords (30 second
+ * steps, 6 digits, HMAC-SHA1) compatible with common authenticator apps.
+ * Enrollment is a two step flow: a pending secret and recovery codes are kept
+ * in Redis until the admin proves possession of the secret with a first code,
+ * only then are they written to the database.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with enrollment, verification and recovery codes
+ *
+ * Functions:
+ * - generateSecret(): Generate random base32 secret
+ * - base32Encode(buffer) / base32Decode(secret): RFC 4648 base32 conversion
+ * - generateCode(secret, step): HOTP code for a time step
+ * - findMatchingStep(secret, code): Time step matching a code within the drift window
+ * - buildOtpauthUri(accountName, secret): otpauth:// URI for QR codes
+ * - generateRecoveryCodes(): Generate single-use recovery codes
+ * - hashRecoveryCode(code): Hash recovery code for storage
+ * - getStatus(userId): Enrollment status and remaining recovery codes
+ * - startEnrollment(userId, accountName): Create pending secret and recovery codes
+ * - confirmEnrollment(userId, code): Activate pending secret with a first code
+ * - verify(userId, code, recoveryCode): Verify TOTP or recovery code
+ * - checkAttempts(userId) / recordFailedAttempt(userId): Failed verification limit
+ * - claimStep(userId, step): Accept each time step once
+ *
+ * Security Features:
+ * - Each time step is accepted only once per user (replay protection)
+ * - Failed verifications are limited per user within a time window
+ * - Recovery codes are stored as SHA-256 hashes and can be used once
+ *
+ * Dependencies:
+ * - config/database.js: Secret and recovery code storage
+ * - config/redis.js: Pending enrollments, used steps and attempt counters
+ * - config: TOTP issuer, drift window and limits
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const redisClient = require('../config/redis.js');
+const config = require('../config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+class TotpService {
+  /**
+   * Encode buffer as base32 without padding
+   * @function base32Encode
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode base32 string
+   * @function base32Decode
+   * @param {string} secret - Base32 string (padding and case are ignored)
+   * @returns {Buffer} Decoded bytes
+   * @throws {Error} 'Invalid base32 secret'
+   */
+  base32Decode(secret) {
+    const cleaned = secret.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate random base32 secret (160 bits)
+   * @function generateSecret
+   * @returns {string} Base32 secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * HOTP code for a time step
+   * @function generateCode
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step (unix seconds / 30)
+   * @returns {string} Zero-padded numeric code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+  }
+
+  /**
+   * Time step matching a code within the drift window
+   * @function findMatchingStep
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} Matching time step or null
+   */
+  findMatchingStep(secret, code) {
+    if (typeof code !== 'string' || !/^[0-9]{6}$/.test(code)) {
+      return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+    for (let drift = -config.totp.window; drift <= config.totp.window; drift++) {
+      const step = currentStep + drift;
+      const expected = this.generateCode(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for QR codes
+   * @function buildOtpauthUri
+   * @param {string} accountName - Account label shown in the authenticator app
+   * @param {string} secret - Base32 secret
+   * @returns {string} otpauth URI
+   */
+  buildOtpauthUri(accountName, secret) {
+    const issuer = config.totp.issuer;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(CODE_DIGITS),
+      period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate single-use recovery codes
+   * @function generateRecoveryCodes
+   * @returns {string[]} Codes formatted as xxxxx-xxxxx
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+
+    for (let i = 0; i < config.totp.recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return codes;
+  }
+
+  /**
+   * Hash recovery code for storage
+   * @function hashRecoveryCode
+   * @param {string} code - Recovery code (dashes and case are ignored)
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Enrollment status and remaining recovery codes
+   * @async
+   * @function getStatus
+   * @param {number} userId - Admin user ID
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getStatus(userId) {
+    const [users] = await pool.execute(
+      'SELECT totp_enabled_at FROM users WHERE id = ?',
+      [userId]
+    );
+
+    const enabledAt = users.length > 0 ? users[0].totp_enabled_at : null;
+
+    const [codes] = await pool.execute(
+      'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+
+    return {
+      enabled: !!enabledAt,
+      enabledAt,
+      recoveryCodesRemaining: enabledAt ? codes[0].remaining : 0
+    };
+  }
+
+  /**
+   * Create pending secret and recovery codes
+   * @async
+   * @function startEnrollment
+   * @param {number} userId - Admin user ID
+   * @param {string} accountName - Account label for the authenticator app
+   * @returns {Promise<Object>} { secret, otpauthUri, recoveryCodes, expiresIn }
+   * @throws {Error} 'TOTP already enabled', 'Session service unavailable'
+   * @sideEffects Writes ha:totp_pending:{user_id}
+   */
+  async startEnrollment(userId, accountName) {
+    const status = await this.getStatus(userId);
+    if (status.enabled) {
+      throw new Error('TOTP already enabled');
+    }
+
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    const secret = this.generateSecret();
+    const recoveryCodes = this.generateRecoveryCodes();
+    const pendingKey = redisClient.key(`totp_pending:${userId}`);
+
+    await redisClient.getClient().multi()
+      .del(pendingKey)
+      .hSet(pendingKey, {
+        secret,
+        recovery_hashes: JSON.stringify(recoveryCodes.map(code => this.hashRecoveryCode(code)))
+      })
+      .expire(pendingKey, config.totp.enrollmentTtl)
+      .exec();
+
+    return {
+      secret,
+      otpauthUri: this.buildOtpauthUri(accountName, secret),
+      recoveryCodes,
+      expiresIn: config.totp.enrollmentTtl
+    };
+  }
+
+  /**
+   * Activate pending secret with a first code
+   * @async
+   * @function confirmEnrollment
+   * @param {number} userId - Admin user ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} { enabled: true, recoveryCodesRemaining }
+   * @throws {Error} 'Session service unavailable', 'Too many TOTP attempts',
+   *   'No pending TOTP enrollment', 'Invalid TOTP code'
+   * @sideEffects Stores secret and recovery code hashes, deletes pending enrollment
+   */
+  async confirmEnrollment(userId, code) {
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    await this.checkAttempts(userId);
+
+    const client = redisClient.getClient();
+    const pendingKey = redisClient.key(`totp_pending:${userId}`);
+    const pending = await client.hGetAll(pendingKey);
+
+    if (!pending.secret) {
+      throw new Error('No pending TOTP enrollment');
+    }
+
+    const step = this.findMatchingStep(pending.secret, code);
+    if (step === null || !(await this.claimStep(userId, step))) {
+      await this.recordFailedAttempt(userId);
+      throw new Error('Invalid TOTP code');
+    }
+
+    const recoveryHashes = JSON.parse(pending.recovery_hashes);
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        'UPDATE users SET totp_secret = ?, totp_enabled_at = NOW() WHERE id = ?',
+        [pending.secret, userId]
+      );
+
+      await connection.execute(
+        'DELETE FROM user_recovery_codes WHERE user_id = ?',
+        [userId]
+      );
+
+      for (const codeHash of recoveryHashes) {
+        await connection.execute(
+          'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+          [userId, codeHash]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await client.del([pendingKey, redisClient.key(`totp_attempts:${userId}`)]);
+
+    return {
+      enabled: true,
+      recoveryCodesRemaining: recoveryHashes.length
+    };
+  }
+
+  /**
+   * Verify TOTP or recovery code
+   * @async
+   * @function verify
+   * @param {number} userId - Admin user ID
+   * @param {string|null} code - Code from the authenticator app
+   * @param {string|null} recoveryCode - Recovery code (used when code is not given)
+   * @returns {Promise<Object>} { method: 'totp'|'recovery_code', recoveryCodesRemaining }
+   * @throws {Error} 'Session service unavailable', 'TOTP not enabled', 'Too many TOTP attempts', 'Invalid TOTP code'
+   * @sideEffects Claims the time step or marks the recovery code used, counts failed attempts
+   */
+  async verify(userId, code, recoveryCode = null) {
+    if (!redisClient.isReady()) {
+      throw new Error('Session service unavailable');
+    }
+
+    const [users] = await pool.execute(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (users.length === 0 || !users[0].totp_enabled_at || !users[0].totp_secret) {
+      throw new Error('TOTP not enabled');
+    }
+
+    await this.checkAttempts(userId);
+
+    if (code) {
+      const step = this.findMatchingStep(users[0].totp_secret, code);
+
+      if (step !== null && await this.claimStep(userId, step)) {
+        await redisClient.getClient().del(redisClient.key(`totp_attempts:${userId}`));
+        const status = await this.getStatus(userId);
+        return { method: 'totp', recoveryCodesRemaining: status.recoveryCodesRemaining };
+      }
+    } else if (recoveryCode) {
+      const [result] = await pool.execute(
+        'UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [userId, this.hashRecoveryCode(recoveryCode)]
+      );
+
+      if (result.affectedRows > 0) {
+        await redisClient.getClient().del(redisClient.key(`totp_attempts:${userId}`));
+        const status = await this.getStatus(userId);
+        return { method: 'recovery_code', recoveryCodesRemaining: status.recoveryCodesRemaining };
+      }
+    }
+
+    await this.recordFailedAttempt(userId);
+    throw new Error('Invalid TOTP code');
+  }
+
+  /**
+   * Reject verification while the failed attempt limit is reached
+   * @async
+   * @function checkAttempts
+   * @param {number} userId - Admin user ID
+   * @throws {Error} 'Too many TOTP attempts'
+   */
+  async checkAttempts(userId) {
+    const attempts = parseInt(await redisClient.getClient().get(redisClient.key(`totp_attempts:${userId}`))) || 0;
+
+    if (attempts >= config.totp.maxAttempts) {
+      throw new Error('Too many TOTP attempts');
+    }
+  }
+
+  /**
+   * Count a failed verification
+   * @async
+   * @function recordFailedAttempt
+   * @param {number} userId - Admin user ID
+   * @sideEffects Increments ha:totp_attempts:{user_id}
+   */
+  async recordFailedAttempt(userId) {
+    const key = redisClient.key(`totp_attempts:${userId}`);
+
+    await redisClient.getClient().multi()
+      .incr(key)
+      .expire(key, Math.ceil(config.rateLimit.windowMs / 1000))
+      .exec();
+  }
+
+  /**
+   * Accept each time step only once per user
+   * @async
+   * @function claimStep
+   * @param {number} userId - Admin user ID
+   * @param {number} step - Matched time step
+   * @returns {Promise<boolean>} False if the step was already used
+   * @sideEffects Writes ha:totp_used:{user_id}:{step}
+   */
+  async claimStep(userId, step) {
+    const claimed = await redisClient.getClient().set(
+      redisClient.key(`totp_used:${userId}:${step}`),
+      '1',
+      { NX: true, EX: STEP_SECONDS * (2 * config.totp.window + 1) }
+    );
+
+    return !!claimed;
+  }
+}
+
+module.exports = new TotpService();
@@ -3,16 +3,20 @@
  * @description File upload service for forum attachments with local storage
  * @author Michael Lee
  * @created 2025-07-10
- * @modified 2025-07-10
+ * @modified 2025-10-19
  * 
  * This service handles instant file uploads for forum topics and replies,
  * storing files locally with date-based directory structure and encrypted filenames.
+ * User avatars are stored the same way, as square crops in several sizes.
  * 
  * Modification Log:
  * - 2025-07-10: Initial implementation with local storage and security features
+ * - 2025-10-19: Added avatar upload with square crop in several sizes
  * 
  * Functions:
  * - uploadFile(fileData, metadata): Process instant file upload
+ * - uploadAvatar(fileData, userId): Store square avatar in all avatar sizes
+ * - getStoredFilePaths(fileRecord): All files on disk of an upload record
  * - validateFile(file): Validate file type, size, and security
  * - generateSecureFilename(originalName): Create encrypted filename
  * - createDatePath(): Generate date-based directory path
@@ -63,6 +67,11 @@ class UploadService {
     };
     this.imageTypes = ['image/jpeg', 'image/png', 'image/gif'];
     this.publicUrlBase = '/uploads/forum';
+    this.avatarBasePath = path.join(process.cwd(), 'uploads', 'avatars');
+    this.avatarUrlBase = '/uploads/avatars';
+    this.avatarMaxFileSize = 5 * 1024 * 1024; // 5MB
+    // Edge length in pixels of each generated avatar
+    this.avatarSizes = { small: 64, medium: 256, large: 512 };
   }
 
   /**
@@ -174,6 +183,123 @@ class UploadService {
     }
   }
 
+  /**
+   * Store uploaded image as square avatar in all avatar sizes
+   * @async
+   * @function uploadAvatar
+   * @param {Object} fileData - Multer file object (JPEG, PNG or GIF)
+   * @param {number} userId - Avatar owner
+   * @returns {Promise<Object>} { file_id, upload_id, sizes: { small, medium, large } } with public URLs
+   * @throws {Error} Validation or image processing errors
+   * @sideEffects Creates one JPEG per size on disk and a forum_uploads record (entity_type 'avatar'),
+   *   removes the temporary upload
+   */
+  async uploadAvatar(fileData, userId) {
+    if (fileData.size > this.avatarMaxFileSize) {
+      await fs.unlink(fileData.path).catch(() => {});
+      throw new Error(`File size exceeds maximum limit of ${this.avatarMaxFileSize / (1024 * 1024)}MB`);
+    }
+
+    if (!this.imageTypes.includes(fileData.mimetype)) {
+      await fs.unlink(fileData.path).catch(() => {});
+      throw new Error(`Unsupported file type. Allowed: ${this.imageTypes.join(', ')}`);
+    }
+
+    const datePath = this.createDatePath();
+    const fullDirPath = path.join(this.avatarBasePath, datePath);
+    const baseName = path.basename(this.generateSecureFilename(fileData.originalname), path.extname(fileData.originalname));
+    const sizes = {};
+    const createdFiles = [];
+
+    await this.ensureDirectoryExists(fullDirPath);
+
+    try {
+      await this.validateFile(fileData);
+
+      for (const [name, edge] of Object.entries(this.avatarSizes)) {
+        const filename = `${baseName}_${edge}.jpg`;
+        const filePath = path.join(fullDirPath, filename);
+
+        // rotate() applies EXIF orientation before the centre crop
+        await sharp(fileData.path)
+          .rotate()
+          .resize(edge, edge, { fit: 'cover', position: 'centre' })
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: 85, progressive: true })
+          .toFile(filePath);
+
+        createdFiles.push(filePath);
+        sizes[name] = `${this.avatarUrlBase}/${datePath}/${filename}`.replace(/\\/g, '/');
+      }
+
+      const largestPath = createdFiles[createdFiles.length - 1];
+      const fileInfo = await this.getFileInfo(largestPath);
+      const uploadId = `upload_${crypto.randomBytes(8).toString('hex')}_${Date.now()}`;
+
+      const [result] = await pool.execute(`
+        INSERT INTO forum_uploads (
+          user_id, upload_id, filename, original_filename, file_size,
+          mime_type, file_path, file_url, entity_type, entity_id, status, metadata
+        ) VALUES (?, ?, ?, ?, ?, 'image/jpeg', ?, ?, 'avatar', ?, 1, ?)
+      `, [
+        userId,
+        uploadId,
+        path.basename(largestPath),
+        fileData.originalname,
+        fileInfo.size,
+        largestPath,
+        sizes.large,
+        userId,
+        JSON.stringify({
+          width: fileInfo.width,
+          height: fileInfo.height,
+          optimized: true,
+          sizes
+        })
+      ]);
+
+      return {
+        file_id: result.insertId,
+        upload_id: uploadId,
+        sizes
+      };
+    } catch (error) {
+      for (const filePath of createdFiles) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+      throw error;
+    } finally {
+      await fs.unlink(fileData.path).catch(() => {});
+    }
+  }
+
+  /**
+   * All files on disk of an upload record
+   * Avatars keep one file per size next to file_path, listed in metadata.sizes.
+   * @function getStoredFilePaths
+   * @param {Object} fileRecord - forum_uploads row with file_path and metadata
+   * @returns {Array<string>} Absolute file paths
+   * @sideEffects None - pure function
+   */
+  getStoredFilePaths(fileRecord) {
+    const metadata = typeof fileRecord.metadata === 'string'
+      ? JSON.parse(fileRecord.metadata)
+      : (fileRecord.metadata || {});
+    const filePaths = [fileRecord.file_path];
+
+    if (metadata.sizes) {
+      const dirPath = path.dirname(fileRecord.file_path);
+      Object.values(metadata.sizes).forEach(url => {
+        const filePath = path.join(dirPath, path.basename(url));
+        if (!filePaths.includes(filePath)) {
+          filePaths.push(filePath);
+        }
+      });
+    }
+
+    return filePaths;
+  }
+
   /**
    * Validate uploaded file
    * @async
@@ -345,7 +471,7 @@ class UploadService {
       
       // Get file info and verify ownership
       const [files] = await connection.execute(`
-        SELECT file_path, user_id FROM forum_uploads WHERE id = ?
+        SELECT file_path, user_id, metadata FROM forum_uploads WHERE id = ?
       `, [fileId]);
       
       if (files.length === 0) {
@@ -364,11 +490,13 @@ class UploadService {
       
       await connection.commit();
       
-      // Delete physical file
-      try {
-        await fs.unlink(files[0].file_path);
-      } catch (fsError) {
-        console.warn('Failed to delete physical file:', fsError.message);
+      // Delete physical files
+      for (const filePath of this.getStoredFilePaths(files[0])) {
+        try {
+          await fs.unlink(filePath);
+        } catch (fsError) {
+          console.warn('Failed to delete physical file:', fsError.message);
+        }
       }
       
       return true;
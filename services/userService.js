@@ -0,0 +1,232 @@
+/**
+ * @file services/userService.js
+ * @description User profiles with display name, bio, avatar and forum stats
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This service reads and updates the public profile of a user. The username
+ * is chosen once at registration; display name, bio and avatar can be changed
+ * at any time. Avatars are stored by uploadService as forum_uploads rows with
+ * entity_type 'avatar' and referenced by users.avatar_upload_id.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation with profile, stats and avatar
+ * - 2025-10-19: Accepted answers in forum stats
+ *
+ * Functions:
+ * - getProfile(userId, includePrivate): Profile with avatar URLs and forum stats
+ * - getStats(userId): Published topic and reply counts, likes received and accepted answers
+ * - updateProfile(userId, fields): Change display name and bio
+ * - setAvatar(userId, fileData): Store new avatar and delete the previous one
+ * - removeAvatar(userId): Delete current avatar
+ *
+ * Dependencies:
+ * - config/database.js: MySQL connection pool
+ * - services/uploadService: Avatar storage
+ */
+
+const pool = require('../config/database');
+const uploadService = require('./uploadService');
+
+class UserService {
+  /**
+   * Profile with avatar URLs and forum stats
+   * @async
+   * @function getProfile
+   * @param {number} userId - Profile owner
+   * @param {boolean} includePrivate - Include phone number and account status (own profile only)
+   * @returns {Promise<Object|null>} Profile or null if the user does not exist or is deleted
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getProfile(userId, includePrivate = false) {
+    const [users] = await pool.execute(
+      `SELECT u.id, u.username, u.display_name, u.bio, u.phone_number, u.status, u.created_at,
+              a.metadata AS avatar_metadata
+       FROM users u
+       LEFT JOIN forum_uploads a ON a.id = u.avatar_upload_id AND a.status = 1
+       WHERE u.id = ? AND u.status >= 0`,
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return null;
+    }
+
+    const user = users[0];
+    const avatarMetadata = typeof user.avatar_metadata === 'string'
+      ? JSON.parse(user.avatar_metadata)
+      : user.avatar_metadata;
+
+    const profile = {
+      id: user.id,
+      username: user.username,
+      display_name: user.display_name,
+      bio: user.bio,
+      avatar: avatarMetadata && avatarMetadata.sizes ? avatarMetadata.sizes : null,
+      is_admin: user.status === 87,
+      created_at: user.created_at,
+      stats: await this.getStats(userId)
+    };
+
+    if (includePrivate) {
+      profile.phone_number = user.phone_number;
+      profile.is_anonymous = !user.phone_number;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Published topic and reply counts, likes received and accepted answers
+   * @async
+   * @function getStats
+   * @param {number} userId - Author
+   * @returns {Promise<Object>} { topic_count, reply_count, likes_received, accepted_answers }
+   * @throws {Error} Database errors
+   * @sideEffects None - read-only database operation
+   */
+  async getStats(userId) {
+    const [[topics]] = await pool.execute(
+      'SELECT COUNT(*) AS count, COALESCE(SUM(like_count), 0) AS likes FROM forum_topics WHERE user_id = ? AND status = 0',
+      [userId]
+    );
+    const [[replies]] = await pool.execute(
+      'SELECT COUNT(*) AS count, COALESCE(SUM(like_count), 0) AS likes FROM forum_replies WHERE user_id = ? AND status = 0',
+      [userId]
+    );
+    // Replies of the user marked as the solution of a published topic
+    const [[answers]] = await pool.execute(
+      `SELECT COUNT(*) AS count FROM forum_topics t
+       JOIN forum_replies r ON r.id = t.solution_reply_id AND r.status = 0
+       WHERE r.user_id = ? AND t.status = 0`,
+      [userId]
+    );
+
+    return {
+      topic_count: Number(topics.count),
+      reply_count: Number(replies.count),
+      likes_received: Number(topics.likes) + Number(replies.likes),
+      accepted_answers: Number(answers.count)
+    };
+  }
+
+  /**
+   * Change display name and bio
+   * @async
+   * @function updateProfile
+   * @param {number} userId - Profile owner
+   * @param {Object} fields - Validated display_name and/or bio; empty string or null clears a field
+   * @returns {Promise<Object>} Updated profile
+   * @throws {Error} 'User not found', database errors
+   * @sideEffects Updates users row, logs profile_updated activity
+   */
+  async updateProfile(userId, fields) {
+    const updates = [];
+    const params = [];
+
+    ['display_name', 'bio'].forEach(field => {
+      if (fields[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(fields[field] || null);
+      }
+    });
+
+    const [result] = await pool.execute(
+      `UPDATE users SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ? AND status >= 0`,
+      [...params, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('User not found');
+    }
+
+    await pool.execute(
+      'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 4, "profile_updated", ?)',
+      [userId, JSON.stringify({ fields: Object.keys(fields).filter(field => fields[field] !== undefined) })]
+    );
+
+    return this.getProfile(userId, true);
+  }
+
+  /**
+   * Store new avatar and delete the previous one
+   * @async
+   * @function setAvatar
+   * @param {number} userId - Avatar owner
+   * @param {Object} fileData - Multer file object
+   * @returns {Promise<Object>} Avatar URLs { small, medium, large }
+   * @throws {Error} 'User not found', upload validation errors, database errors
+   * @sideEffects Creates avatar files and forum_uploads record, updates users.avatar_upload_id,
+   *   deletes the previous avatar files, logs avatar_updated activity
+   */
+  async setAvatar(userId, fileData) {
+    const [users] = await pool.execute(
+      'SELECT avatar_upload_id FROM users WHERE id = ? AND status >= 0',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const avatar = await uploadService.uploadAvatar(fileData, userId);
+
+    await pool.execute(
+      'UPDATE users SET avatar_upload_id = ?, updated_at = NOW() WHERE id = ?',
+      [avatar.file_id, userId]
+    );
+
+    await pool.execute(
+      'INSERT INTO user_logs (user_id, action_type, action, metadata) VALUES (?, 4, "avatar_updated", ?)',
+      [userId, JSON.stringify({ upload_id: avatar.file_id })]
+    );
+
+    if (users[0].avatar_upload_id) {
+      await uploadService.deleteFile(users[0].avatar_upload_id, userId).catch(error => {
+        console.warn('Failed to delete previous avatar:', error.message);
+      });
+    }
+
+    return avatar.sizes;
+  }
+
+  /**
+   * Delete current avatar
+   * @async
+   * @function removeAvatar
+   * @param {number} userId - Avatar owner
+   * @returns {Promise<boolean>} True if an avatar was removed
+   * @throws {Error} Database errors
+   * @sideEffects Clears users.avatar_upload_id, deletes avatar files, logs avatar_removed activity
+   */
+  async removeAvatar(userId) {
+    const [users] = await pool.execute(
+      'SELECT avatar_upload_id FROM users WHERE id = ? AND status >= 0',
+      [userId]
+    );
+
+    if (users.length === 0 || !users[0].avatar_upload_id) {
+      return false;
+    }
+
+    await pool.execute(
+      'UPDATE users SET avatar_upload_id = NULL, updated_at = NOW() WHERE id = ?',
+      [userId]
+    );
+
+    await pool.execute(
+      'INSERT INTO user_logs (user_id, action_type, action) VALUES (?, 4, "avatar_removed")',
+      [userId]
+    );
+
+    await uploadService.deleteFile(users[0].avatar_upload_id, userId).catch(error => {
+      console.warn('Failed to delete avatar:', error.message);
+    });
+
+    return true;
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,97 @@
+/**
+ * @file utils/diff.js
+ * @description Line-level text diff for forum revision history
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * This utility compares two texts line by line using the longest common
+ * subsequence of their lines. Shared leading and trailing lines are matched
+ * first; when the remaining block would need a table larger than
+ * MAX_DIFF_CELLS, it is reported as a whole replacement instead.
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation
+ * - 2025-10-19: Trim common lines and cap the LCS table size
+ *
+ * Functions:
+ * - diffLines(before, after): Line operations turning before into after
+ */
+
+// Largest LCS table built per diff; bigger changes become a whole replacement
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Line operations turning one text into another
+ * @function diffLines
+ * @param {string|null} before - Previous text
+ * @param {string|null} after - New text
+ * @returns {Array<Object>} Operations in order, each { type: 'equal'|'added'|'removed', line }
+ */
+const diffLines = (before, after) => {
+  const oldLines = before ? String(before).split(/\r?\n/) : [];
+  const newLines = after ? String(after).split(/\r?\n/) : [];
+
+  // Shared head and tail lines need no table
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const operations = oldLines.slice(0, start).map(line => ({ type: 'equal', line }));
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const rows = oldMiddle.length;
+  const cols = newMiddle.length;
+
+  if ((rows + 1) * (cols + 1) > MAX_DIFF_CELLS) {
+    oldMiddle.forEach(line => operations.push({ type: 'removed', line }));
+    newMiddle.forEach(line => operations.push({ type: 'added', line }));
+  } else {
+    // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] = oldMiddle[i] === newMiddle[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        operations.push({ type: 'equal', line: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        operations.push({ type: 'removed', line: oldMiddle[i] });
+        i++;
+      } else {
+        operations.push({ type: 'added', line: newMiddle[j] });
+        j++;
+      }
+    }
+    while (i < rows) {
+      operations.push({ type: 'removed', line: oldMiddle[i++] });
+    }
+    while (j < cols) {
+      operations.push({ type: 'added', line: newMiddle[j++] });
+    }
+  }
+
+  oldLines.slice(oldEnd).forEach(line => operations.push({ type: 'equal', line }));
+
+  return operations;
+};
+
+module.exports = {
+  diffLines
+};
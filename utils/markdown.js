@@ -0,0 +1,284 @@
+/**
+ * @file utils/markdown.js
+ * @description Markdown subset sanitization and rendering for forum content
+ * @author Michael Lee
+ * @created 2025-10-19
+ * @modified 2025-10-19
+ *
+ * Forum topics and replies are stored as Markdown source and rendered on the
+ * server, so clients never have to interpret markup themselves. Only a fixed
+ * subset is recognised; everything else is shown as literal text. Raw HTML in
+ * the source is always escaped, the renderer is the only producer of tags.
+ *
+ * Supported subset:
+ * - Paragraphs separated by blank lines, single newlines become <br>
+ * - Fenced code blocks (``` or ~~~, optional language) and `inline code`
+ * - Unordered (-, *, +) and ordered (1. or 1)) lists, one level
+ * - Links [text](url) with http, https or mailto URLs
+ * - Block quotes (>), may contain the other blocks
+ *
+ * Modification Log:
+ * - 2025-10-19: Initial implementation
+ * - 2025-10-19: Prose rendering without code for @mention parsing
+ *
+ * Functions:
+ * - sanitizeMarkdown(source): Normalize line endings and drop control characters before storing
+ * - renderHtml(source): Safe HTML of the supported subset
+ * - renderPlainText(source): Text without markup
+ * - excerpt(source, maxLength): Single-line plain text preview
+ * - renderProse(source): Plain text without code blocks and inline code
+ */
+
+// Nested quotes deeper than this are shown as text
+const MAX_QUOTE_DEPTH = 5;
+
+const FENCE_PATTERN = /^ {0,3}(```|~~~)\s*([A-Za-z0-9_+#.-]*)\s*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM_PATTERN = /^ {0,3}(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const INLINE_PATTERN = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^()\s]+)\)/g;
+const SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:)[^\s"'<>]+$/i;
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Line starts a block other than a paragraph
+ * @param {string} line - Source line
+ * @returns {boolean} True for fence, quote and list lines
+ */
+const startsBlock = (line) => FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+
+/**
+ * Split source lines into blocks
+ * @param {Array<string>} lines - Source lines
+ * @param {number} depth - Current quote depth
+ * @returns {Array<Object>} Blocks of type paragraph, code, quote or list
+ */
+const parseBlocks = (lines, depth = 0) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      // An unclosed fence runs to the end of the post
+      const code = [];
+      i++;
+      const isClosing = (candidate) => {
+        const closing = candidate.match(FENCE_PATTERN);
+        return closing && closing[1] === fence[1] && !closing[2];
+      };
+      while (i < lines.length && !isClosing(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[2] || null, text: code.join('\n') });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line) && depth < MAX_QUOTE_DEPTH) {
+      const inner = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        inner.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseBlocks(inner, depth + 1) });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      const ordered = !item[1];
+      const list = { type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : null, items: [] };
+
+      while (i < lines.length) {
+        const current = lines[i].match(LIST_ITEM_PATTERN);
+        if (current && (current[1] === undefined) === ordered) {
+          list.items.push(current[3]);
+          i++;
+        } else if (!current && lines[i].trim() && !startsBlock(lines[i]) && list.items.length > 0) {
+          // Lazy continuation of the previous item
+          list.items[list.items.length - 1] += '\n' + lines[i].trim();
+          i++;
+        } else {
+          break;
+        }
+      }
+
+      blocks.push(list);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+/**
+ * Parse sanitized source into blocks
+ * @param {string|null} source - Markdown source
+ * @returns {Array<Object>} Blocks
+ */
+const parse = (source) => parseBlocks(sanitizeMarkdown(source).split('\n'));
+
+/**
+ * Render inline code and links
+ * @param {string} text - Inline source
+ * @param {boolean} html - Render HTML (true) or plain text (false)
+ * @param {boolean} includeCode - Keep inline code in plain text (default: true)
+ * @returns {string} Rendered inline content
+ */
+const renderInline = (text, html, includeCode = true) => {
+  let output = '';
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const literal = text.slice(last, match.index);
+    output += html ? escapeHtml(literal) : literal;
+    last = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      output += html ? `<code>${escapeHtml(match[1])}</code>` : (includeCode ? match[1] : '');
+    } else if (!SAFE_URL_PATTERN.test(match[3])) {
+      // Unsupported scheme (javascript:, data:, relative): keep the whole link as text
+      output += html ? escapeHtml(match[0]) : match[0];
+    } else {
+      output += html
+        ? `<a href="${escapeHtml(match[3])}" rel="nofollow noopener noreferrer">${escapeHtml(match[2])}</a>`
+        : match[2];
+    }
+  }
+
+  const rest = text.slice(last);
+  output += html ? escapeHtml(rest) : rest;
+
+  return html ? output.replace(/\n/g, '<br>') : output;
+};
+
+/**
+ * Render blocks as HTML
+ * @param {Array<Object>} blocks - Parsed blocks
+ * @returns {string} HTML
+ */
+const blocksToHtml = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'code': {
+      const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+      return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+    }
+    case 'quote':
+      return `<blockquote>${blocksToHtml(block.children)}</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      return `<${tag}${start}>${block.items.map(item => `<li>${renderInline(item, true)}</li>`).join('')}</${tag}>`;
+    }
+    default:
+      return `<p>${renderInline(block.text, true)}</p>`;
+  }
+}).join('');
+
+/**
+ * Render blocks as plain text
+ * @param {Array<Object>} blocks - Parsed blocks
+ * @param {boolean} includeCode - Keep code blocks and inline code (default: true)
+ * @returns {string} Text, blocks separated by blank lines
+ */
+const blocksToText = (blocks, includeCode = true) => blocks.map(block => {
+  switch (block.type) {
+    case 'code':
+      return includeCode ? block.text : '';
+    case 'quote':
+      return blocksToText(block.children, includeCode);
+    case 'list':
+      return block.items
+        .map((item, index) => `${block.ordered ? `${block.start + index}.` : '-'} ${renderInline(item, false, includeCode)}`)
+        .join('\n');
+    default:
+      return renderInline(block.text, false, includeCode);
+  }
+}).join('\n\n');
+
+/**
+ * Normalize line endings and drop control characters before storing
+ * @function sanitizeMarkdown
+ * @param {string|null} source - Markdown source from the client
+ * @returns {string} Cleaned source
+ */
+const sanitizeMarkdown = (source) => String(source || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
+
+/**
+ * Safe HTML of the supported subset
+ * @function renderHtml
+ * @param {string|null} source - Markdown source
+ * @returns {string} HTML using p, br, pre, code, blockquote, ul, ol, li and a only
+ */
+const renderHtml = (source) => blocksToHtml(parse(source));
+
+/**
+ * Text without markup
+ * @function renderPlainText
+ * @param {string|null} source - Markdown source
+ * @returns {string} Plain text, blocks separated by blank lines
+ */
+const renderPlainText = (source) => blocksToText(parse(source));
+
+/**
+ * Single-line plain text preview
+ * @function excerpt
+ * @param {string|null} source - Markdown source
+ * @param {number} maxLength - Longest excerpt in characters (default: 200)
+ * @returns {string} Whitespace-collapsed text, cut at a word boundary with '...'
+ */
+const excerpt = (source, maxLength = 200) => {
+  const text = renderPlainText(source).replace(/\s+/g, ' ').trim();
+
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut) + '...';
+};
+
+/**
+ * Plain text without code blocks and inline code
+ * @function renderProse
+ * @param {string|null} source - Markdown source
+ * @returns {string} Plain text of the written prose, used to find @mentions
+ */
+const renderProse = (source) => blocksToText(parse(source), false);
+
+module.exports = {
+  sanitizeMarkdown,
+  renderHtml,
+  renderPlainText,
+  excerpt,
+  renderProse
+};